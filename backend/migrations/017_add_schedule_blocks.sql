@@ -0,0 +1,140 @@
+-- Migration 017: Multiple working blocks per day and multiple breaks per block
+-- A professional can now have any number of professional_schedules rows for the
+-- same day_of_week (e.g. 09:00-13:00 and 16:00-20:00). Breaks move from the
+-- single break_start_time/break_end_time pair to their own table.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- Range type over TIME so blocks can be compared with the && operator
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_type WHERE typname = 'timerange') THEN
+        CREATE TYPE timerange AS RANGE (subtype = time);
+    END IF;
+END
+$$;
+
+-- Create schedule breaks table (any number of breaks inside a working block)
+CREATE TABLE IF NOT EXISTS professional_schedule_breaks (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    schedule_id UUID NOT NULL REFERENCES professional_schedules(id) ON DELETE CASCADE,
+
+    -- Break details
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    label VARCHAR(100),
+
+    -- Audit fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_schedule_break_time CHECK (start_time < end_time),
+    CONSTRAINT no_overlapping_schedule_breaks EXCLUDE USING gist (
+        schedule_id WITH =,
+        timerange(start_time, end_time) WITH &&
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_professional_schedule_breaks_schedule_id ON professional_schedule_breaks(schedule_id);
+
+-- Move existing single breaks into the new table
+INSERT INTO professional_schedule_breaks (schedule_id, start_time, end_time)
+SELECT ps.id, ps.break_start_time, ps.break_end_time
+FROM professional_schedules ps
+WHERE ps.break_start_time IS NOT NULL
+  AND ps.break_end_time IS NOT NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM professional_schedule_breaks b WHERE b.schedule_id = ps.id
+  );
+
+COMMENT ON COLUMN professional_schedules.break_start_time IS 'Deprecated: use professional_schedule_breaks';
+COMMENT ON COLUMN professional_schedules.break_end_time IS 'Deprecated: use professional_schedule_breaks';
+
+-- Working blocks of the same professional and weekday must not overlap while
+-- their effective periods overlap. Rows created before this migration could, so
+-- they are resolved first: a block that was never in effect (it ends before it
+-- starts) and every block overlapping an older available one are marked
+-- unavailable, which keeps the row but takes it out of the constraint.
+DO $$
+DECLARE
+    block RECORD;
+    disabled INTEGER := 0;
+BEGIN
+    UPDATE professional_schedules
+    SET is_available = false
+    WHERE is_available = true AND effective_until < effective_from;
+
+    FOR block IN
+        SELECT id FROM professional_schedules
+        WHERE is_available = true
+        ORDER BY created_at, id
+    LOOP
+        UPDATE professional_schedules ps
+        SET is_available = false
+        WHERE ps.id = block.id
+          AND EXISTS (
+              SELECT 1 FROM professional_schedules older
+              WHERE older.professional_id = ps.professional_id
+                AND older.day_of_week = ps.day_of_week
+                AND older.is_available = true
+                AND (older.created_at, older.id) < (ps.created_at, ps.id)
+                AND daterange(older.effective_from, older.effective_until, '[]') &&
+                    daterange(ps.effective_from, ps.effective_until, '[]')
+                AND timerange(older.start_time, older.end_time) && timerange(ps.start_time, ps.end_time)
+          );
+
+        IF FOUND THEN
+            disabled := disabled + 1;
+        END IF;
+    END LOOP;
+
+    IF disabled > 0 THEN
+        RAISE NOTICE 'Marked % overlapping schedule blocks as unavailable', disabled;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'no_overlapping_schedule_blocks'
+    ) THEN
+        ALTER TABLE professional_schedules ADD CONSTRAINT no_overlapping_schedule_blocks
+            EXCLUDE USING gist (
+                professional_id WITH =,
+                day_of_week WITH =,
+                daterange(effective_from, effective_until, '[]') WITH &&,
+                timerange(start_time, end_time) WITH &&
+            ) WHERE (is_available = true);
+    END IF;
+END
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_professional_schedules_professional_day ON professional_schedules(professional_id, day_of_week);
+
+-- Availability view now exposes one row per block with its breaks
+CREATE OR REPLACE VIEW professional_availability AS
+SELECT
+    ps.professional_id,
+    ps.day_of_week,
+    ps.start_time,
+    ps.end_time,
+    ps.break_start_time,
+    ps.break_end_time,
+    ps.is_available,
+    ps.timezone,
+    ps.effective_from,
+    ps.effective_until,
+    u.name as professional_name,
+    COALESCE((
+        SELECT json_agg(json_build_object('startTime', b.start_time, 'endTime', b.end_time, 'label', b.label) ORDER BY b.start_time)
+        FROM professional_schedule_breaks b
+        WHERE b.schedule_id = ps.id
+    ), '[]'::json) as breaks
+FROM professional_schedules ps
+JOIN users u ON ps.professional_id = u.id
+WHERE ps.is_available = true
+  AND (ps.effective_until IS NULL OR ps.effective_until >= CURRENT_DATE)
+  AND ps.effective_from <= CURRENT_DATE;
+
+COMMENT ON TABLE professional_schedule_breaks IS 'Breaks inside a working block of professional_schedules';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('017', 'Multiple working blocks per day and schedule breaks', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,31 @@
+-- Migration 018: Per-service preparation/cleanup buffers and minimum booking notice
+-- Slots offered for a service are sized to its duration_minutes and keep the
+-- buffers free around every booking of that service.
+
+ALTER TABLE professional_services
+    ADD COLUMN IF NOT EXISTS buffer_before_minutes INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS buffer_after_minutes INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS min_booking_notice_minutes INTEGER NOT NULL DEFAULT 0;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'valid_service_buffers'
+    ) THEN
+        ALTER TABLE professional_services ADD CONSTRAINT valid_service_buffers CHECK (
+            buffer_before_minutes BETWEEN 0 AND 240
+            AND buffer_after_minutes BETWEEN 0 AND 240
+            AND min_booking_notice_minutes >= 0
+        );
+    END IF;
+END
+$$;
+
+COMMENT ON COLUMN professional_services.buffer_before_minutes IS 'Preparation time kept free before each appointment of this service';
+COMMENT ON COLUMN professional_services.buffer_after_minutes IS 'Cleanup time kept free after each appointment of this service';
+COMMENT ON COLUMN professional_services.min_booking_notice_minutes IS 'Minimum time between booking and the start of the appointment';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('018', 'Service buffers and minimum booking notice', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
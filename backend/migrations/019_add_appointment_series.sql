@@ -0,0 +1,97 @@
+-- Migration 019: Recurring appointments (series)
+-- A series stores a weekly RRULE; every occurrence is a regular appointments
+-- row linked through series_id. Splitting a series ("this and following")
+-- creates a new series that points back to the original one.
+
+CREATE TABLE IF NOT EXISTS appointment_series (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    professional_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    patient_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    service_id UUID REFERENCES professional_services(id) ON DELETE SET NULL,
+    parent_series_id UUID REFERENCES appointment_series(id) ON DELETE SET NULL,
+
+    -- Recurrence
+    recurrence_rule TEXT NOT NULL, -- e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=MO;COUNT=10
+    start_date DATE NOT NULL,
+    until_date DATE,
+    occurrence_count INTEGER,
+
+    -- Occurrence template
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    timezone VARCHAR(50) DEFAULT 'Europe/Madrid',
+
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- 'active', 'ended', 'cancelled'
+
+    -- Audit fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    created_by VARCHAR(255) REFERENCES users(id),
+
+    CONSTRAINT valid_series_time CHECK (start_time < end_time),
+    CONSTRAINT valid_series_end CHECK (until_date IS NOT NULL OR occurrence_count IS NOT NULL),
+    CONSTRAINT valid_series_status CHECK (status IN ('active', 'ended', 'cancelled'))
+);
+
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS series_id UUID REFERENCES appointment_series(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_appointment_series_professional_id ON appointment_series(professional_id);
+CREATE INDEX IF NOT EXISTS idx_appointment_series_patient_id ON appointment_series(patient_id);
+CREATE INDEX IF NOT EXISTS idx_appointments_series_date ON appointments(series_id, scheduled_date) WHERE series_id IS NOT NULL;
+
+CREATE TRIGGER update_appointment_series_updated_at
+    BEFORE UPDATE ON appointment_series
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- History now records who made the change and why when the application sets
+-- app.current_user_id / app.change_reason for the transaction
+CREATE OR REPLACE FUNCTION log_appointment_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+    acting_user VARCHAR(255) := NULLIF(current_setting('app.current_user_id', true), '');
+    reason TEXT := NULLIF(current_setting('app.change_reason', true), '');
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO appointment_history (
+            appointment_id, changed_by, change_type, new_values, change_reason
+        ) VALUES (
+            NEW.id,
+            COALESCE(acting_user, NEW.created_by),
+            'created',
+            row_to_json(NEW),
+            COALESCE(reason, 'Appointment created')
+        );
+        RETURN NEW;
+    ELSIF TG_OP = 'UPDATE' THEN
+        INSERT INTO appointment_history (
+            appointment_id, changed_by, change_type, old_values, new_values, change_reason
+        ) VALUES (
+            NEW.id,
+            COALESCE(acting_user, NEW.created_by),
+            CASE
+                WHEN OLD.status != NEW.status AND NEW.status = 'cancelled' THEN 'cancelled'
+                WHEN OLD.scheduled_date != NEW.scheduled_date OR OLD.start_time != NEW.start_time THEN 'rescheduled'
+                ELSE 'updated'
+            END,
+            row_to_json(OLD),
+            row_to_json(NEW),
+            CASE
+                WHEN OLD.status != NEW.status AND NEW.status = 'cancelled' THEN COALESCE(NEW.cancellation_reason, reason)
+                ELSE COALESCE(reason, 'Appointment updated')
+            END
+        );
+        RETURN NEW;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE appointment_series IS 'Recurring appointment series (weekly RRULE subset)';
+COMMENT ON COLUMN appointments.series_id IS 'Series this appointment is an occurrence of';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('019', 'Recurring appointment series', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,71 @@
+-- Migration 020: Patient waitlist with time-limited slot offers
+-- Patients wait for a professional (optionally a service and a date window).
+-- When a slot frees up it is offered to the first matching entry; the offer
+-- holds the slot until it expires and then falls through to the next entry.
+
+CREATE TABLE IF NOT EXISTS waitlist_entries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    patient_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    professional_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    service_id UUID REFERENCES professional_services(id) ON DELETE SET NULL,
+
+    -- Optional date window the patient can attend
+    date_from DATE,
+    date_to DATE,
+    notes TEXT,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'waiting', -- 'waiting', 'offered', 'booked', 'cancelled'
+
+    -- Audit fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_waitlist_window CHECK (date_from IS NULL OR date_to IS NULL OR date_from <= date_to),
+    CONSTRAINT valid_waitlist_status CHECK (status IN ('waiting', 'offered', 'booked', 'cancelled'))
+);
+
+CREATE TABLE IF NOT EXISTS waitlist_offers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    entry_id UUID NOT NULL REFERENCES waitlist_entries(id) ON DELETE CASCADE,
+    professional_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    service_id UUID REFERENCES professional_services(id) ON DELETE SET NULL,
+
+    -- Offered slot
+    scheduled_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- 'pending', 'accepted', 'declined', 'expired'
+    expires_at TIMESTAMPTZ NOT NULL,
+    responded_at TIMESTAMPTZ,
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+
+    -- Audit fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_waitlist_offer_time CHECK (start_time < end_time),
+    CONSTRAINT valid_waitlist_offer_status CHECK (status IN ('pending', 'accepted', 'declined', 'expired'))
+);
+
+-- One active entry per patient, professional and service
+CREATE UNIQUE INDEX IF NOT EXISTS idx_waitlist_entries_active
+    ON waitlist_entries(patient_id, professional_id, COALESCE(service_id, '00000000-0000-0000-0000-000000000000'::uuid))
+    WHERE status IN ('waiting', 'offered');
+
+CREATE INDEX IF NOT EXISTS idx_waitlist_entries_professional_status ON waitlist_entries(professional_id, status, created_at);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_entry_id ON waitlist_offers(entry_id);
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_pending ON waitlist_offers(professional_id, scheduled_date) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_waitlist_offers_expires_at ON waitlist_offers(expires_at) WHERE status = 'pending';
+
+CREATE TRIGGER update_waitlist_entries_updated_at
+    BEFORE UPDATE ON waitlist_entries
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE waitlist_entries IS 'Patients waiting for a free slot with a professional';
+COMMENT ON TABLE waitlist_offers IS 'Freed slots offered to waitlisted patients, held until expires_at';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('020', 'Patient waitlist and slot offers', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
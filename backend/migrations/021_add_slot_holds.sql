@@ -0,0 +1,103 @@
+-- Migration 021: Temporary slot holds during booking
+-- A patient selecting a slot gets a short-lived hold on it; availability treats
+-- active holds as busy. Holds and appointments of a professional's day are
+-- checked under a transaction-level advisory lock (see checkAppointmentAvailability),
+-- and the exclusion constraint below rejects overlapping appointments outright.
+
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+CREATE TABLE IF NOT EXISTS appointment_slot_holds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    professional_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    service_id UUID REFERENCES professional_services(id) ON DELETE SET NULL,
+
+    -- Held range
+    scheduled_date DATE NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- 'active', 'released', 'expired', 'converted'
+    expires_at TIMESTAMPTZ NOT NULL,
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+
+    -- Audit fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_slot_hold_time CHECK (start_time < end_time),
+    CONSTRAINT valid_slot_hold_status CHECK (status IN ('active', 'released', 'expired', 'converted'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_slot_holds_active ON appointment_slot_holds(professional_id, scheduled_date) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_slot_holds_user_id ON appointment_slot_holds(user_id);
+CREATE INDEX IF NOT EXISTS idx_slot_holds_expires_at ON appointment_slot_holds(expires_at) WHERE status = 'active';
+
+CREATE TRIGGER update_appointment_slot_holds_updated_at
+    BEFORE UPDATE ON appointment_slot_holds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Make sure active appointments of a professional can never overlap. The conflict trigger
+-- checked rows one at a time, so concurrent bookings could still overlap; those are resolved
+-- first by cancelling every appointment that overlaps an older active one. The trigger is
+-- off meanwhile, as it would reject updating an overlapping row even to cancel it.
+DO $$
+DECLARE
+    appointment RECORD;
+    cancelled INTEGER := 0;
+BEGIN
+    ALTER TABLE appointments DISABLE TRIGGER check_appointment_conflicts_trigger;
+
+    FOR appointment IN
+        SELECT id FROM appointments
+        WHERE status IN ('scheduled', 'confirmed', 'in_progress')
+        ORDER BY created_at, id
+    LOOP
+        UPDATE appointments a
+        SET status = 'cancelled',
+            cancellation_reason = 'Overlapped an earlier appointment of the professional'
+        WHERE a.id = appointment.id
+          AND EXISTS (
+              SELECT 1 FROM appointments older
+              WHERE older.professional_id = a.professional_id
+                AND older.scheduled_date = a.scheduled_date
+                AND older.status IN ('scheduled', 'confirmed', 'in_progress')
+                AND (older.created_at, older.id) < (a.created_at, a.id)
+                AND tsrange((older.scheduled_date + older.start_time)::timestamp, (older.scheduled_date + older.end_time)::timestamp) &&
+                    tsrange((a.scheduled_date + a.start_time)::timestamp, (a.scheduled_date + a.end_time)::timestamp)
+          );
+
+        IF FOUND THEN
+            cancelled := cancelled + 1;
+        END IF;
+    END LOOP;
+
+    ALTER TABLE appointments ENABLE TRIGGER check_appointment_conflicts_trigger;
+
+    IF cancelled > 0 THEN
+        RAISE NOTICE 'Cancelled % overlapping appointments', cancelled;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint WHERE conname = 'unique_professional_time_slot'
+    ) THEN
+        ALTER TABLE appointments ADD CONSTRAINT unique_professional_time_slot
+            EXCLUDE USING gist (
+                professional_id WITH =,
+                scheduled_date WITH =,
+                tsrange(
+                    (scheduled_date + start_time)::timestamp,
+                    (scheduled_date + end_time)::timestamp
+                ) WITH &&
+            ) WHERE (status IN ('scheduled', 'confirmed', 'in_progress'));
+    END IF;
+END
+$$;
+
+COMMENT ON TABLE appointment_slot_holds IS 'Short-lived holds on a slot while a patient completes a booking';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('021', 'Temporary slot holds', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,31 @@
+-- Migration 022: Professional timezone
+-- Schedules, slots and appointments are wall-clock times in the professional's
+-- timezone. Store it once on the professional so availability, notice periods,
+-- reminders and new appointments all resolve local times the same way.
+
+ALTER TABLE professionals
+    ADD COLUMN IF NOT EXISTS timezone VARCHAR(50) NOT NULL DEFAULT 'Europe/Madrid';
+
+-- Backfill from the most recent schedule of each professional
+UPDATE professionals p
+SET timezone = latest.timezone
+FROM (
+    SELECT DISTINCT ON (professional_id) professional_id, timezone
+    FROM professional_schedules
+    WHERE timezone IS NOT NULL
+    ORDER BY professional_id, effective_from DESC, created_at DESC
+) latest
+WHERE latest.professional_id = p.user_id;
+
+-- Appointments without a timezone take their professional's
+UPDATE appointments a
+SET timezone = p.timezone
+FROM professionals p
+WHERE p.user_id = a.professional_id AND a.timezone IS NULL;
+
+COMMENT ON COLUMN professionals.timezone IS 'IANA timezone the professional schedules and sees appointments in';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('022', 'Professional timezone', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,25 @@
+-- Migration 023: iCalendar subscription feeds
+-- Each user can have one secret token. Anyone holding the token can read that
+-- user's appointments as an .ics feed (Google Calendar, Outlook, Apple Calendar),
+-- so the token is only ever shown to its owner and can be regenerated.
+
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(64) NOT NULL,
+
+    last_accessed_at TIMESTAMPTZ,
+
+    -- Audit fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT unique_calendar_feed_user UNIQUE (user_id),
+    CONSTRAINT unique_calendar_feed_token UNIQUE (token)
+);
+
+COMMENT ON TABLE calendar_feed_tokens IS 'Secret tokens for per-user iCalendar subscription URLs';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('023', 'iCalendar subscription feeds', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
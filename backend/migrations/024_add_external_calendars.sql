@@ -0,0 +1,58 @@
+-- Migration 024: External calendars imported as busy times
+-- Professionals who also work elsewhere (e.g. hospital shifts) can subscribe an
+-- ICS URL or upload an .ics file. Busy events are expanded into UTC intervals
+-- that block availability like schedule exceptions. URL calendars are re-synced
+-- periodically; uploaded files are a one-off snapshot.
+
+CREATE TABLE IF NOT EXISTS external_calendars (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    professional_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+
+    source_type VARCHAR(20) NOT NULL, -- 'url', 'upload'
+    url TEXT,
+
+    -- Sync state
+    status VARCHAR(20) NOT NULL DEFAULT 'active', -- 'active', 'error'
+    last_synced_at TIMESTAMPTZ,
+    last_sync_error TEXT,
+    busy_time_count INTEGER NOT NULL DEFAULT 0,
+
+    -- Audit fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_external_calendar_source CHECK (
+        (source_type = 'url' AND url IS NOT NULL) OR source_type = 'upload'
+    ),
+    CONSTRAINT valid_external_calendar_status CHECK (status IN ('active', 'error'))
+);
+
+CREATE TABLE IF NOT EXISTS external_busy_times (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    calendar_id UUID NOT NULL REFERENCES external_calendars(id) ON DELETE CASCADE,
+    professional_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+
+    starts_at TIMESTAMPTZ NOT NULL,
+    ends_at TIMESTAMPTZ NOT NULL,
+
+    CONSTRAINT valid_external_busy_time CHECK (starts_at < ends_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_external_calendars_professional_id ON external_calendars(professional_id);
+CREATE INDEX IF NOT EXISTS idx_external_calendars_sync ON external_calendars(last_synced_at) WHERE source_type = 'url';
+CREATE INDEX IF NOT EXISTS idx_external_busy_times_calendar_id ON external_busy_times(calendar_id);
+CREATE INDEX IF NOT EXISTS idx_external_busy_times_professional_range ON external_busy_times(professional_id, starts_at, ends_at);
+
+CREATE TRIGGER update_external_calendars_updated_at
+    BEFORE UPDATE ON external_calendars
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE external_calendars IS 'ICS calendars of professionals whose events block availability';
+COMMENT ON TABLE external_busy_times IS 'Busy intervals expanded from external calendars';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('024', 'External calendars as busy times', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,81 @@
+-- Migration 025: Appointment rescheduling and booking policies
+-- Rescheduling keeps the original row (status 'rescheduled') and books a new one
+-- that points back to it and carries how many times the appointment has been moved. Professionals set how late and how often
+-- patients may reschedule in their booking policy.
+
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS rescheduled_from_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS reschedule_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_appointments_rescheduled_from_id ON appointments(rescheduled_from_id);
+
+CREATE TABLE IF NOT EXISTS professional_booking_policies (
+    professional_id VARCHAR(255) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+
+    -- Patient rescheduling
+    reschedule_min_hours INTEGER NOT NULL DEFAULT 24,
+    max_reschedules INTEGER NOT NULL DEFAULT 2,
+
+    -- Audit fields
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_reschedule_policy CHECK (reschedule_min_hours >= 0 AND max_reschedules >= 0)
+);
+
+CREATE TRIGGER update_professional_booking_policies_updated_at
+    BEFORE UPDATE ON professional_booking_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Record moves to another row as 'rescheduled' in the appointment history
+CREATE OR REPLACE FUNCTION log_appointment_changes()
+RETURNS TRIGGER AS $$
+DECLARE
+    acting_user VARCHAR(255) := NULLIF(current_setting('app.current_user_id', true), '');
+    reason TEXT := NULLIF(current_setting('app.change_reason', true), '');
+BEGIN
+    IF TG_OP = 'INSERT' THEN
+        INSERT INTO appointment_history (
+            appointment_id, changed_by, change_type, new_values, change_reason
+        ) VALUES (
+            NEW.id,
+            COALESCE(acting_user, NEW.created_by),
+            'created',
+            row_to_json(NEW),
+            COALESCE(reason, 'Appointment created')
+        );
+        RETURN NEW;
+    ELSIF TG_OP = 'UPDATE' THEN
+        INSERT INTO appointment_history (
+            appointment_id, changed_by, change_type, old_values, new_values, change_reason
+        ) VALUES (
+            NEW.id,
+            COALESCE(acting_user, NEW.created_by),
+            CASE
+                WHEN OLD.status != NEW.status AND NEW.status = 'cancelled' THEN 'cancelled'
+                WHEN OLD.status != NEW.status AND NEW.status = 'rescheduled' THEN 'rescheduled'
+                WHEN OLD.scheduled_date != NEW.scheduled_date OR OLD.start_time != NEW.start_time THEN 'rescheduled'
+                ELSE 'updated'
+            END,
+            row_to_json(OLD),
+            row_to_json(NEW),
+            CASE
+                WHEN OLD.status != NEW.status AND NEW.status = 'cancelled' THEN COALESCE(NEW.cancellation_reason, reason)
+                ELSE COALESCE(reason, 'Appointment updated')
+            END
+        );
+        RETURN NEW;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON TABLE professional_booking_policies IS 'Per-professional rules for patient self-service changes';
+COMMENT ON COLUMN appointments.rescheduled_from_id IS 'Appointment this one replaced when it was rescheduled';
+COMMENT ON COLUMN appointments.reschedule_count IS 'Times the appointment has been moved, carried to each new row';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('025', 'Appointment rescheduling and booking policies', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
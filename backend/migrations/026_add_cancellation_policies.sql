@@ -0,0 +1,67 @@
+-- Migration 026: Cancellation policies with late-cancellation and no-show fees
+-- Professionals define until when patients may cancel for free and what is charged
+-- afterwards (fixed amount or percentage of the appointment fee), plus a no-show fee.
+-- The policy in force is copied onto each appointment at booking, so later policy
+-- changes never affect appointments that were already booked. No-shows are marked
+-- after the day of the appointment, so past appointments may be in any final status.
+
+ALTER TABLE professional_booking_policies
+    ADD COLUMN IF NOT EXISTS free_cancellation_hours INTEGER NOT NULL DEFAULT 24,
+    ADD COLUMN IF NOT EXISTS late_cancel_fee_type VARCHAR(20) NOT NULL DEFAULT 'percentage',
+    ADD COLUMN IF NOT EXISTS late_cancel_fee_value DECIMAL(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS no_show_fee_type VARCHAR(20) NOT NULL DEFAULT 'percentage',
+    ADD COLUMN IF NOT EXISTS no_show_fee_value DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE professional_booking_policies
+    DROP CONSTRAINT IF EXISTS valid_cancellation_policy;
+
+ALTER TABLE professional_booking_policies
+    ADD CONSTRAINT valid_cancellation_policy CHECK (
+        free_cancellation_hours >= 0 AND
+        late_cancel_fee_type IN ('fixed', 'percentage') AND
+        no_show_fee_type IN ('fixed', 'percentage') AND
+        late_cancel_fee_value >= 0 AND
+        no_show_fee_value >= 0 AND
+        (late_cancel_fee_type = 'fixed' OR late_cancel_fee_value <= 100) AND
+        (no_show_fee_type = 'fixed' OR no_show_fee_value <= 100)
+    );
+
+-- Policy snapshot and the fee charged when the appointment was cancelled late or missed
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS cancellation_policy JSONB,
+    ADD COLUMN IF NOT EXISTS penalty_type VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS penalty_amount DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS penalty_payment_id VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS penalty_invoice_id VARCHAR(255);
+
+ALTER TABLE appointments
+    DROP CONSTRAINT IF EXISTS valid_penalty;
+
+ALTER TABLE appointments
+    ADD CONSTRAINT valid_penalty CHECK (
+        penalty_type IS NULL OR
+        (penalty_type IN ('late_cancellation', 'no_show') AND penalty_amount > 0)
+    );
+
+ALTER TABLE appointments
+    DROP CONSTRAINT IF EXISTS valid_future_date;
+
+ALTER TABLE appointments
+    ADD CONSTRAINT valid_future_date CHECK (
+        scheduled_date >= CURRENT_DATE OR status IN ('completed', 'cancelled', 'no_show', 'rescheduled')
+    );
+
+CREATE INDEX IF NOT EXISTS idx_appointments_penalty_pending
+    ON appointments(penalty_type)
+    WHERE penalty_type IS NOT NULL AND (penalty_payment_id IS NULL OR penalty_invoice_id IS NULL);
+
+COMMENT ON COLUMN professional_booking_policies.free_cancellation_hours IS 'Patients may cancel for free until this many hours before the start';
+COMMENT ON COLUMN professional_booking_policies.late_cancel_fee_value IS 'Fixed amount in the appointment currency, or percentage of the appointment fee';
+COMMENT ON COLUMN appointments.cancellation_policy IS 'Cancellation policy in force when the appointment was booked';
+COMMENT ON COLUMN appointments.penalty_type IS 'late_cancellation or no_show, when a fee was due';
+COMMENT ON COLUMN appointments.penalty_payment_id IS 'Payment created for the fee; NULL while the charge is still pending';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('026', 'Cancellation policies with late-cancellation and no-show fees', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,63 @@
+-- Migration 027: Refunds and credit notes
+-- Each full or partial refund of a payment is recorded with its provider reference
+-- and reason. Successful refunds are matched by a credit note: an invoice of type
+-- 'credit_note' with negative amounts that points back to the invoice it corrects.
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id VARCHAR(255) PRIMARY KEY,
+    payment_id VARCHAR(255) NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL, -- Amount in cents
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    reason VARCHAR(50) NOT NULL DEFAULT 'requested_by_customer',
+    notes TEXT,
+    provider VARCHAR(20) NOT NULL,
+    provider_refund_id VARCHAR(255),
+    credit_note_id VARCHAR(255) REFERENCES invoices(id) ON DELETE SET NULL,
+    initiated_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+    failure_reason TEXT,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_refund_amount CHECK (amount > 0),
+    CONSTRAINT valid_refund_status CHECK (status IN ('pending', 'succeeded', 'failed', 'cancelled')),
+    CONSTRAINT valid_refund_reason CHECK (reason IN ('requested_by_customer', 'duplicate', 'fraudulent', 'appointment_cancelled', 'service_issue', 'other'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_provider_refund_id ON refunds(provider, provider_refund_id)
+    WHERE provider_refund_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_refunds_payment_id ON refunds(payment_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_user_id ON refunds(user_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+
+CREATE TRIGGER update_refunds_updated_at
+    BEFORE UPDATE ON refunds
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Credit notes live alongside invoices
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS invoice_type VARCHAR(20) NOT NULL DEFAULT 'invoice',
+    ADD COLUMN IF NOT EXISTS original_invoice_id VARCHAR(255) REFERENCES invoices(id) ON DELETE SET NULL;
+
+ALTER TABLE invoices
+    DROP CONSTRAINT IF EXISTS valid_invoice_type;
+
+ALTER TABLE invoices
+    ADD CONSTRAINT valid_invoice_type CHECK (invoice_type IN ('invoice', 'credit_note'));
+
+CREATE INDEX IF NOT EXISTS idx_invoices_payment_id ON invoices(payment_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_original_invoice_id ON invoices(original_invoice_id);
+
+COMMENT ON TABLE refunds IS 'Full and partial refunds of payments';
+COMMENT ON COLUMN refunds.provider IS 'Payment provider that executed the refund (stripe, local)';
+COMMENT ON COLUMN refunds.initiated_by IS 'User who requested the refund; NULL when it came from the provider (e.g. Stripe dashboard)';
+COMMENT ON COLUMN invoices.invoice_type IS 'invoice, or credit_note for refunds (negative amounts)';
+COMMENT ON COLUMN invoices.original_invoice_id IS 'Invoice a credit note corrects';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('027', 'Refunds and credit notes', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,109 @@
+-- Migration 028: Correlative invoice numbering per series and fiscal year
+-- Invoice numbers are allocated from a per-series, per-year counter inside the
+-- transaction that creates the invoice, so a rolled-back invoice gives its number
+-- back and the sequence has no gaps. Issued invoices cannot be edited: they are
+-- corrected by rectifying invoices (series R) that reference them.
+
+CREATE TABLE IF NOT EXISTS invoice_series (
+    code VARCHAR(10) PRIMARY KEY,
+    description VARCHAR(255) NOT NULL,
+    invoice_type VARCHAR(20) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_series_code CHECK (code ~ '^[A-Z0-9]+$'),
+    CONSTRAINT valid_series_invoice_type CHECK (invoice_type IN ('invoice', 'credit_note'))
+);
+
+-- One active default series per invoice type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoice_series_default_type
+    ON invoice_series(invoice_type)
+    WHERE is_active = true;
+
+INSERT INTO invoice_series (code, description, invoice_type) VALUES
+    ('F', 'Facturas ordinarias', 'invoice'),
+    ('R', 'Facturas rectificativas', 'credit_note')
+ON CONFLICT (code) DO NOTHING;
+
+CREATE TABLE IF NOT EXISTS invoice_number_sequences (
+    series_code VARCHAR(10) NOT NULL REFERENCES invoice_series(code),
+    fiscal_year INTEGER NOT NULL,
+    last_number INTEGER NOT NULL DEFAULT 0,
+    updated_at TIMESTAMPTZ NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (series_code, fiscal_year),
+    CONSTRAINT valid_last_number CHECK (last_number >= 0)
+);
+
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS series_code VARCHAR(10) REFERENCES invoice_series(code),
+    ADD COLUMN IF NOT EXISTS fiscal_year INTEGER,
+    ADD COLUMN IF NOT EXISTS sequence_number INTEGER,
+    ADD COLUMN IF NOT EXISTS rectification_reason TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_series_number
+    ON invoices(series_code, fiscal_year, sequence_number)
+    WHERE sequence_number IS NOT NULL;
+
+-- Fiscal content of a numbered invoice is fixed once issued
+CREATE OR REPLACE FUNCTION prevent_issued_invoice_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.sequence_number IS NOT NULL AND (
+        NEW.invoice_number IS DISTINCT FROM OLD.invoice_number OR
+        NEW.series_code IS DISTINCT FROM OLD.series_code OR
+        NEW.fiscal_year IS DISTINCT FROM OLD.fiscal_year OR
+        NEW.sequence_number IS DISTINCT FROM OLD.sequence_number OR
+        NEW.invoice_type IS DISTINCT FROM OLD.invoice_type OR
+        NEW.original_invoice_id IS DISTINCT FROM OLD.original_invoice_id OR
+        NEW.user_id IS DISTINCT FROM OLD.user_id OR
+        NEW.subtotal IS DISTINCT FROM OLD.subtotal OR
+        NEW.tax IS DISTINCT FROM OLD.tax OR
+        NEW.total IS DISTINCT FROM OLD.total OR
+        NEW.currency IS DISTINCT FROM OLD.currency OR
+        NEW.customer_info IS DISTINCT FROM OLD.customer_info OR
+        NEW.company_info IS DISTINCT FROM OLD.company_info
+    ) THEN
+        RAISE EXCEPTION 'Invoice % has been issued and cannot be modified; issue a rectifying invoice instead', OLD.invoice_number
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_issued_invoice_changes ON invoices;
+CREATE TRIGGER prevent_issued_invoice_changes
+    BEFORE UPDATE ON invoices
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_issued_invoice_changes();
+
+-- Lines of a numbered invoice cannot be changed or removed either
+CREATE OR REPLACE FUNCTION prevent_issued_invoice_item_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM invoices
+        WHERE id = OLD.invoice_id AND sequence_number IS NOT NULL
+    ) THEN
+        RAISE EXCEPTION 'Lines of an issued invoice cannot be modified; issue a rectifying invoice instead'
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN CASE WHEN TG_OP = 'DELETE' THEN OLD ELSE NEW END;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS prevent_issued_invoice_item_changes ON invoice_items;
+CREATE TRIGGER prevent_issued_invoice_item_changes
+    BEFORE UPDATE OR DELETE ON invoice_items
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_issued_invoice_item_changes();
+
+COMMENT ON TABLE invoice_series IS 'Invoice numbering series (F ordinary invoices, R rectifying invoices)';
+COMMENT ON TABLE invoice_number_sequences IS 'Last number issued per series and fiscal year; incremented inside the invoice transaction';
+COMMENT ON COLUMN invoices.sequence_number IS 'Correlative number within series and fiscal year; NULL for invoices issued before numbering by series';
+COMMENT ON COLUMN invoices.rectification_reason IS 'Why a rectifying invoice corrects the original one';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('028', 'Correlative invoice numbering per series and fiscal year', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,122 @@
+-- Migration 029: Tax rates per region, IRPF withholding and issuer details in settings
+-- Taxes are worked out per invoice line from a rate table instead of a single hardcoded
+-- rate: IVA on the peninsula and Balearic Islands, IGIC on the Canary Islands, exempt
+-- healthcare services and IRPF withholding on invoices issued by professionals.
+-- The issuer block printed on invoices is read from system_settings.
+
+CREATE TABLE IF NOT EXISTS tax_rates (
+    code VARCHAR(40) PRIMARY KEY,
+    tax_type VARCHAR(10) NOT NULL,
+    region VARCHAR(10) NOT NULL,
+    category VARCHAR(20) NOT NULL,
+    rate DECIMAL(5,2) NOT NULL,
+    is_withholding BOOLEAN NOT NULL DEFAULT false,
+    legal_note TEXT,
+    description VARCHAR(255) NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_tax_type CHECK (tax_type IN ('IVA', 'IGIC', 'IRPF')),
+    CONSTRAINT valid_tax_category CHECK (category IN ('standard', 'reduced', 'medical', 'not_subject', 'withholding')),
+    CONSTRAINT valid_tax_rate_value CHECK (rate >= 0 AND rate <= 100),
+    CONSTRAINT valid_withholding_category CHECK (is_withholding = (category = 'withholding'))
+);
+
+-- One active rate per region and category is the default for lines of that category
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tax_rates_region_category
+    ON tax_rates(region, category)
+    WHERE is_active = true AND is_withholding = false;
+
+CREATE TRIGGER update_tax_rates_updated_at
+    BEFORE UPDATE ON tax_rates
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO tax_rates (code, tax_type, region, category, rate, is_withholding, legal_note, description) VALUES
+    ('ES_IVA_GENERAL', 'IVA', 'ES', 'standard', 21.00, false, NULL, 'IVA tipo general'),
+    ('ES_IVA_REDUCED', 'IVA', 'ES', 'reduced', 10.00, false, NULL, 'IVA tipo reducido'),
+    ('ES_IVA_EXEMPT_MEDICAL', 'IVA', 'ES', 'medical', 0.00, false,
+        'Operación exenta de IVA según el artículo 20.Uno.3º de la Ley 37/1992', 'Asistencia sanitaria exenta de IVA'),
+    ('ES_IVA_NOT_SUBJECT', 'IVA', 'ES', 'not_subject', 0.00, false,
+        'Operación no sujeta a IVA (indemnización, artículo 78.Tres.1º de la Ley 37/1992)', 'Indemnizaciones no sujetas a IVA'),
+    ('CN_IGIC_GENERAL', 'IGIC', 'ES-CN', 'standard', 7.00, false, NULL, 'IGIC tipo general'),
+    ('CN_IGIC_REDUCED', 'IGIC', 'ES-CN', 'reduced', 3.00, false, NULL, 'IGIC tipo reducido'),
+    ('CN_IGIC_EXEMPT_MEDICAL', 'IGIC', 'ES-CN', 'medical', 0.00, false,
+        'Operación exenta de IGIC según el artículo 50.Uno.3º de la Ley 20/1991', 'Asistencia sanitaria exenta de IGIC'),
+    ('CN_IGIC_NOT_SUBJECT', 'IGIC', 'ES-CN', 'not_subject', 0.00, false,
+        'Operación no sujeta a IGIC (indemnización)', 'Indemnizaciones no sujetas a IGIC'),
+    ('ES_IRPF_PROFESSIONAL', 'IRPF', 'ES', 'withholding', 15.00, true, NULL, 'Retención IRPF por actividades profesionales'),
+    ('ES_IRPF_NEW_PROFESSIONAL', 'IRPF', 'ES', 'withholding', 7.00, true, NULL, 'Retención IRPF reducida por inicio de actividad')
+ON CONFLICT (code) DO NOTHING;
+
+-- Tax worked out for each line
+ALTER TABLE invoice_items
+    ADD COLUMN IF NOT EXISTS tax_code VARCHAR(40) REFERENCES tax_rates(code),
+    ADD COLUMN IF NOT EXISTS tax_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS tax_amount INTEGER NOT NULL DEFAULT 0, -- Amount in cents
+    ADD COLUMN IF NOT EXISTS withholding_code VARCHAR(40) REFERENCES tax_rates(code),
+    ADD COLUMN IF NOT EXISTS withholding_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS withholding_amount INTEGER NOT NULL DEFAULT 0; -- Amount in cents
+
+-- Invoice totals per tax code, and the region the taxes were worked out for
+ALTER TABLE invoices
+    ADD COLUMN IF NOT EXISTS withholding INTEGER NOT NULL DEFAULT 0, -- Amount in cents
+    ADD COLUMN IF NOT EXISTS tax_region VARCHAR(10),
+    ADD COLUMN IF NOT EXISTS tax_breakdown JSONB NOT NULL DEFAULT '[]';
+
+-- Withholding and tax breakdown are part of the fiscal content of an issued invoice
+CREATE OR REPLACE FUNCTION prevent_issued_invoice_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.sequence_number IS NOT NULL AND (
+        NEW.invoice_number IS DISTINCT FROM OLD.invoice_number OR
+        NEW.series_code IS DISTINCT FROM OLD.series_code OR
+        NEW.fiscal_year IS DISTINCT FROM OLD.fiscal_year OR
+        NEW.sequence_number IS DISTINCT FROM OLD.sequence_number OR
+        NEW.invoice_type IS DISTINCT FROM OLD.invoice_type OR
+        NEW.original_invoice_id IS DISTINCT FROM OLD.original_invoice_id OR
+        NEW.user_id IS DISTINCT FROM OLD.user_id OR
+        NEW.subtotal IS DISTINCT FROM OLD.subtotal OR
+        NEW.tax IS DISTINCT FROM OLD.tax OR
+        NEW.withholding IS DISTINCT FROM OLD.withholding OR
+        NEW.total IS DISTINCT FROM OLD.total OR
+        NEW.currency IS DISTINCT FROM OLD.currency OR
+        NEW.tax_region IS DISTINCT FROM OLD.tax_region OR
+        NEW.tax_breakdown IS DISTINCT FROM OLD.tax_breakdown OR
+        NEW.customer_info IS DISTINCT FROM OLD.customer_info OR
+        NEW.company_info IS DISTINCT FROM OLD.company_info
+    ) THEN
+        RAISE EXCEPTION 'Invoice % has been issued and cannot be modified; issue a rectifying invoice instead', OLD.invoice_number
+            USING ERRCODE = 'check_violation';
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Issuer details printed on invoices; replace the placeholders before issuing real invoices
+INSERT INTO system_settings (key, value, description, type, category, is_public) VALUES
+('invoice_issuer_name', 'Mundoctor S.L.', 'Razón social del emisor de las facturas', 'string', 'invoicing', false),
+('invoice_issuer_tax_id', 'B00000000', 'NIF del emisor de las facturas', 'string', 'invoicing', false),
+('invoice_issuer_address', 'Calle Gran Vía, 1', 'Domicilio fiscal del emisor', 'string', 'invoicing', false),
+('invoice_issuer_city', 'Madrid', 'Municipio del domicilio fiscal', 'string', 'invoicing', false),
+('invoice_issuer_postal_code', '28013', 'Código postal del domicilio fiscal', 'string', 'invoicing', false),
+('invoice_issuer_country', 'España', 'País del domicilio fiscal', 'string', 'invoicing', false),
+('invoice_issuer_email', 'facturacion@mundoctor.com', 'Email de facturación', 'string', 'invoicing', false),
+('invoice_issuer_phone', '+34 910 000 000', 'Teléfono de facturación', 'string', 'invoicing', false),
+('invoice_tax_region', 'ES', 'Región fiscal por defecto (ES, o ES-CN para Canarias)', 'string', 'invoicing', false)
+ON CONFLICT (key) DO NOTHING;
+
+-- The platform invoices in euros
+UPDATE system_settings SET value = 'EUR' WHERE key = 'currency' AND value = 'USD';
+
+COMMENT ON TABLE tax_rates IS 'Indirect tax and withholding rates by region (ES peninsula and Balearics, ES-CN Canary Islands)';
+COMMENT ON COLUMN tax_rates.category IS 'Line category the rate applies to: standard, reduced, medical (exempt healthcare), not_subject, withholding';
+COMMENT ON COLUMN tax_rates.legal_note IS 'Exemption or non-subjection text that must appear on invoices using this rate';
+COMMENT ON COLUMN invoices.withholding IS 'IRPF withheld, subtracted from subtotal plus tax to get the total';
+COMMENT ON COLUMN invoices.tax_breakdown IS 'Taxable base and amount per tax code, as printed on the invoice';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('029', 'Tax rates per region, IRPF withholding and invoice issuer settings', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,56 @@
+-- Migration 030: Prepayment and deposits when booking appointments
+-- A service may require the full fee (prepayment) or part of it (deposit) at booking.
+-- Patients booking such a service get an appointment that holds the slot while the
+-- payment is completed; it is confirmed when the payment succeeds and cancelled when
+-- the payment window runs out. Cancelling an appointment still waiting for its payment
+-- releases it as 'cancelled', so a payment that succeeds afterwards is refunded.
+
+ALTER TABLE professional_services
+    ADD COLUMN IF NOT EXISTS payment_mode VARCHAR(20) NOT NULL DEFAULT 'none',
+    ADD COLUMN IF NOT EXISTS deposit_type VARCHAR(20) NOT NULL DEFAULT 'percentage',
+    ADD COLUMN IF NOT EXISTS deposit_value DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE professional_services
+    DROP CONSTRAINT IF EXISTS valid_service_payment_mode;
+
+ALTER TABLE professional_services
+    ADD CONSTRAINT valid_service_payment_mode CHECK (
+        payment_mode IN ('none', 'prepayment', 'deposit') AND
+        deposit_type IN ('fixed', 'percentage') AND
+        deposit_value >= 0 AND
+        (deposit_type = 'fixed' OR deposit_value <= 100) AND
+        (payment_mode <> 'deposit' OR deposit_value > 0)
+    );
+
+-- Payment collected at booking
+ALTER TABLE appointments
+    ADD COLUMN IF NOT EXISTS payment_id VARCHAR(255) REFERENCES payments(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS amount_due DECIMAL(10,2),
+    ADD COLUMN IF NOT EXISTS payment_due_at TIMESTAMPTZ;
+
+UPDATE appointments SET payment_status = 'pending' WHERE payment_status IS NULL;
+
+ALTER TABLE appointments
+    DROP CONSTRAINT IF EXISTS valid_payment_status;
+
+ALTER TABLE appointments
+    ADD CONSTRAINT valid_payment_status CHECK (
+        payment_status IN ('pending', 'awaiting_payment', 'paid', 'deposit_paid', 'expired', 'cancelled')
+    );
+
+CREATE INDEX IF NOT EXISTS idx_appointments_payment_due
+    ON appointments(payment_due_at)
+    WHERE payment_status = 'awaiting_payment';
+
+CREATE INDEX IF NOT EXISTS idx_appointments_payment_id ON appointments(payment_id);
+
+COMMENT ON COLUMN professional_services.payment_mode IS 'none (pay at the visit), prepayment (full fee at booking) or deposit';
+COMMENT ON COLUMN professional_services.deposit_value IS 'Fixed amount in the service currency, or percentage of the fee';
+COMMENT ON COLUMN appointments.payment_status IS 'pending (pay at the visit), awaiting_payment, paid, deposit_paid, expired when the booking was not paid in time, or cancelled when the appointment was cancelled before it was paid';
+COMMENT ON COLUMN appointments.amount_due IS 'Amount to pay at booking, in the appointment currency';
+COMMENT ON COLUMN appointments.payment_due_at IS 'The appointment is cancelled if the booking payment has not succeeded by then';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('030', 'Prepayment and deposits when booking appointments', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,115 @@
+-- Migration 031: Commission ledger and professional payouts
+-- Every payment a patient makes for an appointment is split in the ledger into the
+-- professional's share and the platform commission. Refunds reverse both in proportion.
+-- A professional's balance is the sum of their ledger entries; payout batches pay it
+-- out to their connected account and settle the entries they cover.
+
+CREATE TABLE IF NOT EXISTS payout_accounts (
+    professional_id VARCHAR(255) PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    provider VARCHAR(20) NOT NULL,
+    provider_account_id VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    payouts_enabled BOOLEAN NOT NULL DEFAULT false,
+    details JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_payout_account_status CHECK (status IN ('pending', 'active', 'restricted', 'disabled'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payout_accounts_provider_account
+    ON payout_accounts(provider, provider_account_id);
+
+CREATE TRIGGER update_payout_accounts_updated_at
+    BEFORE UPDATE ON payout_accounts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS payout_batches (
+    id VARCHAR(255) PRIMARY KEY,
+    period_end TIMESTAMPTZ NOT NULL,
+    status VARCHAR(30) NOT NULL DEFAULT 'processing',
+    payouts_count INTEGER NOT NULL DEFAULT 0,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    total_amount INTEGER NOT NULL DEFAULT 0, -- Amount in cents
+    created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    completed_at TIMESTAMP,
+
+    CONSTRAINT valid_payout_batch_status CHECK (status IN ('processing', 'completed', 'completed_with_errors'))
+);
+
+CREATE TABLE IF NOT EXISTS payouts (
+    id VARCHAR(255) PRIMARY KEY,
+    batch_id VARCHAR(255) REFERENCES payout_batches(id) ON DELETE SET NULL,
+    professional_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount INTEGER NOT NULL, -- Amount in cents
+    currency VARCHAR(3) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    provider VARCHAR(20) NOT NULL,
+    provider_account_id VARCHAR(255) NOT NULL,
+    provider_payout_id VARCHAR(255),
+    period_end TIMESTAMPTZ NOT NULL,
+    failure_reason TEXT,
+    statement_url TEXT,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_payout_amount CHECK (amount > 0),
+    CONSTRAINT valid_payout_status CHECK (status IN ('pending', 'in_transit', 'paid', 'failed'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_payouts_professional_id ON payouts(professional_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_payouts_batch_id ON payouts(batch_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payouts_provider_payout_id ON payouts(provider, provider_payout_id)
+    WHERE provider_payout_id IS NOT NULL;
+
+CREATE TRIGGER update_payouts_updated_at
+    BEFORE UPDATE ON payouts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Signed amounts from the professional's point of view: earnings are positive,
+-- commissions, refunds and payouts negative
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id VARCHAR(255) PRIMARY KEY,
+    professional_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    entry_type VARCHAR(30) NOT NULL,
+    amount INTEGER NOT NULL, -- Amount in cents
+    currency VARCHAR(3) NOT NULL,
+    payment_id VARCHAR(255) REFERENCES payments(id) ON DELETE SET NULL,
+    refund_id VARCHAR(255) REFERENCES refunds(id) ON DELETE SET NULL,
+    appointment_id VARCHAR(255),
+    payout_id VARCHAR(255) REFERENCES payouts(id) ON DELETE SET NULL,
+    description TEXT NOT NULL,
+    metadata JSONB DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_ledger_entry_type CHECK (entry_type IN (
+        'appointment_payment', 'commission', 'refund', 'commission_refund',
+        'payout', 'payout_reversal', 'adjustment'
+    ))
+);
+
+-- A payment or refund is recorded once per entry type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_entries_payment
+    ON ledger_entries(payment_id, entry_type)
+    WHERE entry_type IN ('appointment_payment', 'commission');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_entries_refund
+    ON ledger_entries(refund_id, entry_type)
+    WHERE refund_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_professional ON ledger_entries(professional_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_unsettled ON ledger_entries(professional_id, currency)
+    WHERE payout_id IS NULL;
+
+COMMENT ON TABLE payout_accounts IS 'Connected account of each professional at the payout provider (stripe, local)';
+COMMENT ON TABLE ledger_entries IS 'Money owed to professionals; their balance is the sum of their entries';
+COMMENT ON COLUMN ledger_entries.payout_id IS 'Payout that settled the entry; NULL while it is part of the pending balance';
+COMMENT ON TABLE payouts IS 'Transfers of a professional balance to their connected account';
+COMMENT ON TABLE payout_batches IS 'Periodic runs that pay out every professional balance due';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('031', 'Commission ledger and professional payouts', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
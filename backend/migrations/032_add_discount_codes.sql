@@ -0,0 +1,82 @@
+-- Migration 032: Discount codes
+-- Codes give a percentage or a fixed amount off subscription plans and appointment
+-- payments, within a validity window and up to a number of uses overall and per user.
+-- Each use is a redemption tied to the payment or subscription it discounted; a
+-- redemption is pending until its payment succeeds and is released if it is cancelled.
+
+CREATE TABLE IF NOT EXISTS discount_codes (
+    id VARCHAR(255) PRIMARY KEY,
+    code VARCHAR(50) NOT NULL,
+    description TEXT,
+    discount_type VARCHAR(20) NOT NULL,
+    percent_off DECIMAL(5,2),
+    amount_off INTEGER, -- Amount in cents
+    currency VARCHAR(3),
+    applies_to VARCHAR(20) NOT NULL DEFAULT 'all',
+    plan_ids TEXT[] NOT NULL DEFAULT '{}', -- Empty: any subscription plan
+    service_ids UUID[] NOT NULL DEFAULT '{}', -- Empty: any appointment service
+    valid_from TIMESTAMPTZ,
+    valid_until TIMESTAMPTZ,
+    max_uses INTEGER,
+    max_uses_per_user INTEGER,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_discount_type CHECK (
+        (discount_type = 'percentage' AND percent_off > 0 AND percent_off <= 100 AND amount_off IS NULL) OR
+        (discount_type = 'fixed' AND amount_off > 0 AND currency IS NOT NULL AND percent_off IS NULL)
+    ),
+    CONSTRAINT valid_discount_applies_to CHECK (applies_to IN ('all', 'subscriptions', 'appointments')),
+    CONSTRAINT valid_discount_window CHECK (valid_until IS NULL OR valid_from IS NULL OR valid_until > valid_from),
+    CONSTRAINT valid_discount_max_uses CHECK (
+        (max_uses IS NULL OR max_uses > 0) AND (max_uses_per_user IS NULL OR max_uses_per_user > 0)
+    )
+);
+
+-- Codes are entered case-insensitively
+CREATE UNIQUE INDEX IF NOT EXISTS idx_discount_codes_code ON discount_codes(UPPER(code));
+
+CREATE TRIGGER update_discount_codes_updated_at
+    BEFORE UPDATE ON discount_codes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS discount_redemptions (
+    id VARCHAR(255) PRIMARY KEY,
+    discount_code_id VARCHAR(255) NOT NULL REFERENCES discount_codes(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    original_amount INTEGER NOT NULL, -- Amount in cents
+    discount_amount INTEGER NOT NULL, -- Amount in cents
+    currency VARCHAR(3) NOT NULL,
+    payment_id VARCHAR(255) REFERENCES payments(id) ON DELETE SET NULL,
+    subscription_id VARCHAR(255) REFERENCES subscriptions(id) ON DELETE SET NULL,
+    invoice_id VARCHAR(255) REFERENCES invoices(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_redemption_status CHECK (status IN ('pending', 'completed', 'released')),
+    CONSTRAINT valid_redemption_amounts CHECK (discount_amount > 0 AND discount_amount <= original_amount)
+);
+
+CREATE INDEX IF NOT EXISTS idx_discount_redemptions_code ON discount_redemptions(discount_code_id, user_id)
+    WHERE status <> 'released';
+CREATE INDEX IF NOT EXISTS idx_discount_redemptions_payment_id ON discount_redemptions(payment_id);
+CREATE INDEX IF NOT EXISTS idx_discount_redemptions_subscription_id ON discount_redemptions(subscription_id);
+
+CREATE TRIGGER update_discount_redemptions_updated_at
+    BEFORE UPDATE ON discount_redemptions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE discount_codes IS 'Promotional codes for subscription plans and appointment payments';
+COMMENT ON COLUMN discount_codes.applies_to IS 'all, subscriptions or appointments; plan_ids and service_ids narrow it further';
+COMMENT ON TABLE discount_redemptions IS 'Uses of discount codes; pending and completed ones count towards the limits';
+COMMENT ON COLUMN discount_redemptions.invoice_id IS 'Invoice carrying the discount line, once issued';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('032', 'Discount codes and redemptions', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,56 @@
+-- Migration 033: Dunning for failed subscription payments
+-- When a subscription renewal fails the subscription enters dunning: the invoice is retried
+-- on a schedule, the professional gets increasingly urgent notices and keeps their plan
+-- during a grace period. If it is still unpaid when the grace period ends the subscription
+-- is downgraded to the free plan or the profile is hidden from search, as configured.
+
+CREATE TABLE IF NOT EXISTS subscription_dunning (
+    id VARCHAR(255) PRIMARY KEY,
+    subscription_id VARCHAR(255) NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    provider_invoice_id VARCHAR(255),
+    amount_due INTEGER NOT NULL DEFAULT 0, -- Amount in cents
+    currency VARCHAR(3) NOT NULL,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    retries_made INTEGER NOT NULL DEFAULT 0,
+    notice_level INTEGER NOT NULL DEFAULT 0,
+    last_notice_at TIMESTAMP,
+    last_error TEXT,
+    next_retry_at TIMESTAMPTZ,
+    grace_period_ends_at TIMESTAMPTZ NOT NULL,
+    final_action VARCHAR(20),
+    resolved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_dunning_status CHECK (status IN ('active', 'recovered', 'suspended', 'cancelled')),
+    CONSTRAINT valid_dunning_final_action CHECK (final_action IS NULL OR final_action IN ('downgrade', 'hide'))
+);
+
+-- A subscription has at most one open dunning case
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscription_dunning_open
+    ON subscription_dunning(subscription_id)
+    WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_subscription_dunning_status ON subscription_dunning(status, next_retry_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_dunning_user_id ON subscription_dunning(user_id, status);
+
+CREATE TRIGGER update_subscription_dunning_updated_at
+    BEFORE UPDATE ON subscription_dunning
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO system_settings (key, value, description, type, category, is_public) VALUES
+('dunning_retry_days', '1,3,5', 'Días tras el primer fallo en que se reintenta el cobro de la suscripción', 'string', 'billing', false),
+('dunning_grace_period_days', '7', 'Días que el profesional conserva su plan tras el primer fallo de cobro', 'number', 'billing', false),
+('dunning_final_action', 'downgrade', 'Acción al terminar el periodo de gracia: downgrade (plan gratuito) o hide (ocultar perfil)', 'string', 'billing', false)
+ON CONFLICT (key) DO NOTHING;
+
+COMMENT ON TABLE subscription_dunning IS 'Subscriptions whose renewal payment failed, with their retry and notice state';
+COMMENT ON COLUMN subscription_dunning.notice_level IS 'Last notice sent: 1 payment failed, 2 retry failed, 3 grace period ending, 4 suspended';
+COMMENT ON COLUMN subscription_dunning.final_action IS 'Applied when the grace period ended unpaid: downgrade or hide';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('033', 'Dunning for failed subscription payments', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,62 @@
+-- Migration 034: Plan entitlements
+-- Each subscription plan states what it allows: how many services and monthly appointments a
+-- professional may have, whether they get featured placement, SMS reminders and analytics,
+-- and how many photos and documents they may upload. Limits are null when unlimited.
+-- Professionals without an active subscription get the free plan defaults from the backend.
+
+ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS entitlements JSONB NOT NULL DEFAULT '{}';
+
+UPDATE subscription_plans SET entitlements = '{
+  "maxServices": 5,
+  "maxMonthlyAppointments": 50,
+  "featuredPlacement": false,
+  "smsReminders": true,
+  "analytics": false,
+  "maxPhotos": 5,
+  "maxDocuments": 10
+}' WHERE id IN ('plan_basic', 'plan_basic_yearly');
+
+UPDATE subscription_plans SET entitlements = '{
+  "maxServices": null,
+  "maxMonthlyAppointments": null,
+  "featuredPlacement": true,
+  "smsReminders": true,
+  "analytics": true,
+  "maxPhotos": 20,
+  "maxDocuments": 50
+}' WHERE id IN ('plan_professional', 'plan_professional_yearly');
+
+UPDATE subscription_plans SET entitlements = '{
+  "maxServices": null,
+  "maxMonthlyAppointments": null,
+  "featuredPlacement": true,
+  "smsReminders": true,
+  "analytics": true,
+  "maxPhotos": null,
+  "maxDocuments": null
+}' WHERE id IN ('plan_premium', 'plan_premium_yearly');
+
+-- Photos and documents uploaded to a professional profile, counted against maxPhotos/maxDocuments
+CREATE TABLE IF NOT EXISTS professional_media (
+    id VARCHAR(255) PRIMARY KEY,
+    professional_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    media_type VARCHAR(20) NOT NULL,
+    filename VARCHAR(255) NOT NULL UNIQUE,
+    url TEXT NOT NULL,
+    original_name VARCHAR(255),
+    mimetype VARCHAR(100),
+    size INTEGER,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_professional_media_type CHECK (media_type IN ('photo', 'document'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_professional_media_professional ON professional_media(professional_id, media_type);
+
+COMMENT ON COLUMN subscription_plans.entitlements IS 'Limits and features of the plan: maxServices, maxMonthlyAppointments, featuredPlacement, smsReminders, analytics, maxPhotos, maxDocuments (null limit = unlimited)';
+COMMENT ON TABLE professional_media IS 'Profile photos and documents uploaded by professionals';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('034', 'Plan entitlements and professional media', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,58 @@
+-- Migration 035: Subscription plan changes
+-- Professionals can move between plans and between monthly and annual billing. Upgrades and
+-- switches to a longer billing interval apply at once and the unused part of the current
+-- period is credited against the new plan (proration); downgrades and switches to a shorter
+-- interval are scheduled for the end of the current period.
+-- Each subscription plan also names the professional plan tier (professionals.subscription_plan,
+-- matching professional_subscriptions.name) it grants, so both stay in step.
+
+ALTER TABLE subscription_plans ADD COLUMN IF NOT EXISTS professional_plan subscription_plan;
+
+UPDATE subscription_plans SET professional_plan = 'basic' WHERE id IN ('plan_basic', 'plan_basic_yearly');
+UPDATE subscription_plans SET professional_plan = 'premium' WHERE id IN ('plan_professional', 'plan_professional_yearly');
+UPDATE subscription_plans SET professional_plan = 'enterprise' WHERE id IN ('plan_premium', 'plan_premium_yearly');
+
+CREATE TABLE IF NOT EXISTS subscription_plan_changes (
+    id VARCHAR(255) PRIMARY KEY,
+    subscription_id VARCHAR(255) NOT NULL REFERENCES subscriptions(id) ON DELETE CASCADE,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    from_plan_id VARCHAR(255) REFERENCES subscription_plans(id),
+    to_plan_id VARCHAR(255) NOT NULL REFERENCES subscription_plans(id),
+    change_type VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    effective_at TIMESTAMPTZ NOT NULL,
+    credit_amount INTEGER NOT NULL DEFAULT 0, -- Unused time of the current plan, in cents
+    charge_amount INTEGER NOT NULL DEFAULT 0, -- New plan until the end of its period, in cents
+    currency VARCHAR(3) NOT NULL,
+    invoice_id VARCHAR(255) REFERENCES invoices(id) ON DELETE SET NULL,
+    provider_schedule_id VARCHAR(255),
+    requested_by VARCHAR(255) REFERENCES users(id) ON DELETE SET NULL,
+    applied_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_plan_change_type CHECK (change_type IN ('upgrade', 'downgrade', 'interval_switch')),
+    CONSTRAINT valid_plan_change_status CHECK (status IN ('pending', 'applied', 'cancelled'))
+);
+
+-- A subscription has at most one scheduled change
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscription_plan_changes_pending
+    ON subscription_plan_changes(subscription_id)
+    WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_subscription_plan_changes_due ON subscription_plan_changes(status, effective_at);
+CREATE INDEX IF NOT EXISTS idx_subscription_plan_changes_user_id ON subscription_plan_changes(user_id);
+
+CREATE TRIGGER update_subscription_plan_changes_updated_at
+    BEFORE UPDATE ON subscription_plan_changes
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN subscription_plans.professional_plan IS 'Professional plan tier granted by this plan (professionals.subscription_plan)';
+COMMENT ON TABLE subscription_plan_changes IS 'Plan and billing interval changes, applied at once with proration or scheduled for the period end';
+COMMENT ON COLUMN subscription_plan_changes.provider_schedule_id IS 'Stripe subscription schedule that switches the price at the period end';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('035', 'Subscription plan changes', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
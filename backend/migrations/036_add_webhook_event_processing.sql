@@ -0,0 +1,36 @@
+-- Migration 036: Idempotent webhook processing
+-- Provider events are recorded before they are handled and keyed on the provider's event id,
+-- so a redelivered event that was already processed is acknowledged without running again.
+-- Each event keeps its processing status, attempts and last error, and the full payload so
+-- failed events can be replayed.
+
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'pending';
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS payload JSONB;
+ALTER TABLE webhook_events ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMP;
+
+-- Events stored before this migration were recorded once handled
+UPDATE webhook_events SET status = CASE WHEN processed THEN 'processed' ELSE 'failed' END
+WHERE status = 'pending';
+
+-- Keep the first copy of events that were stored more than once
+DELETE FROM webhook_events a
+USING webhook_events b
+WHERE a.source = b.source
+  AND a.event_id = b.event_id
+  AND (a.created_at, a.id) > (b.created_at, b.id);
+
+ALTER TABLE webhook_events DROP CONSTRAINT IF EXISTS valid_webhook_event_status;
+ALTER TABLE webhook_events ADD CONSTRAINT valid_webhook_event_status
+    CHECK (status IN ('pending', 'processing', 'processed', 'failed', 'ignored'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_events_source_event_id ON webhook_events(source, event_id);
+CREATE INDEX IF NOT EXISTS idx_webhook_events_status ON webhook_events(status, created_at);
+
+COMMENT ON COLUMN webhook_events.status IS 'pending, processing, processed, failed or ignored (event type not handled)';
+COMMENT ON COLUMN webhook_events.payload IS 'Full provider event, used to replay it';
+COMMENT ON COLUMN webhook_events.retry_count IS 'Times the event was processed again after the first attempt';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('036', 'Idempotent webhook processing', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,35 @@
+-- Migration 037: Notification inbox
+-- Every notification sent to a user is stored, whatever channels it went out through, so the
+-- in-app inbox can list it later with its read state. Old notifications are removed by the
+-- cleanup job once past their retention period.
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id VARCHAR(255) PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(100) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT NOT NULL DEFAULT '',
+    data JSONB NOT NULL DEFAULT '{}',
+    priority VARCHAR(20) NOT NULL DEFAULT 'medium',
+    channels TEXT[] NOT NULL DEFAULT '{}',
+    is_read BOOLEAN NOT NULL DEFAULT false,
+    read_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_notification_priority CHECK (priority IN ('low', 'medium', 'high', 'urgent'))
+);
+
+-- Inbox pages are read newest first with (created_at, id) as the cursor
+CREATE INDEX IF NOT EXISTS idx_notifications_user_cursor ON notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id, is_read, created_at DESC)
+    WHERE is_read = false;
+CREATE INDEX IF NOT EXISTS idx_notifications_created_at ON notifications(created_at DESC);
+
+COMMENT ON TABLE notifications IS 'In-app notification inbox, one row per notification sent to a user';
+COMMENT ON COLUMN notifications.data IS 'Context of the notification (appointment, payment...) without contact details';
+COMMENT ON COLUMN notifications.channels IS 'Channels the notification was sent through';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('037', 'Notification inbox', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,26 @@
+-- Migration 038: Notification preferences
+-- Users choose which notification types reach them through which channels. The channel
+-- switches (email_notifications, sms_notifications, push_notifications) are the defaults for
+-- every type, notification_channels overrides them per type and channel, muted types are not
+-- sent at all, and during quiet hours (in the user's timezone) SMS and push are skipped: they
+-- are not sent later, the notification still reaches the inbox and the other channels.
+-- Payment failures and other mandatory notifications ignore these preferences.
+
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS push_notifications BOOLEAN DEFAULT TRUE;
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS notification_channels JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS muted_notification_types TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS quiet_hours_start TIME;
+ALTER TABLE user_preferences ADD COLUMN IF NOT EXISTS quiet_hours_end TIME;
+
+ALTER TABLE user_preferences DROP CONSTRAINT IF EXISTS valid_quiet_hours;
+ALTER TABLE user_preferences ADD CONSTRAINT valid_quiet_hours
+    CHECK ((quiet_hours_start IS NULL) = (quiet_hours_end IS NULL));
+
+COMMENT ON COLUMN user_preferences.notification_channels IS 'Per type channel overrides: {"appointment_reminder": {"sms": true, "email": false}}';
+COMMENT ON COLUMN user_preferences.muted_notification_types IS 'Notification types the user does not want to receive';
+COMMENT ON COLUMN user_preferences.quiet_hours_start IS 'Start of quiet hours in the user''s timezone; SMS and push are skipped until quiet_hours_end, not delayed';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('038', 'Notification preferences', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -0,0 +1,58 @@
+-- Migration 039: Appointment reminder rules
+-- Each professional sets when their patients are reminded of an appointment and through which
+-- channels (e.g. 48 hours before by email, 2 hours before by SMS). Professionals without rules
+-- get the default reminder from the backend. Every reminder sent is recorded per appointment,
+-- rule offset, channel and appointment time so it is never sent twice (an appointment moved to
+-- another time is reminded again), and reminders carry a link, keyed on the appointment's
+-- response token, to confirm or cancel the appointment without signing in.
+
+CREATE TABLE IF NOT EXISTS appointment_reminder_rules (
+    id VARCHAR(255) PRIMARY KEY,
+    professional_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL, -- Before the start of the appointment
+    channels TEXT[] NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_reminder_offset CHECK (offset_minutes BETWEEN 15 AND 10080),
+    CONSTRAINT valid_reminder_channels CHECK (
+        cardinality(channels) > 0 AND channels <@ ARRAY['websocket', 'email', 'sms']
+    ),
+    CONSTRAINT unique_reminder_rule_offset UNIQUE (professional_id, offset_minutes)
+);
+
+CREATE TABLE IF NOT EXISTS appointment_reminders (
+    id VARCHAR(255) PRIMARY KEY,
+    appointment_id UUID NOT NULL REFERENCES appointments(id) ON DELETE CASCADE,
+    offset_minutes INTEGER NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    scheduled_for TIMESTAMPTZ NOT NULL, -- Start of the appointment the reminder was for
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    error TEXT,
+    sent_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_appointment_reminder_status CHECK (status IN ('pending', 'sent', 'failed', 'skipped')),
+    CONSTRAINT unique_appointment_reminder UNIQUE (appointment_id, offset_minutes, channel, scheduled_for)
+);
+
+ALTER TABLE appointments ADD COLUMN IF NOT EXISTS response_token VARCHAR(64) UNIQUE;
+
+CREATE INDEX IF NOT EXISTS idx_appointment_reminder_rules_professional ON appointment_reminder_rules(professional_id);
+CREATE INDEX IF NOT EXISTS idx_appointments_upcoming_reminders ON appointments(scheduled_date, status)
+    WHERE status IN ('scheduled', 'confirmed');
+
+CREATE TRIGGER update_appointment_reminder_rules_updated_at
+    BEFORE UPDATE ON appointment_reminder_rules
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE appointment_reminder_rules IS 'When and through which channels a professional''s patients are reminded of appointments';
+COMMENT ON TABLE appointment_reminders IS 'Reminders sent per appointment, rule offset, channel and appointment time';
+COMMENT ON COLUMN appointments.response_token IS 'Token of the confirm / cancel link sent in reminders';
+COMMENT ON COLUMN appointments.reminder_sent IS 'Deprecated: reminders are recorded in appointment_reminders';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('039', 'Appointment reminder rules', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
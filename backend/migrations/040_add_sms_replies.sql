@@ -0,0 +1,52 @@
+-- Migration 040: Two-way SMS
+-- Reminder SMS ask the patient to answer SI or NO, followed by the appointment's reply code
+-- when they have several upcoming appointments. sms_confirmations holds the open question of
+-- each appointment reminded by SMS, and sms_messages logs the replies received and the answers
+-- sent back, so the whole exchange can be followed per phone number and appointment.
+
+CREATE TABLE IF NOT EXISTS sms_confirmations (
+    id VARCHAR(255) PRIMARY KEY,
+    appointment_id UUID NOT NULL UNIQUE REFERENCES appointments(id) ON DELETE CASCADE,
+    phone VARCHAR(20) NOT NULL, -- E.164, as the SMS provider reports the sender
+    code VARCHAR(8) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    expires_at TIMESTAMPTZ NOT NULL, -- Start of the appointment
+    responded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_sms_confirmation_status CHECK (status IN ('pending', 'confirmed', 'cancelled'))
+);
+
+CREATE TABLE IF NOT EXISTS sms_messages (
+    id VARCHAR(255) PRIMARY KEY,
+    direction VARCHAR(10) NOT NULL,
+    phone VARCHAR(20) NOT NULL,
+    body TEXT NOT NULL,
+    provider_message_id VARCHAR(255),
+    appointment_id UUID REFERENCES appointments(id) ON DELETE SET NULL,
+    result VARCHAR(30), -- What an inbound reply led to
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT valid_sms_message_direction CHECK (direction IN ('inbound', 'outbound'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_sms_confirmations_phone ON sms_confirmations(phone, status);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_phone ON sms_messages(phone, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sms_messages_appointment ON sms_messages(appointment_id);
+-- The provider retries a webhook it got no answer for; each inbound message is handled once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sms_messages_inbound_provider_id ON sms_messages(provider_message_id)
+    WHERE direction = 'inbound';
+
+CREATE TRIGGER update_sms_confirmations_updated_at
+    BEFORE UPDATE ON sms_confirmations
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE sms_confirmations IS 'Appointments waiting for a SI / NO answer to their reminder SMS';
+COMMENT ON TABLE sms_messages IS 'SMS replies from patients and the answers sent back';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('040', 'Two-way SMS', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
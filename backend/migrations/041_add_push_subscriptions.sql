@@ -0,0 +1,38 @@
+-- Migration 041: Web Push subscriptions
+-- Each browser a user turns push notifications on in registers a subscription (one per
+-- device). Push services answer 404/410 for subscriptions that are gone, which are then
+-- removed; subscriptions past their expiration time or failing for too long are pruned by
+-- a job. Reminder rules can now send push reminders too.
+
+CREATE TABLE IF NOT EXISTS push_subscriptions (
+    id VARCHAR(255) PRIMARY KEY,
+    user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    endpoint TEXT NOT NULL UNIQUE,
+    p256dh VARCHAR(255) NOT NULL,
+    auth VARCHAR(255) NOT NULL,
+    user_agent VARCHAR(500),
+    expiration_time TIMESTAMPTZ, -- Set by some push services
+    failure_count INTEGER NOT NULL DEFAULT 0, -- Consecutive failed deliveries
+    last_success_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subscriptions_user ON push_subscriptions(user_id);
+
+CREATE TRIGGER update_push_subscriptions_updated_at
+    BEFORE UPDATE ON push_subscriptions
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE appointment_reminder_rules DROP CONSTRAINT IF EXISTS valid_reminder_channels;
+ALTER TABLE appointment_reminder_rules ADD CONSTRAINT valid_reminder_channels CHECK (
+    cardinality(channels) > 0 AND channels <@ ARRAY['websocket', 'email', 'sms', 'push']
+);
+
+COMMENT ON TABLE push_subscriptions IS 'Web Push subscriptions, one per browser a user enabled push notifications in';
+
+-- Record migration
+INSERT INTO schema_migrations (version, description, applied_at)
+VALUES ('041', 'Web Push subscriptions', CURRENT_TIMESTAMP)
+ON CONFLICT (version) DO NOTHING;
@@ -4,7 +4,11 @@ import { logInfo, logError, logWarning, logDebug } from '../utils/logger.js';
 
 dotenv.config();
 
-const { Pool } = pg;
+const { Pool, types } = pg;
+
+// DATE columns are calendar dates: keep them as 'YYYY-MM-DD' strings instead of
+// Date objects at local midnight, which shift by a day when serialised to JSON
+types.setTypeParser(1082, value => value);
 
 // Database configuration - Support both DATABASE_URL and individual variables
 let dbConfig;
@@ -296,11 +296,12 @@ export const getUserProfile = async (clerkId) => {
 };
 
 // Update user preferences
-export const updateUserPreferences = async (userId, preferences) => {
+export const updateUserPreferences = async (userId, preferences, client = null) => {
   try {
+    const db = client || { query };
     const { theme, notifications_enabled, email_notifications, sms_notifications, language, timezone } = preferences;
 
-    const result = await query(`
+    const result = await db.query(`
       UPDATE user_preferences 
       SET 
         theme = COALESCE($2, theme),
@@ -316,13 +317,13 @@ export const updateUserPreferences = async (userId, preferences) => {
 
     if (result.rows.length === 0) {
       // Create preferences if they don't exist
-      await query(`
+      await db.query(`
         INSERT INTO user_preferences (user_id) VALUES ($1)
         ON CONFLICT (user_id) DO NOTHING
       `, [userId]);
       
       // Try update again
-      return await updateUserPreferences(userId, preferences);
+      return await updateUserPreferences(userId, preferences, client);
     }
 
     console.log(`✅ User preferences updated: ${userId}`);
@@ -3,6 +3,16 @@ import logger from '../utils/logger.js';
 import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from '../services/notificationService.js';
 import { query } from '../config/database.js';
 import { createAuditLog } from '../utils/auditLog.js';
+import { expireOffers } from '../services/waitlistService.js';
+import { expireSlotHolds } from '../services/slotHoldService.js';
+import { syncExternalCalendars } from '../services/externalCalendarService.js';
+import { chargePendingPenalties } from '../services/cancellationFeeService.js';
+import { expireUnpaidAppointments } from '../services/appointmentPaymentService.js';
+import { runPayoutBatch } from '../services/payoutService.js';
+import { processDunning } from '../services/dunningService.js';
+import { applyDuePlanChanges } from '../services/subscriptionChangeService.js';
+import { sendDueReminders } from '../services/appointmentReminderService.js';
+import pushService from '../services/pushService.js';
 
 // const logger is already imported
 
@@ -21,8 +31,8 @@ class ReminderJobsService {
     this.isRunning = true;
     logger.info('Starting reminder jobs...');
 
-    // Daily appointment reminders (runs every day at 9 AM)
-    this.jobs.set('appointment_reminders', cron.schedule('0 9 * * *', () => {
+    // Appointment reminders due under each professional's reminder rules (runs every 5 minutes)
+    this.jobs.set('appointment_reminders', cron.schedule('*/5 * * * *', () => {
       this.sendAppointmentReminders();
     }, { scheduled: false }));
 
@@ -51,6 +61,51 @@ class ReminderJobsService {
       this.cleanupOldNotifications();
     }, { scheduled: false }));
 
+    // Remove expired and failing push subscriptions (runs daily at 3 AM)
+    this.jobs.set('push_subscriptions', cron.schedule('0 3 * * *', () => {
+      this.prunePushSubscriptions();
+    }, { scheduled: false }));
+
+    // Expire unanswered waitlist offers and pass the slot on (runs every minute)
+    this.jobs.set('waitlist_offers', cron.schedule('* * * * *', () => {
+      this.expireWaitlistOffers();
+    }, { scheduled: false }));
+
+    // Mark expired booking slot holds (runs every 5 minutes)
+    this.jobs.set('slot_holds', cron.schedule('*/5 * * * *', () => {
+      this.expireSlotHolds();
+    }, { scheduled: false }));
+
+    // Re-sync subscribed external calendars that are due (runs every 10 minutes)
+    this.jobs.set('external_calendars', cron.schedule('*/10 * * * *', () => {
+      this.syncExternalCalendars();
+    }, { scheduled: false }));
+
+    // Retry late-cancellation and no-show fees that could not be charged (runs every hour)
+    this.jobs.set('appointment_penalties', cron.schedule('15 * * * *', () => {
+      this.chargePendingPenalties();
+    }, { scheduled: false }));
+
+    // Cancel bookings whose payment was not completed in time (runs every 5 minutes)
+    this.jobs.set('unpaid_appointments', cron.schedule('*/5 * * * *', () => {
+      this.expireUnpaidAppointments();
+    }, { scheduled: false }));
+
+    // Pay professionals their balance (runs every Monday at 6 AM)
+    this.jobs.set('professional_payouts', cron.schedule('0 6 * * 1', () => {
+      this.runPayoutBatch();
+    }, { scheduled: false }));
+
+    // Retry failed subscription payments and end expired grace periods (runs every hour)
+    this.jobs.set('subscription_dunning', cron.schedule('30 * * * *', () => {
+      this.processDunning();
+    }, { scheduled: false }));
+
+    // Move subscriptions onto the plans scheduled for the end of their period (runs every hour)
+    this.jobs.set('subscription_plan_changes', cron.schedule('15 * * * *', () => {
+      this.applyDuePlanChanges();
+    }, { scheduled: false }));
+
     // Start all jobs
     this.jobs.forEach((job, name) => {
       job.start();
@@ -77,107 +132,12 @@ class ReminderJobsService {
 
   async sendAppointmentReminders() {
     try {
-      logger.info('Running appointment reminders job...');
-
-      // Get appointments for tomorrow
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      const tomorrowStr = tomorrow.toISOString().split('T')[0];
-
-      const appointmentsQuery = `
-        SELECT 
-          a.id,
-          a.patient_id,
-          a.professional_id,
-          a.date,
-          a.time,
-          a.service_name,
-          a.modality,
-          a.status,
-          p.email as patient_email,
-          p.phone as patient_phone,
-          p.first_name as patient_first_name,
-          p.last_name as patient_last_name,
-          pr.email as professional_email,
-          pr.first_name as professional_first_name,
-          pr.last_name as professional_last_name
-        FROM appointments a
-        JOIN users p ON a.patient_id = p.clerk_id
-        JOIN users pr ON a.professional_id = pr.clerk_id
-        WHERE a.date = $1 
-          AND a.status = 'confirmed'
-          AND a.reminder_sent = false
-      `;
-
-      const appointments = await query(appointmentsQuery, [tomorrowStr]);
-      logger.info(`Found ${appointments.rows.length} appointments for tomorrow`);
-
-      for (const appointment of appointments.rows) {
-        try {
-          // Send reminder to patient
-          await notificationService.sendNotification({
-            userId: appointment.patient_id,
-            type: NOTIFICATION_TYPES.APPOINTMENT_REMINDER,
-            channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL, NOTIFICATION_CHANNELS.SMS],
-            variables: {
-              patientName: `${appointment.patient_first_name} ${appointment.patient_last_name}`,
-              professionalName: `${appointment.professional_first_name} ${appointment.professional_last_name}`,
-              date: new Date(appointment.date).toLocaleDateString('es-MX'),
-              time: appointment.time,
-              service: appointment.service_name,
-              modality: appointment.modality === 'online' ? 'Virtual' : 'Presencial',
-              appointmentUrl: `${process.env.FRONTEND_URL}/patient/appointments/${appointment.id}`
-            },
-            data: {
-              email: appointment.patient_email,
-              phone: appointment.patient_phone,
-              appointmentId: appointment.id
-            }
-          });
+      const summary = await sendDueReminders();
 
-          // Send reminder to professional
-          await notificationService.sendNotification({
-            userId: appointment.professional_id,
-            type: NOTIFICATION_TYPES.APPOINTMENT_REMINDER,
-            channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL],
-            variables: {
-              professionalName: `${appointment.professional_first_name} ${appointment.professional_last_name}`,
-              patientName: `${appointment.patient_first_name} ${appointment.patient_last_name}`,
-              date: new Date(appointment.date).toLocaleDateString('es-MX'),
-              time: appointment.time,
-              service: appointment.service_name,
-              modality: appointment.modality === 'online' ? 'Virtual' : 'Presencial',
-              appointmentUrl: `${process.env.FRONTEND_URL}/professional/appointments/${appointment.id}`
-            },
-            data: {
-              email: appointment.professional_email,
-              appointmentId: appointment.id
-            }
-          });
-
-          // Mark reminder as sent
-          await query(
-            'UPDATE appointments SET reminder_sent = true WHERE id = $1',
-            [appointment.id]
-          );
-
-          logger.info(`Sent reminder for appointment ${appointment.id}`);
-
-        } catch (error) {
-          logger.error(`Failed to send reminder for appointment ${appointment.id}:`, error);
-        }
+      if (summary.sent > 0 || summary.failed > 0) {
+        logger.info(`Appointment reminders job completed. Sent ${summary.sent}, failed ${summary.failed}, skipped ${summary.skipped}.`);
       }
 
-      // Audit log
-      await createAuditLog({
-        userId: 'system',
-        action: 'appointment_reminders_sent',
-        resource: 'appointments',
-        details: { count: appointments.rows.length }
-      });
-
-      logger.info(`Appointment reminders job completed. Sent ${appointments.rows.length} reminders.`);
-
     } catch (error) {
       logger.error('Error in appointment reminders job:', error);
     }
@@ -484,16 +444,132 @@ class ReminderJobsService {
     try {
       logger.info('Running cleanup old notifications job...');
 
-      // This would clean up notifications from a notifications table if we had one
-      // For now, we'll just log that the cleanup ran
-      
-      logger.info('Cleanup old notifications job completed (placeholder).');
+      const removed = await notificationService.cleanupOldNotifications();
+
+      logger.info(`Cleanup old notifications job completed. Removed ${removed} notifications.`);
 
     } catch (error) {
       logger.error('Error in cleanup notifications job:', error);
     }
   }
 
+  async prunePushSubscriptions() {
+    try {
+      const removed = await pushService.pruneSubscriptions();
+
+      if (removed > 0) {
+        logger.info(`Push subscriptions job completed. Removed ${removed} subscriptions.`);
+      }
+
+    } catch (error) {
+      logger.error('Error in push subscriptions job:', error);
+    }
+  }
+
+  async expireWaitlistOffers() {
+    try {
+      const expired = await expireOffers();
+
+      if (expired > 0) {
+        logger.info(`Waitlist offers job completed. Expired ${expired} offers.`);
+      }
+
+    } catch (error) {
+      logger.error('Error in waitlist offers job:', error);
+    }
+  }
+
+  async expireSlotHolds() {
+    try {
+      const expired = await expireSlotHolds();
+
+      if (expired > 0) {
+        logger.info(`Slot holds job completed. Expired ${expired} holds.`);
+      }
+
+    } catch (error) {
+      logger.error('Error in slot holds job:', error);
+    }
+  }
+
+  async syncExternalCalendars() {
+    try {
+      const { synced, failed } = await syncExternalCalendars();
+
+      if (synced > 0 || failed > 0) {
+        logger.info(`External calendars job completed. Synced ${synced}, failed ${failed}.`);
+      }
+
+    } catch (error) {
+      logger.error('Error in external calendars job:', error);
+    }
+  }
+
+  async chargePendingPenalties() {
+    try {
+      const charged = await chargePendingPenalties();
+
+      if (charged > 0) {
+        logger.info(`Appointment penalties job completed. Charged ${charged} penalties.`);
+      }
+
+    } catch (error) {
+      logger.error('Error in appointment penalties job:', error);
+    }
+  }
+
+  async expireUnpaidAppointments() {
+    try {
+      const expired = await expireUnpaidAppointments();
+
+      if (expired > 0) {
+        logger.info(`Unpaid appointments job completed. Released ${expired} bookings.`);
+      }
+
+    } catch (error) {
+      logger.error('Error in unpaid appointments job:', error);
+    }
+  }
+
+  async runPayoutBatch() {
+    try {
+      const batch = await runPayoutBatch();
+
+      if (batch.payouts.length > 0) {
+        logger.info(`Payout batch ${batch.id} completed. Paid ${batch.payouts_count} professionals, ${batch.failed_count} failed.`);
+      }
+
+    } catch (error) {
+      logger.error('Error in professional payouts job:', error);
+    }
+  }
+
+  async processDunning() {
+    try {
+      const summary = await processDunning();
+
+      if (summary.retried > 0 || summary.suspended > 0) {
+        logger.info(`Dunning: retried ${summary.retried} payments (${summary.recovered} recovered), suspended ${summary.suspended} subscriptions.`);
+      }
+
+    } catch (error) {
+      logger.error('Error in subscription dunning job:', error);
+    }
+  }
+
+  async applyDuePlanChanges() {
+    try {
+      const summary = await applyDuePlanChanges();
+
+      if (summary.applied > 0 || summary.failed > 0) {
+        logger.info(`Plan changes: applied ${summary.applied}, failed ${summary.failed}.`);
+      }
+
+    } catch (error) {
+      logger.error('Error in subscription plan changes job:', error);
+    }
+  }
+
   // Manual trigger methods for testing
   async triggerAppointmentReminders() {
     logger.info('Manually triggering appointment reminders...');
@@ -0,0 +1,16 @@
+import express from 'express';
+
+// Webhooks whose signature covers the raw body; their routes parse it themselves
+export const RAW_BODY_PATHS = ['/api/payments/webhooks/stripe'];
+
+const jsonParser = express.json({ limit: '10mb' });
+
+// Parse JSON bodies, except on the raw-body webhooks (once parsed, the body can no longer be
+// checked against its signature)
+export const parseJsonBody = (req, res, next) => {
+  if (RAW_BODY_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  return jsonParser(req, res, next);
+};
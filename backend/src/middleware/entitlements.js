@@ -0,0 +1,76 @@
+import { assertFeature, assertWithinLimit } from '../services/entitlementService.js';
+
+// Professional whose plan applies: the acting professional by default. Admins are not
+// limited, and a request without a professional (e.g. an admin acting for no one) passes.
+const defaultProfessionalId = (req) => (req.user?.role === 'professional' ? req.user.id : null);
+
+const resolveProfessional = async (req, professionalId) => {
+  if (req.user?.role === 'admin') {
+    return null;
+  }
+
+  return professionalId ? professionalId(req) : defaultProfessionalId(req);
+};
+
+// Dates (YYYY-MM-DD) grouped into one check per month, with how many fall in it
+const countByMonth = (dates) => {
+  const months = new Map();
+
+  for (const date of dates) {
+    const month = date.slice(0, 7);
+    const check = months.get(month) || { date, requested: 0 };
+
+    check.requested++;
+    months.set(month, check);
+  }
+
+  return [...months.values()];
+};
+
+// Require a feature of the professional's plan (ENTITLEMENTS.SMS_REMINDERS, ...).
+// options.when(req) limits the check to the requests it returns true for.
+export const requirePlanFeature = (feature, { professionalId = null, when = null } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const targetId = await resolveProfessional(req, professionalId);
+      if (targetId && (!when || await when(req))) {
+        await assertFeature(targetId, feature);
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Reject the request if it would take the professional over a plan limit
+// (ENTITLEMENTS.MAX_SERVICES, ...). options.date(req) picks the month for monthly limits;
+// a request booking several dates passes options.dates(req) instead and each month is
+// checked with the bookings that fall in it. options.when(req) limits the check to the
+// requests it returns true for. The options may be async.
+export const enforcePlanLimit = (limit, { professionalId = null, date = null, dates = null, when = null } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const targetId = await resolveProfessional(req, professionalId);
+      if (targetId && (!when || await when(req))) {
+        const checks = dates
+          ? countByMonth(await dates(req))
+          : [{ date: date ? await date(req) : null, requested: 1 }];
+
+        for (const check of checks) {
+          await assertWithinLimit(targetId, limit, check);
+        }
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+export default {
+  requirePlanFeature,
+  enforcePlanLimit
+};
@@ -61,6 +61,14 @@ export class ConflictError extends AppError {
   }
 }
 
+// The professional's subscription plan does not allow the action
+export class PlanLimitError extends AppError {
+  constructor(message = 'Not allowed by the current plan', metadata = null) {
+    super(message, 403, 'PLAN_LIMIT_ERROR', metadata);
+    this.name = 'PlanLimitError';
+  }
+}
+
 export class RateLimitError extends AppError {
   constructor(message = 'Too many requests') {
     super(message, 429, 'RATE_LIMIT_ERROR');
@@ -259,6 +267,7 @@ export default {
   AuthorizationError,
   NotFoundError,
   ConflictError,
+  PlanLimitError,
   RateLimitError,
   errorHandler,
   notFoundHandler,
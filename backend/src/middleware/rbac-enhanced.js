@@ -111,6 +111,7 @@ export class RBACSystem {
         'appointments:manage_all', // Can manage their own appointments
         'reviews:moderate', // Can moderate their own reviews
         'payments:read',
+        'payments:refund', // Can refund payments for their own appointments
         'notifications:write'
       ]
     });
@@ -5,7 +5,29 @@ export const PAYMENT_STATUSES = {
   COMPLETED: 'completed',
   FAILED: 'failed',
   CANCELLED: 'cancelled',
-  REFUNDED: 'refunded'
+  REFUNDED: 'refunded',
+  PARTIALLY_REFUNDED: 'partially_refunded'
+};
+
+export const REFUND_STATUSES = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+export const REFUND_REASONS = {
+  REQUESTED_BY_CUSTOMER: 'requested_by_customer',
+  DUPLICATE: 'duplicate',
+  FRAUDULENT: 'fraudulent',
+  APPOINTMENT_CANCELLED: 'appointment_cancelled',
+  SERVICE_ISSUE: 'service_issue',
+  OTHER: 'other'
+};
+
+export const INVOICE_TYPES = {
+  INVOICE: 'invoice',
+  CREDIT_NOTE: 'credit_note'
 };
 
 export const PAYMENT_METHODS = {
@@ -20,9 +42,12 @@ export const PAYMENT_METHODS = {
 export const PAYMENT_TYPES = {
   SUBSCRIPTION: 'subscription',
   APPOINTMENT: 'appointment',
+  APPOINTMENT_DEPOSIT: 'appointment_deposit',
   SERVICE: 'service',
   REFUND: 'refund',
-  ADJUSTMENT: 'adjustment'
+  ADJUSTMENT: 'adjustment',
+  LATE_CANCELLATION_FEE: 'late_cancellation_fee',
+  NO_SHOW_FEE: 'no_show_fee'
 };
 
 export const SUBSCRIPTION_STATUSES = {
@@ -40,6 +65,14 @@ export const SUBSCRIPTION_INTERVALS = {
   YEARLY: 'yearly'
 };
 
+export const WEBHOOK_EVENT_STATUSES = {
+  PENDING: 'pending',
+  PROCESSING: 'processing',
+  PROCESSED: 'processed',
+  FAILED: 'failed',
+  IGNORED: 'ignored'
+};
+
 export const INVOICE_STATUSES = {
   DRAFT: 'draft',
   SENT: 'sent',
@@ -55,6 +88,9 @@ export const CURRENCY_CODES = {
   EUR: 'EUR'
 };
 
+// Currency used when none is given
+export const DEFAULT_CURRENCY = CURRENCY_CODES.EUR;
+
 // Payment model structure
 export const PaymentModel = {
   id: 'string', // UUID
@@ -79,6 +115,26 @@ export const PaymentModel = {
   updatedAt: 'date'
 };
 
+// Refund model structure
+export const RefundModel = {
+  id: 'string', // UUID
+  paymentId: 'string', // Refunded payment ID
+  userId: 'string', // Customer who receives the refund
+  amount: 'number', // Amount in cents
+  currency: 'string', // Currency code
+  status: 'string', // Refund status
+  reason: 'string', // Refund reason
+  notes: 'string', // Free-text details
+  provider: 'string', // Provider that executed the refund (stripe, local)
+  providerRefundId: 'string', // Provider refund ID
+  creditNoteId: 'string', // Credit note issued for the refund
+  initiatedBy: 'string', // User who requested the refund
+  failureReason: 'string', // Failure reason if failed
+  metadata: 'object', // Additional metadata
+  createdAt: 'date',
+  updatedAt: 'date'
+};
+
 // Subscription model structure
 export const SubscriptionModel = {
   id: 'string', // UUID
@@ -110,11 +166,20 @@ export const InvoiceModel = {
   subscriptionId: 'string', // Optional - for subscription invoices
   paymentId: 'string', // Optional - associated payment
   invoiceNumber: 'string', // Invoice number
+  invoiceType: 'string', // invoice or credit_note (rectifying invoice)
+  originalInvoiceId: 'string', // Optional - invoice a credit note corrects
+  seriesCode: 'string', // Numbering series (F, R)
+  fiscalYear: 'number', // Fiscal year of the number
+  sequenceNumber: 'number', // Correlative number within series and year
+  rectificationReason: 'string', // Why a rectifying invoice corrects the original
   status: 'string', // Invoice status
   subtotal: 'number', // Subtotal in cents
   tax: 'number', // Tax amount in cents
+  withholding: 'number', // IRPF withheld in cents (total = subtotal + tax - withholding)
   total: 'number', // Total amount in cents
   currency: 'string', // Currency code
+  taxRegion: 'string', // Tax region (ES, ES-CN)
+  taxBreakdown: 'array', // Base and amount per tax code
   dueDate: 'date', // Due date
   paidAt: 'date', // Payment date
   sentAt: 'date', // Email sent date
@@ -138,6 +203,12 @@ export const InvoiceItemModel = {
   quantity: 'number', // Quantity
   unitPrice: 'number', // Unit price in cents
   amount: 'number', // Total amount in cents
+  taxCode: 'string', // Tax rate code (e.g. ES_IVA_GENERAL)
+  taxRate: 'number', // Tax rate percentage
+  taxAmount: 'number', // Tax amount in cents
+  withholdingCode: 'string', // Optional - IRPF withholding code
+  withholdingRate: 'number', // Withholding percentage
+  withholdingAmount: 'number', // Withholding amount in cents
   metadata: 'object', // Additional metadata
   createdAt: 'date'
 };
@@ -184,10 +255,13 @@ export const WebhookEventModel = {
   eventType: 'string', // Event type
   eventId: 'string', // External event ID
   data: 'object', // Event data
+  payload: 'object', // Full event, for replays
+  status: 'string', // Processing status
   processed: 'boolean', // Event processed
   processedAt: 'date', // Processing date
   error: 'string', // Error message if failed
   retryCount: 'number', // Retry count
+  lastAttemptAt: 'date', // Last processing attempt
   createdAt: 'date',
   updatedAt: 'date'
 };
@@ -221,13 +295,17 @@ export const validateSubscriptionInterval = (interval) => {
   return Object.values(SUBSCRIPTION_INTERVALS).includes(interval);
 };
 
+export const validateRefundReason = (reason) => {
+  return Object.values(REFUND_REASONS).includes(reason);
+};
+
 export const validateInvoiceStatus = (status) => {
   return Object.values(INVOICE_STATUSES).includes(status);
 };
 
 // Helper functions
-export const formatCurrency = (amount, currency = 'MXN') => {
-  const formatter = new Intl.NumberFormat('es-MX', {
+export const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
+  const formatter = new Intl.NumberFormat('es-ES', {
     style: 'currency',
     currency: currency,
     minimumFractionDigits: 2
@@ -235,21 +313,9 @@ export const formatCurrency = (amount, currency = 'MXN') => {
   return formatter.format(amount / 100); // Convert from cents
 };
 
-export const generateInvoiceNumber = () => {
-  const date = new Date();
-  const year = date.getFullYear();
-  const month = String(date.getMonth() + 1).padStart(2, '0');
-  const day = String(date.getDate()).padStart(2, '0');
-  const random = Math.floor(Math.random() * 1000).toString().padStart(3, '0');
-  return `INV-${year}${month}${day}-${random}`;
-};
-
-export const calculateTax = (amount, taxRate = 0.16) => {
-  return Math.round(amount * taxRate);
-};
-
-export const calculateTotal = (subtotal, tax = 0) => {
-  return subtotal + tax;
+// Numbers are allocated per series and fiscal year by invoiceService (e.g. F2026-000042)
+export const formatInvoiceNumber = (seriesCode, fiscalYear, sequenceNumber) => {
+  return `${seriesCode}${fiscalYear}-${String(sequenceNumber).padStart(6, '0')}`;
 };
 
 // Export all models
@@ -258,6 +324,7 @@ export default {
   SubscriptionModel,
   InvoiceModel,
   InvoiceItemModel,
+  RefundModel,
   TransactionModel,
   PaymentPlanModel,
   WebhookEventModel,
@@ -267,7 +334,11 @@ export default {
   SUBSCRIPTION_STATUSES,
   SUBSCRIPTION_INTERVALS,
   INVOICE_STATUSES,
+  INVOICE_TYPES,
+  REFUND_STATUSES,
+  REFUND_REASONS,
   CURRENCY_CODES,
+  DEFAULT_CURRENCY,
   validatePaymentAmount,
   validateCurrency,
   validatePaymentStatus,
@@ -275,9 +346,8 @@ export default {
   validatePaymentType,
   validateSubscriptionStatus,
   validateSubscriptionInterval,
+  validateRefundReason,
   validateInvoiceStatus,
   formatCurrency,
-  generateInvoiceNumber,
-  calculateTax,
-  calculateTotal
+  formatInvoiceNumber
 };
\ No newline at end of file
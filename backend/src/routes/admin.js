@@ -1,6 +1,9 @@
 import express from 'express';
 import adminService from '../services/adminService.js';
 import statsService from '../services/statsService.js';
+import discountService from '../services/discountService.js';
+import dunningService from '../services/dunningService.js';
+import { AppError } from '../middleware/errorHandler.js';
 import { requireAuth, attachUser, requireRole } from '../middleware/auth.js';
 import {
   validateUserFilters,
@@ -13,6 +16,10 @@ import {
   validateUpdateSubscription,
   validateSystemSetting,
   validateAdminActionFilters,
+  validateDiscountCodeFilters,
+  validateDunningFilters,
+  validateCreateDiscountCode,
+  validateUpdateDiscountCode,
   requireAdminRole,
   requireSuperAdminRole,
   preventSelfModification,
@@ -380,6 +387,46 @@ router.get('/subscriptions', validateSubscriptionFilters, async (req, res) => {
   }
 });
 
+// GET /api/admin/subscriptions/dunning - Suscripciones con cobros fallidos
+router.get('/subscriptions/dunning', validateDunningFilters, async (req, res) => {
+  try {
+    const status = req.query.status || 'active';
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const results = await dunningService.getDunningCases({ status, page, limit });
+
+    successResponse(res, results, 'Suscripciones en impago obtenidas correctamente');
+  } catch (error) {
+    console.error('Error al obtener suscripciones en impago:', error);
+    errorResponse(res, 'Error interno del servidor', 500, error);
+  }
+});
+
+// POST /api/admin/subscriptions/dunning/:id/retry - Reintentar el cobro ahora
+router.post('/subscriptions/dunning/:id/retry', async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { id } = req.params;
+
+    const result = await dunningService.retryDunningPayment(id, { retriedBy: adminId });
+
+    await adminService.logAdminAction(adminId, 'subscription_payment_retried', result.dunningCase.user_id, {
+      dunningCaseId: id,
+      recovered: result.recovered
+    });
+
+    successResponse(
+      res,
+      result,
+      result.recovered ? 'Cobro realizado correctamente' : 'El reintento de cobro ha fallado'
+    );
+  } catch (error) {
+    console.error('Error al reintentar cobro de suscripción:', error);
+    errorResponse(res, error.message, error instanceof AppError ? error.statusCode : 500, error);
+  }
+});
+
 // POST /api/admin/subscriptions - Crear suscripción
 router.post('/subscriptions', validateCreateSubscription, async (req, res) => {
   try {
@@ -452,6 +499,75 @@ router.put('/subscriptions/:id', validateUpdateSubscription, async (req, res) =>
   }
 });
 
+// ===== CÓDIGOS DE DESCUENTO =====
+
+// GET /api/admin/discount-codes - Listar códigos de descuento con su uso
+router.get('/discount-codes', validateDiscountCodeFilters, async (req, res) => {
+  try {
+    const { search, status } = req.query;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+
+    const results = await discountService.getDiscountCodes({ search, status, page, limit });
+
+    successResponse(res, results, 'Códigos de descuento obtenidos correctamente');
+  } catch (error) {
+    console.error('Error al obtener códigos de descuento:', error);
+    errorResponse(res, 'Error interno del servidor', 500, error);
+  }
+});
+
+// GET /api/admin/discount-codes/:id - Código de descuento con sus canjes
+router.get('/discount-codes/:id', async (req, res) => {
+  try {
+    const discountCode = await discountService.getDiscountCode(req.params.id);
+
+    successResponse(res, discountCode, 'Código de descuento obtenido correctamente');
+  } catch (error) {
+    console.error('Error al obtener código de descuento:', error);
+    errorResponse(res, error.message, error instanceof AppError ? error.statusCode : 500, error);
+  }
+});
+
+// POST /api/admin/discount-codes - Crear código de descuento
+router.post('/discount-codes', validateCreateDiscountCode, async (req, res) => {
+  try {
+    const adminId = req.user.id;
+
+    const discountCode = await discountService.createDiscountCode(req.body, adminId);
+
+    await adminService.logAdminAction(adminId, 'discount_code_created', null, {
+      discountCodeId: discountCode.id,
+      code: discountCode.code
+    });
+
+    createdResponse(res, discountCode, 'Código de descuento creado correctamente');
+  } catch (error) {
+    console.error('Error al crear código de descuento:', error);
+    errorResponse(res, error.message, error instanceof AppError ? error.statusCode : 500, error);
+  }
+});
+
+// PUT /api/admin/discount-codes/:id - Actualizar límites, vigencia o estado de un código
+router.put('/discount-codes/:id', validateUpdateDiscountCode, async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { id } = req.params;
+
+    const discountCode = await discountService.updateDiscountCode(id, req.body, adminId);
+
+    await adminService.logAdminAction(adminId, 'discount_code_updated', null, {
+      discountCodeId: id,
+      changes: req.body
+    });
+
+    successResponse(res, discountCode, 'Código de descuento actualizado correctamente');
+  } catch (error) {
+    console.error('Error al actualizar código de descuento:', error);
+    errorResponse(res, error.message, error instanceof AppError ? error.statusCode : 500, error);
+  }
+});
+
 // ===== ACCIONES ADMINISTRATIVAS =====
 
 // GET /api/admin/actions - Obtener historial de acciones
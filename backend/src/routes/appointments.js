@@ -9,14 +9,90 @@ import {
   getAppointmentById, 
   updateAppointment, 
   cancelAppointment,
+  rescheduleAppointment,
+  getProfessionalTimezone,
   getProfessionalAvailability 
 } from '../services/appointmentService.js';
+import {
+  SERIES_SCOPES,
+  getSeriesDates,
+  createAppointmentSeries,
+  getAppointmentSeries,
+  updateSeriesOccurrences,
+  cancelSeriesOccurrences
+} from '../services/appointmentSeriesService.js';
+import { createSlotHold, releaseSlotHold } from '../services/slotHoldService.js';
+import { getAppointmentCalendar } from '../services/calendarService.js';
+import { getBookingPolicy, updateBookingPolicy } from '../services/bookingPolicyService.js';
+import {
+  REMINDER_CHANNELS,
+  MIN_REMINDER_OFFSET_MINUTES,
+  MAX_REMINDER_OFFSET_MINUTES,
+  MAX_REMINDER_RULES,
+  getReminderRules,
+  updateReminderRules,
+  getAppointmentResponse,
+  respondToAppointment
+} from '../services/appointmentReminderService.js';
+import { NOTIFICATION_CHANNELS } from '../services/notificationService.js';
+import { enforcePlanLimit, requirePlanFeature } from '../middleware/entitlements.js';
+import { ENTITLEMENTS } from '../services/entitlementService.js';
+import { isValidTimezone, getTodayInTimezone, getDayOfWeek, addDays } from '../utils/timezone.js';
 import { z } from 'zod';
 import { auditMiddleware, AuditActions, RiskLevels } from '../utils/auditLog.js';
 
 const router = express.Router();
 
-// Apply authentication to all routes
+// Confirm / cancel links sent in reminders; the token stands in for the patient's session
+export const appointmentResponseRouter = express.Router();
+
+const responseTokenSchema = z.object({
+  token: z.string().regex(/^[a-f0-9]{64}$/, 'Invalid appointment link')
+});
+
+/**
+ * GET /api/appointments/respond/:token
+ * Appointment of a reminder link and whether it can still be confirmed or cancelled
+ */
+appointmentResponseRouter.get('/:token',
+  validateParams(responseTokenSchema),
+  asyncHandler(async (req, res) => {
+    const appointment = await getAppointmentResponse(req.params.token);
+
+    return successResponse(res, appointment, 'Appointment retrieved successfully');
+  })
+);
+
+/**
+ * POST /api/appointments/respond/:token/confirm
+ * Confirm the appointment of a reminder link
+ */
+appointmentResponseRouter.post('/:token/confirm',
+  validateParams(responseTokenSchema),
+  asyncHandler(async (req, res) => {
+    const appointment = await respondToAppointment(req.params.token, 'confirm');
+
+    return successResponse(res, appointment, 'Appointment confirmed successfully');
+  })
+);
+
+/**
+ * POST /api/appointments/respond/:token/cancel
+ * Cancel the appointment of a reminder link; the professional's cancellation policy applies
+ */
+appointmentResponseRouter.post('/:token/cancel',
+  validateParams(responseTokenSchema),
+  validateBody(z.object({
+    reason: z.string().min(1).max(500).optional()
+  })),
+  asyncHandler(async (req, res) => {
+    const appointment = await respondToAppointment(req.params.token, 'cancel', req.body.reason);
+
+    return successResponse(res, appointment, 'Appointment cancelled successfully');
+  })
+);
+
+// Apply authentication to the remaining routes
 router.use(requireAuth);
 router.use(attachUser);
 
@@ -24,6 +100,7 @@ router.use(attachUser);
 const appointmentCreateSchema = z.object({
   professionalId: z.string().min(1, 'Professional ID is required'),
   serviceId: z.string().uuid().optional(),
+  holdId: z.string().uuid().optional(),
   title: z.string().min(1).max(255).optional(),
   description: z.string().max(1000).optional(),
   appointmentType: z.enum(['consultation', 'follow_up', 'emergency', 'teleconsultation', 'home_visit', 'routine_checkup']).default('consultation'),
@@ -36,7 +113,8 @@ const appointmentCreateSchema = z.object({
   meetingUrl: z.string().url().optional(),
   notes: z.string().max(1000).optional(),
   fee: z.number().min(0).optional(),
-  currency: z.string().length(3).default('EUR')
+  currency: z.string().length(3).default('EUR'),
+  discountCode: z.string().trim().min(1).max(50).optional() // Applied to the payment taken at booking
 });
 
 const appointmentUpdateSchema = z.object({
@@ -73,9 +151,107 @@ const appointmentQuerySchema = z.object({
   sortOrder: z.enum(['ASC', 'DESC']).default('ASC')
 });
 
+const recurrenceSchema = z.union([
+  z.string().regex(/^(RRULE:)?FREQ=/i, 'Recurrence rule must be an RRULE string'),
+  z.object({
+    interval: z.number().int().min(1).max(12).default(1),
+    byDay: z.array(z.enum(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'])).min(1).max(7).optional(),
+    until: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
+    count: z.number().int().min(1).max(100).optional()
+  }).refine(data => data.until || data.count, {
+    message: 'Recurrence must end with an until date or a count',
+    path: ['until']
+  })
+]);
+
+const slotHoldSchema = z.object({
+  professionalId: z.string().min(1, 'Professional ID is required'),
+  serviceId: z.string().uuid().optional(),
+  scheduledDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
+  startTime: z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format'),
+  endTime: z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format').optional()
+});
+
+const seriesCreateSchema = appointmentCreateSchema.omit({ holdId: true }).extend({
+  patientId: z.string().optional(),
+  recurrence: recurrenceSchema,
+  skipConflicts: z.boolean().default(false)
+});
+
+const seriesOccurrenceParamsSchema = z.object({
+  seriesId: z.string().uuid('Invalid series ID format'),
+  appointmentId: z.string().uuid('Invalid appointment ID format')
+});
+
+const seriesUpdateSchema = appointmentUpdateSchema.omit({ status: true, cancellationReason: true }).extend({
+  scope: z.enum(SERIES_SCOPES)
+});
+
+const seriesCancelSchema = z.object({
+  scope: z.enum(SERIES_SCOPES),
+  reason: z.string().min(1).max(500, 'Cancellation reason is required')
+});
+
+const rescheduleSchema = z.object({
+  scheduledDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
+  startTime: z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format'),
+  holdId: z.string().uuid().optional(),
+  reason: z.string().max(500).optional()
+});
+
+const bookingPolicySchema = z.object({
+  rescheduleMinHours: z.number().int().min(0).max(720).optional(),
+  maxReschedules: z.number().int().min(0).max(20).optional(),
+  freeCancellationHours: z.number().int().min(0).max(720).optional(),
+  lateCancelFeeType: z.enum(['fixed', 'percentage']).optional(),
+  lateCancelFeeValue: z.number().min(0).max(10000).optional(),
+  noShowFeeType: z.enum(['fixed', 'percentage']).optional(),
+  noShowFeeValue: z.number().min(0).max(10000).optional()
+}).refine(policy => policy.lateCancelFeeType !== 'percentage' || (policy.lateCancelFeeValue ?? 0) <= 100, {
+  message: 'Percentage fees cannot exceed 100',
+  path: ['lateCancelFeeValue']
+}).refine(policy => policy.noShowFeeType !== 'percentage' || (policy.noShowFeeValue ?? 0) <= 100, {
+  message: 'Percentage fees cannot exceed 100',
+  path: ['noShowFeeValue']
+});
+
+const reminderRulesSchema = z.object({
+  rules: z.array(z.object({
+    offsetMinutes: z.number().int().min(MIN_REMINDER_OFFSET_MINUTES).max(MAX_REMINDER_OFFSET_MINUTES),
+    channels: z.array(z.enum(REMINDER_CHANNELS)).min(1)
+  })).max(MAX_REMINDER_RULES)
+}).refine(({ rules }) => new Set(rules.map(rule => rule.offsetMinutes)).size === rules.length, {
+  message: 'Each reminder must have a different offset',
+  path: ['rules']
+});
+
 const availabilityQuerySchema = z.object({
   dateFrom: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
-  dateTo: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format')
+  dateTo: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
+  serviceId: z.string().uuid().optional(),
+  timezone: z.string().refine(isValidTimezone, 'Invalid timezone').optional()
+});
+
+// Every booking counts against the monthly appointment limit of the professional's plan,
+// in the month it is booked for
+const enforceMonthlyAppointmentLimit = enforcePlanLimit(ENTITLEMENTS.MAX_MONTHLY_APPOINTMENTS, {
+  professionalId: (req) => (req.user.role === 'professional' ? req.user.id : req.body.professionalId),
+  date: (req) => req.body.scheduledDate
+});
+
+// A series books every occurrence, each in its own month. Conflicting occurrences that are
+// skipped later still count here.
+const enforceSeriesAppointmentLimit = enforcePlanLimit(ENTITLEMENTS.MAX_MONTHLY_APPOINTMENTS, {
+  professionalId: (req) => (req.user.role === 'professional' ? req.user.id : req.body.professionalId),
+  dates: (req) => getSeriesDates(req.body)
+});
+
+// Rescheduling into another month books the appointment in that month. Runs after
+// authorizeReschedule, which loads the appointment.
+const enforceRescheduleAppointmentLimit = enforcePlanLimit(ENTITLEMENTS.MAX_MONTHLY_APPOINTMENTS, {
+  professionalId: (req) => req.appointment.professional_id,
+  date: (req) => req.body.scheduledDate,
+  when: (req) => req.appointment.scheduled_date.slice(0, 7) !== req.body.scheduledDate.slice(0, 7)
 });
 
 /**
@@ -84,6 +260,7 @@ const availabilityQuerySchema = z.object({
  */
 router.post('/',
   validateBody(appointmentCreateSchema),
+  enforceMonthlyAppointmentLimit,
   auditMiddleware({
     action: AuditActions.APPOINTMENT_CREATED,
     resource: 'appointment',
@@ -111,6 +288,134 @@ router.post('/',
   })
 );
 
+/**
+ * POST /api/appointments/holds
+ * Hold a slot for a few minutes while the booking is completed.
+ * Pass the returned hold id as holdId when creating the appointment.
+ */
+router.post('/holds',
+  validateBody(slotHoldSchema),
+  enforceMonthlyAppointmentLimit,
+  asyncHandler(async (req, res) => {
+    const hold = await createSlotHold(req.body, req.user.id);
+
+    return createdResponse(res, hold, 'Slot held successfully');
+  })
+);
+
+/**
+ * DELETE /api/appointments/holds/:holdId
+ * Release a slot hold
+ */
+router.delete('/holds/:holdId',
+  validateParams(z.object({
+    holdId: z.string().uuid('Invalid hold ID format')
+  })),
+  asyncHandler(async (req, res) => {
+    const hold = await releaseSlotHold(req.params.holdId, req.user.id);
+
+    return successResponse(res, hold, 'Slot hold released successfully');
+  })
+);
+
+/**
+ * POST /api/appointments/series
+ * Create a recurring appointment series (weekly RRULE)
+ */
+router.post('/series',
+  requireRole(['professional', 'admin']),
+  validateBody(seriesCreateSchema),
+  enforceSeriesAppointmentLimit,
+  asyncHandler(async (req, res) => {
+    const seriesData = {
+      ...req.body,
+      professionalId: req.user.role === 'professional' ? req.user.id : req.body.professionalId
+    };
+
+    if (!seriesData.patientId) {
+      return errorResponse(res, 'Patient ID is required when creating an appointment series', 400);
+    }
+
+    const result = await createAppointmentSeries(seriesData, req.user.id);
+
+    return createdResponse(res, result, 'Appointment series created successfully');
+  })
+);
+
+/**
+ * GET /api/appointments/series/:seriesId
+ * Get a series with all of its occurrences
+ */
+router.get('/series/:seriesId',
+  validateParams(z.object({
+    seriesId: z.string().uuid('Invalid series ID format')
+  })),
+  asyncHandler(async (req, res) => {
+    const series = await getAppointmentSeries(req.params.seriesId);
+
+    const canView = req.user.role === 'admin' ||
+                   req.user.id === series.professional_id ||
+                   req.user.id === series.patient_id;
+
+    if (!canView) {
+      return errorResponse(res, 'Access denied to this appointment series', 403);
+    }
+
+    return successResponse(res, series, 'Appointment series retrieved successfully');
+  })
+);
+
+/**
+ * PUT /api/appointments/series/:seriesId/occurrences/:appointmentId
+ * Update this occurrence, this and the following ones, or the whole series
+ */
+router.put('/series/:seriesId/occurrences/:appointmentId',
+  requireRole(['professional', 'admin']),
+  validateParams(seriesOccurrenceParamsSchema),
+  validateBody(seriesUpdateSchema),
+  asyncHandler(async (req, res) => {
+    const { seriesId, appointmentId } = req.params;
+    const { scope, ...changes } = req.body;
+
+    const series = await getAppointmentSeries(seriesId);
+
+    if (req.user.role === 'professional' && req.user.id !== series.professional_id) {
+      return errorResponse(res, 'Access denied to update this appointment series', 403);
+    }
+
+    const result = await updateSeriesOccurrences(seriesId, appointmentId, scope, changes, req.user.id);
+
+    return successResponse(res, result, 'Appointment series updated successfully');
+  })
+);
+
+/**
+ * DELETE /api/appointments/series/:seriesId/occurrences/:appointmentId
+ * Cancel this occurrence, this and the following ones, or the whole series
+ */
+router.delete('/series/:seriesId/occurrences/:appointmentId',
+  validateParams(seriesOccurrenceParamsSchema),
+  validateBody(seriesCancelSchema),
+  asyncHandler(async (req, res) => {
+    const { seriesId, appointmentId } = req.params;
+    const { scope, reason } = req.body;
+
+    const series = await getAppointmentSeries(seriesId);
+
+    const canCancel = req.user.role === 'admin' ||
+                     req.user.id === series.professional_id ||
+                     req.user.id === series.patient_id;
+
+    if (!canCancel) {
+      return errorResponse(res, 'Access denied to cancel this appointment series', 403);
+    }
+
+    const result = await cancelSeriesOccurrences(seriesId, appointmentId, scope, reason, req.user.id);
+
+    return successResponse(res, result, 'Appointment series cancelled successfully');
+  })
+);
+
 /**
  * GET /api/appointments
  * Get appointments with filtering and pagination
@@ -179,6 +484,35 @@ router.get('/:id',
   })
 );
 
+/**
+ * GET /api/appointments/:id/ics
+ * Download an appointment as an iCalendar (.ics) file
+ */
+router.get('/:id/ics',
+  validateParams(z.object({
+    id: z.string().uuid('Invalid appointment ID format')
+  })),
+  asyncHandler(async (req, res) => {
+    const appointment = await getAppointmentById(req.params.id, req.user.id);
+
+    const hasAccess = req.user.role === 'admin' ||
+                     req.user.id === appointment.professional_id ||
+                     req.user.id === appointment.patient_id;
+
+    if (!hasAccess) {
+      return errorResponse(res, 'Access denied to this appointment', 403);
+    }
+
+    const calendar = await getAppointmentCalendar(req.params.id, req.user.id);
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `attachment; filename="cita-${req.params.id}.ics"`
+    });
+    return res.send(calendar);
+  })
+);
+
 /**
  * PUT /api/appointments/:id
  * Update an appointment
@@ -280,6 +614,139 @@ router.delete('/:id',
   })
 );
 
+// Load the appointment being rescheduled into req.appointment, once the user may move it
+const authorizeReschedule = asyncHandler(async (req, res, next) => {
+  const currentAppointment = await getAppointmentById(req.params.id);
+
+  const canReschedule = req.user.role === 'admin' ||
+                       req.user.id === currentAppointment.professional_id ||
+                       req.user.id === currentAppointment.patient_id;
+
+  if (!canReschedule) {
+    return errorResponse(res, 'Access denied to reschedule this appointment', 403);
+  }
+
+  if (!['scheduled', 'confirmed'].includes(currentAppointment.status)) {
+    return errorResponse(res, `Cannot reschedule a ${currentAppointment.status} appointment`, 400);
+  }
+
+  req.appointment = currentAppointment;
+  return next();
+});
+
+/**
+ * POST /api/appointments/:id/reschedule
+ * Move an appointment to another available slot.
+ * The original is kept as 'rescheduled' and linked from the new appointment;
+ * patients must respect the professional's booking policy.
+ */
+router.post('/:id/reschedule',
+  validateParams(z.object({
+    id: z.string().uuid('Invalid appointment ID format')
+  })),
+  validateBody(rescheduleSchema),
+  authorizeReschedule,
+  enforceRescheduleAppointmentLimit,
+  asyncHandler(async (req, res) => {
+    const appointment = await rescheduleAppointment(req.params.id, req.body, req.user.id);
+
+    return createdResponse(res, appointment, 'Appointment rescheduled successfully');
+  })
+);
+
+/**
+ * GET /api/appointments/policies/:professionalId
+ * Booking policy of a professional: rescheduling limits and cancellation/no-show fees
+ */
+router.get('/policies/:professionalId',
+  validateParams(z.object({
+    professionalId: z.string().min(1, 'Professional ID is required')
+  })),
+  asyncHandler(async (req, res) => {
+    const policy = await getBookingPolicy(null, req.params.professionalId);
+
+    return successResponse(res, policy, 'Booking policy retrieved successfully');
+  })
+);
+
+/**
+ * PUT /api/appointments/policies/:professionalId
+ * Update a professional's booking policy (their own, or any for admins)
+ */
+router.put('/policies/:professionalId',
+  requireRole(['professional', 'admin']),
+  validateParams(z.object({
+    professionalId: z.string().min(1, 'Professional ID is required')
+  })),
+  validateBody(bookingPolicySchema),
+  asyncHandler(async (req, res) => {
+    const { professionalId } = req.params;
+
+    if (req.user.role !== 'admin' && req.user.id !== professionalId) {
+      return errorResponse(res, 'Access denied to this booking policy', 403);
+    }
+
+    const policy = await updateBookingPolicy(professionalId, req.body, req.user.id);
+
+    return successResponse(res, policy, 'Booking policy updated successfully');
+  })
+);
+
+/**
+ * GET /api/appointments/reminder-rules/:professionalId
+ * When and through which channels a professional's patients are reminded of appointments
+ */
+router.get('/reminder-rules/:professionalId',
+  requireRole(['professional', 'admin']),
+  validateParams(z.object({
+    professionalId: z.string().min(1, 'Professional ID is required')
+  })),
+  asyncHandler(async (req, res) => {
+    const { professionalId } = req.params;
+
+    if (req.user.role !== 'admin' && req.user.id !== professionalId) {
+      return errorResponse(res, 'Access denied to these reminder rules', 403);
+    }
+
+    const reminderRules = await getReminderRules(professionalId);
+
+    return successResponse(res, reminderRules, 'Reminder rules retrieved successfully');
+  })
+);
+
+// Professionals change their own reminder rules, admins anyone's
+const authorizeReminderRulesUpdate = (req, res, next) => {
+  if (req.user.role !== 'admin' && req.user.id !== req.params.professionalId) {
+    return errorResponse(res, 'Access denied to these reminder rules', 403);
+  }
+  return next();
+};
+
+/**
+ * PUT /api/appointments/reminder-rules/:professionalId
+ * Replace a professional's reminder rules (an empty list restores the default reminder).
+ * SMS reminders need a plan that includes them.
+ */
+router.put('/reminder-rules/:professionalId',
+  requireRole(['professional', 'admin']),
+  validateParams(z.object({
+    professionalId: z.string().min(1, 'Professional ID is required')
+  })),
+  validateBody(reminderRulesSchema),
+  authorizeReminderRulesUpdate,
+  requirePlanFeature(ENTITLEMENTS.SMS_REMINDERS, {
+    professionalId: (req) => req.params.professionalId,
+    when: (req) => req.body.rules.some(rule => rule.channels.includes(NOTIFICATION_CHANNELS.SMS))
+  }),
+  asyncHandler(async (req, res) => {
+    const { professionalId } = req.params;
+
+    const reminderRules = await updateReminderRules(professionalId, req.body.rules, req.user.id);
+
+    return successResponse(res, reminderRules, 'Reminder rules updated successfully');
+  })
+);
+
 /**
  * PATCH /api/appointments/:id/status
  * Update appointment status
@@ -325,6 +792,8 @@ router.patch('/:id/status',
 /**
  * GET /api/appointments/availability/:professionalId
  * Get professional availability for a date range
+ * With serviceId, slots are sized to the service and honour its buffers and booking notice.
+ * Slots are in the professional's timezone; with timezone, each also carries the viewer's local time.
  */
 router.get('/availability/:professionalId',
   validateParams(z.object({
@@ -333,7 +802,7 @@ router.get('/availability/:professionalId',
   validateQuery(availabilityQuerySchema),
   asyncHandler(async (req, res) => {
     const { professionalId } = req.params;
-    const { dateFrom, dateTo } = req.query;
+    const { dateFrom, dateTo, serviceId, timezone } = req.query;
 
     // Validate date range (max 30 days)
     const fromDate = new Date(dateFrom);
@@ -348,7 +817,10 @@ router.get('/availability/:professionalId',
       return errorResponse(res, 'Start date must be before end date', 400);
     }
 
-    const availability = await getProfessionalAvailability(professionalId, dateFrom, dateTo);
+    const availability = await getProfessionalAvailability(professionalId, dateFrom, dateTo, {
+      serviceId,
+      viewerTimezone: timezone
+    });
     
     return successResponse(res, availability, 'Professional availability retrieved successfully');
   })
@@ -364,10 +836,11 @@ router.post('/check-availability',
     date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
     startTime: z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format'),
     endTime: z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format'),
-    excludeAppointmentId: z.string().uuid().optional()
+    excludeAppointmentId: z.string().uuid().optional(),
+    serviceId: z.string().uuid().optional()
   })),
   asyncHandler(async (req, res) => {
-    const { professionalId, date, startTime, endTime, excludeAppointmentId } = req.body;
+    const { professionalId, date, startTime, endTime, excludeAppointmentId, serviceId } = req.body;
 
     // Import the function - in a real app, this would be structured better
     const { checkAppointmentAvailability } = await import('../services/appointmentService.js');
@@ -378,7 +851,8 @@ router.post('/check-availability',
       date,
       startTime,
       endTime,
-      excludeAppointmentId
+      excludeAppointmentId,
+      { serviceId }
     );
     
     return successResponse(res, { 
@@ -402,34 +876,33 @@ router.get('/calendar/:professionalId',
   validateQuery(z.object({
     month: z.coerce.number().int().min(1).max(12).optional(),
     year: z.coerce.number().int().min(2024).max(2030).optional(),
-    view: z.enum(['month', 'week', 'day']).default('month')
+    view: z.enum(['month', 'week', 'day']).default('month'),
+    timezone: z.string().refine(isValidTimezone, 'Invalid timezone').optional()
   })),
   asyncHandler(async (req, res) => {
     const { professionalId } = req.params;
-    const { month, year, view } = req.query;
+    const { month, year, view, timezone: viewerTimezone } = req.query;
 
-    // Calculate date range based on view
-    const now = new Date();
-    const targetMonth = month || (now.getMonth() + 1);
-    const targetYear = year || now.getFullYear();
+    // Calculate date range based on view, in the professional's timezone
+    const timezone = await getProfessionalTimezone(null, professionalId);
+    const today = getTodayInTimezone(timezone);
+    const [currentYear, currentMonth] = today.split('-').map(Number);
+    const targetMonth = month || currentMonth;
+    const targetYear = year || currentYear;
 
     let dateFrom, dateTo;
 
     if (view === 'month') {
       dateFrom = `${targetYear}-${targetMonth.toString().padStart(2, '0')}-01`;
-      const lastDay = new Date(targetYear, targetMonth, 0).getDate();
+      const lastDay = new Date(Date.UTC(targetYear, targetMonth, 0)).getUTCDate();
       dateTo = `${targetYear}-${targetMonth.toString().padStart(2, '0')}-${lastDay}`;
     } else if (view === 'week') {
-      // Get current week
-      const startOfWeek = new Date(now);
-      startOfWeek.setDate(now.getDate() - now.getDay());
-      const endOfWeek = new Date(startOfWeek);
-      endOfWeek.setDate(startOfWeek.getDate() + 6);
-      
-      dateFrom = startOfWeek.toISOString().split('T')[0];
-      dateTo = endOfWeek.toISOString().split('T')[0];
+      // Get current week (Sunday to Saturday)
+      const weekdays = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+      dateFrom = addDays(today, -weekdays.indexOf(getDayOfWeek(today)));
+      dateTo = addDays(dateFrom, 6);
     } else { // day
-      dateFrom = now.toISOString().split('T')[0];
+      dateFrom = today;
       dateTo = dateFrom;
     }
 
@@ -454,7 +927,7 @@ router.get('/calendar/:professionalId',
     // Get availability if user is a patient (for booking)
     let availability = null;
     if (req.user.role === 'patient') {
-      availability = await getProfessionalAvailability(professionalId, dateFrom, dateTo);
+      availability = await getProfessionalAvailability(professionalId, dateFrom, dateTo, { viewerTimezone });
     }
 
     return successResponse(res, {
@@ -463,7 +936,8 @@ router.get('/calendar/:professionalId',
       period: {
         from: dateFrom,
         to: dateTo,
-        view
+        view,
+        timezone
       }
     }, 'Calendar data retrieved successfully');
   })
@@ -0,0 +1,90 @@
+import express from 'express';
+import { requireAuth, attachUser } from '../middleware/auth.js';
+import { validateParams } from '../middleware/validation.js';
+import { asyncHandler, NotFoundError } from '../middleware/errorHandler.js';
+import { successResponse, errorResponse } from '../utils/responses.js';
+import {
+  getCalendarFeedToken,
+  getCalendarFeedUrl,
+  getCalendarFeed
+} from '../services/calendarService.js';
+import { createAuditLog, AuditActions, RiskLevels } from '../utils/auditLog.js';
+import { z } from 'zod';
+
+const router = express.Router();
+
+// The feed is fetched by calendar clients that cannot sign in; the token in the URL is the credential
+export const calendarFeedRouter = express.Router();
+
+/**
+ * GET /api/calendar/feed/:token.ics
+ * iCalendar subscription feed of the token's owner
+ */
+calendarFeedRouter.get('/:token.ics',
+  validateParams(z.object({
+    token: z.string().regex(/^[a-f0-9]{64}$/, 'Invalid calendar token')
+  })),
+  asyncHandler(async (req, res) => {
+    try {
+      const calendar = await getCalendarFeed(req.params.token);
+
+      res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': 'inline; filename="mundoctor.ics"',
+        'Cache-Control': 'private, max-age=300'
+      });
+      return res.send(calendar);
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return errorResponse(res, 'Calendar feed not found', 404);
+      }
+      throw error;
+    }
+  })
+);
+
+// Apply authentication to the remaining routes
+router.use(requireAuth);
+router.use(attachUser);
+
+/**
+ * GET /api/calendar/feed-url
+ * Subscription URL of the current user's calendar feed (created on first request)
+ */
+router.get('/feed-url',
+  asyncHandler(async (req, res) => {
+    const feedToken = await getCalendarFeedToken(req.user.id);
+
+    return successResponse(res, {
+      url: getCalendarFeedUrl(feedToken.token),
+      createdAt: feedToken.created_at,
+      lastAccessedAt: feedToken.last_accessed_at
+    }, 'Calendar feed URL retrieved successfully');
+  })
+);
+
+/**
+ * POST /api/calendar/feed-url/regenerate
+ * Replace the feed token; previously shared URLs stop working
+ */
+router.post('/feed-url/regenerate',
+  asyncHandler(async (req, res) => {
+    const feedToken = await getCalendarFeedToken(req.user.id, { regenerate: true });
+
+    await createAuditLog({
+      userId: req.user.id,
+      action: AuditActions.USER_UPDATED,
+      resource: 'calendar_feed',
+      details: { regenerated: true },
+      riskLevel: RiskLevels.MEDIUM
+    });
+
+    return successResponse(res, {
+      url: getCalendarFeedUrl(feedToken.token),
+      createdAt: feedToken.created_at,
+      lastAccessedAt: feedToken.last_accessed_at
+    }, 'Calendar feed URL regenerated successfully');
+  })
+);
+
+export default router;
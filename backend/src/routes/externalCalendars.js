@@ -0,0 +1,118 @@
+import express from 'express';
+import multer from 'multer';
+import { requireAuth, attachUser, requireRole } from '../middleware/auth.js';
+import { validateBody, validateParams } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { successResponse, createdResponse, errorResponse } from '../utils/responses.js';
+import {
+  addCalendarUrl,
+  importCalendarFile,
+  getExternalCalendars,
+  deleteExternalCalendar,
+  syncExternalCalendar
+} from '../services/externalCalendarService.js';
+import { z } from 'zod';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(requireAuth);
+router.use(attachUser);
+router.use(requireRole(['professional']));
+
+// .ics uploads are parsed straight from memory, never written to disk
+const icsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const isCalendar = ['text/calendar', 'application/octet-stream', 'text/plain'].includes(file.mimetype) ||
+      file.originalname.toLowerCase().endsWith('.ics');
+
+    cb(isCalendar ? null : new Error('Solo se permiten archivos .ics'), isCalendar);
+  }
+});
+
+// Validation schemas
+const calendarUrlSchema = z.object({
+  name: z.string().min(1).max(255),
+  url: z.string().url().refine(url => /^(https?|webcal):\/\//i.test(url), 'URL must use http, https or webcal')
+});
+
+const calendarParamsSchema = z.object({
+  id: z.string().uuid('Invalid calendar ID format')
+});
+
+/**
+ * GET /api/schedules/external-calendars
+ * List the professional's external calendars
+ */
+router.get('/',
+  asyncHandler(async (req, res) => {
+    const calendars = await getExternalCalendars(req.user.id);
+
+    return successResponse(res, calendars, 'External calendars retrieved successfully');
+  })
+);
+
+/**
+ * POST /api/schedules/external-calendars
+ * Subscribe an ICS URL whose busy events block availability
+ */
+router.post('/',
+  validateBody(calendarUrlSchema),
+  asyncHandler(async (req, res) => {
+    const calendar = await addCalendarUrl(req.body, req.user.id);
+
+    return createdResponse(res, calendar, 'External calendar added successfully');
+  })
+);
+
+/**
+ * POST /api/schedules/external-calendars/upload
+ * Import an .ics file (multipart field "file") as a one-off snapshot
+ */
+router.post('/upload',
+  icsUpload.single('file'),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      return errorResponse(res, 'An .ics file is required', 400);
+    }
+
+    const calendar = await importCalendarFile({
+      name: (req.body.name || req.file.originalname).slice(0, 255),
+      content: req.file.buffer.toString('utf8')
+    }, req.user.id);
+
+    return createdResponse(res, calendar, 'External calendar imported successfully');
+  })
+);
+
+/**
+ * POST /api/schedules/external-calendars/:id/sync
+ * Re-fetch a subscribed calendar now
+ */
+router.post('/:id/sync',
+  validateParams(calendarParamsSchema),
+  asyncHandler(async (req, res) => {
+    const calendar = await syncExternalCalendar(req.params.id, req.user.id);
+
+    return successResponse(res, calendar, calendar.status === 'error'
+      ? 'External calendar could not be synced'
+      : 'External calendar synced successfully');
+  })
+);
+
+/**
+ * DELETE /api/schedules/external-calendars/:id
+ * Remove a calendar and the busy times it imported
+ */
+router.delete('/:id',
+  validateParams(calendarParamsSchema),
+  asyncHandler(async (req, res) => {
+    const result = await deleteExternalCalendar(req.params.id, req.user.id);
+
+    return successResponse(res, result, 'External calendar deleted successfully');
+  })
+);
+
+export default router;
@@ -1,11 +1,21 @@
 import express from 'express';
 import { z } from 'zod';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requireRole, attachUser } from '../middleware/auth.js';
 import { validateSchema } from '../middleware/validation.js';
+import { requirePlanFeature } from '../middleware/entitlements.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { ENTITLEMENTS } from '../services/entitlementService.js';
+import {
+  getAppointmentResponseToken,
+  getAppointmentResponsePath,
+  getAppointmentResponseUrl
+} from '../services/appointmentReminderService.js';
+import { openSmsConfirmation } from '../services/smsReplyService.js';
 import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, NOTIFICATION_PRIORITIES } from '../services/notificationService.js';
 import reminderJobsService from '../jobs/reminderJobs.js';
 import emailService from '../services/emailService.js';
 import { testSMSConnection } from '../services/smsService.js';
+import pushService, { isAllowedPushEndpoint } from '../services/pushService.js';
 import webSocketManager from '../utils/websocket.js';
 import logger from '../utils/logger.js';
 import { createAuditLog } from '../utils/auditLog.js';
@@ -48,6 +58,35 @@ const sendRoleNotificationSchema = z.object({
   variables: z.object({}).optional()
 });
 
+const appointmentReminderSchema = z.object({
+  channels: z.array(z.enum([
+    NOTIFICATION_CHANNELS.WEBSOCKET,
+    NOTIFICATION_CHANNELS.EMAIL,
+    NOTIFICATION_CHANNELS.SMS,
+    NOTIFICATION_CHANNELS.PUSH
+  ])).min(1).default([NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL, NOTIFICATION_CHANNELS.PUSH])
+});
+
+const inboxQuerySchema = z.object({
+  cursor: z.string().min(1).optional(),
+  limit: z.coerce.number().int().min(1).max(50).default(20),
+  unread: z.enum(['true', 'false']).optional()
+});
+
+// As returned by PushSubscription.toJSON() in the browser
+const pushSubscriptionSchema = z.object({
+  endpoint: z.string().url().max(2000).refine(isAllowedPushEndpoint, 'Endpoint must be an https URL of a known push service'),
+  expirationTime: z.number().int().positive().nullable().optional(),
+  keys: z.object({
+    p256dh: z.string().min(1).max(255),
+    auth: z.string().min(1).max(255)
+  })
+});
+
+const pushEndpointQuerySchema = z.object({
+  endpoint: z.string().url().max(2000)
+});
+
 // Apply auth middleware to all routes
 router.use(requireAuth);
 
@@ -60,6 +99,118 @@ router.get('/types', (req, res) => {
   });
 });
 
+// Inbox routes
+
+// GET /api/notifications - Get the user's notifications, newest first (cursor-paginated)
+router.get('/', attachUser, validateSchema(inboxQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const { cursor, limit, unread } = req.query;
+
+    const result = await notificationService.getUserNotifications(req.user.id, {
+      cursor,
+      limit,
+      unreadOnly: unread === 'true'
+    });
+
+    res.json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/notifications/unread-count - Get the user's unread notification count
+router.get('/unread-count', attachUser, async (req, res, next) => {
+  try {
+    const unreadCount = await notificationService.getUnreadCount(req.user.id);
+    res.json({ unreadCount });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/notifications/read-all - Mark all the user's notifications as read
+router.post('/read-all', attachUser, async (req, res, next) => {
+  try {
+    const updated = await notificationService.markAllAsRead(req.user.id);
+    res.json({ success: true, updated });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/notifications/:notificationId/read - Mark a notification as read
+router.patch('/:notificationId/read', attachUser, async (req, res, next) => {
+  try {
+    const notification = await notificationService.markAsRead(req.user.id, req.params.notificationId, true);
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/notifications/:notificationId/unread - Mark a notification as unread
+router.patch('/:notificationId/unread', attachUser, async (req, res, next) => {
+  try {
+    const notification = await notificationService.markAsRead(req.user.id, req.params.notificationId, false);
+    res.json(notification);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/notifications/:notificationId - Delete a notification from the inbox
+router.delete('/:notificationId', attachUser, async (req, res, next) => {
+  try {
+    await notificationService.deleteNotification(req.user.id, req.params.notificationId);
+    res.json({ success: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Web Push routes
+
+// GET /api/notifications/push/public-key - Get the VAPID key browsers subscribe with
+router.get('/push/public-key', (req, res) => {
+  const publicKey = pushService.getPublicKey();
+
+  if (!publicKey) {
+    return res.status(503).json({ error: 'Push notifications not configured' });
+  }
+
+  res.json({ publicKey });
+});
+
+// GET /api/notifications/push/subscriptions - Get the browsers the user receives push notifications in
+router.get('/push/subscriptions', attachUser, async (req, res, next) => {
+  try {
+    const subscriptions = await pushService.getUserSubscriptions(req.user.id);
+    res.json({ subscriptions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/notifications/push/subscriptions - Register this browser for push notifications
+router.post('/push/subscriptions', attachUser, validateSchema(pushSubscriptionSchema), async (req, res, next) => {
+  try {
+    const subscription = await pushService.saveSubscription(req.user.id, req.body, req.get('User-Agent'));
+    res.status(201).json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/notifications/push/subscriptions?endpoint= - Stop push notifications in a browser
+router.delete('/push/subscriptions', attachUser, validateSchema(pushEndpointQuerySchema, 'query'), async (req, res, next) => {
+  try {
+    const removed = await pushService.removeSubscription(req.user.id, req.query.endpoint);
+    res.json({ success: true, removed });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // GET /api/notifications/stats - Get notification service statistics
 router.get('/stats', requireRole(['admin']), (req, res) => {
   try {
@@ -323,6 +474,97 @@ router.post('/test/sms', requireRole(['admin']), async (req, res) => {
   }
 });
 
+// Load the appointment to remind into req.appointment, once the user may remind its patient
+const loadReminderAppointment = async (req, res, next) => {
+  try {
+    const appointmentResult = await query(`
+      SELECT a.id, a.professional_id, a.patient_id, a.status,
+             to_char(a.scheduled_date, 'DD/MM/YYYY') as date,
+             to_char(a.start_time, 'HH24:MI') as time,
+             p.email as patient_email, p.phone as patient_phone,
+             pr.name as professional_name
+      FROM appointments a
+      JOIN users p ON a.patient_id = p.id
+      JOIN users pr ON a.professional_id = pr.id
+      WHERE a.id = $1
+    `, [req.params.appointmentId]);
+
+    const appointment = appointmentResult.rows[0];
+    if (!appointment) {
+      return res.status(404).json({ error: 'Appointment not found' });
+    }
+
+    if (req.user.role !== 'admin' && appointment.professional_id !== req.user.id) {
+      return res.status(403).json({ error: 'Access denied to this appointment' });
+    }
+
+    req.appointment = appointment;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// POST /api/notifications/appointments/:appointmentId/reminder - Remind the patient of an appointment
+// SMS reminders need a plan that includes them
+router.post('/appointments/:appointmentId/reminder',
+  attachUser,
+  requireRole(['professional', 'admin']),
+  validateSchema(appointmentReminderSchema),
+  loadReminderAppointment,
+  requirePlanFeature(ENTITLEMENTS.SMS_REMINDERS, {
+    professionalId: (req) => req.appointment.professional_id,
+    when: (req) => req.body.channels.includes(NOTIFICATION_CHANNELS.SMS)
+  }),
+  async (req, res) => {
+    try {
+      const { appointment } = req;
+      const { channels } = req.body;
+
+      if (!['scheduled', 'confirmed'].includes(appointment.status)) {
+        return res.status(400).json({ error: 'Only upcoming appointments can be reminded' });
+      }
+
+      const token = await getAppointmentResponseToken(appointment.id);
+      const replyCode = channels.includes(NOTIFICATION_CHANNELS.SMS) && appointment.patient_phone
+        ? await openSmsConfirmation(appointment.id, appointment.patient_phone)
+        : null;
+
+      const result = await notificationService.sendNotification({
+        userId: appointment.patient_id,
+        type: NOTIFICATION_TYPES.APPOINTMENT_REMINDER,
+        channels,
+        variables: {
+          professional: appointment.professional_name,
+          date: appointment.date,
+          time: appointment.time,
+          responseUrl: getAppointmentResponseUrl(token),
+          replyCode
+        },
+        data: {
+          email: appointment.patient_email,
+          phone: appointment.patient_phone,
+          appointmentId: appointment.id,
+          link: getAppointmentResponsePath(token)
+        }
+      });
+
+      await createAuditLog({
+        userId: req.user.id,
+        action: 'appointment_reminder_sent',
+        resource: 'appointment',
+        resourceId: appointment.id,
+        details: { channels }
+      });
+
+      res.json(result);
+    } catch (error) {
+      logger.error('Error sending appointment reminder:', error);
+      res.status(500).json({ error: 'Failed to send appointment reminder' });
+    }
+  }
+);
+
 // Reminder Jobs Management Routes
 
 // GET /api/notifications/jobs/status - Get reminder jobs status
@@ -394,6 +636,14 @@ router.post('/jobs/trigger/validations', requireRole(['admin']), async (req, res
 // Error handling middleware
 router.use((error, req, res, next) => {
   logger.error('Notifications API error:', error);
+
+  if (error instanceof AppError && error.statusCode < 500) {
+    return res.status(error.statusCode).json({
+      error: error.message,
+      code: error.code,
+      details: error.metadata
+    });
+  }
   
   if (error.name === 'ValidationError') {
     return res.status(400).json({
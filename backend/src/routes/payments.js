@@ -1,15 +1,29 @@
 import express from 'express';
-import { requireAuth, requireRole } from '../middleware/auth.js';
+import { requireAuth, requireRole, attachUser } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/rbac-enhanced.js';
+import { AppError } from '../middleware/errorHandler.js';
 // import { validateRequest } from '../middleware/validation.js';
 import { query } from '../config/database.js';
 import logger from '../utils/logger.js';
 import paymentService from '../services/paymentService.js';
 import invoiceService from '../services/invoiceService.js';
+import payoutService from '../services/payoutService.js';
+import { previewDiscount } from '../services/discountService.js';
+import { getEntitlementsWithUsage } from '../services/entitlementService.js';
+import {
+  previewPlanChange,
+  changeSubscriptionPlan,
+  cancelScheduledPlanChange,
+  getPendingPlanChange
+} from '../services/subscriptionChangeService.js';
 import {
   PAYMENT_STATUSES,
   PAYMENT_TYPES,
   SUBSCRIPTION_STATUSES,
   INVOICE_STATUSES,
+  REFUND_REASONS,
+  WEBHOOK_EVENT_STATUSES,
+  DEFAULT_CURRENCY,
   validatePaymentAmount,
   validateCurrency,
   formatCurrency
@@ -17,18 +31,28 @@ import {
 
 const router = express.Router();
 
+// Booking payments and fees are only requested by the server, for the amount the booking or
+// the cancellation policy sets
+const SERVER_ONLY_PAYMENT_TYPES = [
+  PAYMENT_TYPES.APPOINTMENT,
+  PAYMENT_TYPES.APPOINTMENT_DEPOSIT,
+  PAYMENT_TYPES.LATE_CANCELLATION_FEE,
+  PAYMENT_TYPES.NO_SHOW_FEE
+];
+
 // ================== PAYMENT INTENTS ==================
 
 // Create payment intent
-router.post('/intent', requireAuth, async (req, res) => {
+router.post('/intent', requireAuth, attachUser, async (req, res) => {
   try {
     const {
       amount,
-      currency = 'MXN',
+      currency = DEFAULT_CURRENCY,
       paymentType = PAYMENT_TYPES.SUBSCRIPTION,
       description,
       appointmentId,
       subscriptionId,
+      discountCode = null,
       metadata = {}
     } = req.body;
 
@@ -46,15 +70,23 @@ router.post('/intent', requireAuth, async (req, res) => {
       });
     }
 
+    if (SERVER_ONLY_PAYMENT_TYPES.includes(paymentType)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Booking payments are requested when booking the appointment'
+      });
+    }
+
     const result = await paymentService.createPaymentIntent({
-      userId: req.user.userId,
+      userId: req.user.id,
       amount,
       currency,
       paymentType,
       description,
       metadata,
       appointmentId,
-      subscriptionId
+      subscriptionId,
+      discountCode
     });
 
     res.json({
@@ -64,7 +96,7 @@ router.post('/intent', requireAuth, async (req, res) => {
 
   } catch (error) {
     logger.error('Error creating payment intent:', error);
-    res.status(500).json({
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
       success: false,
       error: error.message
     });
@@ -96,16 +128,17 @@ router.post('/intent/:intentId/confirm', requireAuth, async (req, res) => {
 // ================== SUBSCRIPTIONS ==================
 
 // Create subscription
-router.post('/subscriptions', requireAuth, async (req, res) => {
+router.post('/subscriptions', requireAuth, attachUser, async (req, res) => {
   try {
-    const { planId, priceId, paymentMethodId, trialPeriodDays = 0 } = req.body;
+    const { planId, priceId, paymentMethodId, trialPeriodDays = 0, discountCode = null } = req.body;
 
     const result = await paymentService.createSubscription({
-      userId: req.user.userId,
+      userId: req.user.id,
       planId,
       priceId,
       paymentMethodId,
-      trialPeriodDays
+      trialPeriodDays,
+      discountCode
     });
 
     res.json({
@@ -115,7 +148,7 @@ router.post('/subscriptions', requireAuth, async (req, res) => {
 
   } catch (error) {
     logger.error('Error creating subscription:', error);
-    res.status(500).json({
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
       success: false,
       error: error.message
     });
@@ -141,6 +174,111 @@ router.get('/subscriptions/current', requireAuth, async (req, res) => {
   }
 });
 
+// Get what the professional's plan allows and how much of it is in use
+router.get('/subscriptions/entitlements', requireAuth, attachUser, requireRole(['professional']), async (req, res) => {
+  try {
+    const entitlements = await getEntitlementsWithUsage(req.user.id);
+
+    res.json({
+      success: true,
+      data: entitlements
+    });
+
+  } catch (error) {
+    logger.error('Error getting plan entitlements:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Preview a plan change: whether it applies now or at the period end, and the proration.
+// Pass planId for another plan, or interval to switch between monthly and annual billing.
+router.get('/subscriptions/:subscriptionId/plan-change', requireAuth, attachUser, async (req, res) => {
+  try {
+    const { planId, interval } = req.query;
+    const preview = await previewPlanChange(req.params.subscriptionId, req.user.id, { planId, interval });
+    const pendingChange = await getPendingPlanChange(req.params.subscriptionId);
+
+    res.json({
+      success: true,
+      data: {
+        fromPlan: preview.fromPlan && {
+          id: preview.fromPlan.id,
+          name: preview.fromPlan.name,
+          interval: preview.fromPlan.interval,
+          amount: preview.fromPlan.amount
+        },
+        toPlan: {
+          id: preview.toPlan.id,
+          name: preview.toPlan.name,
+          interval: preview.toPlan.interval,
+          amount: preview.toPlan.amount
+        },
+        changeType: preview.changeType,
+        immediate: preview.immediate,
+        effectiveAt: preview.effectiveAt,
+        newPeriodEnd: preview.newPeriodEnd,
+        creditAmount: preview.creditAmount,
+        chargeAmount: preview.chargeAmount,
+        amountDue: preview.amountDue,
+        currency: preview.currency,
+        formattedAmountDue: formatCurrency(preview.amountDue, preview.currency),
+        pendingChange
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error previewing plan change:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Change plan: upgrades and longer billing intervals apply now with proration, downgrades
+// and shorter intervals are scheduled for the end of the current period
+router.post('/subscriptions/:subscriptionId/plan-change', requireAuth, attachUser, async (req, res) => {
+  try {
+    const { planId = null, interval = null } = req.body;
+
+    const result = await changeSubscriptionPlan(req.params.subscriptionId, req.user.id, { planId, interval });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error changing subscription plan:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Cancel a scheduled plan change
+router.delete('/subscriptions/:subscriptionId/plan-change', requireAuth, attachUser, async (req, res) => {
+  try {
+    const planChange = await cancelScheduledPlanChange(req.params.subscriptionId, req.user.id);
+
+    res.json({
+      success: true,
+      data: planChange
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling scheduled plan change:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Cancel subscription
 router.post('/subscriptions/:subscriptionId/cancel', requireAuth, async (req, res) => {
   try {
@@ -174,6 +312,70 @@ router.post('/subscriptions/:subscriptionId/cancel', requireAuth, async (req, re
   }
 });
 
+// ================== DISCOUNT CODES ==================
+
+// Check a discount code before paying. Body: { code, planId } for a subscription, or
+// { code, serviceId?, amount, currency? } for an appointment payment (amount in cents)
+router.post('/discount-codes/validate', requireAuth, attachUser, async (req, res) => {
+  try {
+    const { code, planId = null, serviceId = null } = req.body;
+    let { amount, currency = DEFAULT_CURRENCY } = req.body;
+
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'A discount code is required'
+      });
+    }
+
+    if (planId) {
+      const planResult = await query('SELECT amount, currency FROM subscription_plans WHERE id = $1 AND is_active = true', [planId]);
+
+      if (planResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: 'Subscription plan not found'
+        });
+      }
+
+      ({ amount, currency } = planResult.rows[0]);
+    } else if (!validatePaymentAmount(amount)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid payment amount'
+      });
+    }
+
+    const discount = await previewDiscount(code, {
+      userId: req.user.id,
+      target: planId ? { type: 'subscription', planId } : { type: 'appointment', serviceId },
+      amount,
+      currency
+    });
+
+    res.json({
+      success: true,
+      data: {
+        code: discount.discountCode.code,
+        discountType: discount.discountCode.discount_type,
+        percentOff: discount.discountCode.percent_off,
+        originalAmount: amount,
+        discountAmount: discount.discountAmount,
+        finalAmount: discount.finalAmount,
+        currency,
+        formattedDiscount: formatCurrency(discount.discountAmount, currency)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error validating discount code:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ================== PAYMENT HISTORY ==================
 
 // Get payment history
@@ -235,6 +437,101 @@ router.get('/payments/:paymentId', requireAuth, async (req, res) => {
   }
 });
 
+// ================== REFUNDS ==================
+
+// Payment with the professional of its appointment, if any
+const getPaymentWithProfessional = async (paymentId) => {
+  const result = await query(
+    `SELECT p.*, a.professional_id
+    FROM payments p
+    LEFT JOIN appointments a ON a.id::text = p.appointment_id
+    WHERE p.id = $1`,
+    [paymentId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Refund a payment, fully or partially (admins, or the professional of the paid appointment)
+router.post('/payments/:paymentId/refunds', requireAuth, attachUser, requirePermission('payments:refund'), async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { amount = null, reason = REFUND_REASONS.REQUESTED_BY_CUSTOMER, notes = null } = req.body;
+
+    const payment = await getPaymentWithProfessional(paymentId);
+
+    if (!payment || (req.user.role === 'professional' && payment.professional_id !== req.user.id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    if (amount !== null && !validatePaymentAmount(amount)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid refund amount'
+      });
+    }
+
+    const refund = await paymentService.refundPayment({
+      paymentId,
+      amount,
+      reason,
+      notes,
+      initiatedBy: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: refund
+    });
+
+  } catch (error) {
+    logger.error('Error refunding payment:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get the refunds of a payment (its customer, the professional of the paid appointment or admins)
+router.get('/payments/:paymentId/refunds', requireAuth, attachUser, async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+
+    const payment = await getPaymentWithProfessional(paymentId);
+
+    const canView = payment && (
+      req.user.role === 'admin' ||
+      payment.user_id === req.user.id ||
+      payment.professional_id === req.user.id
+    );
+
+    if (!canView) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payment not found'
+      });
+    }
+
+    const refunds = await paymentService.getPaymentRefunds(paymentId);
+
+    res.json({
+      success: true,
+      data: refunds
+    });
+
+  } catch (error) {
+    logger.error('Error getting payment refunds:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ================== INVOICES ==================
 
 // Get user invoices
@@ -367,6 +664,131 @@ router.post('/invoices/:invoiceId/resend', requireAuth, async (req, res) => {
   }
 });
 
+// ================== PAYOUTS ==================
+
+// Balance pending payout, lifetime totals and payout account of the professional
+router.get('/payouts/balance', requireAuth, attachUser, requireRole(['professional']), async (req, res) => {
+  try {
+    const balance = await payoutService.getProfessionalBalance(req.user.id);
+
+    res.json({
+      success: true,
+      data: balance
+    });
+
+  } catch (error) {
+    logger.error('Error getting payout balance:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Ledger entries of the professional (?unsettled=true for the ones not paid out yet)
+router.get('/payouts/ledger', requireAuth, attachUser, requireRole(['professional']), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const unsettled = req.query.unsettled === 'true';
+
+    const result = await payoutService.getLedgerEntries(req.user.id, { page, limit, unsettled });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error getting ledger entries:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Open the professional's payout account, or refresh its status.
+// Body: { refreshUrl?, returnUrl? } - where the provider's onboarding sends the professional back
+router.post('/payouts/account', requireAuth, attachUser, requireRole(['professional']), async (req, res) => {
+  try {
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+    const {
+      refreshUrl = `${frontendUrl}/professional/payouts`,
+      returnUrl = `${frontendUrl}/professional/payouts`
+    } = req.body;
+
+    const result = await payoutService.setupPayoutAccount(req.user.id, { refreshUrl, returnUrl });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error setting up payout account:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Payouts of the professional
+router.get('/payouts', requireAuth, attachUser, requireRole(['professional']), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await payoutService.getProfessionalPayouts(req.user.id, { page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error getting payouts:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Download payout statement PDF (its professional or admins)
+router.get('/payouts/:payoutId/statement', requireAuth, attachUser, async (req, res) => {
+  try {
+    const { payoutId } = req.params;
+
+    const payout = await payoutService.getPayout(payoutId);
+
+    if (req.user.role !== 'admin' && payout.professional_id !== req.user.id) {
+      return res.status(404).json({
+        success: false,
+        error: 'Payout not found'
+      });
+    }
+
+    const pdfUrl = payout.statement_url || (await payoutService.generatePayoutStatement(payoutId)).pdfUrl;
+
+    res.json({
+      success: true,
+      data: {
+        pdfUrl,
+        downloadUrl: `${req.protocol}://${req.get('host')}${pdfUrl}`
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error downloading payout statement:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // ================== WEBHOOKS ==================
 
 // Stripe webhook endpoint
@@ -387,7 +809,8 @@ router.post('/webhooks/stripe', express.raw({ type: 'application/json' }), async
 
   } catch (error) {
     logger.error('Error processing webhook:', error);
-    res.status(400).json({
+    // Signature errors are rejected; processing errors ask Stripe to deliver the event again
+    res.status(error.type === 'StripeSignatureVerificationError' ? 400 : 500).json({
       success: false,
       error: error.message
     });
@@ -558,6 +981,171 @@ router.get('/admin/invoices', requireAuth, requireRole(['admin']), async (req, r
   }
 });
 
+// Correct an issued invoice with a rectifying invoice (admin only).
+// Body: { reason, items? } - items are the differences in cents; omitted, the invoice is annulled in full.
+router.post('/admin/invoices/:invoiceId/rectify', requireAuth, attachUser, requireRole(['admin']), async (req, res) => {
+  try {
+    const { invoiceId } = req.params;
+    const { reason, items = null, notes = '' } = req.body;
+
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'A rectification reason is required'
+      });
+    }
+
+    const validItems = items === null || (Array.isArray(items) && items.every(item =>
+      item.description && Number.isInteger(item.quantity) && item.quantity !== 0 && Number.isInteger(item.unitPrice)
+    ));
+
+    if (!validItems) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid rectifying invoice items'
+      });
+    }
+
+    const invoice = await invoiceService.createRectifyingInvoice(invoiceId, { reason, items, notes }, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: invoice
+    });
+
+  } catch (error) {
+    logger.error('Error rectifying invoice:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Run a payout batch now (admin only). Body: { periodEnd? } - entries up to then are paid out
+router.post('/admin/payout-batches', requireAuth, attachUser, requireRole(['admin']), async (req, res) => {
+  try {
+    const periodEnd = req.body.periodEnd ? new Date(req.body.periodEnd) : new Date();
+
+    if (Number.isNaN(periodEnd.getTime()) || periodEnd > new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid period end'
+      });
+    }
+
+    const batch = await payoutService.runPayoutBatch({ periodEnd, createdBy: req.user.id });
+
+    res.status(201).json({
+      success: true,
+      data: batch
+    });
+
+  } catch (error) {
+    logger.error('Error running payout batch:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get payout batches (admin only)
+router.get('/admin/payout-batches', requireAuth, attachUser, requireRole(['admin']), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const result = await payoutService.getPayoutBatches({ page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error getting payout batches:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get a payout batch with its payouts (admin only)
+router.get('/admin/payout-batches/:batchId', requireAuth, attachUser, requireRole(['admin']), async (req, res) => {
+  try {
+    const batch = await payoutService.getPayoutBatch(req.params.batchId);
+
+    res.json({
+      success: true,
+      data: batch
+    });
+
+  } catch (error) {
+    logger.error('Error getting payout batch:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Get stored webhook events (admin only). Query: status, source, eventType, page, limit
+router.get('/admin/webhook-events', requireAuth, attachUser, requireRole(['admin']), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const status = req.query.status || null;
+
+    if (status && !Object.values(WEBHOOK_EVENT_STATUSES).includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid webhook event status'
+      });
+    }
+
+    const result = await paymentService.getWebhookEvents({
+      status,
+      source: req.query.source || null,
+      eventType: req.query.eventType || null,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error('Error getting webhook events:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
+// Process a failed webhook event again (admin only)
+router.post('/admin/webhook-events/:webhookEventId/replay', requireAuth, attachUser, requireRole(['admin']), async (req, res) => {
+  try {
+    const webhookEvent = await paymentService.replayWebhookEvent(req.params.webhookEventId, req.user.id);
+
+    res.json({
+      success: true,
+      data: webhookEvent
+    });
+
+  } catch (error) {
+    logger.error('Error replaying webhook event:', error);
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
+      success: false,
+      error: error.message
+    });
+  }
+});
+
 // Manual invoice sending (admin only)
 router.post('/admin/invoices/send-pending', requireAuth, requireRole(['admin']), async (req, res) => {
   try {
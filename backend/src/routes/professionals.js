@@ -3,6 +3,7 @@ import { requireAuth, requireRole } from '../middleware/auth.js';
 // import { validateRequest } from '../middleware/validation.js';
 import { query } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { isValidTimezone } from '../utils/timezone.js';
 
 const router = express.Router();
 
@@ -445,7 +446,8 @@ router.put('/profile', requireAuth, requireRole(['professional']), async (req, r
       experience_years,
       consultation_fee,
       languages,
-      office_hours
+      office_hours,
+      timezone
     } = req.body;
 
     const updateFields = [];
@@ -476,6 +478,16 @@ router.put('/profile', requireAuth, requireRole(['professional']), async (req, r
       updateFields.push(`office_hours = $${paramIndex++}`);
       values.push(JSON.stringify(office_hours));
     }
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid timezone'
+        });
+      }
+      updateFields.push(`timezone = $${paramIndex++}`);
+      values.push(timezone);
+    }
 
     if (updateFields.length === 0) {
       return res.status(400).json({
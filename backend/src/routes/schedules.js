@@ -1,11 +1,14 @@
 import express from 'express';
 import { requireAuth, attachUser, requireRole } from '../middleware/auth.js';
 import { validateBody, validateParams, validateQuery } from '../middleware/validation.js';
-import { asyncHandler } from '../middleware/errorHandler.js';
+import { asyncHandler, ValidationError, ConflictError } from '../middleware/errorHandler.js';
 import { successResponse, createdResponse, errorResponse, noContentResponse } from '../utils/responses.js';
 import { query, withTransaction } from '../config/database.js';
 import { logInfo, logError } from '../utils/logger.js';
 import { createAuditLog, AuditActions, RiskLevels } from '../utils/auditLog.js';
+import { offerAvailableSlots } from '../services/waitlistService.js';
+import { getProfessionalTimezone } from '../services/appointmentService.js';
+import { DEFAULT_TIMEZONE, isValidTimezone, getTodayInTimezone } from '../utils/timezone.js';
 import { z } from 'zod';
 
 const router = express.Router();
@@ -15,49 +18,204 @@ router.use(requireAuth);
 router.use(attachUser);
 
 // Validation schemas
-const scheduleCreateSchema = z.object({
-  dayOfWeek: z.enum(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']),
-  startTime: z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format'),
-  endTime: z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format'),
+const timeSchema = z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format');
+const dayOfWeekSchema = z.enum(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']);
+// Defaults to the professional's own timezone when omitted
+const timezoneSchema = z.string().refine(isValidTimezone, 'Invalid timezone').optional();
+
+const breakSchema = z.object({
+  startTime: timeSchema,
+  endTime: timeSchema,
+  label: z.string().max(100).optional()
+});
+
+const blockFields = {
+  startTime: timeSchema,
+  endTime: timeSchema,
+  breaks: z.array(breakSchema).max(10).default([]),
+  // Single break kept for backwards compatibility, merged into breaks
+  breakStartTime: timeSchema.optional(),
+  breakEndTime: timeSchema.optional()
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const rangesOverlap = (a, b) =>
+  toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(b.startTime) < toMinutes(a.endTime);
+
+const getBlockBreaks = (block) => {
+  const breaks = [...(block.breaks || [])];
+  if (block.breakStartTime && block.breakEndTime) {
+    breaks.push({ startTime: block.breakStartTime, endTime: block.breakEndTime });
+  }
+  return breaks;
+};
+
+// Validate a working block: start before end, breaks inside the block and not overlapping
+const validateBlock = (block, ctx, path = []) => {
+  if (toMinutes(block.startTime) >= toMinutes(block.endTime)) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      message: 'Start time must be before end time',
+      path: [...path, 'endTime']
+    });
+    return;
+  }
+
+  const breaks = getBlockBreaks(block);
+
+  breaks.forEach((brk, index) => {
+    const breakStart = toMinutes(brk.startTime);
+    const breakEnd = toMinutes(brk.endTime);
+
+    if (breakStart >= breakEnd ||
+        breakStart < toMinutes(block.startTime) ||
+        breakEnd > toMinutes(block.endTime)) {
+      ctx.addIssue({
+        code: z.ZodIssueCode.custom,
+        message: 'Break times must be within schedule hours and break start must be before break end',
+        path: [...path, 'breaks', index, 'endTime']
+      });
+    }
+
+    breaks.slice(index + 1).forEach(other => {
+      if (rangesOverlap(brk, other)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Break ${brk.startTime}-${brk.endTime} overlaps with break ${other.startTime}-${other.endTime}`,
+          path: [...path, 'breaks', index]
+        });
+      }
+    });
+  });
+};
+
+const scheduleFields = {
+  professionalId: z.string().optional(),
+  dayOfWeek: dayOfWeekSchema,
+  ...blockFields,
   isAvailable: z.boolean().default(true),
-  breakStartTime: z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format').optional(),
-  breakEndTime: z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format').optional(),
-  timezone: z.string().default('Europe/Madrid'),
+  timezone: timezoneSchema,
   effectiveFrom: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
   effectiveUntil: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional()
-}).refine(data => {
-  // Validate that start time is before end time
-  const start = data.startTime.split(':').map(Number);
-  const end = data.endTime.split(':').map(Number);
-  const startMinutes = start[0] * 60 + start[1];
-  const endMinutes = end[0] * 60 + end[1];
-  return startMinutes < endMinutes;
-}, {
-  message: 'Start time must be before end time',
-  path: ['endTime']
-}).refine(data => {
-  // Validate break times if provided
-  if (!data.breakStartTime || !data.breakEndTime) return true;
-  
-  const start = data.startTime.split(':').map(Number);
-  const end = data.endTime.split(':').map(Number);
-  const breakStart = data.breakStartTime.split(':').map(Number);
-  const breakEnd = data.breakEndTime.split(':').map(Number);
-  
-  const startMinutes = start[0] * 60 + start[1];
-  const endMinutes = end[0] * 60 + end[1];
-  const breakStartMinutes = breakStart[0] * 60 + breakStart[1];
-  const breakEndMinutes = breakEnd[0] * 60 + breakEnd[1];
-  
-  return breakStartMinutes < breakEndMinutes &&
-         breakStartMinutes >= startMinutes &&
-         breakEndMinutes <= endMinutes;
-}, {
-  message: 'Break times must be within schedule hours and break start must be before break end',
-  path: ['breakEndTime']
+};
+
+const scheduleCreateSchema = z.object(scheduleFields).superRefine((data, ctx) => validateBlock(data, ctx));
+
+// Without breaks (or the single break pair) an update keeps the block's current breaks
+const scheduleUpdateSchema = z.object({
+  ...scheduleFields,
+  breaks: z.array(breakSchema).max(10).optional()
+}).superRefine((data, ctx) => validateBlock(data, ctx));
+
+// Replace every working block of a weekday at once (mirrors DaySchedule.slots[] in the frontend)
+const dayScheduleSchema = z.object({
+  professionalId: z.string().optional(),
+  enabled: z.boolean().default(true),
+  blocks: z.array(z.object(blockFields)).max(12).default([]),
+  timezone: timezoneSchema,
+  effectiveFrom: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional()
+}).superRefine((data, ctx) => {
+  data.blocks.forEach((block, index) => {
+    validateBlock(block, ctx, ['blocks', index]);
+
+    data.blocks.slice(index + 1).forEach(other => {
+      if (rangesOverlap(block, other)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Block ${block.startTime}-${block.endTime} overlaps with block ${other.startTime}-${other.endTime}`,
+          path: ['blocks', index]
+        });
+      }
+    });
+  });
 });
 
-const scheduleUpdateSchema = scheduleCreateSchema;
+// Find an active block of the same professional and weekday overlapping the given hours
+const findOverlappingBlock = async (client, {
+  professionalId,
+  dayOfWeek,
+  startTime,
+  endTime,
+  effectiveFrom,
+  excludeScheduleId = null
+}) => {
+  const result = await client.query(`
+    SELECT id, start_time, end_time
+    FROM professional_schedules
+    WHERE professional_id = $1
+      AND day_of_week = $2
+      AND is_available = true
+      AND (effective_until IS NULL OR effective_until >= $3)
+      AND start_time < $5
+      AND end_time > $4
+      AND ($6::uuid IS NULL OR id != $6::uuid)
+    LIMIT 1
+  `, [professionalId, dayOfWeek, effectiveFrom, startTime, endTime, excludeScheduleId]);
+
+  return result.rows[0] || null;
+};
+
+// Replace the breaks of a working block
+const replaceScheduleBreaks = async (client, scheduleId, breaks) => {
+  await client.query('DELETE FROM professional_schedule_breaks WHERE schedule_id = $1', [scheduleId]);
+
+  const inserted = [];
+  for (const brk of breaks) {
+    const result = await client.query(`
+      INSERT INTO professional_schedule_breaks (schedule_id, start_time, end_time, label)
+      VALUES ($1, $2, $3, $4)
+      RETURNING start_time, end_time, label
+    `, [scheduleId, brk.startTime, brk.endTime, brk.label]).catch(translateOverlapError);
+
+    const row = result.rows[0];
+    inserted.push({ startTime: row.start_time, endTime: row.end_time, label: row.label });
+  }
+
+  return inserted;
+};
+
+// Breaks a block keeps when an update does not send them; they must still fit its hours
+const getKeptScheduleBreaks = async (client, schedule) => {
+  const result = await client.query(`
+    SELECT start_time, end_time, label
+    FROM professional_schedule_breaks
+    WHERE schedule_id = $1
+    ORDER BY start_time
+  `, [schedule.id]);
+
+  if (result.rows.some(row => row.start_time < schedule.start_time || row.end_time > schedule.end_time)) {
+    throw new ValidationError('The block has breaks outside its new hours; send its breaks with the update');
+  }
+
+  return result.rows.map(row => ({ startTime: row.start_time, endTime: row.end_time, label: row.label }));
+};
+
+// The exclusion constraints reject overlaps that slipped past the checks, e.g. two
+// requests adding blocks to the same day at once
+const translateOverlapError = (error) => {
+  if (error.code === '23P01') {
+    throw new ConflictError(error.constraint === 'no_overlapping_schedule_breaks'
+      ? 'Schedule breaks overlap'
+      : 'Schedule block overlaps with another block of the day');
+  }
+  throw error;
+};
+
+// Breaks of a schedule row, aggregated as JSON
+const breaksSelect = `
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'startTime', b.start_time,
+      'endTime', b.end_time,
+      'label', b.label
+    ) ORDER BY b.start_time)
+    FROM professional_schedule_breaks b
+    WHERE b.schedule_id = ps.id
+  ), '[]'::json) as breaks`;
 
 const exceptionCreateSchema = z.object({
   title: z.string().min(1).max(255),
@@ -112,31 +270,34 @@ router.post('/',
       return errorResponse(res, 'Professional not found', 404);
     }
 
-    const result = await withTransaction(async (client) => {
-      // Check for existing schedule on the same day
-      const existingResult = await client.query(`
-        SELECT * FROM professional_schedules 
-        WHERE professional_id = $1 AND day_of_week = $2
-          AND (effective_until IS NULL OR effective_until >= CURRENT_DATE)
-      `, [professionalId, scheduleData.dayOfWeek]);
-
-      if (existingResult.rows.length > 0) {
-        // End the existing schedule if creating a new one
-        await client.query(`
-          UPDATE professional_schedules 
-          SET effective_until = CURRENT_DATE - INTERVAL '1 day',
-              updated_at = CURRENT_TIMESTAMP
-          WHERE professional_id = $1 AND day_of_week = $2
-            AND (effective_until IS NULL OR effective_until >= CURRENT_DATE)
-        `, [professionalId, scheduleData.dayOfWeek]);
+    const timezone = scheduleData.timezone || await getProfessionalTimezone(null, professionalId);
+    const effectiveFrom = scheduleData.effectiveFrom || getTodayInTimezone(timezone);
+
+    // A day can hold several blocks, but they must not overlap
+    if (scheduleData.isAvailable) {
+      const overlapping = await findOverlappingBlock({ query }, {
+        professionalId,
+        dayOfWeek: scheduleData.dayOfWeek,
+        startTime: scheduleData.startTime,
+        endTime: scheduleData.endTime,
+        effectiveFrom
+      });
+
+      if (overlapping) {
+        return errorResponse(res,
+          `Schedule block overlaps with existing block ${overlapping.start_time}-${overlapping.end_time}`,
+          409
+        );
       }
+    }
 
-      // Create new schedule
+    const result = await withTransaction(async (client) => {
+      // Create new schedule block
       const insertResult = await client.query(`
         INSERT INTO professional_schedules (
           professional_id, day_of_week, start_time, end_time, is_available,
-          break_start_time, break_end_time, timezone, effective_from, effective_until
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+          timezone, effective_from, effective_until
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
         RETURNING *
       `, [
         professionalId,
@@ -144,14 +305,15 @@ router.post('/',
         scheduleData.startTime,
         scheduleData.endTime,
         scheduleData.isAvailable,
-        scheduleData.breakStartTime,
-        scheduleData.breakEndTime,
-        scheduleData.timezone,
-        scheduleData.effectiveFrom || new Date().toISOString().split('T')[0],
+        timezone,
+        effectiveFrom,
         scheduleData.effectiveUntil
-      ]);
+      ]).catch(translateOverlapError);
+
+      const schedule = insertResult.rows[0];
+      schedule.breaks = await replaceScheduleBreaks(client, schedule.id, getBlockBreaks(scheduleData));
 
-      return insertResult.rows[0];
+      return schedule;
     });
 
     // Create audit log
@@ -165,6 +327,7 @@ router.post('/',
         dayOfWeek: scheduleData.dayOfWeek,
         startTime: scheduleData.startTime,
         endTime: scheduleData.endTime,
+        breaks: result.breaks.length,
         isAvailable: scheduleData.isAvailable
       },
       riskLevel: RiskLevels.LOW,
@@ -177,6 +340,9 @@ router.post('/',
       createdBy: req.user.id
     });
 
+    // New availability may satisfy patients on the waitlist (not awaited)
+    offerAvailableSlots(professionalId);
+
     return createdResponse(res, result, 'Schedule created successfully');
   })
 );
@@ -220,7 +386,9 @@ router.get('/',
       params.push(isAvailable);
     }
 
-    const checkDate = effectiveDate || new Date().toISOString().split('T')[0];
+    const checkDate = effectiveDate || getTodayInTimezone(
+      targetProfessionalId ? await getProfessionalTimezone(null, targetProfessionalId) : DEFAULT_TIMEZONE
+    );
     whereConditions.push(`ps.effective_from <= $${paramIndex++}`);
     params.push(checkDate);
     whereConditions.push(`(ps.effective_until IS NULL OR ps.effective_until >= $${paramIndex++})`);
@@ -234,7 +402,7 @@ router.get('/',
       SELECT 
         ps.*,
         u.name as professional_name,
-        u.email as professional_email
+        u.email as professional_email,${breaksSelect}
       FROM professional_schedules ps
       LEFT JOIN users u ON ps.professional_id = u.id
       ${whereClause}
@@ -274,7 +442,7 @@ router.get('/:id',
       SELECT 
         ps.*,
         u.name as professional_name,
-        u.email as professional_email
+        u.email as professional_email,${breaksSelect}
       FROM professional_schedules ps
       LEFT JOIN users u ON ps.professional_id = u.id
       WHERE ps.id = $1
@@ -298,6 +466,117 @@ router.get('/:id',
   })
 );
 
+/**
+ * PUT /api/schedules/days/:dayOfWeek
+ * Replace all working blocks (and their breaks) of a weekday
+ */
+router.put('/days/:dayOfWeek',
+  validateParams(z.object({
+    dayOfWeek: dayOfWeekSchema
+  })),
+  validateBody(dayScheduleSchema),
+  requireRole(['professional', 'admin']),
+  asyncHandler(async (req, res) => {
+    const { dayOfWeek } = req.params;
+    const dayData = req.body;
+    const professionalId = req.user.role === 'professional' ? req.user.id : dayData.professionalId;
+
+    if (!professionalId) {
+      return errorResponse(res, 'Professional ID is required', 400);
+    }
+
+    // Verify professional exists
+    const professionalResult = await query(
+      'SELECT * FROM users WHERE id = $1 AND role = $2',
+      [professionalId, 'professional']
+    );
+
+    if (professionalResult.rows.length === 0) {
+      return errorResponse(res, 'Professional not found', 404);
+    }
+
+    const timezone = dayData.timezone || await getProfessionalTimezone(null, professionalId);
+    const effectiveFrom = dayData.effectiveFrom || getTodayInTimezone(timezone);
+    const blocks = dayData.enabled ? dayData.blocks : [];
+
+    const result = await withTransaction(async (client) => {
+      // Blocks that have not started yet are replaced outright
+      await client.query(`
+        DELETE FROM professional_schedules
+        WHERE professional_id = $1 AND day_of_week = $2 AND effective_from >= $3
+      `, [professionalId, dayOfWeek, effectiveFrom]);
+
+      // Blocks already in effect end the day before the new ones start
+      await client.query(`
+        UPDATE professional_schedules 
+        SET effective_until = $3::date - INTERVAL '1 day',
+            updated_at = CURRENT_TIMESTAMP
+        WHERE professional_id = $1 AND day_of_week = $2
+          AND (effective_until IS NULL OR effective_until >= $3)
+      `, [professionalId, dayOfWeek, effectiveFrom]);
+
+      const created = [];
+      for (const block of blocks) {
+        const insertResult = await client.query(`
+          INSERT INTO professional_schedules (
+            professional_id, day_of_week, start_time, end_time, is_available,
+            timezone, effective_from
+          ) VALUES ($1, $2, $3, $4, true, $5, $6)
+          RETURNING *
+        `, [
+          professionalId,
+          dayOfWeek,
+          block.startTime,
+          block.endTime,
+          timezone,
+          effectiveFrom
+        ]).catch(translateOverlapError);
+
+        const schedule = insertResult.rows[0];
+        schedule.breaks = await replaceScheduleBreaks(client, schedule.id, getBlockBreaks(block));
+        created.push(schedule);
+      }
+
+      return created;
+    });
+
+    // Create audit log
+    await createAuditLog({
+      userId: req.user.id,
+      action: AuditActions.USER_UPDATED,
+      resource: 'professional_schedule',
+      resourceId: professionalId,
+      details: {
+        professionalId,
+        dayOfWeek,
+        effectiveFrom,
+        blocks: result.map(schedule => ({
+          startTime: schedule.start_time,
+          endTime: schedule.end_time,
+          breaks: schedule.breaks.length
+        }))
+      },
+      riskLevel: RiskLevels.LOW,
+    });
+
+    logInfo('Professional day schedule replaced', {
+      professionalId,
+      dayOfWeek,
+      blocks: result.length,
+      updatedBy: req.user.id
+    });
+
+    // New availability may satisfy patients on the waitlist (not awaited)
+    offerAvailableSlots(professionalId);
+
+    return successResponse(res, {
+      dayOfWeek,
+      enabled: result.length > 0,
+      blocks: result
+    }, 'Day schedule updated successfully');
+  })
+);
+
 /**
  * PUT /api/schedules/:id
  * Update a schedule entry
@@ -332,19 +611,42 @@ router.put('/:id',
       return errorResponse(res, 'Access denied to update this schedule', 403);
     }
 
+    // Make sure the updated block does not overlap the other blocks of the day
+    if (updateData.isAvailable) {
+      const overlapping = await findOverlappingBlock({ query }, {
+        professionalId: currentSchedule.professional_id,
+        dayOfWeek: updateData.dayOfWeek,
+        startTime: updateData.startTime,
+        endTime: updateData.endTime,
+        effectiveFrom: currentSchedule.effective_from,
+        excludeScheduleId: scheduleId
+      });
+
+      if (overlapping) {
+        return errorResponse(res,
+          `Schedule block overlaps with existing block ${overlapping.start_time}-${overlapping.end_time}`,
+          409
+        );
+      }
+    }
+
     // Build update query
     const updateFields = [];
     const params = [];
     let paramIndex = 1;
 
-    const allowedFields = [
-      'day_of_week', 'start_time', 'end_time', 'is_available',
-      'break_start_time', 'break_end_time', 'timezone', 'effective_until'
-    ];
+    const fieldColumns = {
+      dayOfWeek: 'day_of_week',
+      startTime: 'start_time',
+      endTime: 'end_time',
+      isAvailable: 'is_available',
+      timezone: 'timezone',
+      effectiveUntil: 'effective_until'
+    };
 
-    for (const field of allowedFields) {
+    for (const [field, column] of Object.entries(fieldColumns)) {
       if (updateData[field] !== undefined) {
-        updateFields.push(`${field} = $${paramIndex++}`);
+        updateFields.push(`${column} = $${paramIndex++}`);
         params.push(updateData[field]);
       }
     }
@@ -356,14 +658,24 @@ router.put('/:id',
     updateFields.push('updated_at = CURRENT_TIMESTAMP');
     params.push(scheduleId);
 
-    const updateResult = await query(`
-      UPDATE professional_schedules 
-      SET ${updateFields.join(', ')}
-      WHERE id = $${paramIndex}
-      RETURNING *
-    `, params);
+    const updatedSchedule = await withTransaction(async (client) => {
+      const updateResult = await client.query(`
+        UPDATE professional_schedules 
+        SET ${updateFields.join(', ')}
+        WHERE id = $${paramIndex}
+        RETURNING *
+      `, params).catch(translateOverlapError);
+
+      const schedule = updateResult.rows[0];
+      const replacesBreaks = updateData.breaks !== undefined ||
+        Boolean(updateData.breakStartTime && updateData.breakEndTime);
 
-    const updatedSchedule = updateResult.rows[0];
+      schedule.breaks = replacesBreaks
+        ? await replaceScheduleBreaks(client, scheduleId, getBlockBreaks(updateData))
+        : await getKeptScheduleBreaks(client, schedule);
+
+      return schedule;
+    });
 
     // Create audit log
     await createAuditLog({
@@ -390,6 +702,9 @@ router.put('/:id',
       updatedBy: req.user.id
     });
 
+    // New availability may satisfy patients on the waitlist (not awaited)
+    offerAvailableSlots(currentSchedule.professional_id);
+
     return successResponse(res, updatedSchedule, 'Schedule updated successfully');
   })
 );
@@ -551,6 +866,11 @@ router.post('/exceptions',
       createdBy: req.user.id
     });
 
+    if (exceptionData.isAvailable) {
+      // Extra hours may satisfy patients on the waitlist (not awaited)
+      offerAvailableSlots(professionalId);
+    }
+
     return createdResponse(res, exception, 'Schedule exception created successfully');
   })
 );
@@ -679,6 +999,11 @@ router.delete('/exceptions/:id',
       deletedBy: req.user.id
     });
 
+    if (!currentException.is_available) {
+      // The day is bookable again, which may satisfy patients on the waitlist (not awaited)
+      offerAvailableSlots(currentException.professional_id);
+    }
+
     return noContentResponse(res, 'Schedule exception deleted successfully');
   })
 );
@@ -11,6 +11,8 @@ import {
   deleteService,
   getServicesByProfessional 
 } from '../services/serviceService.js';
+import { enforcePlanLimit } from '../middleware/entitlements.js';
+import { ENTITLEMENTS } from '../services/entitlementService.js';
 import { z } from 'zod';
 import { auditMiddleware, AuditActions, RiskLevels } from '../utils/auditLog.js';
 
@@ -27,7 +29,13 @@ const serviceCreateSchema = z.object({
   category: z.string().min(1).max(100, 'Category is required'),
   duration_minutes: z.number().int().min(15).max(480, 'Duration must be between 15 and 480 minutes'),
   base_fee: z.number().min(0, 'Fee must be non-negative'),
+  buffer_before_minutes: z.number().int().min(0).max(240, 'Buffer must be between 0 and 240 minutes').default(0),
+  buffer_after_minutes: z.number().int().min(0).max(240, 'Buffer must be between 0 and 240 minutes').default(0),
+  min_booking_notice_minutes: z.number().int().min(0).max(43200, 'Booking notice cannot exceed 30 days').default(0),
   currency: z.string().length(3).default('EUR'),
+  payment_mode: z.enum(['none', 'prepayment', 'deposit']).default('none'),
+  deposit_type: z.enum(['fixed', 'percentage']).default('percentage'),
+  deposit_value: z.number().min(0, 'Deposit must be non-negative').default(0),
   is_virtual_available: z.boolean().default(true),
   is_in_person_available: z.boolean().default(true),
   requires_preparation: z.boolean().default(false),
@@ -39,6 +47,12 @@ const serviceCreateSchema = z.object({
 }, {
   message: 'At least one modality (virtual or in-person) must be available',
   path: ['is_virtual_available']
+}).refine(data => data.payment_mode !== 'deposit' || data.deposit_value > 0, {
+  message: 'A deposit amount is required',
+  path: ['deposit_value']
+}).refine(data => data.deposit_type !== 'percentage' || data.deposit_value <= 100, {
+  message: 'Deposit percentage cannot exceed 100',
+  path: ['deposit_value']
 });
 
 const serviceUpdateSchema = serviceCreateSchema;
@@ -62,6 +76,7 @@ const serviceQuerySchema = z.object({
 router.post('/',
   validateBody(serviceCreateSchema),
   requireRole(['professional', 'admin']),
+  enforcePlanLimit(ENTITLEMENTS.MAX_SERVICES, { when: (req) => req.body.is_active }),
   auditMiddleware({
     action: AuditActions.USER_UPDATED,
     resource: 'professional_service',
@@ -200,6 +215,9 @@ router.put('/:id',
   })),
   validateBody(serviceUpdateSchema),
   requireRole(['professional', 'admin']),
+  enforcePlanLimit(ENTITLEMENTS.MAX_SERVICES, {
+    when: (req) => req.body.is_active && isReactivation(req.params.id)
+  }),
   auditMiddleware({
     action: AuditActions.USER_UPDATED,
     resource: 'professional_service',
@@ -282,6 +300,9 @@ router.patch('/:id/status',
     reason: z.string().max(500).optional()
   })),
   requireRole(['professional', 'admin']),
+  enforcePlanLimit(ENTITLEMENTS.MAX_SERVICES, {
+    when: (req) => req.body.isActive && isReactivation(req.params.id)
+  }),
   auditMiddleware({
     action: AuditActions.USER_UPDATED,
     resource: 'professional_service_status',
@@ -332,4 +353,10 @@ const checkServiceInUse = async (serviceId) => {
   return parseInt(result.rows[0].count) > 0;
 };
 
+// Activating a service that is currently inactive counts against the plan's service limit
+const isReactivation = async (serviceId) => {
+  const service = await getServiceById(serviceId);
+  return !service.is_active;
+};
+
 export default router;
\ No newline at end of file
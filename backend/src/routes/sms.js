@@ -0,0 +1,100 @@
+import express from 'express';
+import twilio from 'twilio';
+import { z } from 'zod';
+import { validateBody, validateQuery } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { successResponse, createdResponse, errorResponse } from '../utils/responses.js';
+import smsService, { normalizePhoneNumber } from '../services/smsService.js';
+import { handleInboundSms } from '../services/smsReplyService.js';
+import { logWarning } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Twilio signs every webhook with the account's auth token, over the URL it was configured
+// with and the POST parameters
+const verifyTwilioSignature = (req, res, next) => {
+  const authToken = smsService.getWebhookAuthToken();
+
+  if (!authToken) {
+    return errorResponse(res, 'SMS webhook not configured', 500);
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  if (!signature || !twilio.validateRequest(authToken, signature, smsService.getInboundWebhookUrl(), req.body)) {
+    logWarning('Invalid inbound SMS signature', { ip: req.ip });
+    return errorResponse(res, 'Invalid signature', 403);
+  }
+
+  next();
+};
+
+/**
+ * POST /api/sms/inbound
+ * Inbound SMS webhook: a patient answering a reminder with SI / NO.
+ * Answers with TwiML; the provider sends its message back to the patient.
+ */
+router.post('/inbound',
+  verifyTwilioSignature,
+  asyncHandler(async (req, res) => {
+    const { MessageSid, From, Body } = req.body;
+    const twiml = new twilio.twiml.MessagingResponse();
+
+    if (From) {
+      const { reply } = await handleInboundSms({ messageSid: MessageSid, from: From, body: Body || '' });
+      if (reply) {
+        twiml.message(reply);
+      }
+    }
+
+    res.type('text/xml');
+    return res.send(twiml.toString());
+  })
+);
+
+// Local gateway (SMS_PROVIDER=local): reply as a patient and read the conversation, to go
+// through the whole SMS flow offline
+const requireLocalGateway = (req, res, next) => {
+  if (!smsService.getLocalGateway()) {
+    return errorResponse(res, 'Local SMS gateway not enabled', 404);
+  }
+
+  next();
+};
+
+/**
+ * GET /api/sms/local/messages
+ * Messages sent and received by the local gateway, optionally for one phone number
+ */
+router.get('/local/messages',
+  requireLocalGateway,
+  validateQuery(z.object({
+    phone: z.string().min(6).max(20).optional()
+  })),
+  (req, res) => {
+    const phone = req.query.phone ? normalizePhoneNumber(req.query.phone) : null;
+
+    return successResponse(res, smsService.getLocalGateway().getMessages(phone), 'Messages retrieved successfully');
+  }
+);
+
+/**
+ * POST /api/sms/local/messages
+ * Send an SMS to the platform as if from a patient's phone; returns the answer sent back
+ */
+router.post('/local/messages',
+  requireLocalGateway,
+  validateBody(z.object({
+    from: z.string().min(6).max(20),
+    body: z.string().min(1).max(1600)
+  })),
+  asyncHandler(async (req, res) => {
+    const exchange = await smsService.getLocalGateway().receive({
+      from: normalizePhoneNumber(req.body.from),
+      body: req.body.body
+    });
+
+    return createdResponse(res, exchange, 'SMS delivered');
+  })
+);
+
+export default router;
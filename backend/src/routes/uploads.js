@@ -3,7 +3,9 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { requireAuth, attachUser } from '../middleware/auth.js';
+import { requireAuth, attachUser, requireRole } from '../middleware/auth.js';
+import { enforcePlanLimit } from '../middleware/entitlements.js';
+import { ENTITLEMENTS, MEDIA_TYPES } from '../services/entitlementService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -70,6 +72,14 @@ const avatarUpload = multer({
   }
 });
 
+const photoUpload = multer({
+  storage,
+  fileFilter: avatarFileFilter,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  }
+});
+
 // Apply authentication middleware to all routes
 router.use(requireAuth);
 
@@ -193,6 +203,78 @@ router.post('/avatar',
   }
 );
 
+// Store a profile photo or document and record it, so it counts against the plan's limit
+const uploadProfessionalMedia = (mediaType) => async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded'
+      });
+    }
+
+    const file = req.file;
+    const fileUrl = `/api/uploads/${file.filename}`;
+    const { query } = await import('../config/database.js');
+
+    const result = await query(`
+      INSERT INTO professional_media (id, professional_id, media_type, filename, url, original_name, mimetype, size)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id, media_type, filename, url, original_name, mimetype, size, created_at
+    `, [
+      `pm_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      req.user.id,
+      mediaType,
+      file.filename,
+      fileUrl,
+      file.originalname,
+      file.mimetype,
+      file.size
+    ]);
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      message: 'File uploaded successfully'
+    });
+  } catch (error) {
+    console.error('Error uploading professional media:', error);
+
+    if (req.file && fs.existsSync(req.file.path)) {
+      fs.unlinkSync(req.file.path);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Error uploading file'
+    });
+  }
+};
+
+/**
+ * POST /api/uploads/professional-media/photos
+ * Upload a profile photo, up to the plan's photo limit
+ */
+router.post('/professional-media/photos',
+  attachUser,
+  requireRole(['professional']),
+  enforcePlanLimit(ENTITLEMENTS.MAX_PHOTOS),
+  photoUpload.single('photo'),
+  uploadProfessionalMedia(MEDIA_TYPES.PHOTO)
+);
+
+/**
+ * POST /api/uploads/professional-media/documents
+ * Upload a profile document, up to the plan's document limit
+ */
+router.post('/professional-media/documents',
+  attachUser,
+  requireRole(['professional']),
+  enforcePlanLimit(ENTITLEMENTS.MAX_DOCUMENTS),
+  upload.single('document'),
+  uploadProfessionalMedia(MEDIA_TYPES.DOCUMENT)
+);
+
 /**
  * GET /api/uploads/:filename
  * Serve uploaded files
@@ -233,7 +315,7 @@ router.get('/:filename', requireAuth, attachUser, (req, res) => {
  * DELETE /api/uploads/:filename
  * Delete uploaded file
  */
-router.delete('/:filename', requireAuth, attachUser, (req, res) => {
+router.delete('/:filename', requireAuth, attachUser, async (req, res) => {
   try {
     const { filename } = req.params;
     const { userId } = req.auth;
@@ -256,6 +338,10 @@ router.delete('/:filename', requireAuth, attachUser, (req, res) => {
     }
     
     fs.unlinkSync(filePath);
+
+    // Frees up a slot of the plan's photo or document limit
+    const { query } = await import('../config/database.js');
+    await query('DELETE FROM professional_media WHERE filename = $1', [filename]);
     
     res.json({
       success: true,
@@ -1,7 +1,12 @@
 import express from 'express';
 import { requireAuth } from '../middleware/auth.js';
 import { withTransaction } from '../config/database.js';
-import { syncUserFromClerk } from '../controllers/userController.js';
+import { z } from 'zod';
+import { syncUserFromClerk, getUserByClerkId, updateUserPreferences } from '../controllers/userController.js';
+import { validateSchema } from '../middleware/validation.js';
+import { AppError, NotFoundError } from '../middleware/errorHandler.js';
+import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from '../services/notificationService.js';
+import { isValidTimezone } from '../utils/timezone.js';
 import { clerkClient } from '@clerk/express';
 import { 
   getUserStatusInfo, 
@@ -202,36 +207,65 @@ router.put('/profile', async (req, res) => {
   }
 });
 
+const timeSchema = z.string().regex(/^([01]\d|2[0-3]):[0-5]\d$/, 'Expected HH:MM');
+const channelSettingsSchema = z.object(
+  Object.fromEntries(Object.values(NOTIFICATION_CHANNELS).map(channel => [channel, z.boolean().optional()]))
+).strict();
+
+const preferencesSchema = z.object({
+  theme: z.enum(['light', 'dark', 'system']).optional(),
+  language: z.string().min(2).max(10).optional(),
+  timezone: z.string().refine(isValidTimezone, 'Invalid timezone').optional(),
+  notifications: z.object({
+    enabled: z.boolean().optional(),
+    channels: channelSettingsSchema.optional(),
+    types: z.record(
+      z.enum(Object.values(NOTIFICATION_TYPES)),
+      z.object({
+        muted: z.boolean().optional(),
+        channels: channelSettingsSchema.optional()
+      }).strict()
+    ).optional(),
+    quietHours: z.object({ start: timeSchema, end: timeSchema }).nullable().optional()
+  }).strict().optional()
+});
+
+// General preferences with the notification preferences matrix
+const getPreferences = async (userId) => {
+  const [user, notificationPreferences] = await Promise.all([
+    getUserByClerkId(userId),
+    notificationService.getNotificationPreferences(userId)
+  ]);
+
+  if (!user) {
+    throw new NotFoundError('User not found');
+  }
+
+  return {
+    theme: user.theme || 'system',
+    language: user.language || 'es',
+    timezone: notificationPreferences.timezone,
+    notifications: notificationService.formatNotificationPreferences(notificationPreferences)
+  };
+};
+
 /**
  * GET /api/users/preferences
- * Get current user's preferences
+ * Get current user's preferences, including which notifications reach them through which channels
  */
 router.get('/preferences', async (req, res) => {
   try {
     const { userId } = req.auth;
-    
-    const result = await withTransaction(async (client) => {
-      const query = `
-        SELECT preferences 
-        FROM users 
-        WHERE id = $1
-      `;
-      const queryResult = await client.query(query, [userId]);
-      
-      if (queryResult.rows.length === 0) {
-        throw new Error('User not found');
-      }
-      
-      return queryResult.rows[0].preferences || {};
-    });
-    
+
+    const result = await getPreferences(userId);
+
     res.json({
       success: true,
       data: result
     });
   } catch (error) {
     console.error('Error fetching user preferences:', error);
-    res.status(500).json({
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
       success: false,
       message: error.message || 'Error fetching user preferences'
     });
@@ -240,29 +274,26 @@ router.get('/preferences', async (req, res) => {
 
 /**
  * PUT /api/users/preferences
- * Update current user's preferences
+ * Update current user's preferences. Only the settings sent change.
  */
-router.put('/preferences', async (req, res) => {
+router.put('/preferences', validateSchema(preferencesSchema), async (req, res) => {
   try {
     const { userId } = req.auth;
-    const preferences = req.body;
-    
-    const result = await withTransaction(async (client) => {
-      const query = `
-        UPDATE users 
-        SET preferences = $1, updated_at = CURRENT_TIMESTAMP
-        WHERE id = $2
-        RETURNING preferences
-      `;
-      const queryResult = await client.query(query, [JSON.stringify(preferences), userId]);
-      
-      if (queryResult.rows.length === 0) {
-        throw new Error('User not found');
+    const { theme, language, timezone, notifications } = req.body;
+
+    // Both writes or neither, so a rejected notification setting leaves the rest unchanged
+    await withTransaction(async (client) => {
+      if (theme || language || timezone) {
+        await updateUserPreferences(userId, { theme, language, timezone }, client);
+      }
+
+      if (notifications) {
+        await notificationService.updateNotificationPreferences(userId, notifications, client);
       }
-      
-      return queryResult.rows[0].preferences;
     });
-    
+
+    const result = await getPreferences(userId);
+
     res.json({
       success: true,
       data: result,
@@ -270,9 +301,10 @@ router.put('/preferences', async (req, res) => {
     });
   } catch (error) {
     console.error('Error updating user preferences:', error);
-    res.status(500).json({
+    res.status(error instanceof AppError ? error.statusCode : 500).json({
       success: false,
-      message: error.message || 'Error updating user preferences'
+      message: error.message || 'Error updating user preferences',
+      errors: error.errors
     });
   }
 });
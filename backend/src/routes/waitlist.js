@@ -0,0 +1,167 @@
+import express from 'express';
+import { requireAuth, attachUser, requireRole } from '../middleware/auth.js';
+import { validateBody, validateParams, validateQuery } from '../middleware/validation.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { successResponse, createdResponse, errorResponse } from '../utils/responses.js';
+import {
+  joinWaitlist,
+  getWaitlistEntries,
+  leaveWaitlist,
+  acceptOffer,
+  declineOffer
+} from '../services/waitlistService.js';
+import { enforcePlanLimit } from '../middleware/entitlements.js';
+import { ENTITLEMENTS } from '../services/entitlementService.js';
+import { query } from '../config/database.js';
+import { z } from 'zod';
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(requireAuth);
+router.use(attachUser);
+
+// Validation schemas
+const dateSchema = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format');
+
+const waitlistJoinSchema = z.object({
+  professionalId: z.string().min(1, 'Professional ID is required'),
+  serviceId: z.string().uuid().optional(),
+  dateFrom: dateSchema.optional(),
+  dateTo: dateSchema.optional(),
+  notes: z.string().max(500).optional()
+}).refine(data => !data.dateFrom || !data.dateTo || data.dateFrom <= data.dateTo, {
+  message: 'Start date must be before end date',
+  path: ['dateTo']
+});
+
+const waitlistQuerySchema = z.object({
+  professionalId: z.string().optional(),
+  patientId: z.string().optional(),
+  status: z.enum(['waiting', 'offered', 'booked', 'cancelled']).optional()
+});
+
+const offerParamsSchema = z.object({
+  offerId: z.string().uuid('Invalid offer ID format')
+});
+
+/**
+ * POST /api/waitlist
+ * Join the waitlist of a professional
+ */
+router.post('/',
+  requireRole(['patient']),
+  validateBody(waitlistJoinSchema),
+  asyncHandler(async (req, res) => {
+    const entry = await joinWaitlist(req.body, req.user.id);
+
+    return createdResponse(res, entry, 'Added to the waitlist successfully');
+  })
+);
+
+/**
+ * GET /api/waitlist
+ * Patients see their own entries, professionals their waitlist, admins any
+ */
+router.get('/',
+  validateQuery(waitlistQuerySchema),
+  asyncHandler(async (req, res) => {
+    const filters = { ...req.query };
+
+    if (req.user.role === 'patient') {
+      filters.patientId = req.user.id;
+    } else if (req.user.role === 'professional') {
+      filters.professionalId = req.user.id;
+    }
+
+    const entries = await getWaitlistEntries(filters);
+
+    return successResponse(res, entries, 'Waitlist retrieved successfully');
+  })
+);
+
+/**
+ * DELETE /api/waitlist/:id
+ * Leave the waitlist
+ */
+router.delete('/:id',
+  validateParams(z.object({
+    id: z.string().uuid('Invalid waitlist entry ID format')
+  })),
+  asyncHandler(async (req, res) => {
+    const entryResult = await query(
+      'SELECT patient_id, status FROM waitlist_entries WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (entryResult.rows.length === 0) {
+      return errorResponse(res, 'Waitlist entry not found', 404);
+    }
+
+    const entry = entryResult.rows[0];
+
+    if (req.user.role !== 'admin' && req.user.id !== entry.patient_id) {
+      return errorResponse(res, 'Access denied to this waitlist entry', 403);
+    }
+
+    if (!['waiting', 'offered'].includes(entry.status)) {
+      return errorResponse(res, 'Waitlist entry is no longer active', 400);
+    }
+
+    const result = await leaveWaitlist(req.params.id, req.user.id);
+
+    return successResponse(res, result, 'Removed from the waitlist successfully');
+  })
+);
+
+// The patient's offer being accepted, looked up once for the plan limit check
+const loadOffer = async (req) => {
+  if (req.offer === undefined) {
+    const result = await query(`
+      SELECT wo.professional_id, to_char(wo.scheduled_date, 'YYYY-MM-DD') as slot_date
+      FROM waitlist_offers wo
+      JOIN waitlist_entries we ON wo.entry_id = we.id
+      WHERE wo.id = $1 AND we.patient_id = $2
+    `, [req.params.offerId, req.user.id]);
+    req.offer = result.rows[0] || null;
+  }
+
+  return req.offer;
+};
+
+// Accepting books the slot, which counts against the professional's monthly appointment limit
+const enforceOfferAppointmentLimit = enforcePlanLimit(ENTITLEMENTS.MAX_MONTHLY_APPOINTMENTS, {
+  professionalId: async (req) => (await loadOffer(req))?.professional_id,
+  date: async (req) => (await loadOffer(req)).slot_date
+});
+
+/**
+ * POST /api/waitlist/offers/:offerId/accept
+ * Book the slot held by an offer
+ */
+router.post('/offers/:offerId/accept',
+  requireRole(['patient']),
+  validateParams(offerParamsSchema),
+  enforceOfferAppointmentLimit,
+  asyncHandler(async (req, res) => {
+    const result = await acceptOffer(req.params.offerId, req.user.id);
+
+    return createdResponse(res, result, 'Waitlist offer accepted successfully');
+  })
+);
+
+/**
+ * POST /api/waitlist/offers/:offerId/decline
+ * Decline an offer; the slot is offered to the next patient
+ */
+router.post('/offers/:offerId/decline',
+  requireRole(['patient']),
+  validateParams(offerParamsSchema),
+  asyncHandler(async (req, res) => {
+    const offer = await declineOffer(req.params.offerId, req.user.id);
+
+    return successResponse(res, offer, 'Waitlist offer declined successfully');
+  })
+);
+
+export default router;
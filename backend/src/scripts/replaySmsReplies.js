@@ -0,0 +1,164 @@
+import express from 'express';
+import { query, testConnection, closePool } from '../config/database.js';
+import smsRoutes from '../routes/sms.js';
+import { errorHandler } from '../middleware/errorHandler.js';
+import smsService from '../services/smsService.js';
+import { createLocalSmsGateway } from '../services/localSmsGateway.js';
+import { openSmsConfirmation, SMS_REPLY_RESULTS } from '../services/smsReplyService.js';
+
+// Plays patient replies to reminder SMS through the local gateway against the inbound
+// webhook, served in-process, and checks what each reply did: a bare SI with two open
+// appointments is ambiguous, SI with a code confirms that appointment, the provider
+// retrying a message gets no second answer and NO cancels the one left. The patient's
+// phone is stored the way people type it (national format) while the gateway sends from
+// E.164, as Twilio does. Needs the database and SMS_PROVIDER=local; the users and
+// appointments it creates are removed at the end.
+
+const PATIENT_PHONE = '612 345 678';
+const PATIENT_SENDER = '+34612345678';
+
+const createAppointment = async ({ professionalId, patientId, startTime, endTime }) => {
+  const result = await query(
+    `INSERT INTO appointments (
+      professional_id, patient_id, title, status, scheduled_date, start_time, end_time,
+      duration_minutes, created_by
+    ) VALUES ($1, $2, 'Consulta', 'scheduled', '2099-01-05', $3, $4, 30, $2)
+    RETURNING id`,
+    [professionalId, patientId, startTime, endTime]
+  );
+
+  return result.rows[0].id;
+};
+
+const getAppointmentStatus = async (appointmentId) => {
+  const result = await query('SELECT status::text FROM appointments WHERE id = $1', [appointmentId]);
+  return result.rows[0]?.status;
+};
+
+const getInboundResult = async (sid) => {
+  const result = await query(
+    "SELECT result FROM sms_messages WHERE direction = 'inbound' AND provider_message_id = $1",
+    [sid]
+  );
+
+  return result.rows.map(row => row.result);
+};
+
+// Listen on a free port and point the inbound webhook URL (which signatures cover) at it
+const startWebhookServer = async () => {
+  const app = express();
+  app.use(express.urlencoded({ extended: true }));
+  app.use('/api/sms', smsRoutes);
+  app.use(errorHandler);
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  process.env.BACKEND_URL = `http://127.0.0.1:${server.address().port}`;
+  return server;
+};
+
+async function replaySmsReplies() {
+  const runId = Date.now();
+  const patientId = `user_sms_patient_${runId}`;
+  const professionalId = `user_sms_professional_${runId}`;
+  const failures = [];
+  let server = null;
+
+  const check = (step, condition, message) => {
+    if (condition) {
+      console.log(`✅ ${step}`);
+    } else {
+      console.log(`❌ ${step}: ${message}`);
+      failures.push(step);
+    }
+  };
+
+  try {
+    console.log('🧪 Replaying patient SMS replies...');
+
+    if (!smsService.getLocalGateway()) {
+      console.error('❌ Run with SMS_PROVIDER=local: replies are answered through the local gateway');
+      process.exit(1);
+    }
+
+    const isConnected = await testConnection();
+    if (!isConnected) {
+      console.error('❌ Could not connect to database');
+      process.exit(1);
+    }
+
+    server = await startWebhookServer();
+    const gateway = createLocalSmsGateway({
+      fromNumber: smsService.fromNumber,
+      authToken: smsService.getWebhookAuthToken(),
+      webhookUrl: smsService.getInboundWebhookUrl()
+    });
+
+    await query(
+      `INSERT INTO users (id, email, name, phone, role, status) VALUES
+        ($1, $2, 'SMS Patient', $3, 'patient', 'active'),
+        ($4, $5, 'SMS Professional', NULL, 'professional', 'active')`,
+      [patientId, `sms_patient_${runId}@fixtures.test`, PATIENT_PHONE, professionalId, `sms_professional_${runId}@fixtures.test`]
+    );
+
+    const first = await createAppointment({ professionalId, patientId, startTime: '10:00', endTime: '10:30' });
+    const second = await createAppointment({ professionalId, patientId, startTime: '11:00', endTime: '11:30' });
+    const firstCode = await openSmsConfirmation(first, PATIENT_PHONE);
+    const secondCode = await openSmsConfirmation(second, PATIENT_PHONE);
+
+    // Two open appointments: a reply without a code cannot tell them apart
+    const ambiguous = await gateway.receive({ from: PATIENT_SENDER, body: 'Sí' });
+    check(
+      'SI with two open appointments asks for the code',
+      (await getInboundResult(ambiguous.inbound.sid))[0] === SMS_REPLY_RESULTS.AMBIGUOUS &&
+        ambiguous.reply?.body.includes(firstCode) && ambiguous.reply?.body.includes(secondCode) &&
+        await getAppointmentStatus(first) === 'scheduled' && await getAppointmentStatus(second) === 'scheduled',
+      `answered "${ambiguous.reply?.body}"`
+    );
+
+    const confirmed = await gateway.receive({ from: PATIENT_SENDER, body: `SI ${firstCode}` });
+    check(
+      'SI with a code confirms that appointment',
+      (await getInboundResult(confirmed.inbound.sid))[0] === SMS_REPLY_RESULTS.CONFIRMED &&
+        await getAppointmentStatus(first) === 'confirmed' && await getAppointmentStatus(second) === 'scheduled',
+      `answered "${confirmed.reply?.body}"`
+    );
+
+    // The provider retries a webhook it got no answer for, with the same MessageSid
+    const retried = await gateway.receive({ from: PATIENT_SENDER, body: `NO ${secondCode}`, sid: confirmed.inbound.sid });
+    check(
+      'A retried message is handled once',
+      retried.reply === null &&
+        (await getInboundResult(confirmed.inbound.sid)).length === 1 &&
+        await getAppointmentStatus(second) === 'scheduled',
+      `answered "${retried.reply?.body}"`
+    );
+
+    const cancelled = await gateway.receive({ from: PATIENT_SENDER, body: 'no' });
+    check(
+      'NO with one open appointment cancels it',
+      (await getInboundResult(cancelled.inbound.sid))[0] === SMS_REPLY_RESULTS.CANCELLED &&
+        await getAppointmentStatus(second) === 'cancelled' && await getAppointmentStatus(first) === 'confirmed',
+      `answered "${cancelled.reply?.body}"`
+    );
+
+    console.log(`\n${4 - failures.length}/4 replies handled as expected`);
+
+  } catch (error) {
+    console.error('❌ Error replaying SMS replies:', error);
+    failures.push('error');
+  } finally {
+    await query('DELETE FROM sms_messages WHERE phone = $1', [PATIENT_SENDER]);
+    await query('DELETE FROM users WHERE id = ANY($1)', [[patientId, professionalId]]);
+    if (server) {
+      server.close();
+    }
+    await closePool();
+  }
+
+  process.exit(failures.length > 0 ? 1 : 0);
+}
+
+replaySmsReplies();
@@ -0,0 +1,230 @@
+import { readdir, readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import express from 'express';
+import Stripe from 'stripe';
+import { query, testConnection, closePool } from '../config/database.js';
+import { parseJsonBody } from '../middleware/bodyParsers.js';
+import paymentRoutes from '../routes/payments.js';
+import paymentService from '../services/paymentService.js';
+
+// Posts the recorded Stripe events in fixtures/stripe to the webhook endpoint, served
+// in-process with the server's body parsing, signed locally and with the Stripe API answered
+// from the responses recorded in each fixture, so no request leaves the machine. Each event is delivered twice to check that a handled
+// event is not processed again, and the handler of a processed event is run once more, as
+// a replay after a partial failure would, before its rows are checked. Needs the database;
+// the stored events and the fixtures' users, with everything created for them, are removed
+// at the end.
+//
+// Fixture format ("{run}" anywhere in a fixture is replaced by an id unique to the run):
+//   event       - the Stripe event, as delivered to the webhook
+//   stripe      - recorded API responses keyed by resource and method, e.g. "paymentIntents.retrieve"
+//   setup       - rows inserted before the first delivery, in order: [{ table, row }]
+//   expect      - { status, error?, rows? }: webhook_events status (and error) after the first
+//                 delivery; rows lists { query, params, rows } whose result must equal rows
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'stripe');
+const WEBHOOK_SECRET = 'whsec_fixtures';
+
+// Tables without a foreign key to users; everything else goes with the fixtures' users
+const USER_OWNED_TABLES = ['transactions', 'invoices', 'payments', 'subscriptions'];
+
+// A Stripe client that signs and verifies webhooks offline and answers API calls from the fixture
+const createOfflineStripe = (responses = {}) => {
+  const stripe = new Stripe('sk_test_fixtures');
+
+  const resource = (name) => new Proxy({}, {
+    get: (target, method) => async () => {
+      const key = `${name}.${String(method)}`;
+
+      if (!(key in responses)) {
+        throw new Error(`No recorded Stripe response for ${key}`);
+      }
+
+      return responses[key];
+    }
+  });
+
+  return new Proxy(stripe, {
+    get: (target, property) => (property === 'webhooks' ? target.webhooks : resource(String(property)))
+  });
+};
+
+// Listen on a free port with the body parsing and payment routes of the server
+const startWebhookServer = async () => {
+  const app = express();
+  app.use(parseJsonBody);
+  app.use('/api/payments', paymentRoutes);
+
+  return new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+};
+
+const deliver = async (server, stripe, event) => {
+  const payload = JSON.stringify(event);
+  const signature = stripe.webhooks.generateTestHeaderString({ payload, secret: WEBHOOK_SECRET });
+
+  const response = await fetch(`http://127.0.0.1:${server.address().port}/api/payments/webhooks/stripe`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  });
+
+  return response.json();
+};
+
+const getStoredEvent = async (eventId) => {
+  const result = await query(
+    "SELECT status, error, retry_count FROM webhook_events WHERE source = 'stripe' AND event_id = $1",
+    [eventId]
+  );
+
+  return result.rows[0] || null;
+};
+
+const insertRows = async (setup = []) => {
+  for (const { table, row } of setup) {
+    const columns = Object.keys(row);
+    const values = columns.map(column => (
+      row[column] !== null && typeof row[column] === 'object' ? JSON.stringify(row[column]) : row[column]
+    ));
+
+    await query(
+      `INSERT INTO ${table} (${columns.join(', ')})
+      VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})`,
+      values
+    );
+  }
+};
+
+const checkRows = async (expectedRows = []) => {
+  const failures = [];
+
+  for (const expected of expectedRows) {
+    const result = await query(expected.query, expected.params || []);
+    const actual = JSON.stringify(result.rows);
+
+    if (actual !== JSON.stringify(expected.rows)) {
+      failures.push(`${expected.query} returned ${actual}, expected ${JSON.stringify(expected.rows)}`);
+    }
+  }
+
+  return failures;
+};
+
+const runFixture = async (server, file, runId, userIds) => {
+  const source = await readFile(path.join(FIXTURES_DIR, file), 'utf8');
+  const fixture = JSON.parse(source.replaceAll('{run}', runId));
+  const event = { ...fixture.event, id: `${fixture.event.id}_${runId}` };
+  const stripe = createOfflineStripe(fixture.stripe);
+  const failures = [];
+
+  paymentService.stripe = stripe;
+  paymentService.webhookSecret = WEBHOOK_SECRET;
+
+  for (const { table, row } of fixture.setup || []) {
+    if (table === 'users') {
+      userIds.push(row.id);
+    }
+  }
+  await insertRows(fixture.setup);
+
+  await deliver(server, stripe, event);
+  const first = await getStoredEvent(event.id);
+
+  if (!first) {
+    failures.push('event was not stored');
+  } else {
+    if (first.status !== fixture.expect.status) {
+      failures.push(`status ${first.status}, expected ${fixture.expect.status}`);
+    }
+    if (fixture.expect.error && !(first.error || '').includes(fixture.expect.error)) {
+      failures.push(`error "${first.error}", expected "${fixture.expect.error}"`);
+    }
+  }
+
+  // Redelivery: handled events are skipped, failed events run again
+  const redelivery = await deliver(server, stripe, event);
+  const second = await getStoredEvent(event.id);
+
+  if (first && first.status === 'failed') {
+    if (!second || second.retry_count !== first.retry_count + 1) {
+      failures.push('failed event was not processed again on redelivery');
+    }
+  } else if (!redelivery.duplicate) {
+    failures.push('redelivered event was processed again');
+  }
+
+  if (fixture.expect.rows) {
+    if (second?.status === 'processed') {
+      try {
+        await paymentService.dispatchWebhookEvent(event);
+      } catch (error) {
+        failures.push(`handler failed when run again: ${error.message}`);
+      }
+    }
+
+    failures.push(...await checkRows(fixture.expect.rows));
+  }
+
+  return { file, description: fixture.description, eventId: event.id, failures };
+};
+
+async function replayStripeFixtures() {
+  // Twelve digits, so fixtures can also build UUIDs with it
+  const runId = String(Date.now()).slice(-12);
+  const eventIds = [];
+  const userIds = [];
+  let failed = 0;
+  let server = null;
+
+  try {
+    console.log('🧪 Replaying recorded Stripe webhook events...');
+
+    const isConnected = await testConnection();
+    if (!isConnected) {
+      console.error('❌ Could not connect to database');
+      process.exit(1);
+    }
+
+    server = await startWebhookServer();
+    const files = (await readdir(FIXTURES_DIR)).filter(file => file.endsWith('.json')).sort();
+
+    for (const file of files) {
+      const result = await runFixture(server, file, runId, userIds);
+      eventIds.push(result.eventId);
+
+      if (result.failures.length === 0) {
+        console.log(`✅ ${file}: ${result.description}`);
+      } else {
+        failed++;
+        console.log(`❌ ${file}: ${result.failures.join('; ')}`);
+      }
+    }
+
+    console.log(`\n${files.length - failed}/${files.length} fixtures passed`);
+
+  } catch (error) {
+    console.error('❌ Error replaying fixtures:', error);
+    failed++;
+  } finally {
+    if (eventIds.length > 0) {
+      await query("DELETE FROM webhook_events WHERE source = 'stripe' AND event_id = ANY($1)", [eventIds]);
+    }
+    if (userIds.length > 0) {
+      for (const table of USER_OWNED_TABLES) {
+        await query(`DELETE FROM ${table} WHERE user_id = ANY($1)`, [userIds]);
+      }
+      await query('DELETE FROM users WHERE id = ANY($1)', [userIds]);
+    }
+    if (server) {
+      server.close();
+    }
+    await closePool();
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+replayStripeFixtures();
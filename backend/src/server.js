@@ -8,6 +8,7 @@ import dotenv from 'dotenv';
 import { createServer } from 'http';
 import { clerkMiddleware } from '@clerk/express';
 import { testConnection } from './config/database.js';
+import { parseJsonBody } from './middleware/bodyParsers.js';
 
 // Import WebSocket and notification services
 import webSocketManager from './utils/websocket.js';
@@ -19,8 +20,11 @@ import webhookRoutes from './routes/webhooks.js';
 import userRoutes from './routes/users.js';
 import userValidationRoutes from './routes/userValidation.js';
 import uploadRoutes from './routes/uploads.js';
-import appointmentRoutes from './routes/appointments.js';
+import appointmentRoutes, { appointmentResponseRouter } from './routes/appointments.js';
 import scheduleRoutes from './routes/schedules.js';
+import waitlistRoutes from './routes/waitlist.js';
+import calendarRoutes, { calendarFeedRouter } from './routes/calendar.js';
+import externalCalendarRoutes from './routes/externalCalendars.js';
 import serviceRoutes from './routes/services.js';
 import validationRoutes from './routes/validation.js';
 import patientRoutes from './routes/patients.js';
@@ -30,6 +34,7 @@ import ticketRoutes from './routes/tickets.js';
 import notificationRoutes from './routes/notifications.js';
 import paymentRoutes from './routes/payments.js';
 import professionalRoutes from './routes/professionals.js';
+import smsRoutes from './routes/sms.js';
 
 dotenv.config();
 
@@ -129,7 +134,7 @@ app.use((req, res, next) => {
 });
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(parseJsonBody);
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Serve static files from uploads directory (with security)
@@ -217,7 +222,9 @@ app.get('/api', (req, res) => {
       notifications: '/api/notifications',
       payments: '/api/payments',
       professionals: '/api/professionals',
-      appointments: '/api/appointments'
+      appointments: '/api/appointments',
+      waitlist: '/api/waitlist',
+      calendar: '/api/calendar'
     }
   });
 });
@@ -228,8 +235,13 @@ app.use('/api/webhooks', webhookRoutes);
 app.use('/api/users', clerkAuth, userRoutes);
 app.use('/api/users', clerkAuth, userValidationRoutes);
 app.use('/api/uploads', clerkAuth, uploadRoutes);
+app.use('/api/appointments/respond', appointmentResponseRouter); // Token-authenticated, for reminder links
 app.use('/api/appointments', clerkAuth, appointmentRoutes);
+app.use('/api/schedules/external-calendars', clerkAuth, externalCalendarRoutes);
 app.use('/api/schedules', clerkAuth, scheduleRoutes);
+app.use('/api/waitlist', clerkAuth, waitlistRoutes);
+app.use('/api/calendar/feed', calendarFeedRouter); // Token-authenticated, for calendar clients
+app.use('/api/calendar', clerkAuth, calendarRoutes);
 app.use('/api/services', clerkAuth, serviceRoutes);
 app.use('/api/validation', clerkAuth, validationRoutes);
 app.use('/api/patients', clerkAuth, patientRoutes);
@@ -239,6 +251,7 @@ app.use('/api/tickets', clerkAuth, ticketRoutes);
 app.use('/api/notifications', clerkAuth, notificationRoutes);
 app.use('/api/payments', paymentRoutes); // Webhooks need to be processed without auth
 app.use('/api/professionals', professionalRoutes);
+app.use('/api/sms', smsRoutes); // Inbound SMS webhooks are signed by the provider
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,372 @@
+import { query } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import paymentService from './paymentService.js';
+import { updateAppointment, cancelAppointment } from './appointmentService.js';
+import { getInvoicingSettings } from './taxService.js';
+import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './notificationService.js';
+import pdfGenerator from '../utils/pdfGenerator.js';
+import { PAYMENT_TYPES, REFUND_REASONS, formatCurrency } from '../models/paymentModel.js';
+
+export const PAYMENT_MODES = {
+  NONE: 'none',
+  PREPAYMENT: 'prepayment',
+  DEPOSIT: 'deposit'
+};
+
+export const APPOINTMENT_PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  AWAITING_PAYMENT: 'awaiting_payment',
+  PAID: 'paid',
+  DEPOSIT_PAID: 'deposit_paid',
+  EXPIRED: 'expired',
+  CANCELLED: 'cancelled'
+};
+
+// How long an unpaid booking keeps its slot
+export const PAYMENT_HOLD_MINUTES = parseInt(process.env.APPOINTMENT_PAYMENT_HOLD_MINUTES) || 30;
+
+// Unpaid bookings expired per job run
+const EXPIRY_BATCH_SIZE = 50;
+
+const paymentTypes = {
+  [PAYMENT_MODES.PREPAYMENT]: PAYMENT_TYPES.APPOINTMENT,
+  [PAYMENT_MODES.DEPOSIT]: PAYMENT_TYPES.APPOINTMENT_DEPOSIT
+};
+
+// Amount a service asks for at booking, in the appointment currency
+export const calculateAmountDue = (service, fee) => {
+  const appointmentFee = Number(fee) || 0;
+
+  if (service?.payment_mode === PAYMENT_MODES.PREPAYMENT) {
+    return appointmentFee;
+  }
+
+  if (service?.payment_mode === PAYMENT_MODES.DEPOSIT) {
+    const value = Number(service.deposit_value) || 0;
+    const deposit = service.deposit_type === 'fixed'
+      ? value
+      : Math.round(appointmentFee * value) / 100;
+    return Math.min(deposit, appointmentFee);
+  }
+
+  return 0;
+};
+
+// Put a just-booked appointment on hold until its payment succeeds, when its service asks
+// for payment at booking. Runs in the booking transaction; returns the updated appointment.
+export const holdAppointmentForPayment = async (client, appointment) => {
+  if (!appointment.service_id) {
+    return appointment;
+  }
+
+  const serviceResult = await client.query(
+    'SELECT payment_mode, deposit_type, deposit_value FROM professional_services WHERE id = $1',
+    [appointment.service_id]
+  );
+
+  const service = serviceResult.rows[0];
+  const amountDue = calculateAmountDue(service, appointment.fee);
+
+  if (amountDue <= 0) {
+    return appointment;
+  }
+
+  const result = await client.query(`
+    UPDATE appointments
+    SET payment_status = $1,
+      amount_due = $2,
+      payment_due_at = NOW() + make_interval(mins => $3)
+    WHERE id = $4
+    RETURNING *
+  `, [APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT, amountDue, PAYMENT_HOLD_MINUTES, appointment.id]);
+
+  return { ...result.rows[0], payment_mode: service.payment_mode };
+};
+
+// Start the payment of an appointment on hold, less the discount code if one is given.
+// Returns what the client needs to complete it. If the payment cannot be started (including
+// an invalid discount code) the slot is released straight away.
+export const requestAppointmentPayment = async (appointment, { discountCode = null } = {}) => {
+  try {
+    const amount = Math.round(Number(appointment.amount_due) * 100);
+    const { payment, clientSecret, paymentIntentId } = await paymentService.createPaymentIntent({
+      userId: appointment.patient_id,
+      amount,
+      currency: appointment.currency,
+      paymentType: paymentTypes[appointment.payment_mode] || PAYMENT_TYPES.APPOINTMENT,
+      description: appointment.payment_mode === PAYMENT_MODES.DEPOSIT
+        ? `Señal - ${appointment.title}`
+        : appointment.title,
+      metadata: {
+        appointmentId: appointment.id,
+        paymentMode: appointment.payment_mode
+      },
+      appointmentId: appointment.id,
+      discountCode
+    });
+
+    await query(
+      'UPDATE appointments SET payment_id = $1 WHERE id = $2',
+      [payment.id, appointment.id]
+    );
+
+    logInfo('Appointment payment requested', {
+      appointmentId: appointment.id,
+      paymentId: payment.id,
+      amount: payment.amount
+    });
+
+    return {
+      paymentId: payment.id,
+      paymentIntentId,
+      clientSecret,
+      amount: payment.amount,
+      discountAmount: amount - payment.amount,
+      currency: appointment.currency,
+      dueAt: appointment.payment_due_at
+    };
+
+  } catch (error) {
+    await releaseUnpaidAppointment(appointment.id, 'No se pudo iniciar el pago de la reserva');
+    throw error;
+  }
+};
+
+// Confirm the appointment a successful booking payment belongs to and email the receipt.
+// Only the payment requested for the booking confirms it. A payment arriving after the
+// booking expired or was cancelled is refunded instead. Never throws: the payment has been
+// recorded either way.
+export const confirmAppointmentPayment = async (payment) => {
+  try {
+    const result = await query(`
+      UPDATE appointments
+      SET payment_status = CASE WHEN amount_due < fee THEN $1 ELSE $2 END,
+        payment_due_at = NULL
+      WHERE id = $4 AND payment_id = $3 AND payment_status = $5
+      RETURNING payment_status
+    `, [
+      APPOINTMENT_PAYMENT_STATUSES.DEPOSIT_PAID,
+      APPOINTMENT_PAYMENT_STATUSES.PAID,
+      payment.id,
+      payment.appointment_id,
+      APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT
+    ]);
+
+    if (result.rows.length === 0) {
+      const current = await query('SELECT payment_status FROM appointments WHERE id = $1', [payment.appointment_id]);
+
+      const released = [APPOINTMENT_PAYMENT_STATUSES.EXPIRED, APPOINTMENT_PAYMENT_STATUSES.CANCELLED];
+      if (released.includes(current.rows[0]?.payment_status)) {
+        logInfo('Payment received for a released booking, refunding', {
+          appointmentId: payment.appointment_id,
+          paymentId: payment.id
+        });
+
+        await paymentService.refundPayment({
+          paymentId: payment.id,
+          reason: REFUND_REASONS.APPOINTMENT_CANCELLED,
+          notes: current.rows[0].payment_status === APPOINTMENT_PAYMENT_STATUSES.EXPIRED
+            ? 'Pago recibido después de que expirara la reserva'
+            : 'Pago recibido después de cancelar la cita'
+        });
+      }
+      return null;
+    }
+
+    // Confirming sends the confirmation email with the .ics
+    const appointment = await updateAppointment(payment.appointment_id, { status: 'confirmed' }, payment.user_id);
+
+    await sendPaymentReceipt(payment, appointment);
+
+    logInfo('Appointment confirmed after payment', {
+      appointmentId: appointment.id,
+      paymentId: payment.id,
+      paymentStatus: result.rows[0].payment_status
+    });
+
+    return appointment;
+
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_payment_confirmation_failed',
+      appointmentId: payment.appointment_id,
+      paymentId: payment.id
+    });
+    return null;
+  }
+};
+
+// Settle the booking payment of an appointment that was just cancelled, given its row before
+// the cancellation: a payment still pending is cancelled and one already made is refunded.
+// Never throws: the cancellation stands either way.
+export const settleCancelledAppointmentPayment = async (appointment) => {
+  if (!appointment.payment_id) {
+    return null;
+  }
+
+  try {
+    if (appointment.payment_status === APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT) {
+      return await paymentService.cancelPayment(appointment.payment_id);
+    }
+
+    if ([APPOINTMENT_PAYMENT_STATUSES.PAID, APPOINTMENT_PAYMENT_STATUSES.DEPOSIT_PAID].includes(appointment.payment_status)) {
+      const refund = await paymentService.refundPayment({
+        paymentId: appointment.payment_id,
+        reason: REFUND_REASONS.APPOINTMENT_CANCELLED,
+        notes: 'Cita cancelada'
+      });
+
+      logInfo('Booking payment refunded after cancellation', {
+        appointmentId: appointment.id,
+        paymentId: appointment.payment_id
+      });
+      return refund;
+    }
+
+    return null;
+
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_payment_settlement_failed',
+      appointmentId: appointment.id,
+      paymentId: appointment.payment_id
+    });
+    return null;
+  }
+};
+
+// Cancel bookings whose payment did not succeed in time; returns how many were released
+export const expireUnpaidAppointments = async () => {
+  const result = await query(`
+    SELECT id FROM appointments
+    WHERE payment_status = $1 AND payment_due_at < NOW()
+    ORDER BY payment_due_at
+    LIMIT $2
+  `, [APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT, EXPIRY_BATCH_SIZE]);
+
+  let expired = 0;
+  for (const { id } of result.rows) {
+    if (await releaseUnpaidAppointment(id, 'Pago de la reserva no completado a tiempo')) {
+      expired++;
+    }
+  }
+
+  return expired;
+};
+
+// Helper functions
+
+// Cancel an unpaid booking and its pending payment. Never throws; returns whether the booking
+// was released (a payment that just succeeded wins the race and keeps it).
+const releaseUnpaidAppointment = async (appointmentId, reason) => {
+  try {
+    const result = await query(`
+      UPDATE appointments
+      SET payment_status = $1
+      WHERE id = $2 AND payment_status = $3
+      RETURNING payment_id, patient_id, to_char(scheduled_date, 'YYYY-MM-DD') as slot_date
+    `, [APPOINTMENT_PAYMENT_STATUSES.EXPIRED, appointmentId, APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT]);
+
+    if (result.rows.length === 0) {
+      return false;
+    }
+
+    const { payment_id: paymentId, patient_id: patientId, slot_date: slotDate } = result.rows[0];
+
+    // Cancelled by the system, so no late-cancellation fee applies
+    await cancelAppointment(appointmentId, reason, null);
+
+    await notificationService.sendNotification({
+      userId: patientId,
+      type: NOTIFICATION_TYPES.APPOINTMENT_CANCELLED,
+      channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.PUSH],
+      variables: {
+        date: new Date(`${slotDate}T00:00:00`).toLocaleDateString('es-ES')
+      },
+      data: { appointmentId, reason }
+    });
+
+    if (paymentId) {
+      await paymentService.cancelPayment(paymentId).catch(error => logError(error, {
+        event: 'appointment_payment_cancel_failed',
+        appointmentId,
+        paymentId
+      }));
+    }
+
+    logInfo('Unpaid appointment released', { appointmentId, paymentId });
+    return true;
+
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_payment_expiry_failed',
+      appointmentId
+    });
+    return false;
+  }
+};
+
+// Email the patient a receipt of the booking payment. Never throws.
+const sendPaymentReceipt = async (payment, appointment) => {
+  try {
+    const [patientResult, settings] = await Promise.all([
+      query('SELECT email, phone FROM users WHERE id = $1', [payment.user_id]),
+      getInvoicingSettings()
+    ]);
+    const patient = patientResult.rows[0] || {};
+
+    const receipt = await pdfGenerator.generatePaymentReceipt({
+      id: payment.id,
+      createdAt: payment.created_at,
+      amount: payment.amount,
+      currency: payment.currency,
+      paymentMethod: payment.payment_method,
+      status: 'completed',
+      description: payment.description,
+      companyInfo: settings.issuer
+    });
+
+    const date = new Date(`${appointment.scheduled_date}T00:00:00`).toLocaleDateString('es-ES');
+
+    await notificationService.sendNotification({
+      userId: payment.user_id,
+      type: NOTIFICATION_TYPES.APPOINTMENT_PAYMENT_RECEIVED,
+      channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL],
+      variables: {
+        amount: formatCurrency(payment.amount, payment.currency),
+        date,
+        time: String(appointment.start_time).substring(0, 5)
+      },
+      data: {
+        email: patient.email,
+        phone: patient.phone,
+        appointmentId: appointment.id,
+        paymentId: payment.id
+      },
+      attachments: [{
+        filename: `recibo-${payment.id}.pdf`,
+        content: receipt,
+        contentType: 'application/pdf'
+      }]
+    });
+
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_payment_receipt_failed',
+      appointmentId: appointment.id,
+      paymentId: payment.id
+    });
+  }
+};
+
+export default {
+  PAYMENT_MODES,
+  APPOINTMENT_PAYMENT_STATUSES,
+  PAYMENT_HOLD_MINUTES,
+  calculateAmountDue,
+  holdAppointmentForPayment,
+  requestAppointmentPayment,
+  confirmAppointmentPayment,
+  settleCancelledAppointmentPayment,
+  expireUnpaidAppointments
+};
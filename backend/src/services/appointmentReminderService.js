@@ -0,0 +1,411 @@
+import crypto from 'crypto';
+import { query, withTransaction } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { createAuditLog, AuditActions, RiskLevels } from '../utils/auditLog.js';
+import { NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './notificationService.js';
+import { ENTITLEMENTS, getProfessionalEntitlements } from './entitlementService.js';
+import { updateAppointment, cancelAppointment } from './appointmentService.js';
+import { openSmsConfirmation } from './smsReplyService.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+
+export const REMINDER_STATUSES = {
+  PENDING: 'pending',
+  SENT: 'sent',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+export const REMINDER_CHANNELS = [
+  NOTIFICATION_CHANNELS.WEBSOCKET,
+  NOTIFICATION_CHANNELS.EMAIL,
+  NOTIFICATION_CHANNELS.SMS,
+  NOTIFICATION_CHANNELS.PUSH
+];
+
+// Offsets are minutes before the start of the appointment
+export const MIN_REMINDER_OFFSET_MINUTES = 15;
+export const MAX_REMINDER_OFFSET_MINUTES = 7 * 24 * 60;
+export const MAX_REMINDER_RULES = 5;
+
+// Applied to professionals who have not configured any reminder
+export const DEFAULT_REMINDER_RULES = [
+  {
+    offsetMinutes: 24 * 60,
+    channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL, NOTIFICATION_CHANNELS.PUSH]
+  }
+];
+
+export const REMINDER_RESPONSE_ACTIONS = ['confirm', 'cancel'];
+
+// Reminders looked at per run; the rest are picked up by the next one
+const REMINDER_BATCH_SIZE = 500;
+
+const RESPONDABLE_STATUSES = ['scheduled', 'confirmed'];
+
+// Appointments with a reminder due at $1: the rule offset has been reached, the appointment
+// has not started and was booked before the reminder time, and nothing was recorded for that
+// or a closer offset at the appointment's current start. Rules come from the professional
+// or, if they have none, the defaults ($2 offsets, $3 comma separated channels).
+const DUE_REMINDERS_QUERY = `
+  WITH upcoming AS (
+    SELECT a.id, a.professional_id, a.patient_id, a.created_at,
+      (a.scheduled_date + a.start_time) AT TIME ZONE COALESCE(a.timezone, pf.timezone, '${DEFAULT_TIMEZONE}') as starts_at,
+      to_char(a.scheduled_date, 'DD/MM/YYYY') as date,
+      to_char(a.start_time, 'HH24:MI') as time
+    FROM appointments a
+    LEFT JOIN professionals pf ON pf.user_id = a.professional_id
+    WHERE a.status = ANY($4)
+      AND a.scheduled_date BETWEEN ($1::timestamptz AT TIME ZONE 'UTC')::date - 1
+        AND ($1::timestamptz AT TIME ZONE 'UTC')::date + ${Math.ceil(MAX_REMINDER_OFFSET_MINUTES / (24 * 60)) + 1}
+  )
+  SELECT u.*, r.offset_minutes, r.channels,
+    pt.email as patient_email, pt.phone as patient_phone,
+    pp.name as professional_name
+  FROM upcoming u
+  CROSS JOIN LATERAL (
+    SELECT offset_minutes, channels FROM appointment_reminder_rules
+    WHERE professional_id = u.professional_id
+    UNION ALL
+    SELECT d.offset_minutes, string_to_array(d.channels, ',')
+    FROM unnest($2::int[], $3::text[]) as d(offset_minutes, channels)
+    WHERE NOT EXISTS (SELECT 1 FROM appointment_reminder_rules WHERE professional_id = u.professional_id)
+  ) r
+  JOIN users pt ON pt.id = u.patient_id
+  JOIN users pp ON pp.id = u.professional_id
+  WHERE u.starts_at > $1
+    AND u.starts_at - make_interval(mins => r.offset_minutes) <= $1
+    AND u.created_at < u.starts_at - make_interval(mins => r.offset_minutes)
+    AND NOT EXISTS (
+      SELECT 1 FROM appointment_reminders ar
+      WHERE ar.appointment_id = u.id
+        AND ar.offset_minutes <= r.offset_minutes
+        AND ar.scheduled_for = u.starts_at
+    )
+  ORDER BY u.starts_at, u.id, r.offset_minutes
+  LIMIT $5`;
+
+// Reminder rules of a professional, or the defaults (isDefault) if they have none
+export const getReminderRules = async (professionalId) => {
+  const result = await query(
+    'SELECT * FROM appointment_reminder_rules WHERE professional_id = $1 ORDER BY offset_minutes DESC',
+    [professionalId]
+  );
+
+  if (result.rows.length === 0) {
+    return { professionalId, isDefault: true, rules: DEFAULT_REMINDER_RULES.map(rule => ({ ...rule })) };
+  }
+
+  return { professionalId, isDefault: false, rules: result.rows.map(formatRule) };
+};
+
+// Replace a professional's reminder rules; an empty list goes back to the defaults.
+// SMS rules need a plan that includes SMS reminders (checked by the route).
+export const updateReminderRules = async (professionalId, rules, updatedBy) => {
+  await withTransaction(async (client) => {
+    await client.query('DELETE FROM appointment_reminder_rules WHERE professional_id = $1', [professionalId]);
+
+    for (const rule of rules) {
+      await client.query(
+        `INSERT INTO appointment_reminder_rules (id, professional_id, offset_minutes, channels)
+        VALUES ($1, $2, $3, $4)`,
+        [generateId('rrule'), professionalId, rule.offsetMinutes, [...new Set(rule.channels)]]
+      );
+    }
+  });
+
+  await createAuditLog({
+    userId: updatedBy,
+    action: AuditActions.USER_UPDATED,
+    resource: 'appointment_reminder_rules',
+    resourceId: professionalId,
+    details: { rules },
+    riskLevel: RiskLevels.LOW,
+  });
+
+  logInfo('Appointment reminder rules updated', { professionalId, updatedBy, rules: rules.length });
+
+  return getReminderRules(professionalId);
+};
+
+// Send the reminders due at `now`. If several offsets of an appointment are due at once
+// (the job was down, or the appointment was booked or moved late), only the closest one
+// is sent and the others are recorded as skipped.
+export const sendDueReminders = async (now = new Date()) => {
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+
+  const dueResult = await query(DUE_REMINDERS_QUERY, [
+    now,
+    DEFAULT_REMINDER_RULES.map(rule => rule.offsetMinutes),
+    DEFAULT_REMINDER_RULES.map(rule => rule.channels.join(',')),
+    RESPONDABLE_STATUSES,
+    REMINDER_BATCH_SIZE
+  ]);
+
+  const byAppointment = new Map();
+  for (const row of dueResult.rows) {
+    if (!byAppointment.has(row.id)) {
+      byAppointment.set(row.id, []);
+    }
+    byAppointment.get(row.id).push(row);
+  }
+
+  // Plans are looked up once per professional and run
+  const smsAllowed = new Map();
+
+  for (const [appointmentId, [reminder, ...overtaken]] of byAppointment) {
+    try {
+      for (const row of overtaken) {
+        const skipped = await claimReminderChannels(row, row.channels, REMINDER_STATUSES.SKIPPED, 'Overtaken by a closer reminder');
+        summary.skipped += skipped.length;
+      }
+
+      const outcome = await sendReminder(reminder, smsAllowed);
+      summary.sent += outcome.sent;
+      summary.failed += outcome.failed;
+      summary.skipped += outcome.skipped;
+    } catch (error) {
+      summary.failed++;
+      logError(error, { event: 'appointment_reminder_failed', appointmentId, offsetMinutes: reminder.offset_minutes });
+    }
+  }
+
+  if (summary.sent > 0 || summary.failed > 0) {
+    logInfo('Appointment reminders run completed', summary);
+  }
+
+  return summary;
+};
+
+// Token of the appointment's confirm / cancel link, created on first use
+export const getAppointmentResponseToken = async (appointmentId) => {
+  const result = await query(
+    `UPDATE appointments SET response_token = COALESCE(response_token, $2)
+    WHERE id = $1
+    RETURNING response_token`,
+    [appointmentId, crypto.randomBytes(32).toString('hex')]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Appointment not found');
+  }
+
+  return result.rows[0].response_token;
+};
+
+// Path of the confirm / cancel page of a token in the frontend
+export const getAppointmentResponsePath = (token) => `/citas/responder/${token}`;
+
+export const getAppointmentResponseUrl = (token) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:5173';
+  return `${frontendUrl}${getAppointmentResponsePath(token)}`;
+};
+
+// Appointment behind a confirm / cancel link, without the patient's details
+export const getAppointmentResponse = async (token) => {
+  const appointment = await findAppointmentByToken(token);
+  return formatResponseAppointment(appointment);
+};
+
+// Confirm or cancel the appointment of a reminder link, on behalf of its patient.
+// Confirming an appointment that is already confirmed is not an error.
+export const respondToAppointment = async (token, action, reason = null) => {
+  const appointment = await findAppointmentByToken(token);
+
+  if (!isRespondable(appointment)) {
+    throw new ConflictError('This appointment can no longer be confirmed or cancelled');
+  }
+
+  if (action === 'confirm') {
+    if (appointment.status !== 'confirmed') {
+      await updateAppointment(appointment.id, { status: 'confirmed' }, appointment.patient_id);
+    }
+  } else {
+    await cancelAppointment(appointment.id, reason || 'Cancelled by the patient from a reminder', appointment.patient_id);
+  }
+
+  logInfo('Appointment answered from reminder', { appointmentId: appointment.id, action });
+
+  return formatResponseAppointment(await findAppointmentByToken(token));
+};
+
+// Helper functions
+const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+const formatRule = (row) => ({
+  id: row.id,
+  offsetMinutes: row.offset_minutes,
+  channels: row.channels,
+  updatedAt: row.updated_at
+});
+
+// Record the reminder for each channel not recorded yet and return the ones recorded now;
+// a channel already recorded (e.g. by a concurrent run) is left alone
+const claimReminderChannels = async (reminder, channels, status = REMINDER_STATUSES.PENDING, error = null) => {
+  const claimed = [];
+
+  for (const channel of channels) {
+    const result = await query(
+      `INSERT INTO appointment_reminders (id, appointment_id, offset_minutes, channel, scheduled_for, status, error)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (appointment_id, offset_minutes, channel, scheduled_for) DO NOTHING
+      RETURNING id, channel`,
+      [generateId('rem'), reminder.id, reminder.offset_minutes, channel, reminder.starts_at, status, error]
+    );
+
+    claimed.push(...result.rows);
+  }
+
+  return claimed;
+};
+
+const markReminder = async (reminderId, status, error = null) => {
+  await query(
+    'UPDATE appointment_reminders SET status = $2, error = $3, sent_at = $4 WHERE id = $1',
+    [reminderId, status, error, status === REMINDER_STATUSES.SENT ? new Date() : null]
+  );
+};
+
+const canSendSms = async (professionalId, smsAllowed) => {
+  if (!smsAllowed.has(professionalId)) {
+    const { entitlements } = await getProfessionalEntitlements(professionalId);
+    smsAllowed.set(professionalId, Boolean(entitlements[ENTITLEMENTS.SMS_REMINDERS]));
+  }
+
+  return smsAllowed.get(professionalId);
+};
+
+// Claimed channels stay 'pending' while the reminder is being sent, so a run that dies
+// halfway does not send them again
+const sendReminder = async (reminder, smsAllowed) => {
+  const outcome = { sent: 0, failed: 0, skipped: 0 };
+  const claimed = await claimReminderChannels(reminder, reminder.channels);
+
+  const toSend = [];
+  for (const row of claimed) {
+    if (row.channel === NOTIFICATION_CHANNELS.SMS && !(await canSendSms(reminder.professional_id, smsAllowed))) {
+      await markReminder(row.id, REMINDER_STATUSES.SKIPPED, 'SMS reminders are not included in the professional\'s plan');
+      outcome.skipped++;
+    } else {
+      toSend.push(row);
+    }
+  }
+
+  if (toSend.length === 0) {
+    return outcome;
+  }
+
+  const token = await getAppointmentResponseToken(reminder.id);
+  // Reminder SMS can be answered with SI / NO and the reply code
+  const replyCode = toSend.some(row => row.channel === NOTIFICATION_CHANNELS.SMS) && reminder.patient_phone
+    ? await openSmsConfirmation(reminder.id, reminder.patient_phone)
+    : null;
+
+  const result = await notificationService.sendNotification({
+    userId: reminder.patient_id,
+    type: NOTIFICATION_TYPES.APPOINTMENT_REMINDER,
+    channels: toSend.map(row => row.channel),
+    variables: {
+      professional: reminder.professional_name,
+      date: reminder.date,
+      time: reminder.time,
+      responseUrl: getAppointmentResponseUrl(token),
+      replyCode
+    },
+    data: {
+      email: reminder.patient_email,
+      phone: reminder.patient_phone,
+      appointmentId: reminder.id,
+      link: getAppointmentResponsePath(token)
+    }
+  });
+
+  for (const row of toSend) {
+    const { status, error } = getChannelOutcome(row.channel, result);
+    await markReminder(row.id, status, error);
+    outcome[status === REMINDER_STATUSES.SENT ? 'sent' : status === REMINDER_STATUSES.FAILED ? 'failed' : 'skipped']++;
+  }
+
+  return outcome;
+};
+
+// What became of a channel of a sendNotification call
+const getChannelOutcome = (channel, result) => {
+  if (!result.success) {
+    return { status: REMINDER_STATUSES.FAILED, error: result.error || 'Notification failed' };
+  }
+
+  if (!result.channels?.includes(channel)) {
+    return { status: REMINDER_STATUSES.SKIPPED, error: 'Turned off in the patient\'s preferences' };
+  }
+
+  const value = result.results[channel];
+  if (value?.skipped) {
+    return { status: REMINDER_STATUSES.SKIPPED, error: value.error };
+  }
+
+  const delivered = channel === NOTIFICATION_CHANNELS.WEBSOCKET
+    ? result.results.inbox || value
+    : Boolean(value) && value.success !== false;
+
+  return delivered
+    ? { status: REMINDER_STATUSES.SENT, error: null }
+    : { status: REMINDER_STATUSES.FAILED, error: value?.error || 'Not delivered' };
+};
+
+const findAppointmentByToken = async (token) => {
+  const result = await query(
+    `SELECT a.id, a.professional_id, a.patient_id, a.status, a.title, a.is_virtual,
+      a.scheduled_date, a.start_time, a.end_time,
+      COALESCE(a.timezone, pf.timezone, '${DEFAULT_TIMEZONE}') as timezone,
+      ((a.scheduled_date + a.start_time) AT TIME ZONE COALESCE(a.timezone, pf.timezone, '${DEFAULT_TIMEZONE}')) as starts_at,
+      to_char(a.scheduled_date, 'YYYY-MM-DD') as date,
+      to_char(a.start_time, 'HH24:MI') as time,
+      pp.name as professional_name
+    FROM appointments a
+    LEFT JOIN professionals pf ON pf.user_id = a.professional_id
+    LEFT JOIN users pp ON a.professional_id = pp.id
+    WHERE a.response_token = $1`,
+    [token]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Appointment not found');
+  }
+
+  return result.rows[0];
+};
+
+const isRespondable = (appointment) => (
+  RESPONDABLE_STATUSES.includes(appointment.status) && new Date(appointment.starts_at) > new Date()
+);
+
+const formatResponseAppointment = (appointment) => ({
+  id: appointment.id,
+  title: appointment.title,
+  professionalName: appointment.professional_name,
+  date: appointment.date,
+  time: appointment.time,
+  timezone: appointment.timezone,
+  isVirtual: appointment.is_virtual,
+  status: appointment.status,
+  canRespond: isRespondable(appointment)
+});
+
+export default {
+  REMINDER_STATUSES,
+  REMINDER_CHANNELS,
+  MIN_REMINDER_OFFSET_MINUTES,
+  MAX_REMINDER_OFFSET_MINUTES,
+  MAX_REMINDER_RULES,
+  DEFAULT_REMINDER_RULES,
+  REMINDER_RESPONSE_ACTIONS,
+  getReminderRules,
+  updateReminderRules,
+  sendDueReminders,
+  getAppointmentResponseToken,
+  getAppointmentResponsePath,
+  getAppointmentResponseUrl,
+  getAppointmentResponse,
+  respondToAppointment
+};
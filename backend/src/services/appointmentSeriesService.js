@@ -0,0 +1,608 @@
+import { query, withTransaction } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { createAuditLog, AuditActions, RiskLevels } from '../utils/auditLog.js';
+import { ValidationError, NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import {
+  expandRecurrence,
+  formatRecurrenceRule,
+  parseRecurrenceRule
+} from '../utils/recurrence.js';
+import { addDays } from '../utils/timezone.js';
+import {
+  insertAppointment,
+  updateAppointment,
+  cancelAppointment,
+  setChangeContext,
+  checkAppointmentAvailability,
+  getProfessionalTimezone
+} from './appointmentService.js';
+import { offerFreedAppointmentSlot } from './waitlistService.js';
+import {
+  APPOINTMENT_PAYMENT_STATUSES,
+  holdAppointmentForPayment,
+  requestAppointmentPayment,
+  settleCancelledAppointmentPayment
+} from './appointmentPaymentService.js';
+import { PENALTY_TYPES, calculatePenalty, chargeAppointmentPenalty } from './cancellationFeeService.js';
+
+export const SERIES_SCOPES = ['this', 'following', 'all'];
+
+// Fields that can be changed on several occurrences at once
+const BULK_UPDATE_FIELDS = {
+  title: 'title',
+  description: 'description',
+  notes: 'notes',
+  isVirtual: 'is_virtual',
+  locationAddress: 'location_address',
+  meetingUrl: 'meeting_url',
+  fee: 'fee'
+};
+
+// Recurrence of a new series, given as an RRULE string or as an object
+const getSeriesRecurrence = (seriesData) => (
+  typeof seriesData.recurrence === 'string'
+    ? parseRecurrenceRule(seriesData.recurrence)
+    : { frequency: 'weekly', interval: 1, byDay: [], ...seriesData.recurrence }
+);
+
+// Dates (YYYY-MM-DD) of the occurrences a new series would have
+export const getSeriesDates = (seriesData) =>
+  expandRecurrence(seriesData.scheduledDate, getSeriesRecurrence(seriesData));
+
+// Create a recurring series and all of its occurrences. As with single bookings, a patient
+// booking a service paid at booking gets each occurrence on hold plus its payment.
+export const createAppointmentSeries = async (seriesData, createdBy) => {
+  try {
+    logInfo('Creating appointment series', {
+      professionalId: seriesData.professionalId,
+      patientId: seriesData.patientId,
+      startDate: seriesData.scheduledDate,
+      createdBy
+    });
+
+    const recurrence = getSeriesRecurrence(seriesData);
+    const dates = expandRecurrence(seriesData.scheduledDate, recurrence);
+
+    if (dates.length === 0) {
+      throw new ValidationError('Recurrence does not produce any occurrence');
+    }
+
+    const result = await withTransaction(async (client) => {
+      await setChangeContext(client, createdBy, 'Created as part of an appointment series');
+
+      let service = null;
+      if (seriesData.serviceId) {
+        const serviceResult = await client.query(`
+          SELECT * FROM professional_services
+          WHERE id = $1 AND professional_id = $2 AND is_active = true
+        `, [seriesData.serviceId, seriesData.professionalId]);
+
+        if (serviceResult.rows.length === 0) {
+          throw new NotFoundError('Service not found or inactive');
+        }
+        service = serviceResult.rows[0];
+      }
+
+      const endTime = seriesData.endTime ||
+        addMinutesToTime(seriesData.startTime, service?.duration_minutes || 30);
+
+      // Check every occurrence before creating anything
+      const conflictingDates = [];
+      for (const date of dates) {
+        const isAvailable = await checkAppointmentAvailability(
+          client,
+          seriesData.professionalId,
+          date,
+          seriesData.startTime,
+          endTime,
+          null,
+          { serviceId: service?.id }
+        );
+
+        if (!isAvailable) {
+          conflictingDates.push(date);
+        }
+      }
+
+      if (conflictingDates.length === dates.length ||
+          (conflictingDates.length > 0 && !seriesData.skipConflicts)) {
+        throw seriesConflictError(
+          `${conflictingDates.length} of ${dates.length} occurrences are not available`,
+          conflictingDates
+        );
+      }
+
+      const seriesResult = await client.query(`
+        INSERT INTO appointment_series (
+          professional_id, patient_id, service_id, recurrence_rule,
+          start_date, until_date, occurrence_count, start_time, end_time, timezone, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+        RETURNING *
+      `, [
+        seriesData.professionalId,
+        seriesData.patientId,
+        service?.id || null,
+        formatRecurrenceRule(recurrence),
+        seriesData.scheduledDate,
+        recurrence.until || null,
+        recurrence.count || null,
+        seriesData.startTime,
+        endTime,
+        await getProfessionalTimezone(client, seriesData.professionalId),
+        createdBy
+      ]);
+
+      const series = seriesResult.rows[0];
+      const { recurrence: _recurrence, skipConflicts, ...appointmentData } = seriesData;
+
+      const appointments = [];
+      for (const date of dates.filter(date => !conflictingDates.includes(date))) {
+        const appointment = await insertAppointment(client, {
+          ...appointmentData,
+          scheduledDate: date,
+          endTime,
+          seriesId: series.id
+        }, createdBy);
+
+        appointments.push(createdBy === appointment.patient_id
+          ? await holdAppointmentForPayment(client, appointment)
+          : appointment);
+      }
+
+      await createAuditLog({
+        userId: createdBy,
+        action: AuditActions.APPOINTMENT_CREATED,
+        resource: 'appointment_series',
+        resourceId: series.id,
+        details: {
+          professionalId: series.professional_id,
+          patientId: series.patient_id,
+          recurrenceRule: series.recurrence_rule,
+          occurrences: appointments.length,
+          skippedDates: conflictingDates
+        },
+        riskLevel: RiskLevels.LOW,
+      });
+
+      logInfo('Appointment series created successfully', {
+        seriesId: series.id,
+        occurrences: appointments.length,
+        skipped: conflictingDates.length,
+        createdBy
+      });
+
+      return {
+        series,
+        appointments,
+        skippedDates: conflictingDates
+      };
+    });
+
+    for (const [index, appointment] of result.appointments.entries()) {
+      if (appointment.payment_status === APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT) {
+        const payment = await requestAppointmentPayment(appointment);
+        result.appointments[index] = { ...appointment, payment };
+      }
+    }
+
+    return result;
+
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_series_creation_failed',
+      professionalId: seriesData.professionalId,
+      patientId: seriesData.patientId,
+      createdBy
+    });
+    throw error;
+  }
+};
+
+// Get a series with all of its occurrences
+export const getAppointmentSeries = async (seriesId) => {
+  const seriesResult = await query(
+    'SELECT * FROM appointment_series WHERE id = $1',
+    [seriesId]
+  );
+
+  if (seriesResult.rows.length === 0) {
+    throw new NotFoundError('Appointment series not found');
+  }
+
+  const appointmentsResult = await query(`
+    SELECT * FROM appointments
+    WHERE series_id = $1
+    ORDER BY scheduled_date, start_time
+  `, [seriesId]);
+
+  return {
+    ...seriesResult.rows[0],
+    appointments: appointmentsResult.rows
+  };
+};
+
+// Update one occurrence, this and the following ones, or the whole series
+export const updateSeriesOccurrences = async (seriesId, appointmentId, scope, changes, updatedBy) => {
+  try {
+    logInfo('Updating appointment series', { seriesId, appointmentId, scope, updatedBy });
+
+    const { series, occurrence } = await getSeriesOccurrence(seriesId, appointmentId);
+
+    if (scope === 'this') {
+      const appointment = await updateAppointment(appointmentId, changes, updatedBy);
+      return { scope, series, appointments: [appointment] };
+    }
+
+    if (changes.scheduledDate) {
+      throw new ValidationError('The date can only be changed for a single occurrence');
+    }
+
+    const result = await withTransaction(async (client) => {
+      await setChangeContext(
+        client,
+        updatedBy,
+        scope === 'all' ? 'Whole series updated' : 'This and following occurrences updated'
+      );
+
+      const fromDate = scope === 'all' ? null : occurrence.occurrence_date;
+      const targets = await getUpcomingOccurrences(client, seriesId, fromDate);
+
+      // Work out the new times of every occurrence and check them first
+      const timeChanged = !!(changes.startTime || changes.endTime);
+      const planned = targets.map(apt => {
+        const startTime = changes.startTime || apt.start_time;
+        const endTime = changes.endTime ||
+          addMinutesToTime(startTime, timeToMinutes(apt.end_time) - timeToMinutes(apt.start_time));
+        return { apt, startTime, endTime };
+      });
+
+      if (timeChanged) {
+        const conflictingDates = [];
+        for (const { apt, startTime, endTime } of planned) {
+          if (timeToMinutes(endTime) <= timeToMinutes(startTime)) {
+            throw new ValidationError('End time must be after start time');
+          }
+
+          const isAvailable = await checkAppointmentAvailability(
+            client,
+            apt.professional_id,
+            apt.occurrence_date,
+            startTime,
+            endTime,
+            apt.id,
+            { serviceId: apt.service_id }
+          );
+
+          if (!isAvailable) {
+            conflictingDates.push(apt.occurrence_date);
+          }
+        }
+
+        if (conflictingDates.length > 0) {
+          throw seriesConflictError(
+            `${conflictingDates.length} occurrences cannot be moved to the new time`,
+            conflictingDates
+          );
+        }
+      }
+
+      // "This and following" from the middle of a series splits it in two
+      let targetSeries = series;
+      if (scope === 'following' && occurrence.occurrence_date > series.start_date_text) {
+        targetSeries = await splitSeries(client, series, occurrence.occurrence_date, updatedBy);
+      }
+
+      const updated = [];
+      for (const { apt, startTime, endTime } of planned) {
+        const updateFields = ['updated_at = CURRENT_TIMESTAMP'];
+        const params = [];
+
+        for (const [field, column] of Object.entries(BULK_UPDATE_FIELDS)) {
+          if (changes[field] !== undefined) {
+            params.push(changes[field]);
+            updateFields.push(`${column} = $${params.length}`);
+          }
+        }
+
+        if (timeChanged) {
+          params.push(startTime, endTime);
+          updateFields.push(`start_time = $${params.length - 1}`, `end_time = $${params.length}`);
+        }
+
+        params.push(apt.id);
+        const updateResult = await client.query(`
+          UPDATE appointments
+          SET ${updateFields.join(', ')}
+          WHERE id = $${params.length}
+          RETURNING *
+        `, params);
+
+        updated.push(updateResult.rows[0]);
+      }
+
+      if (timeChanged && planned.length > 0) {
+        await client.query(`
+          UPDATE appointment_series
+          SET start_time = $1, end_time = $2
+          WHERE id = $3
+        `, [planned[0].startTime, planned[0].endTime, targetSeries.id]);
+      }
+
+      await createAuditLog({
+        userId: updatedBy,
+        action: AuditActions.APPOINTMENT_UPDATED,
+        resource: 'appointment_series',
+        resourceId: seriesId,
+        details: {
+          scope,
+          fromAppointmentId: appointmentId,
+          newSeriesId: targetSeries.id !== seriesId ? targetSeries.id : undefined,
+          changes,
+          occurrences: updated.length
+        },
+        riskLevel: RiskLevels.MEDIUM,
+      });
+
+      return { scope, series: targetSeries, appointments: updated };
+    });
+
+    logInfo('Appointment series updated successfully', {
+      seriesId,
+      scope,
+      occurrences: result.appointments.length,
+      updatedBy
+    });
+
+    return result;
+
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_series_update_failed',
+      seriesId,
+      appointmentId,
+      scope,
+      updatedBy
+    });
+    throw error;
+  }
+};
+
+// Cancel one occurrence, this and the following ones, or the whole series. Each occurrence is
+// cancelled as a single appointment would be: a patient cancelling inside the free window is
+// charged the late-cancellation fee, and booking payments are released or refunded.
+export const cancelSeriesOccurrences = async (seriesId, appointmentId, scope, cancellationReason, cancelledBy) => {
+  try {
+    logInfo('Cancelling appointment series', { seriesId, appointmentId, scope, cancelledBy });
+
+    const { series, occurrence } = await getSeriesOccurrence(seriesId, appointmentId);
+
+    if (scope === 'this') {
+      const appointment = await cancelAppointment(appointmentId, cancellationReason, cancelledBy);
+      return { scope, series, appointments: [appointment] };
+    }
+
+    const result = await withTransaction(async (client) => {
+      await setChangeContext(
+        client,
+        cancelledBy,
+        scope === 'all' ? 'Whole series cancelled' : 'This and following occurrences cancelled'
+      );
+
+      const fromDate = scope === 'all' ? null : occurrence.occurrence_date;
+      const targets = await getUpcomingOccurrences(client, seriesId, fromDate);
+
+      const cancelled = [];
+      for (const apt of targets) {
+        const penaltyAmount = cancelledBy === apt.patient_id && !apt.penalty_type
+          ? calculatePenalty(apt, PENALTY_TYPES.LATE_CANCELLATION)
+          : 0;
+
+        const updateResult = await client.query(`
+          UPDATE appointments
+          SET status = 'cancelled', cancellation_reason = $1,
+            penalty_type = CASE WHEN $3::numeric > 0 THEN $4 ELSE penalty_type END,
+            penalty_amount = CASE WHEN $3::numeric > 0 THEN $3 ELSE penalty_amount END,
+            payment_status = CASE WHEN payment_status = $5 THEN $6 ELSE payment_status END,
+            payment_due_at = CASE WHEN payment_status = $5 THEN NULL ELSE payment_due_at END,
+            updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2
+          RETURNING *
+        `, [
+          cancellationReason,
+          apt.id,
+          penaltyAmount,
+          PENALTY_TYPES.LATE_CANCELLATION,
+          APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT,
+          APPOINTMENT_PAYMENT_STATUSES.CANCELLED
+        ]);
+
+        cancelled.push({ previous: apt, appointment: updateResult.rows[0], penalised: penaltyAmount > 0 });
+      }
+
+      // Stop the recurrence: cut it short before this occurrence, or cancel it altogether
+      let seriesResult;
+      if (scope === 'following' && occurrence.occurrence_date > series.start_date_text) {
+        seriesResult = await endSeriesBefore(client, series, occurrence.occurrence_date);
+      } else {
+        seriesResult = await client.query(`
+          UPDATE appointment_series SET status = 'cancelled'
+          WHERE id = $1
+          RETURNING *
+        `, [seriesId]);
+      }
+
+      await createAuditLog({
+        userId: cancelledBy,
+        action: AuditActions.APPOINTMENT_CANCELLED,
+        resource: 'appointment_series',
+        resourceId: seriesId,
+        details: {
+          scope,
+          fromAppointmentId: appointmentId,
+          reason: cancellationReason,
+          occurrences: cancelled.length
+        },
+        riskLevel: RiskLevels.MEDIUM,
+      });
+
+      return { scope, series: seriesResult.rows[0], cancelled };
+    });
+
+    logInfo('Appointment series cancelled successfully', {
+      seriesId,
+      scope,
+      occurrences: result.cancelled.length,
+      cancelledBy
+    });
+
+    const appointments = [];
+    for (const { previous, appointment, penalised } of result.cancelled) {
+      await settleCancelledAppointmentPayment(previous);
+
+      // Offer every freed slot to the waitlist
+      await offerFreedAppointmentSlot(appointment.id);
+
+      appointments.push(penalised
+        ? { ...appointment, ...await chargeAppointmentPenalty(appointment.id) }
+        : appointment);
+    }
+
+    return { scope, series: result.series, appointments };
+
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_series_cancellation_failed',
+      seriesId,
+      appointmentId,
+      scope,
+      cancelledBy
+    });
+    throw error;
+  }
+};
+
+// Helper functions
+const getSeriesOccurrence = async (seriesId, appointmentId) => {
+  const seriesResult = await query(`
+    SELECT *, to_char(start_date, 'YYYY-MM-DD') as start_date_text
+    FROM appointment_series
+    WHERE id = $1
+  `, [seriesId]);
+
+  if (seriesResult.rows.length === 0) {
+    throw new NotFoundError('Appointment series not found');
+  }
+
+  const occurrenceResult = await query(`
+    SELECT *, to_char(scheduled_date, 'YYYY-MM-DD') as occurrence_date
+    FROM appointments
+    WHERE id = $1 AND series_id = $2
+  `, [appointmentId, seriesId]);
+
+  if (occurrenceResult.rows.length === 0) {
+    throw new NotFoundError('Appointment is not part of this series');
+  }
+
+  return {
+    series: seriesResult.rows[0],
+    occurrence: occurrenceResult.rows[0]
+  };
+};
+
+// Occurrences still to happen, from a date (inclusive) or from today
+const getUpcomingOccurrences = async (client, seriesId, fromDate) => {
+  const result = await client.query(`
+    SELECT *, to_char(scheduled_date, 'YYYY-MM-DD') as occurrence_date
+    FROM appointments
+    WHERE series_id = $1
+      AND scheduled_date >= COALESCE($2::date, CURRENT_DATE)
+      AND status IN ('scheduled', 'confirmed')
+    ORDER BY scheduled_date, start_time
+    FOR UPDATE
+  `, [seriesId, fromDate]);
+
+  return result.rows;
+};
+
+// Make the recurrence stop on the day before `date`
+const endSeriesBefore = async (client, series, date) => {
+  const recurrence = parseRecurrenceRule(series.recurrence_rule);
+  const untilDate = addDays(date, -1);
+
+  return client.query(`
+    UPDATE appointment_series
+    SET recurrence_rule = $1, until_date = $2, occurrence_count = NULL
+    WHERE id = $3
+    RETURNING *
+  `, [formatRecurrenceRule({ ...recurrence, until: untilDate, count: null }), untilDate, series.id]);
+};
+
+// Move the occurrences from `date` onwards into a new series
+const splitSeries = async (client, series, date, splitBy) => {
+  const recurrence = parseRecurrenceRule(series.recurrence_rule);
+
+  const remainingResult = await client.query(`
+    SELECT COUNT(*) as remaining FROM appointments
+    WHERE series_id = $1 AND scheduled_date >= $2
+  `, [series.id, date]);
+  const remaining = recurrence.count ? parseInt(remainingResult.rows[0].remaining) : null;
+
+  const newSeriesResult = await client.query(`
+    INSERT INTO appointment_series (
+      professional_id, patient_id, service_id, parent_series_id, recurrence_rule,
+      start_date, until_date, occurrence_count, start_time, end_time, timezone, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+    RETURNING *
+  `, [
+    series.professional_id,
+    series.patient_id,
+    series.service_id,
+    series.id,
+    formatRecurrenceRule({ ...recurrence, count: remaining }),
+    date,
+    recurrence.until,
+    remaining,
+    series.start_time,
+    series.end_time,
+    series.timezone,
+    splitBy
+  ]);
+
+  const newSeries = newSeriesResult.rows[0];
+
+  await client.query(`
+    UPDATE appointments SET series_id = $1
+    WHERE series_id = $2 AND scheduled_date >= $3
+  `, [newSeries.id, series.id, date]);
+
+  await endSeriesBefore(client, series, date);
+
+  return newSeries;
+};
+
+const seriesConflictError = (message, conflictingDates) => {
+  const error = new ConflictError(`${message}: ${conflictingDates.join(', ')}`);
+  error.metadata = { conflictingDates };
+  return error;
+};
+
+const addMinutesToTime = (timeString, minutes) => {
+  const totalMinutes = timeToMinutes(timeString) + minutes;
+  const newHours = Math.floor(totalMinutes / 60) % 24;
+  const newMins = totalMinutes % 60;
+  return `${newHours.toString().padStart(2, '0')}:${newMins.toString().padStart(2, '0')}`;
+};
+
+const timeToMinutes = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+export default {
+  SERIES_SCOPES,
+  getSeriesDates,
+  createAppointmentSeries,
+  getAppointmentSeries,
+  updateSeriesOccurrences,
+  cancelSeriesOccurrences,
+};
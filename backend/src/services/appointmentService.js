@@ -2,8 +2,35 @@ import { query, withTransaction } from '../config/database.js';
 import { logInfo, logError, logWarning } from '../utils/logger.js';
 import { createAuditLog, AuditActions, RiskLevels } from '../utils/auditLog.js';
 import { AppError, ValidationError, NotFoundError, ConflictError } from '../middleware/errorHandler.js';
-
-// Create a new appointment
+import { offerFreedAppointmentSlot } from './waitlistService.js';
+import { sendAppointmentConfirmation } from './calendarService.js';
+import { getBookingPolicy, getCancellationPolicySnapshot } from './bookingPolicyService.js';
+import { PENALTY_TYPES, calculatePenalty, chargeAppointmentPenalty } from './cancellationFeeService.js';
+import {
+  APPOINTMENT_PAYMENT_STATUSES,
+  holdAppointmentForPayment,
+  requestAppointmentPayment,
+  settleCancelledAppointmentPayment
+} from './appointmentPaymentService.js';
+import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './notificationService.js';
+import {
+  DEFAULT_TIMEZONE,
+  getDayOfWeek,
+  getDateRange,
+  getZonedParts,
+  zonedTimeToUtc,
+  toLocalRendering
+} from '../utils/timezone.js';
+
+const DEFAULT_SLOT_DURATION = 30;
+
+// UTC instants of an appointment, from its local date/time in its own timezone
+const instantColumns = `
+  ((a.scheduled_date + a.start_time) AT TIME ZONE COALESCE(a.timezone, '${DEFAULT_TIMEZONE}')) as starts_at,
+  ((a.scheduled_date + a.end_time) AT TIME ZONE COALESCE(a.timezone, '${DEFAULT_TIMEZONE}')) as ends_at`;
+
+// Create a new appointment. Patients booking a service that is paid at booking get the
+// appointment on hold plus the payment to complete; it is confirmed once the payment succeeds.
 export const createAppointment = async (appointmentData, createdBy) => {
   try {
     logInfo('Creating new appointment', {
@@ -14,142 +41,218 @@ export const createAppointment = async (appointmentData, createdBy) => {
     });
 
     const result = await withTransaction(async (client) => {
-      // Validate professional exists and is active
-      const professionalResult = await client.query(`
-        SELECT u.*, p.verified, p.profile_completed 
-        FROM users u
-        JOIN professionals p ON u.id = p.user_id
-        WHERE u.id = $1 AND u.role = 'professional' AND u.status = 'active'
-      `, [appointmentData.professionalId]);
-
-      if (professionalResult.rows.length === 0) {
-        throw new NotFoundError('Professional not found or inactive');
-      }
+      const appointment = await insertAppointment(client, appointmentData, createdBy);
 
-      const professional = professionalResult.rows[0];
-      if (!professional.verified) {
-        throw new ValidationError('Professional is not verified');
-      }
+      return createdBy === appointment.patient_id
+        ? holdAppointmentForPayment(client, appointment)
+        : appointment;
+    });
 
-      // Validate patient exists
-      const patientResult = await client.query(`
-        SELECT * FROM users 
-        WHERE id = $1 AND role = 'patient' AND status = 'active'
-      `, [appointmentData.patientId]);
+    if (result.payment_status === APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT) {
+      const payment = await requestAppointmentPayment(result, { discountCode: appointmentData.discountCode });
+      return { ...result, payment };
+    }
 
-      if (patientResult.rows.length === 0) {
-        throw new NotFoundError('Patient not found or inactive');
-      }
+    return result;
 
-      // Validate service if provided
-      let service = null;
-      if (appointmentData.serviceId) {
-        const serviceResult = await client.query(`
-          SELECT * FROM professional_services 
-          WHERE id = $1 AND professional_id = $2 AND is_active = true
-        `, [appointmentData.serviceId, appointmentData.professionalId]);
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_creation_failed',
+      professionalId: appointmentData.professionalId,
+      patientId: appointmentData.patientId,
+      createdBy
+    });
+    throw error;
+  }
+};
 
-        if (serviceResult.rows.length === 0) {
-          throw new NotFoundError('Service not found or inactive');
-        }
-        service = serviceResult.rows[0];
-      }
+// Create an appointment inside an existing transaction
+export const insertAppointment = async (client, appointmentData, createdBy) => {
+  // Validate professional exists and is active
+  const professionalResult = await client.query(`
+    SELECT u.*, p.verified, p.profile_completed, p.timezone
+    FROM users u
+    JOIN professionals p ON u.id = p.user_id
+    WHERE u.id = $1 AND u.role = 'professional' AND u.status = 'active'
+  `, [appointmentData.professionalId]);
+
+  if (professionalResult.rows.length === 0) {
+    throw new NotFoundError('Professional not found or inactive');
+  }
 
-      // Calculate end time if not provided
-      let endTime = appointmentData.endTime;
-      if (!endTime && service) {
-        const startTime = appointmentData.startTime;
-        const duration = service.duration_minutes;
-        endTime = addMinutesToTime(startTime, duration);
-      } else if (!endTime) {
-        endTime = addMinutesToTime(appointmentData.startTime, 30); // Default 30 minutes
-      }
+  const professional = professionalResult.rows[0];
+  if (!professional.verified) {
+    throw new ValidationError('Professional is not verified');
+  }
 
-      // Check availability
-      const isAvailable = await checkAppointmentAvailability(
-        client,
-        appointmentData.professionalId,
-        appointmentData.scheduledDate,
-        appointmentData.startTime,
-        endTime
-      );
+  // Validate patient exists
+  const patientResult = await client.query(`
+    SELECT * FROM users 
+    WHERE id = $1 AND role = 'patient' AND status = 'active'
+  `, [appointmentData.patientId]);
 
-      if (!isAvailable) {
-        throw new ConflictError('Time slot is not available');
-      }
+  if (patientResult.rows.length === 0) {
+    throw new NotFoundError('Patient not found or inactive');
+  }
 
-      // Create the appointment
-      const insertResult = await client.query(`
-        INSERT INTO appointments (
-          professional_id, patient_id, service_id, title, description,
-          appointment_type, status, scheduled_date, start_time, end_time,
-          duration_minutes, is_virtual, location_address, meeting_url,
-          fee, currency, notes, created_by
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
-        RETURNING *
-      `, [
-        appointmentData.professionalId,
-        appointmentData.patientId,
-        appointmentData.serviceId,
-        appointmentData.title || 'Medical Appointment',
-        appointmentData.description,
-        appointmentData.appointmentType || 'consultation',
-        appointmentData.status || 'scheduled',
-        appointmentData.scheduledDate,
-        appointmentData.startTime,
-        endTime,
-        appointmentData.durationMinutes || service?.duration_minutes || 30,
-        appointmentData.isVirtual || false,
-        appointmentData.locationAddress,
-        appointmentData.meetingUrl,
-        appointmentData.fee || service?.base_fee || 0,
-        appointmentData.currency || 'EUR',
-        appointmentData.notes,
-        createdBy
-      ]);
-
-      const appointment = insertResult.rows[0];
+  // Validate service if provided
+  let service = null;
+  if (appointmentData.serviceId) {
+    const serviceResult = await client.query(`
+      SELECT * FROM professional_services 
+      WHERE id = $1 AND professional_id = $2 AND is_active = true
+    `, [appointmentData.serviceId, appointmentData.professionalId]);
 
-      // Create audit log
-      await createAuditLog({
-        userId: createdBy,
-        action: AuditActions.APPOINTMENT_CREATED,
-        resource: 'appointment',
-        resourceId: appointment.id,
-        details: {
-          professionalId: appointment.professional_id,
-          patientId: appointment.patient_id,
-          scheduledDate: appointment.scheduled_date,
-          startTime: appointment.start_time,
-          endTime: appointment.end_time,
-          appointmentType: appointment.appointment_type,
-          isVirtual: appointment.is_virtual,
-          fee: appointment.fee
-        },
-        riskLevel: RiskLevels.LOW,
-      });
+    if (serviceResult.rows.length === 0) {
+      throw new NotFoundError('Service not found or inactive');
+    }
+    service = serviceResult.rows[0];
+  }
 
-      logInfo('Appointment created successfully', {
-        appointmentId: appointment.id,
-        professionalId: appointment.professional_id,
-        patientId: appointment.patient_id,
-        createdBy
-      });
+  // Calculate end time if not provided
+  let endTime = appointmentData.endTime;
+  if (!endTime && service) {
+    const startTime = appointmentData.startTime;
+    const duration = service.duration_minutes;
+    endTime = addMinutesToTime(startTime, duration);
+  } else if (!endTime) {
+    endTime = addMinutesToTime(appointmentData.startTime, 30); // Default 30 minutes
+  }
 
-      return appointment;
-    });
+  // Patients booking for themselves must respect the service's minimum notice
+  if (createdBy === appointmentData.patientId) {
+    const noticeMinutes = service?.min_booking_notice_minutes || 0;
+    const cutoff = getNoticeCutoff(appointmentData.scheduledDate, noticeMinutes, professional.timezone);
 
-    return result;
+    if (cutoff !== null && timeToMinutes(appointmentData.startTime) < cutoff) {
+      throw new ValidationError(noticeMinutes > 0
+        ? `This service must be booked at least ${noticeMinutes} minutes in advance`
+        : 'Appointments cannot be booked in the past');
+    }
+  }
 
-  } catch (error) {
-    logError(error, {
-      event: 'appointment_creation_failed',
-      professionalId: appointmentData.professionalId,
-      patientId: appointmentData.patientId,
-      createdBy
-    });
-    throw error;
+  // A hold placed on this exact slot while the patient was booking is consumed so it no
+  // longer blocks the slot
+  let hold = null;
+  if (appointmentData.holdId) {
+    const holdResult = await client.query(`
+      UPDATE appointment_slot_holds
+      SET status = 'converted'
+      WHERE id = $1
+        AND user_id = $2
+        AND professional_id = $3
+        AND scheduled_date = $4
+        AND start_time = $5::time
+        AND end_time = $6::time
+        AND status = 'active'
+        AND expires_at > NOW()
+      RETURNING *
+    `, [
+      appointmentData.holdId,
+      createdBy,
+      appointmentData.professionalId,
+      appointmentData.scheduledDate,
+      appointmentData.startTime,
+      endTime
+    ]);
+
+    if (holdResult.rows.length === 0) {
+      throw new ConflictError('Slot hold has expired or does not match this booking');
+    }
+    hold = holdResult.rows[0];
   }
+
+  // Check availability
+  const isAvailable = await checkAppointmentAvailability(
+    client,
+    appointmentData.professionalId,
+    appointmentData.scheduledDate,
+    appointmentData.startTime,
+    endTime,
+    null,
+    { serviceId: service?.id }
+  );
+
+  if (!isAvailable) {
+    throw new ConflictError('Time slot is not available');
+  }
+
+  // The cancellation terms in force at booking apply to the appointment for good
+  const cancellationPolicy = appointmentData.cancellationPolicy ||
+    getCancellationPolicySnapshot(await getBookingPolicy(client, appointmentData.professionalId));
+
+  // Create the appointment
+  const insertResult = await client.query(`
+    INSERT INTO appointments (
+      professional_id, patient_id, service_id, title, description,
+      appointment_type, status, scheduled_date, start_time, end_time,
+      duration_minutes, is_virtual, location_address, meeting_url,
+      fee, currency, notes, created_by, series_id, timezone,
+      rescheduled_from_id, reschedule_count, cancellation_policy
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23)
+    RETURNING *
+  `, [
+    appointmentData.professionalId,
+    appointmentData.patientId,
+    appointmentData.serviceId,
+    appointmentData.title || 'Medical Appointment',
+    appointmentData.description,
+    appointmentData.appointmentType || 'consultation',
+    appointmentData.status || 'scheduled',
+    appointmentData.scheduledDate,
+    appointmentData.startTime,
+    endTime,
+    appointmentData.durationMinutes || service?.duration_minutes || 30,
+    appointmentData.isVirtual || false,
+    appointmentData.locationAddress,
+    appointmentData.meetingUrl,
+    appointmentData.fee || service?.base_fee || 0,
+    appointmentData.currency || 'EUR',
+    appointmentData.notes,
+    createdBy,
+    appointmentData.seriesId || null,
+    professional.timezone || DEFAULT_TIMEZONE,
+    appointmentData.rescheduledFromId || null,
+    appointmentData.rescheduleCount || 0,
+    JSON.stringify(cancellationPolicy)
+  ]).catch(translateOverlapError);
+
+  const appointment = insertResult.rows[0];
+
+  if (hold) {
+    await client.query(
+      'UPDATE appointment_slot_holds SET appointment_id = $1 WHERE id = $2',
+      [appointment.id, hold.id]
+    );
+  }
+
+  // Create audit log
+  await createAuditLog({
+    userId: createdBy,
+    action: AuditActions.APPOINTMENT_CREATED,
+    resource: 'appointment',
+    resourceId: appointment.id,
+    details: {
+      professionalId: appointment.professional_id,
+      patientId: appointment.patient_id,
+      scheduledDate: appointment.scheduled_date,
+      startTime: appointment.start_time,
+      endTime: appointment.end_time,
+      appointmentType: appointment.appointment_type,
+      isVirtual: appointment.is_virtual,
+      fee: appointment.fee
+    },
+    riskLevel: RiskLevels.LOW,
+  });
+
+  logInfo('Appointment created successfully', {
+    appointmentId: appointment.id,
+    professionalId: appointment.professional_id,
+    patientId: appointment.patient_id,
+    createdBy
+  });
+
+  return appointment;
 };
 
 // Get appointments with filtering and pagination
@@ -244,6 +347,7 @@ export const getAppointments = async (filters = {}, pagination = {}) => {
     const appointmentsResult = await query(`
       SELECT 
         a.*,
+        ${instantColumns},
         pp.name as professional_name,
         pp.email as professional_email,
         pt.name as patient_name,
@@ -296,6 +400,7 @@ export const getAppointmentById = async (appointmentId, userId = null) => {
     const result = await query(`
       SELECT 
         a.*,
+        ${instantColumns},
         pp.name as professional_name,
         pp.email as professional_email,
         pp.phone as professional_phone,
@@ -306,7 +411,8 @@ export const getAppointmentById = async (appointmentId, userId = null) => {
         ps.category as service_category,
         ps.description as service_description,
         ps.duration_minutes as service_duration,
-        ps.base_fee as service_base_fee
+        ps.base_fee as service_base_fee,
+        (SELECT r.id FROM appointments r WHERE r.rescheduled_from_id = a.id LIMIT 1) as rescheduled_to_id
       FROM appointments a
       LEFT JOIN users pp ON a.professional_id = pp.id
       LEFT JOIN users pt ON a.patient_id = pt.id
@@ -367,10 +473,16 @@ export const updateAppointment = async (appointmentId, updateData, updatedBy) =>
       hasScheduleChange: !!(updateData.scheduledDate || updateData.startTime || updateData.endTime)
     });
 
+    let previousStatus = null;
+    let penaltyRecorded = false;
+    let cancelledBooking = null;
     const result = await withTransaction(async (client) => {
-      // Get current appointment
+      await setChangeContext(client, updatedBy);
+
+      // Get current appointment, locked so a booking payment confirmed meanwhile waits for
+      // this change (and sees a cancellation)
       const currentResult = await client.query(
-        'SELECT * FROM appointments WHERE id = $1',
+        'SELECT * FROM appointments WHERE id = $1 FOR UPDATE',
         [appointmentId]
       );
 
@@ -379,6 +491,7 @@ export const updateAppointment = async (appointmentId, updateData, updatedBy) =>
       }
 
       const currentAppointment = currentResult.rows[0];
+      previousStatus = currentAppointment.status;
 
       // Check if schedule is changing and validate availability
       if (updateData.scheduledDate || updateData.startTime || updateData.endTime) {
@@ -392,7 +505,8 @@ export const updateAppointment = async (appointmentId, updateData, updatedBy) =>
           newDate,
           newStartTime,
           newEndTime,
-          appointmentId // Exclude current appointment
+          appointmentId, // Exclude current appointment
+          { serviceId: currentAppointment.service_id }
         );
 
         if (!isAvailable) {
@@ -412,10 +526,12 @@ export const updateAppointment = async (appointmentId, updateData, updatedBy) =>
         'cancellation_reason'
       ];
 
+      // Routes send camelCase fields, internal callers may use column names
       for (const field of allowedFields) {
-        if (updateData[field] !== undefined) {
+        const value = updateData[field] !== undefined ? updateData[field] : updateData[snakeToCamel(field)];
+        if (value !== undefined) {
           updateFields.push(`${field} = $${paramIndex++}`);
-          params.push(updateData[field]);
+          params.push(value);
         }
       }
 
@@ -423,6 +539,24 @@ export const updateAppointment = async (appointmentId, updateData, updatedBy) =>
         throw new ValidationError('No valid fields to update');
       }
 
+      const penaltyType = getPenaltyType(currentAppointment, updateData.status, updatedBy);
+      const penaltyAmount = penaltyType ? calculatePenalty(currentAppointment, penaltyType) : 0;
+      if (penaltyAmount > 0) {
+        updateFields.push(`penalty_type = $${paramIndex++}`, `penalty_amount = $${paramIndex++}`);
+        params.push(penaltyType, penaltyAmount);
+        penaltyRecorded = true;
+      }
+
+      // Cancelling releases the booking payment: one still pending can no longer confirm the
+      // appointment, and one already made is refunded once the change is committed
+      if (updateData.status === 'cancelled' && ['scheduled', 'confirmed'].includes(currentAppointment.status)) {
+        cancelledBooking = currentAppointment;
+        if (currentAppointment.payment_status === APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT) {
+          updateFields.push(`payment_status = $${paramIndex++}`, 'payment_due_at = NULL');
+          params.push(APPOINTMENT_PAYMENT_STATUSES.CANCELLED);
+        }
+      }
+
       updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
       params.push(appointmentId);
 
@@ -431,7 +565,7 @@ export const updateAppointment = async (appointmentId, updateData, updatedBy) =>
         SET ${updateFields.join(', ')}
         WHERE id = $${paramIndex}
         RETURNING *
-      `, params);
+      `, params).catch(translateOverlapError);
 
       const updatedAppointment = updateResult.rows[0];
 
@@ -478,6 +612,21 @@ export const updateAppointment = async (appointmentId, updateData, updatedBy) =>
       return updatedAppointment;
     });
 
+    // Confirmation email with the .ics attached, once the change is committed
+    if (result.status === 'confirmed' && previousStatus !== 'confirmed') {
+      await sendAppointmentConfirmation(appointmentId);
+    }
+
+    if (cancelledBooking) {
+      await settleCancelledAppointmentPayment(cancelledBooking);
+    }
+
+    // Late-cancellation or no-show fee recorded by this change
+    if (penaltyRecorded) {
+      const charge = await chargeAppointmentPenalty(appointmentId);
+      return { ...result, ...charge };
+    }
+
     return result;
 
   } catch (error) {
@@ -509,6 +658,9 @@ export const cancelAppointment = async (appointmentId, cancellationReason, cance
       cancelledBy
     );
 
+    // Offer the freed slot to the waitlist
+    await offerFreedAppointmentSlot(appointmentId);
+
     return result;
 
   } catch (error) {
@@ -521,100 +673,228 @@ export const cancelAppointment = async (appointmentId, cancellationReason, cance
   }
 };
 
+// Move an appointment to a new slot. The original row is kept with status 'rescheduled'
+// and a new appointment is booked that points back to it, all in one transaction.
+// Patients are bound by the professional's booking policy.
+export const rescheduleAppointment = async (appointmentId, rescheduleData, rescheduledBy) => {
+  try {
+    logInfo('Rescheduling appointment', {
+      appointmentId,
+      scheduledDate: rescheduleData.scheduledDate,
+      startTime: rescheduleData.startTime,
+      rescheduledBy
+    });
+
+    const { previous, appointment } = await withTransaction(async (client) => {
+      await setChangeContext(client, rescheduledBy, rescheduleData.reason || 'Appointment rescheduled');
+
+      const currentResult = await client.query(
+        'SELECT * FROM appointments WHERE id = $1 FOR UPDATE',
+        [appointmentId]
+      );
+
+      if (currentResult.rows.length === 0) {
+        throw new NotFoundError('Appointment not found');
+      }
+
+      const current = currentResult.rows[0];
+
+      if (!['scheduled', 'confirmed'].includes(current.status)) {
+        throw new ValidationError('Only scheduled or confirmed appointments can be rescheduled');
+      }
+
+      if (current.payment_status === APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT) {
+        throw new ValidationError('The booking payment must be completed before rescheduling');
+      }
+
+      if (current.scheduled_date === rescheduleData.scheduledDate &&
+          current.start_time.substring(0, 5) === rescheduleData.startTime) {
+        throw new ValidationError('The new time is the same as the current one');
+      }
+
+      const isPatient = rescheduledBy === current.patient_id;
+
+      if (isPatient) {
+        const policy = await getBookingPolicy(client, current.professional_id);
+        const startsAt = zonedTimeToUtc(current.scheduled_date, current.start_time, current.timezone || DEFAULT_TIMEZONE);
+        const hoursUntilStart = (startsAt.getTime() - Date.now()) / (60 * 60 * 1000);
+
+        if (hoursUntilStart < policy.rescheduleMinHours) {
+          throw new ValidationError(`Appointments can only be rescheduled up to ${policy.rescheduleMinHours} hours before they start`);
+        }
+        if (current.reschedule_count >= policy.maxReschedules) {
+          throw new ValidationError(`This appointment cannot be rescheduled more than ${policy.maxReschedules} times`);
+        }
+      }
+
+      // Release the current slot first so the new one may overlap it
+      await client.query(`
+        UPDATE appointments
+        SET status = 'rescheduled', updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [appointmentId]);
+
+      const durationMinutes = timeToMinutes(current.end_time) - timeToMinutes(current.start_time);
+
+      const newAppointment = await insertAppointment(client, {
+        professionalId: current.professional_id,
+        patientId: current.patient_id,
+        serviceId: current.service_id,
+        holdId: rescheduleData.holdId,
+        title: current.title,
+        description: current.description,
+        appointmentType: current.appointment_type,
+        // A patient's new time needs the professional's confirmation again
+        status: isPatient ? 'scheduled' : current.status,
+        scheduledDate: rescheduleData.scheduledDate,
+        startTime: rescheduleData.startTime,
+        endTime: addMinutesToTime(rescheduleData.startTime, durationMinutes),
+        durationMinutes: current.duration_minutes,
+        isVirtual: current.is_virtual,
+        locationAddress: current.location_address,
+        meetingUrl: current.meeting_url,
+        fee: current.fee,
+        currency: current.currency,
+        notes: current.notes,
+        seriesId: current.series_id,
+        rescheduledFromId: current.id,
+        rescheduleCount: current.reschedule_count + 1,
+        cancellationPolicy: current.cancellation_policy
+      }, rescheduledBy);
+
+      // What was paid at booking pays for the new appointment
+      if (current.payment_id) {
+        const paidResult = await client.query(`
+          UPDATE appointments
+          SET payment_status = $1, payment_id = $2, amount_due = $3
+          WHERE id = $4
+          RETURNING *
+        `, [current.payment_status, current.payment_id, current.amount_due, newAppointment.id]);
+        Object.assign(newAppointment, paidResult.rows[0]);
+
+        await client.query(
+          'UPDATE payments SET appointment_id = $1 WHERE id = $2',
+          [newAppointment.id, current.payment_id]
+        );
+      }
+
+      await createAuditLog({
+        userId: rescheduledBy,
+        action: AuditActions.APPOINTMENT_RESCHEDULED,
+        resource: 'appointment',
+        resourceId: appointmentId,
+        details: {
+          newAppointmentId: newAppointment.id,
+          oldValues: {
+            scheduledDate: current.scheduled_date,
+            startTime: current.start_time
+          },
+          newValues: {
+            scheduledDate: newAppointment.scheduled_date,
+            startTime: newAppointment.start_time
+          },
+          rescheduleCount: newAppointment.reschedule_count,
+          reason: rescheduleData.reason
+        },
+        riskLevel: RiskLevels.LOW,
+      });
+
+      return { previous: current, appointment: newAppointment };
+    });
+
+    logInfo('Appointment rescheduled successfully', {
+      appointmentId,
+      newAppointmentId: appointment.id,
+      rescheduledBy
+    });
+
+    // The original slot is free again
+    await offerFreedAppointmentSlot(appointmentId);
+    await notifyRescheduled(previous, appointment, rescheduledBy);
+
+    return { ...appointment, previous_appointment_id: previous.id };
+
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_reschedule_failed',
+      appointmentId,
+      rescheduledBy
+    });
+    throw error;
+  }
+};
+
+// Record who changes appointments (and why) for the appointment_history trigger.
+// Settings are local to the current transaction.
+export const setChangeContext = async (client, userId, reason = null) => {
+  await client.query(
+    `SELECT set_config('app.current_user_id', $1, true), set_config('app.change_reason', $2, true)`,
+    [userId || '', reason || '']
+  );
+};
+
 // Check appointment availability
+// options.serviceId applies that service's preparation/cleanup buffers
 export const checkAppointmentAvailability = async (
   client, 
   professionalId, 
   date, 
   startTime, 
   endTime, 
-  excludeAppointmentId = null
+  excludeAppointmentId = null,
+  options = {}
 ) => {
   try {
-    // Check for conflicting appointments
-    let conflictQuery = `
-      SELECT COUNT(*) as conflicts
-      FROM appointments
-      WHERE professional_id = $1
-        AND scheduled_date = $2
-        AND status IN ('scheduled', 'confirmed', 'in_progress')
-        AND (
-          ($3 >= start_time AND $3 < end_time) OR
-          ($4 > start_time AND $4 <= end_time) OR
-          ($3 <= start_time AND $4 >= end_time)
-        )
-    `;
-    
-    let params = [professionalId, date, startTime, endTime];
-    
-    if (excludeAppointmentId) {
-      conflictQuery += ` AND id != $5`;
-      params.push(excludeAppointmentId);
+    const db = client || { query };
+    const start = timeToMinutes(startTime);
+    const end = timeToMinutes(endTime);
+
+    // Inside a transaction, serialise checks for the professional's day so two
+    // concurrent bookings or holds cannot both see the same range as free
+    if (client) {
+      await client.query(
+        `SELECT pg_advisory_xact_lock(hashtext($1 || ':' || ($2::date)::text))`,
+        [professionalId, date]
+      );
     }
 
-    const conflictResult = await client.query(conflictQuery, params);
-    const hasConflicts = parseInt(conflictResult.rows[0].conflicts) > 0;
-
-    if (hasConflicts) {
-      return false;
-    }
+    let bufferBefore = 0;
+    let bufferAfter = 0;
 
-    // Check professional schedule
-    const dayOfWeek = getDayOfWeek(date);
-    const scheduleResult = await client.query(`
-      SELECT * FROM professional_schedules
-      WHERE professional_id = $1
-        AND day_of_week = $2
-        AND is_available = true
-        AND (effective_until IS NULL OR effective_until >= $3)
-        AND effective_from <= $3
-    `, [professionalId, dayOfWeek, date]);
+    if (options.serviceId) {
+      const serviceResult = await db.query(`
+        SELECT buffer_before_minutes, buffer_after_minutes
+        FROM professional_services
+        WHERE id = $1
+      `, [options.serviceId]);
 
-    if (scheduleResult.rows.length === 0) {
-      return false; // No schedule found for this day
+      if (serviceResult.rows.length > 0) {
+        bufferBefore = serviceResult.rows[0].buffer_before_minutes;
+        bufferAfter = serviceResult.rows[0].buffer_after_minutes;
+      }
     }
 
-    const schedule = scheduleResult.rows[0];
-    
-    // Check if appointment time is within schedule
-    if (startTime < schedule.start_time || endTime > schedule.end_time) {
+    // Check for conflicting appointments, buffers included on both sides
+    const busyIntervals = await getBusyIntervals(db, professionalId, date, excludeAppointmentId);
+    const hasConflicts = busyIntervals.some(busy =>
+      start - bufferBefore < busy.end && end + bufferAfter > busy.start
+    );
+
+    if (hasConflicts) {
       return false;
     }
 
-    // Check if appointment conflicts with break time
-    if (schedule.break_start_time && schedule.break_end_time) {
-      if (
-        (startTime >= schedule.break_start_time && startTime < schedule.break_end_time) ||
-        (endTime > schedule.break_start_time && endTime <= schedule.break_end_time) ||
-        (startTime <= schedule.break_start_time && endTime >= schedule.break_end_time)
-      ) {
-        return false;
-      }
-    }
+    // Check professional schedule (working blocks minus breaks, or exception hours)
+    const daySchedule = await getDaySchedule(db, professionalId, date);
 
-    // Check for schedule exceptions
-    const exceptionResult = await client.query(`
-      SELECT * FROM schedule_exceptions
-      WHERE professional_id = $1
-        AND exception_date = $2
-    `, [professionalId, date]);
-
-    if (exceptionResult.rows.length > 0) {
-      const exception = exceptionResult.rows[0];
-      
-      if (!exception.is_available) {
-        return false; // Professional is not available this day
-      }
-      
-      // If there are special hours, check them
-      if (exception.start_time && exception.end_time) {
-        if (startTime < exception.start_time || endTime > exception.end_time) {
-          return false;
-        }
-      }
+    if (!daySchedule.isAvailable) {
+      return false;
     }
 
-    return true;
+    // The appointment must fit entirely inside one working interval
+    return daySchedule.intervals.some(interval =>
+      start >= timeToMinutes(interval.startTime) && end <= timeToMinutes(interval.endTime)
+    );
 
   } catch (error) {
     logError(error, {
@@ -628,95 +908,193 @@ export const checkAppointmentAvailability = async (
   }
 };
 
+// Get the working blocks, breaks and bookable intervals of a professional for a date
+export const getDaySchedule = async (client, professionalId, date) => {
+  const db = client || { query };
+  const dayOfWeek = getDayOfWeek(date);
+
+  // Schedule exceptions take precedence over the weekly schedule
+  const exceptionResult = await db.query(`
+    SELECT * FROM schedule_exceptions
+    WHERE professional_id = $1
+      AND exception_date = $2
+  `, [professionalId, date]);
+
+  let blocks;
+
+  if (exceptionResult.rows.length > 0) {
+    const exception = exceptionResult.rows[0];
+
+    if (!exception.is_available) {
+      return {
+        date,
+        isAvailable: false,
+        reason: exception.title,
+        blocks: [],
+        intervals: []
+      };
+    }
+
+    if (exception.start_time && exception.end_time) {
+      blocks = [{
+        id: null,
+        startTime: exception.start_time,
+        endTime: exception.end_time,
+        breaks: []
+      }];
+    }
+  }
+
+  if (!blocks) {
+    const scheduleResult = await db.query(`
+      SELECT 
+        ps.*,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'startTime', b.start_time,
+            'endTime', b.end_time,
+            'label', b.label
+          ) ORDER BY b.start_time)
+          FROM professional_schedule_breaks b
+          WHERE b.schedule_id = ps.id
+        ), '[]'::json) as breaks
+      FROM professional_schedules ps
+      WHERE ps.professional_id = $1
+        AND ps.day_of_week = $2
+        AND ps.is_available = true
+        AND (ps.effective_until IS NULL OR ps.effective_until >= $3)
+        AND ps.effective_from <= $3
+      ORDER BY ps.start_time
+    `, [professionalId, dayOfWeek, date]);
+
+    blocks = scheduleResult.rows.map(schedule => ({
+      id: schedule.id,
+      startTime: schedule.start_time,
+      endTime: schedule.end_time,
+      breaks: schedule.breaks
+    }));
+  }
+
+  if (blocks.length === 0) {
+    return {
+      date,
+      isAvailable: false,
+      reason: 'No schedule configured',
+      blocks: [],
+      intervals: []
+    };
+  }
+
+  return {
+    date,
+    isAvailable: true,
+    blocks,
+    intervals: blocks.flatMap(splitBlockByBreaks)
+  };
+};
+
+// Get the IANA timezone a professional works in
+export const getProfessionalTimezone = async (client, professionalId) => {
+  const db = client || { query };
+  const result = await db.query(
+    'SELECT timezone FROM professionals WHERE user_id = $1',
+    [professionalId]
+  );
+
+  return result.rows[0]?.timezone || DEFAULT_TIMEZONE;
+};
+
 // Get professional availability for a date range
-export const getProfessionalAvailability = async (professionalId, dateFrom, dateTo) => {
+// options.serviceId sizes the slots to that service and applies its buffers and notice.
+// Dates and slot times are local to the professional's timezone; every slot also
+// carries its UTC instants and, with options.viewerTimezone, the viewer's local rendering.
+export const getProfessionalAvailability = async (professionalId, dateFrom, dateTo, options = {}) => {
   try {
     logInfo('Getting professional availability', {
       professionalId,
       dateFrom,
-      dateTo
+      dateTo,
+      serviceId: options.serviceId
     });
 
+    const timezone = await getProfessionalTimezone(null, professionalId);
+    const viewerTimezone = options.viewerTimezone && options.viewerTimezone !== timezone
+      ? options.viewerTimezone
+      : null;
+
+    let service = null;
+    if (options.serviceId) {
+      const serviceResult = await query(`
+        SELECT * FROM professional_services 
+        WHERE id = $1 AND professional_id = $2 AND is_active = true
+      `, [options.serviceId, professionalId]);
+
+      if (serviceResult.rows.length === 0) {
+        throw new NotFoundError('Service not found or inactive');
+      }
+      service = serviceResult.rows[0];
+    }
+
+    const slotOptions = getSlotOptions(service);
+
     const availability = {};
-    const currentDate = new Date(dateFrom);
-    const endDate = new Date(dateTo);
-
-    while (currentDate <= endDate) {
-      const dateStr = currentDate.toISOString().split('T')[0];
-      const dayOfWeek = getDayOfWeek(dateStr);
-
-      // Get schedule for this day
-      const scheduleResult = await query(`
-        SELECT * FROM professional_schedules
-        WHERE professional_id = $1
-          AND day_of_week = $2
-          AND is_available = true
-          AND (effective_until IS NULL OR effective_until >= $3)
-          AND effective_from <= $3
-      `, [professionalId, dayOfWeek, dateStr]);
-
-      if (scheduleResult.rows.length > 0) {
-        const schedule = scheduleResult.rows[0];
-        
-        // Check for exceptions
-        const exceptionResult = await query(`
-          SELECT * FROM schedule_exceptions
-          WHERE professional_id = $1
-            AND exception_date = $2
-        `, [professionalId, dateStr]);
+
+    for (const dateStr of getDateRange(dateFrom, dateTo)) {
+      const daySchedule = await getDaySchedule(null, professionalId, dateStr);
+
+      if (daySchedule.isAvailable) {
+        const { blocks, intervals } = daySchedule;
 
         let dayAvailability = {
           date: dateStr,
+          timezone,
           isAvailable: true,
-          startTime: schedule.start_time,
-          endTime: schedule.end_time,
-          breakStartTime: schedule.break_start_time,
-          breakEndTime: schedule.break_end_time,
+          startTime: blocks[0].startTime,
+          endTime: blocks[blocks.length - 1].endTime,
+          blocks,
           slots: []
         };
 
-        if (exceptionResult.rows.length > 0) {
-          const exception = exceptionResult.rows[0];
-          if (!exception.is_available) {
-            dayAvailability.isAvailable = false;
-            dayAvailability.reason = exception.title;
-          } else if (exception.start_time && exception.end_time) {
-            dayAvailability.startTime = exception.start_time;
-            dayAvailability.endTime = exception.end_time;
+        // Get existing appointments for this day
+        const busyIntervals = await getBusyIntervals(null, professionalId, dateStr);
+
+        // Generate available time slots inside every working interval
+        dayAvailability.slots = intervals.flatMap(interval => generateTimeSlots(
+          interval.startTime,
+          interval.endTime,
+          busyIntervals,
+          {
+            ...slotOptions,
+            notBefore: getNoticeCutoff(dateStr, slotOptions.minBookingNoticeMinutes, timezone)
           }
-        }
-
-        if (dayAvailability.isAvailable) {
-          // Get existing appointments for this day
-          const appointmentsResult = await query(`
-            SELECT start_time, end_time FROM appointments
-            WHERE professional_id = $1
-              AND scheduled_date = $2
-              AND status IN ('scheduled', 'confirmed', 'in_progress')
-            ORDER BY start_time
-          `, [professionalId, dateStr]);
-
-          // Generate available time slots (30-minute intervals)
-          dayAvailability.slots = generateTimeSlots(
-            dayAvailability.startTime,
-            dayAvailability.endTime,
-            dayAvailability.breakStartTime,
-            dayAvailability.breakEndTime,
-            appointmentsResult.rows,
-            30 // Default slot duration
-          );
-        }
+        )).map(slot => {
+          const startsAt = zonedTimeToUtc(dateStr, slot.startTime, timezone);
+          const endsAt = zonedTimeToUtc(dateStr, slot.endTime, timezone);
+
+          return {
+            ...slot,
+            startsAt: startsAt.toISOString(),
+            endsAt: endsAt.toISOString(),
+            ...(viewerTimezone && {
+              viewerLocal: {
+                timezone: viewerTimezone,
+                date: toLocalRendering(startsAt, viewerTimezone).date,
+                startTime: toLocalRendering(startsAt, viewerTimezone).time,
+                endTime: toLocalRendering(endsAt, viewerTimezone).time
+              }
+            })
+          };
+        });
 
         availability[dateStr] = dayAvailability;
       } else {
         availability[dateStr] = {
           date: dateStr,
+          timezone,
           isAvailable: false,
-          reason: 'No schedule configured'
+          reason: daySchedule.reason
         };
       }
-
-      currentDate.setDate(currentDate.getDate() + 1);
     }
 
     logInfo('Professional availability retrieved', {
@@ -738,6 +1116,21 @@ export const getProfessionalAvailability = async (professionalId, dateFrom, date
 };
 
 // Helper functions
+// Penalty a status change incurs: patients cancelling their own appointment, or not showing up
+const getPenaltyType = (appointment, newStatus, changedBy) => {
+  if (!newStatus || newStatus === appointment.status || appointment.penalty_type) {
+    return null;
+  }
+  if (newStatus === 'cancelled' && changedBy === appointment.patient_id &&
+      ['scheduled', 'confirmed'].includes(appointment.status)) {
+    return PENALTY_TYPES.LATE_CANCELLATION;
+  }
+  if (newStatus === 'no_show') {
+    return PENALTY_TYPES.NO_SHOW;
+  }
+  return null;
+};
+
 const addMinutesToTime = (timeString, minutes) => {
   const [hours, mins] = timeString.split(':').map(Number);
   const totalMinutes = hours * 60 + mins + minutes;
@@ -746,40 +1139,141 @@ const addMinutesToTime = (timeString, minutes) => {
   return `${newHours.toString().padStart(2, '0')}:${newMins.toString().padStart(2, '0')}`;
 };
 
-const getDayOfWeek = (dateString) => {
-  const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-  const date = new Date(dateString);
-  return days[date.getDay()];
+// Slot sizing for a service (or the default 30-minute slot when none is given).
+// Slots step by duration plus buffers so consecutive bookings never overlap.
+const getSlotOptions = (service) => {
+  const duration = service?.duration_minutes || DEFAULT_SLOT_DURATION;
+  const bufferBeforeMinutes = service?.buffer_before_minutes || 0;
+  const bufferAfterMinutes = service?.buffer_after_minutes || 0;
+
+  return {
+    duration,
+    step: bufferBeforeMinutes + duration + bufferAfterMinutes,
+    bufferBeforeMinutes,
+    bufferAfterMinutes,
+    minBookingNoticeMinutes: service?.min_booking_notice_minutes || 0
+  };
+};
+
+// Minute of `date` (local to the professional's timezone) before which nothing
+// can be booked given a notice period, or null when the whole day is far enough ahead
+const getNoticeCutoff = (date, noticeMinutes, timezone = DEFAULT_TIMEZONE, now = new Date()) => {
+  const earliest = getZonedParts(new Date(now.getTime() + noticeMinutes * 60 * 1000), timezone);
+
+  if (date > earliest.date) {
+    return null;
+  }
+  if (date < earliest.date) {
+    return 24 * 60;
+  }
+  return earliest.minutes + (earliest.seconds > 0 ? 1 : 0);
+};
+
+// Busy intervals (in minutes) of a professional on a date, widened by the
+// preparation/cleanup buffers of the services already booked
+const getBusyIntervals = async (client, professionalId, date, excludeAppointmentId = null) => {
+  const db = client || { query };
+
+  let busyQuery = `
+    SELECT 
+      a.start_time,
+      a.end_time,
+      COALESCE(ps.buffer_before_minutes, 0) as buffer_before_minutes,
+      COALESCE(ps.buffer_after_minutes, 0) as buffer_after_minutes
+    FROM appointments a
+    LEFT JOIN professional_services ps ON a.service_id = ps.id
+    WHERE a.professional_id = $1
+      AND a.scheduled_date = $2
+      AND a.status IN ('scheduled', 'confirmed', 'in_progress')
+  `;
+
+  const params = [professionalId, date];
+
+  if (excludeAppointmentId) {
+    busyQuery += ` AND a.id != $3`;
+    params.push(excludeAppointmentId);
+  }
+
+  const result = await db.query(`${busyQuery} ORDER BY a.start_time`, params);
+
+  // Ranges held by patients who are completing a booking
+  const holdsResult = await db.query(`
+    SELECT start_time, end_time FROM appointment_slot_holds
+    WHERE professional_id = $1
+      AND scheduled_date = $2
+      AND status = 'active'
+      AND expires_at > NOW()
+  `, [professionalId, date]);
+
+  // Slots offered to waitlisted patients stay held until the offer expires
+  const offersResult = await db.query(`
+    SELECT start_time, end_time FROM waitlist_offers
+    WHERE professional_id = $1
+      AND scheduled_date = $2
+      AND status = 'pending'
+      AND expires_at > NOW()
+  `, [professionalId, date]);
+
+  // Busy times imported from external calendars, clipped to the local day
+  const externalResult = await db.query(`
+    SELECT
+      GREATEST(0, FLOOR(EXTRACT(EPOCH FROM (b.starts_at AT TIME ZONE p.timezone) - $2::date::timestamp) / 60)) as start_minutes,
+      LEAST(1440, CEIL(EXTRACT(EPOCH FROM (b.ends_at AT TIME ZONE p.timezone) - $2::date::timestamp) / 60)) as end_minutes
+    FROM external_busy_times b
+    JOIN professionals p ON p.user_id = b.professional_id
+    WHERE b.professional_id = $1
+      AND b.starts_at < (($2::date + 1)::timestamp AT TIME ZONE p.timezone)
+      AND b.ends_at > ($2::date::timestamp AT TIME ZONE p.timezone)
+  `, [professionalId, date]);
+
+  return [
+    ...result.rows.map(apt => ({
+      start: timeToMinutes(apt.start_time) - apt.buffer_before_minutes,
+      end: timeToMinutes(apt.end_time) + apt.buffer_after_minutes
+    })),
+    ...offersResult.rows.map(offer => ({
+      start: timeToMinutes(offer.start_time),
+      end: timeToMinutes(offer.end_time)
+    })),
+    ...holdsResult.rows.map(hold => ({
+      start: timeToMinutes(hold.start_time),
+      end: timeToMinutes(hold.end_time)
+    })),
+    ...externalResult.rows.map(busy => ({
+      start: parseInt(busy.start_minutes),
+      end: parseInt(busy.end_minutes)
+    }))
+  ];
 };
 
-const generateTimeSlots = (startTime, endTime, breakStart, breakEnd, existingAppointments, slotDuration) => {
+const generateTimeSlots = (startTime, endTime, busyIntervals, options) => {
+  const {
+    duration,
+    step = duration,
+    bufferBeforeMinutes = 0,
+    bufferAfterMinutes = 0,
+    notBefore = null
+  } = options;
+
   const slots = [];
   const start = timeToMinutes(startTime);
   const end = timeToMinutes(endTime);
-  const breakStartMin = breakStart ? timeToMinutes(breakStart) : null;
-  const breakEndMin = breakEnd ? timeToMinutes(breakEnd) : null;
 
-  for (let time = start; time < end; time += slotDuration) {
-    const slotStart = minutesToTime(time);
-    const slotEnd = minutesToTime(time + slotDuration);
-
-    // Skip if slot overlaps with break
-    if (breakStartMin && breakEndMin && 
-        time < breakEndMin && (time + slotDuration) > breakStartMin) {
+  // Only offer slots whose whole duration fits before the interval ends
+  for (let time = start; time + duration <= end; time += step) {
+    if (notBefore !== null && time < notBefore) {
       continue;
     }
 
-    // Check if slot conflicts with existing appointments
-    const hasConflict = existingAppointments.some(apt => {
-      const aptStart = timeToMinutes(apt.start_time);
-      const aptEnd = timeToMinutes(apt.end_time);
-      return time < aptEnd && (time + slotDuration) > aptStart;
-    });
+    // Check if slot (with its buffers) conflicts with existing appointments
+    const hasConflict = busyIntervals.some(busy =>
+      time - bufferBeforeMinutes < busy.end && time + duration + bufferAfterMinutes > busy.start
+    );
 
     if (!hasConflict) {
       slots.push({
-        startTime: slotStart,
-        endTime: slotEnd,
+        startTime: minutesToTime(time),
+        endTime: minutesToTime(time + duration),
         available: true
       });
     }
@@ -788,6 +1282,82 @@ const generateTimeSlots = (startTime, endTime, breakStart, breakEnd, existingApp
   return slots;
 };
 
+// Split a working block into the intervals left between its breaks
+const splitBlockByBreaks = (block) => {
+  const intervals = [];
+  let cursor = timeToMinutes(block.startTime);
+  const blockEnd = timeToMinutes(block.endTime);
+
+  const breaks = [...(block.breaks || [])]
+    .map(b => ({ start: timeToMinutes(b.startTime), end: timeToMinutes(b.endTime) }))
+    .sort((a, b) => a.start - b.start);
+
+  for (const brk of breaks) {
+    if (brk.start > cursor) {
+      intervals.push({ startTime: minutesToTime(cursor), endTime: minutesToTime(Math.min(brk.start, blockEnd)) });
+    }
+    cursor = Math.max(cursor, brk.end);
+  }
+
+  if (cursor < blockEnd) {
+    intervals.push({ startTime: minutesToTime(cursor), endTime: minutesToTime(blockEnd) });
+  }
+
+  return intervals;
+};
+
+// The exclusion constraint on appointments rejects overlaps that slipped past the checks
+const translateOverlapError = (error) => {
+  if (error.code === '23P01') {
+    throw new ConflictError('Time slot is not available');
+  }
+  throw error;
+};
+
+// Tell the other participant(s) an appointment moved; never throws
+const notifyRescheduled = async (previous, appointment, rescheduledBy) => {
+  try {
+    const usersResult = await query(
+      'SELECT id, name, email, phone FROM users WHERE id = ANY($1)',
+      [[appointment.professional_id, appointment.patient_id]]
+    );
+    const users = Object.fromEntries(usersResult.rows.map(user => [user.id, user]));
+    const formatDate = (date) => new Date(`${date}T00:00:00`).toLocaleDateString('es-ES');
+
+    const recipients = [appointment.professional_id, appointment.patient_id]
+      .filter(userId => userId !== rescheduledBy);
+
+    for (const userId of recipients) {
+      await notificationService.sendNotification({
+        userId,
+        type: NOTIFICATION_TYPES.APPOINTMENT_RESCHEDULED,
+        channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL, NOTIFICATION_CHANNELS.PUSH],
+        variables: {
+          patient: users[appointment.patient_id]?.name,
+          professional: users[appointment.professional_id]?.name,
+          previousDate: formatDate(previous.scheduled_date),
+          previousTime: previous.start_time.substring(0, 5),
+          date: formatDate(appointment.scheduled_date),
+          time: appointment.start_time.substring(0, 5)
+        },
+        data: {
+          email: users[userId]?.email,
+          phone: users[userId]?.phone,
+          appointmentId: appointment.id,
+          previousAppointmentId: previous.id
+        }
+      });
+    }
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_reschedule_notification_failed',
+      appointmentId: appointment.id
+    });
+  }
+};
+
+const snakeToCamel = (field) => field.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase());
+
 const timeToMinutes = (timeString) => {
   const [hours, minutes] = timeString.split(':').map(Number);
   return hours * 60 + minutes;
@@ -801,10 +1371,15 @@ const minutesToTime = (minutes) => {
 
 export default {
   createAppointment,
+  insertAppointment,
   getAppointments,
   getAppointmentById,
   updateAppointment,
   cancelAppointment,
+  rescheduleAppointment,
+  setChangeContext,
   checkAppointmentAvailability,
+  getDaySchedule,
+  getProfessionalTimezone,
   getProfessionalAvailability,
 };
\ No newline at end of file
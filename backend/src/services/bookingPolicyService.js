@@ -0,0 +1,98 @@
+import { query } from '../config/database.js';
+import { logInfo } from '../utils/logger.js';
+import { createAuditLog, AuditActions, RiskLevels } from '../utils/auditLog.js';
+
+// Applied to professionals who have not configured a policy
+export const DEFAULT_BOOKING_POLICY = {
+  rescheduleMinHours: 24,
+  maxReschedules: 2,
+  freeCancellationHours: 24,
+  lateCancelFeeType: 'percentage',
+  lateCancelFeeValue: 0,
+  noShowFeeType: 'percentage',
+  noShowFeeValue: 0
+};
+
+const policyColumns = {
+  rescheduleMinHours: 'reschedule_min_hours',
+  maxReschedules: 'max_reschedules',
+  freeCancellationHours: 'free_cancellation_hours',
+  lateCancelFeeType: 'late_cancel_fee_type',
+  lateCancelFeeValue: 'late_cancel_fee_value',
+  noShowFeeType: 'no_show_fee_type',
+  noShowFeeValue: 'no_show_fee_value'
+};
+
+// Fields copied onto each appointment at booking
+const cancellationPolicyFields = [
+  'freeCancellationHours',
+  'lateCancelFeeType',
+  'lateCancelFeeValue',
+  'noShowFeeType',
+  'noShowFeeValue'
+];
+
+// Get a professional's booking policy, falling back to the defaults
+export const getBookingPolicy = async (client, professionalId) => {
+  const db = client || { query };
+  const result = await db.query(
+    'SELECT * FROM professional_booking_policies WHERE professional_id = $1',
+    [professionalId]
+  );
+
+  return result.rows.length > 0
+    ? formatPolicy(result.rows[0])
+    : { professionalId, ...DEFAULT_BOOKING_POLICY };
+};
+
+// Cancellation terms of a policy, as stored on appointments booked under it
+export const getCancellationPolicySnapshot = (policy) => Object.fromEntries(
+  cancellationPolicyFields.map(field => [field, policy[field]])
+);
+
+// Create or update a professional's booking policy; omitted fields keep their current value
+export const updateBookingPolicy = async (professionalId, policyData, updatedBy) => {
+  const policy = { ...(await getBookingPolicy(null, professionalId)), ...policyData };
+  const fields = Object.keys(policyColumns);
+
+  const result = await query(`
+    INSERT INTO professional_booking_policies (professional_id, ${fields.map(field => policyColumns[field]).join(', ')})
+    VALUES ($1, ${fields.map((_, index) => `$${index + 2}`).join(', ')})
+    ON CONFLICT (professional_id) DO UPDATE SET
+      ${fields.map(field => `${policyColumns[field]} = EXCLUDED.${policyColumns[field]}`).join(',\n      ')}
+    RETURNING *
+  `, [professionalId, ...fields.map(field => policy[field])]);
+
+  await createAuditLog({
+    userId: updatedBy,
+    action: AuditActions.USER_UPDATED,
+    resource: 'booking_policy',
+    resourceId: professionalId,
+    details: { changes: policyData },
+    riskLevel: RiskLevels.LOW,
+  });
+
+  logInfo('Booking policy updated', { professionalId, updatedBy });
+
+  return formatPolicy(result.rows[0]);
+};
+
+// Helper functions
+const formatPolicy = (row) => ({
+  professionalId: row.professional_id,
+  rescheduleMinHours: row.reschedule_min_hours,
+  maxReschedules: row.max_reschedules,
+  freeCancellationHours: row.free_cancellation_hours,
+  lateCancelFeeType: row.late_cancel_fee_type,
+  lateCancelFeeValue: Number(row.late_cancel_fee_value),
+  noShowFeeType: row.no_show_fee_type,
+  noShowFeeValue: Number(row.no_show_fee_value),
+  updatedAt: row.updated_at
+});
+
+export default {
+  DEFAULT_BOOKING_POLICY,
+  getBookingPolicy,
+  getCancellationPolicySnapshot,
+  updateBookingPolicy
+};
@@ -0,0 +1,200 @@
+import crypto from 'crypto';
+import { query } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import { buildCalendar } from '../utils/icalendar.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './notificationService.js';
+
+// How far back the feed keeps past appointments, so clients do not drop them right away
+const FEED_PAST_DAYS = 30;
+// Suggested polling interval for subscribed calendar clients
+const FEED_REFRESH_MINUTES = 60;
+
+const eventColumns = `
+  a.id,
+  a.professional_id,
+  a.patient_id,
+  a.status,
+  a.title,
+  a.is_virtual,
+  a.location_address,
+  a.meeting_url,
+  a.updated_at,
+  EXTRACT(EPOCH FROM (a.updated_at - a.created_at))::integer as sequence,
+  ((a.scheduled_date + a.start_time) AT TIME ZONE COALESCE(a.timezone, '${DEFAULT_TIMEZONE}')) as starts_at,
+  ((a.scheduled_date + a.end_time) AT TIME ZONE COALESCE(a.timezone, '${DEFAULT_TIMEZONE}')) as ends_at,
+  pp.name as professional_name,
+  pt.name as patient_name,
+  ps.name as service_name`;
+
+const eventJoins = `
+  LEFT JOIN users pp ON a.professional_id = pp.id
+  LEFT JOIN users pt ON a.patient_id = pt.id
+  LEFT JOIN professional_services ps ON a.service_id = ps.id`;
+
+// Get the user's feed token, creating one on first use; regenerate replaces it (old URLs stop working)
+export const getCalendarFeedToken = async (userId, { regenerate = false } = {}) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const result = await query(`
+    INSERT INTO calendar_feed_tokens (user_id, token)
+    VALUES ($1, $2)
+    ON CONFLICT (user_id) DO ${regenerate
+      ? 'UPDATE SET token = EXCLUDED.token, created_at = CURRENT_TIMESTAMP, last_accessed_at = NULL'
+      : 'UPDATE SET user_id = EXCLUDED.user_id'}
+    RETURNING token, created_at, last_accessed_at
+  `, [userId, token]);
+
+  if (regenerate) {
+    logInfo('Calendar feed token regenerated', { userId });
+  }
+
+  return result.rows[0];
+};
+
+// Public subscription URL of a feed token
+export const getCalendarFeedUrl = (token) => {
+  const baseUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 8000}`;
+  return `${baseUrl}/api/calendar/feed/${token}.ics`;
+};
+
+// Render the feed of the token's owner: upcoming (and recent) appointments as VEVENTs
+export const getCalendarFeed = async (token) => {
+  try {
+    const tokenResult = await query(`
+      UPDATE calendar_feed_tokens
+      SET last_accessed_at = CURRENT_TIMESTAMP
+      WHERE token = $1
+      RETURNING user_id
+    `, [token]);
+
+    if (tokenResult.rows.length === 0) {
+      throw new NotFoundError('Calendar feed not found');
+    }
+
+    const userId = tokenResult.rows[0].user_id;
+
+    const result = await query(`
+      SELECT ${eventColumns}
+      FROM appointments a
+      ${eventJoins}
+      WHERE (a.professional_id = $1 OR a.patient_id = $1)
+        AND a.scheduled_date >= CURRENT_DATE - make_interval(days => $2)
+      ORDER BY a.scheduled_date, a.start_time
+    `, [userId, FEED_PAST_DAYS]);
+
+    return buildCalendar(result.rows.map(row => toEvent(row, userId)), {
+      name: 'Mundoctor',
+      refreshMinutes: FEED_REFRESH_MINUTES
+    });
+
+  } catch (error) {
+    if (!(error instanceof NotFoundError)) {
+      logError(error, { event: 'calendar_feed_failed' });
+    }
+    throw error;
+  }
+};
+
+// Single-appointment .ics, rendered for one of its participants
+export const getAppointmentCalendar = async (appointmentId, userId) => {
+  const event = await getAppointmentEvent(appointmentId, userId);
+  return buildCalendar([event]);
+};
+
+// Email the patient that the appointment is confirmed, with the .ics attached.
+// Never throws: a failed email must not undo the confirmation.
+export const sendAppointmentConfirmation = async (appointmentId) => {
+  try {
+    const result = await query(`
+      SELECT ${eventColumns},
+        to_char(a.scheduled_date, 'YYYY-MM-DD') as slot_date,
+        a.start_time,
+        pt.email as patient_email,
+        pt.phone as patient_phone
+      FROM appointments a
+      ${eventJoins}
+      WHERE a.id = $1
+    `, [appointmentId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const appointment = result.rows[0];
+    const calendar = buildCalendar([toEvent(appointment, appointment.patient_id)]);
+
+    return await notificationService.sendNotification({
+      userId: appointment.patient_id,
+      type: NOTIFICATION_TYPES.APPOINTMENT_CONFIRMED,
+      channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL, NOTIFICATION_CHANNELS.PUSH],
+      variables: {
+        date: new Date(`${appointment.slot_date}T00:00:00`).toLocaleDateString('es-ES'),
+        time: appointment.start_time.substring(0, 5),
+        professional: appointment.professional_name
+      },
+      data: {
+        email: appointment.patient_email,
+        phone: appointment.patient_phone,
+        appointmentId
+      },
+      attachments: [{
+        filename: 'cita-mundoctor.ics',
+        content: calendar,
+        contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+      }]
+    });
+
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_confirmation_failed',
+      appointmentId
+    });
+    return null;
+  }
+};
+
+// Helper functions
+const getAppointmentEvent = async (appointmentId, userId) => {
+  const result = await query(`
+    SELECT ${eventColumns}
+    FROM appointments a
+    ${eventJoins}
+    WHERE a.id = $1
+  `, [appointmentId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Appointment not found');
+  }
+
+  return toEvent(result.rows[0], userId);
+};
+
+// Each participant sees the other party in the event title
+const toEvent = (row, userId) => {
+  const isProfessional = row.professional_id === userId;
+  const otherParty = isProfessional ? row.patient_name : row.professional_name;
+  const role = isProfessional ? 'professional' : 'patient';
+
+  return {
+    id: row.id,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    status: row.status,
+    sequence: row.sequence,
+    updatedAt: row.updated_at,
+    summary: otherParty ? `Cita con ${otherParty}` : (row.title || 'Cita Mundoctor'),
+    description: [row.service_name, row.is_virtual ? row.meeting_url : null].filter(Boolean).join('\n'),
+    location: row.is_virtual ? (row.meeting_url || 'Videoconsulta') : row.location_address,
+    url: process.env.FRONTEND_URL ? `${process.env.FRONTEND_URL}/${role}/appointments/${row.id}` : null
+  };
+};
+
+export default {
+  getCalendarFeedToken,
+  getCalendarFeedUrl,
+  getCalendarFeed,
+  getAppointmentCalendar,
+  sendAppointmentConfirmation
+};
@@ -0,0 +1,189 @@
+import { query } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { DEFAULT_TIMEZONE, zonedTimeToUtc } from '../utils/timezone.js';
+import paymentService from './paymentService.js';
+import invoiceService from './invoiceService.js';
+import { TAX_CATEGORIES } from './taxService.js';
+import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './notificationService.js';
+import { PAYMENT_TYPES, formatCurrency } from '../models/paymentModel.js';
+
+export const PENALTY_TYPES = {
+  LATE_CANCELLATION: 'late_cancellation',
+  NO_SHOW: 'no_show'
+};
+
+const penaltyPaymentTypes = {
+  [PENALTY_TYPES.LATE_CANCELLATION]: PAYMENT_TYPES.LATE_CANCELLATION_FEE,
+  [PENALTY_TYPES.NO_SHOW]: PAYMENT_TYPES.NO_SHOW_FEE
+};
+
+const penaltyDescriptions = {
+  [PENALTY_TYPES.LATE_CANCELLATION]: 'Cancelación tardía',
+  [PENALTY_TYPES.NO_SHOW]: 'Inasistencia'
+};
+
+// Charges retried per job run
+const RETRY_BATCH_SIZE = 50;
+
+// Fee an appointment incurs under the policy snapshotted at booking, in the appointment currency.
+// Late cancellations are only charged to patients cancelling inside the free window.
+export const calculatePenalty = (appointment, penaltyType, now = new Date()) => {
+  const policy = appointment.cancellation_policy;
+  if (!policy) {
+    return 0;
+  }
+
+  if (penaltyType === PENALTY_TYPES.LATE_CANCELLATION) {
+    const startsAt = zonedTimeToUtc(appointment.scheduled_date, appointment.start_time, appointment.timezone || DEFAULT_TIMEZONE);
+    const hoursUntilStart = (startsAt.getTime() - now.getTime()) / (60 * 60 * 1000);
+
+    if (hoursUntilStart >= policy.freeCancellationHours) {
+      return 0;
+    }
+    return getFeeAmount(policy.lateCancelFeeType, policy.lateCancelFeeValue, appointment.fee);
+  }
+
+  if (penaltyType === PENALTY_TYPES.NO_SHOW) {
+    return getFeeAmount(policy.noShowFeeType, policy.noShowFeeValue, appointment.fee);
+  }
+
+  return 0;
+};
+
+// Charge the penalty recorded on an appointment: a payment through paymentService and an
+// invoice with the fee as line item. Steps already done are skipped, so a failed charge can be
+// retried. Never throws: the cancellation or no-show stands whether or not the charge succeeds.
+export const chargeAppointmentPenalty = async (appointmentId) => {
+  try {
+    const result = await query(`
+      SELECT a.*, to_char(a.scheduled_date, 'YYYY-MM-DD') as slot_date,
+        pp.name as professional_name,
+        pt.email as patient_email,
+        pt.phone as patient_phone
+      FROM appointments a
+      LEFT JOIN users pp ON a.professional_id = pp.id
+      LEFT JOIN users pt ON a.patient_id = pt.id
+      WHERE a.id = $1
+    `, [appointmentId]);
+
+    const appointment = result.rows[0];
+    if (!appointment?.penalty_type || (appointment.penalty_payment_id && appointment.penalty_invoice_id)) {
+      return null;
+    }
+
+    // Payments and invoices are kept in cents
+    const amount = Math.round(Number(appointment.penalty_amount) * 100);
+    const date = new Date(`${appointment.slot_date}T00:00:00`).toLocaleDateString('es-ES');
+    const description = `${penaltyDescriptions[appointment.penalty_type]} - cita del ${date} con ${appointment.professional_name}`;
+    const metadata = {
+      appointmentId,
+      penaltyType: appointment.penalty_type,
+      professionalId: appointment.professional_id
+    };
+
+    let paymentId = appointment.penalty_payment_id;
+    if (!paymentId) {
+      const { payment } = await paymentService.createPaymentIntent({
+        userId: appointment.patient_id,
+        amount,
+        currency: appointment.currency,
+        paymentType: penaltyPaymentTypes[appointment.penalty_type],
+        description,
+        metadata,
+        appointmentId
+      });
+      paymentId = payment.id;
+
+      await query(
+        'UPDATE appointments SET penalty_payment_id = $1 WHERE id = $2',
+        [paymentId, appointmentId]
+      );
+    }
+
+    const invoice = await invoiceService.createInvoice({
+      userId: appointment.patient_id,
+      paymentId,
+      currency: appointment.currency,
+      // Fees compensate the professional for the lost slot, so they are not subject to IVA
+      items: [{ description, quantity: 1, unitPrice: amount, taxCategory: TAX_CATEGORIES.NOT_SUBJECT, metadata }],
+      metadata
+    });
+
+    await query(
+      'UPDATE appointments SET penalty_invoice_id = $1 WHERE id = $2',
+      [invoice.id, appointmentId]
+    );
+
+    await notificationService.sendNotification({
+      userId: appointment.patient_id,
+      type: NOTIFICATION_TYPES.APPOINTMENT_FEE_CHARGED,
+      channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL],
+      variables: {
+        amount: formatCurrency(amount, appointment.currency),
+        reason: penaltyDescriptions[appointment.penalty_type].toLowerCase(),
+        date,
+        professional: appointment.professional_name
+      },
+      data: {
+        email: appointment.patient_email,
+        phone: appointment.patient_phone,
+        appointmentId,
+        paymentId,
+        invoiceId: invoice.id
+      }
+    });
+
+    logInfo('Appointment penalty charged', {
+      appointmentId,
+      penaltyType: appointment.penalty_type,
+      amount,
+      paymentId,
+      invoiceId: invoice.id
+    });
+
+    return { penalty_payment_id: paymentId, penalty_invoice_id: invoice.id };
+
+  } catch (error) {
+    logError(error, {
+      event: 'appointment_penalty_charge_failed',
+      appointmentId
+    });
+    return null;
+  }
+};
+
+// Retry penalties whose payment or invoice could not be created; returns how many were completed
+export const chargePendingPenalties = async () => {
+  const result = await query(`
+    SELECT id FROM appointments
+    WHERE penalty_type IS NOT NULL
+      AND (penalty_payment_id IS NULL OR penalty_invoice_id IS NULL)
+    ORDER BY updated_at
+    LIMIT $1
+  `, [RETRY_BATCH_SIZE]);
+
+  let charged = 0;
+  for (const { id } of result.rows) {
+    if (await chargeAppointmentPenalty(id)) {
+      charged++;
+    }
+  }
+
+  return charged;
+};
+
+// Helper functions
+const getFeeAmount = (feeType, feeValue, appointmentFee) => {
+  const value = Number(feeValue) || 0;
+  if (feeType === 'fixed') {
+    return value;
+  }
+  return Math.round(Number(appointmentFee || 0) * value) / 100;
+};
+
+export default {
+  PENALTY_TYPES,
+  calculatePenalty,
+  chargeAppointmentPenalty,
+  chargePendingPenalties
+};
@@ -0,0 +1,421 @@
+import { query, withTransaction } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { createAuditLog } from '../utils/auditLog.js';
+import { ValidationError, NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+
+export const DISCOUNT_TYPES = {
+  PERCENTAGE: 'percentage',
+  FIXED: 'fixed'
+};
+
+export const DISCOUNT_TARGETS = {
+  ALL: 'all',
+  SUBSCRIPTIONS: 'subscriptions',
+  APPOINTMENTS: 'appointments'
+};
+
+export const REDEMPTION_STATUSES = {
+  PENDING: 'pending',
+  COMPLETED: 'completed',
+  RELEASED: 'released'
+};
+
+// Fields an admin may change once a code exists; code, type and value stay fixed so
+// past redemptions keep matching their code
+const updatableFields = {
+  description: 'description',
+  appliesTo: 'applies_to',
+  planIds: 'plan_ids',
+  serviceIds: 'service_ids',
+  validFrom: 'valid_from',
+  validUntil: 'valid_until',
+  maxUses: 'max_uses',
+  maxUsesPerUser: 'max_uses_per_user',
+  isActive: 'is_active'
+};
+
+// Pending and completed redemptions count towards the limits
+const USAGE_SELECT = `
+  COALESCE((
+    SELECT COUNT(*) FROM discount_redemptions dr
+    WHERE dr.discount_code_id = dc.id AND dr.status <> 'released'
+  ), 0)::integer as times_used,
+  COALESCE((
+    SELECT SUM(dr.discount_amount) FROM discount_redemptions dr
+    WHERE dr.discount_code_id = dc.id AND dr.status = 'completed'
+  ), 0)::integer as total_discounted
+`;
+
+export const createDiscountCode = async (data, createdBy) => {
+  const id = `dc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const isPercentage = data.discountType === DISCOUNT_TYPES.PERCENTAGE;
+
+  try {
+    const result = await query(
+      `INSERT INTO discount_codes (
+        id, code, description, discount_type, percent_off, amount_off, currency,
+        applies_to, plan_ids, service_ids, valid_from, valid_until,
+        max_uses, max_uses_per_user, is_active, created_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+      RETURNING *`,
+      [
+        id,
+        data.code.trim().toUpperCase(),
+        data.description || null,
+        data.discountType,
+        isPercentage ? data.percentOff : null,
+        isPercentage ? null : data.amountOff,
+        isPercentage ? null : data.currency,
+        data.appliesTo || DISCOUNT_TARGETS.ALL,
+        data.planIds || [],
+        data.serviceIds || [],
+        data.validFrom || null,
+        data.validUntil || null,
+        data.maxUses || null,
+        data.maxUsesPerUser || null,
+        data.isActive !== false,
+        createdBy
+      ]
+    );
+
+    await createAuditLog({
+      userId: createdBy,
+      action: 'discount_code_created',
+      resource: 'discount_code',
+      resourceId: id,
+      details: {
+        code: result.rows[0].code,
+        discountType: data.discountType,
+        percentOff: data.percentOff,
+        amountOff: data.amountOff
+      }
+    });
+
+    logInfo('Discount code created', { discountCodeId: id, code: result.rows[0].code });
+
+    return { ...result.rows[0], times_used: 0, total_discounted: 0 };
+
+  } catch (error) {
+    if (error.code === '23505') {
+      throw new ConflictError(`Discount code ${data.code} already exists`);
+    }
+    throw error;
+  }
+};
+
+export const updateDiscountCode = async (discountCodeId, updates, updatedBy) => {
+  const fields = Object.keys(updates).filter(field => updatableFields[field]);
+
+  if (fields.length === 0) {
+    throw new ValidationError('No valid fields to update');
+  }
+
+  const assignments = fields.map((field, index) => `${updatableFields[field]} = $${index + 2}`);
+  const result = await query(
+    `UPDATE discount_codes SET ${assignments.join(', ')}
+    WHERE id = $1
+    RETURNING id`,
+    [discountCodeId, ...fields.map(field => updates[field])]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Discount code');
+  }
+
+  await createAuditLog({
+    userId: updatedBy,
+    action: 'discount_code_updated',
+    resource: 'discount_code',
+    resourceId: discountCodeId,
+    details: { changes: fields }
+  });
+
+  return getDiscountCode(discountCodeId);
+};
+
+// Discount codes with their usage, newest first; search matches the code
+export const getDiscountCodes = async ({ search = null, status = null, page = 1, limit = 50 } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    params.push(`%${search.toUpperCase()}%`);
+    conditions.push(`UPPER(dc.code) LIKE $${params.length}`);
+  }
+
+  if (status === 'active') {
+    conditions.push('dc.is_active = true AND (dc.valid_until IS NULL OR dc.valid_until > NOW())');
+  } else if (status === 'inactive') {
+    conditions.push('(dc.is_active = false OR dc.valid_until <= NOW())');
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const offset = (page - 1) * limit;
+
+  const [codesResult, countResult] = await Promise.all([
+    query(
+      `SELECT dc.*, ${USAGE_SELECT}
+      FROM discount_codes dc
+      ${where}
+      ORDER BY dc.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    query(`SELECT COUNT(*) FROM discount_codes dc ${where}`, params)
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    discountCodes: codesResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// A discount code with its usage and latest redemptions
+export const getDiscountCode = async (discountCodeId) => {
+  const result = await query(
+    `SELECT dc.*, ${USAGE_SELECT}
+    FROM discount_codes dc
+    WHERE dc.id = $1`,
+    [discountCodeId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Discount code');
+  }
+
+  const redemptionsResult = await query(
+    `SELECT dr.*, u.name as user_name, u.email as user_email
+    FROM discount_redemptions dr
+    JOIN users u ON u.id = dr.user_id
+    WHERE dr.discount_code_id = $1
+    ORDER BY dr.created_at DESC
+    LIMIT 100`,
+    [discountCodeId]
+  );
+
+  return { ...result.rows[0], redemptions: redemptionsResult.rows };
+};
+
+// Amount (in cents) a code takes off a charge
+export const calculateDiscount = (discountCode, amount) => {
+  if (discountCode.discount_type === DISCOUNT_TYPES.PERCENTAGE) {
+    return Math.round(amount * Number(discountCode.percent_off) / 100);
+  }
+  return Math.min(discountCode.amount_off, amount);
+};
+
+// Check a code against a charge without using it. target is { type: 'subscription', planId }
+// or { type: 'appointment', serviceId }. Returns the discount and the amount left to pay.
+export const previewDiscount = async (code, { userId, target, amount, currency }) => {
+  const discountCode = await findDiscountCode({ query }, code);
+  return checkDiscountCode({ query }, discountCode, { userId, target, amount, currency });
+};
+
+// Use a code on a charge: checks it and records a pending redemption in one transaction,
+// so concurrent uses cannot go over the limits. Attach the payment or subscription to
+// the redemption once it exists, and release it if the charge is abandoned.
+export const redeemDiscountCode = async (code, { userId, target, amount, currency }) => {
+  return withTransaction(async (client) => {
+    const discountCode = await findDiscountCode(client, code, { forUpdate: true });
+    const discount = await checkDiscountCode(client, discountCode, { userId, target, amount, currency });
+
+    const redemptionId = `dr_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    const result = await client.query(
+      `INSERT INTO discount_redemptions (
+        id, discount_code_id, user_id, status, original_amount, discount_amount, currency
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING *`,
+      [redemptionId, discountCode.id, userId, REDEMPTION_STATUSES.PENDING, amount, discount.discountAmount, currency]
+    );
+
+    logInfo('Discount code redeemed', {
+      discountCodeId: discountCode.id,
+      redemptionId,
+      userId,
+      discountAmount: discount.discountAmount
+    });
+
+    return { ...discount, redemption: result.rows[0] };
+  });
+};
+
+export const attachRedemption = async (redemptionId, { paymentId = null, subscriptionId = null, status = null }) => {
+  await query(
+    `UPDATE discount_redemptions SET
+      payment_id = COALESCE($1, payment_id),
+      subscription_id = COALESCE($2, subscription_id),
+      status = COALESCE($3, status)
+    WHERE id = $4`,
+    [paymentId, subscriptionId, status, redemptionId]
+  );
+};
+
+// Mark the redemptions of a successful payment as used
+export const completePaymentRedemptions = async (paymentId) => {
+  const result = await query(
+    'UPDATE discount_redemptions SET status = $1 WHERE payment_id = $2 AND status <> $1',
+    [REDEMPTION_STATUSES.COMPLETED, paymentId]
+  );
+  return result.rowCount;
+};
+
+// Give back a use of the code. Never throws.
+export const releaseRedemption = async (redemptionId) => {
+  try {
+    await query(
+      'UPDATE discount_redemptions SET status = $1 WHERE id = $2 AND status = $3',
+      [REDEMPTION_STATUSES.RELEASED, redemptionId, REDEMPTION_STATUSES.PENDING]
+    );
+  } catch (error) {
+    logError(error, { event: 'discount_redemption_release_failed', redemptionId });
+  }
+};
+
+// Give back the uses of a payment that will not go through
+export const releasePaymentRedemptions = async (paymentId) => {
+  const result = await query(
+    'UPDATE discount_redemptions SET status = $1 WHERE payment_id = $2 AND status = $3',
+    [REDEMPTION_STATUSES.RELEASED, paymentId, REDEMPTION_STATUSES.PENDING]
+  );
+  return result.rowCount;
+};
+
+// Discount of a subscription not yet shown on an invoice; codes apply to the first charge
+export const getUninvoicedSubscriptionDiscount = async (subscriptionId) => {
+  const result = await query(
+    `SELECT dr.*, dc.code, dc.discount_type, dc.percent_off
+    FROM discount_redemptions dr
+    JOIN discount_codes dc ON dc.id = dr.discount_code_id
+    WHERE dr.subscription_id = $1 AND dr.status <> $2 AND dr.invoice_id IS NULL
+    ORDER BY dr.created_at
+    LIMIT 1`,
+    [subscriptionId, REDEMPTION_STATUSES.RELEASED]
+  );
+
+  return result.rows[0] || null;
+};
+
+export const markRedemptionInvoiced = async (redemptionId, invoiceId) => {
+  await query(
+    'UPDATE discount_redemptions SET invoice_id = $1 WHERE id = $2',
+    [invoiceId, redemptionId]
+  );
+};
+
+// Invoice line for a redemption: a negative amount in the same tax category as what it discounts
+export const toDiscountLine = (redemption, taxCategory) => ({
+  description: redemption.discount_type === DISCOUNT_TYPES.PERCENTAGE
+    ? `Descuento ${redemption.code} (${Number(redemption.percent_off)}%)`
+    : `Descuento ${redemption.code}`,
+  quantity: 1,
+  unitPrice: -redemption.discount_amount,
+  ...(taxCategory ? { taxCategory } : {}),
+  metadata: {
+    redemptionId: redemption.id,
+    discountCodeId: redemption.discount_code_id
+  }
+});
+
+// Helper functions
+const findDiscountCode = async (db, code, { forUpdate = false } = {}) => {
+  const result = await db.query(
+    `SELECT * FROM discount_codes WHERE UPPER(code) = UPPER($1) ${forUpdate ? 'FOR UPDATE' : ''}`,
+    [String(code || '').trim()]
+  );
+
+  if (result.rows.length === 0) {
+    throw new ValidationError('Invalid discount code');
+  }
+
+  return result.rows[0];
+};
+
+const checkDiscountCode = async (db, discountCode, { userId, target, amount, currency }) => {
+  const now = new Date();
+
+  if (!discountCode.is_active) {
+    throw new ValidationError('Discount code is not active');
+  }
+
+  if (discountCode.valid_from && new Date(discountCode.valid_from) > now) {
+    throw new ValidationError('Discount code is not valid yet');
+  }
+
+  if (discountCode.valid_until && new Date(discountCode.valid_until) <= now) {
+    throw new ValidationError('Discount code has expired');
+  }
+
+  const isSubscription = target.type === 'subscription';
+  const wrongTarget = (isSubscription && discountCode.applies_to === DISCOUNT_TARGETS.APPOINTMENTS) ||
+    (!isSubscription && discountCode.applies_to === DISCOUNT_TARGETS.SUBSCRIPTIONS);
+  const plans = discountCode.plan_ids || [];
+  const services = discountCode.service_ids || [];
+
+  if (wrongTarget ||
+    (isSubscription && plans.length > 0 && !plans.includes(target.planId)) ||
+    (!isSubscription && services.length > 0 && !services.includes(target.serviceId))) {
+    throw new ValidationError('Discount code does not apply to this purchase');
+  }
+
+  if (discountCode.discount_type === DISCOUNT_TYPES.FIXED && discountCode.currency !== currency) {
+    throw new ValidationError(`Discount code is only valid for payments in ${discountCode.currency}`);
+  }
+
+  if (discountCode.max_uses || discountCode.max_uses_per_user) {
+    const usageResult = await db.query(
+      `SELECT COUNT(*)::integer as total,
+        COUNT(*) FILTER (WHERE user_id = $2)::integer as by_user
+      FROM discount_redemptions
+      WHERE discount_code_id = $1 AND status <> $3`,
+      [discountCode.id, userId, REDEMPTION_STATUSES.RELEASED]
+    );
+    const usage = usageResult.rows[0];
+
+    if (discountCode.max_uses && usage.total >= discountCode.max_uses) {
+      throw new ValidationError('Discount code has reached its maximum number of uses');
+    }
+
+    if (discountCode.max_uses_per_user && usage.by_user >= discountCode.max_uses_per_user) {
+      throw new ValidationError('You have already used this discount code');
+    }
+  }
+
+  const discountAmount = calculateDiscount(discountCode, amount);
+
+  if (discountAmount <= 0) {
+    throw new ValidationError('Discount code does not apply to this amount');
+  }
+
+  return {
+    discountCode,
+    discountAmount,
+    finalAmount: amount - discountAmount
+  };
+};
+
+export default {
+  DISCOUNT_TYPES,
+  DISCOUNT_TARGETS,
+  REDEMPTION_STATUSES,
+  createDiscountCode,
+  updateDiscountCode,
+  getDiscountCodes,
+  getDiscountCode,
+  calculateDiscount,
+  previewDiscount,
+  redeemDiscountCode,
+  attachRedemption,
+  completePaymentRedemptions,
+  releaseRedemption,
+  releasePaymentRedemptions,
+  getUninvoicedSubscriptionDiscount,
+  markRedemptionInvoiced,
+  toDiscountLine
+};
@@ -0,0 +1,624 @@
+import { query, withTransaction } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { createAuditLog } from '../utils/auditLog.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import paymentService from './paymentService.js';
+import notificationService, {
+  NOTIFICATION_TYPES,
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_PRIORITIES
+} from './notificationService.js';
+import { SUBSCRIPTION_STATUSES, formatCurrency } from '../models/paymentModel.js';
+
+export const DUNNING_STATUSES = {
+  ACTIVE: 'active',
+  RECOVERED: 'recovered',
+  SUSPENDED: 'suspended',
+  CANCELLED: 'cancelled'
+};
+
+export const DUNNING_ACTIONS = {
+  DOWNGRADE: 'downgrade',
+  HIDE: 'hide'
+};
+
+// Each notice is sent once, in this order, and later ones go out by SMS as well
+export const DUNNING_NOTICE_LEVELS = {
+  PAYMENT_FAILED: 1,
+  RETRY_FAILED: 2,
+  GRACE_ENDING: 3,
+  SUSPENDED: 4
+};
+
+// Used when system_settings has no dunning_* keys
+const DEFAULT_DUNNING_SETTINGS = {
+  retryDays: [1, 3, 5],
+  gracePeriodDays: 7,
+  finalAction: DUNNING_ACTIONS.DOWNGRADE
+};
+
+// The last warning goes out this many days before the grace period ends
+const GRACE_ENDING_NOTICE_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const noticeTypes = {
+  [DUNNING_NOTICE_LEVELS.PAYMENT_FAILED]: NOTIFICATION_TYPES.SUBSCRIPTION_PAYMENT_FAILED,
+  [DUNNING_NOTICE_LEVELS.RETRY_FAILED]: NOTIFICATION_TYPES.SUBSCRIPTION_RETRY_FAILED,
+  [DUNNING_NOTICE_LEVELS.GRACE_ENDING]: NOTIFICATION_TYPES.SUBSCRIPTION_GRACE_ENDING,
+  [DUNNING_NOTICE_LEVELS.SUSPENDED]: NOTIFICATION_TYPES.SUBSCRIPTION_SUSPENDED
+};
+
+const actionConsequences = {
+  [DUNNING_ACTIONS.DOWNGRADE]: {
+    pending: 'tu cuenta pasará al plan gratuito',
+    applied: 'tu cuenta ha pasado al plan gratuito'
+  },
+  [DUNNING_ACTIONS.HIDE]: {
+    pending: 'tu perfil dejará de aparecer en las búsquedas',
+    applied: 'tu perfil ya no aparece en las búsquedas'
+  }
+};
+
+// Retry schedule, grace period and final action, from system_settings
+export const getDunningSettings = async (client) => {
+  const db = client || { query };
+  const result = await db.query(
+    `SELECT key, value FROM system_settings
+    WHERE key IN ('dunning_retry_days', 'dunning_grace_period_days', 'dunning_final_action')`
+  );
+
+  const settings = { ...DEFAULT_DUNNING_SETTINGS };
+  for (const { key, value } of result.rows) {
+    if (key === 'dunning_retry_days') {
+      const days = String(value).split(',')
+        .map(day => parseInt(day.trim()))
+        .filter(day => Number.isInteger(day) && day > 0);
+      settings.retryDays = [...new Set(days)].sort((a, b) => a - b);
+    } else if (key === 'dunning_grace_period_days') {
+      const days = parseInt(value);
+      if (Number.isInteger(days) && days > 0) {
+        settings.gracePeriodDays = days;
+      }
+    } else if (key === 'dunning_final_action' && Object.values(DUNNING_ACTIONS).includes(value)) {
+      settings.finalAction = value;
+    }
+  }
+
+  return settings;
+};
+
+// Record a failed renewal payment. The first failure opens a dunning case; later ones
+// (provider retries or ours) raise its attempt count. A notice goes out whenever the count
+// grows, so the webhook and the retry job reporting the same attempt notify once.
+export const recordPaymentFailure = async ({
+  subscription,
+  invoiceId = null,
+  amountDue,
+  currency,
+  attemptCount = null,
+  error = null
+}) => {
+  const settings = await getDunningSettings();
+
+  const { dunningCase, previousAttempts } = await withTransaction(async (client) => {
+    // A profile hidden for non-payment stays in its suspended case while the provider
+    // keeps retrying, so those failures do not start a new grace period
+    const openResult = await client.query(
+      `SELECT * FROM subscription_dunning
+      WHERE subscription_id = $1 AND (status = $2 OR (status = $3 AND final_action = $4))
+      ORDER BY created_at DESC
+      LIMIT 1
+      FOR UPDATE`,
+      [subscription.id, DUNNING_STATUSES.ACTIVE, DUNNING_STATUSES.SUSPENDED, DUNNING_ACTIONS.HIDE]
+    );
+    const openCase = openResult.rows[0];
+
+    await client.query(
+      'UPDATE subscriptions SET status = $1, updated_at = NOW() WHERE id = $2',
+      [SUBSCRIPTION_STATUSES.PAST_DUE, subscription.id]
+    );
+
+    if (openCase) {
+      const updateResult = await client.query(
+        `UPDATE subscription_dunning SET
+          failed_attempts = GREATEST(failed_attempts, $1),
+          provider_invoice_id = COALESCE($2, provider_invoice_id),
+          amount_due = COALESCE($3, amount_due),
+          last_error = COALESCE($4, last_error)
+        WHERE id = $5
+        RETURNING *`,
+        [attemptCount || openCase.failed_attempts + 1, invoiceId, amountDue ?? null, error, openCase.id]
+      );
+
+      const suspended = openCase.status === DUNNING_STATUSES.SUSPENDED;
+      return {
+        dunningCase: updateResult.rows[0],
+        previousAttempts: suspended ? Infinity : openCase.failed_attempts
+      };
+    }
+
+    const now = Date.now();
+    const gracePeriodEndsAt = new Date(now + settings.gracePeriodDays * DAY_MS);
+
+    const insertResult = await client.query(
+      `INSERT INTO subscription_dunning (
+        id, subscription_id, user_id, status, provider_invoice_id, amount_due, currency,
+        failed_attempts, last_error, next_retry_at, grace_period_ends_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        `dun_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        subscription.id,
+        subscription.user_id,
+        DUNNING_STATUSES.ACTIVE,
+        invoiceId,
+        amountDue ?? subscription.amount,
+        (currency || subscription.currency).toUpperCase(),
+        attemptCount || 1,
+        error,
+        scheduleRetry(now, 0, settings, gracePeriodEndsAt),
+        gracePeriodEndsAt
+      ]
+    );
+
+    return { dunningCase: insertResult.rows[0], previousAttempts: 0 };
+  });
+
+  if (previousAttempts === 0) {
+    logInfo('Subscription entered dunning', {
+      dunningCaseId: dunningCase.id,
+      subscriptionId: subscription.id,
+      gracePeriodEndsAt: dunningCase.grace_period_ends_at
+    });
+
+    await createAuditLog({
+      userId: subscription.user_id,
+      action: 'subscription_dunning_started',
+      resource: 'subscription',
+      resourceId: subscription.id,
+      details: {
+        dunningCaseId: dunningCase.id,
+        invoiceId,
+        amountDue: dunningCase.amount_due
+      }
+    });
+  }
+
+  // Suspended cases compare against Infinity and get no further notices
+  if (dunningCase.failed_attempts > previousAttempts) {
+    const level = previousAttempts === 0
+      ? DUNNING_NOTICE_LEVELS.PAYMENT_FAILED
+      : DUNNING_NOTICE_LEVELS.RETRY_FAILED;
+    await sendDunningNotice(dunningCase, level, settings);
+  }
+
+  return dunningCase;
+};
+
+// Close the dunning case of a subscription whose payment went through. A profile hidden when
+// the grace period ended comes back as soon as the case is no longer suspended. A payment on a
+// new subscription also closes what was left open on the user's earlier ones.
+export const recordPaymentRecovery = async (subscriptionId) => {
+  await query(
+    `UPDATE subscription_dunning sd SET
+      status = $1,
+      next_retry_at = NULL,
+      resolved_at = NOW()
+    FROM subscriptions s
+    WHERE s.id = $2
+      AND sd.user_id = s.user_id
+      AND sd.subscription_id <> s.id
+      AND sd.status IN ($3, $4)`,
+    [DUNNING_STATUSES.CANCELLED, subscriptionId, DUNNING_STATUSES.ACTIVE, DUNNING_STATUSES.SUSPENDED]
+  );
+
+  const result = await query(
+    `UPDATE subscription_dunning SET
+      status = $1,
+      next_retry_at = NULL,
+      resolved_at = NOW()
+    WHERE subscription_id = $2
+      AND (status = $3 OR (status = $4 AND final_action = $5))
+    RETURNING *`,
+    [
+      DUNNING_STATUSES.RECOVERED,
+      subscriptionId,
+      DUNNING_STATUSES.ACTIVE,
+      DUNNING_STATUSES.SUSPENDED,
+      DUNNING_ACTIONS.HIDE
+    ]
+  );
+
+  const dunningCase = result.rows[0];
+  if (!dunningCase) {
+    return null;
+  }
+
+  await query(
+    'UPDATE subscriptions SET status = $1, updated_at = NOW() WHERE id = $2 AND status = $3',
+    [SUBSCRIPTION_STATUSES.ACTIVE, subscriptionId, SUBSCRIPTION_STATUSES.PAST_DUE]
+  );
+
+  logInfo('Subscription recovered from dunning', {
+    dunningCaseId: dunningCase.id,
+    subscriptionId
+  });
+
+  await createAuditLog({
+    userId: dunningCase.user_id,
+    action: 'subscription_dunning_recovered',
+    resource: 'subscription',
+    resourceId: subscriptionId,
+    details: {
+      dunningCaseId: dunningCase.id,
+      failedAttempts: dunningCase.failed_attempts
+    }
+  });
+
+  await notifyRecovery(dunningCase);
+
+  return dunningCase;
+};
+
+// Close the dunning case of a subscription that has been cancelled, whether still retrying or
+// already suspended (a profile hidden for non-payment shows again)
+export const closeDunning = async (subscriptionId) => {
+  const result = await query(
+    `UPDATE subscription_dunning SET
+      status = $1,
+      next_retry_at = NULL,
+      resolved_at = NOW()
+    WHERE subscription_id = $2 AND status IN ($3, $4)
+    RETURNING *`,
+    [DUNNING_STATUSES.CANCELLED, subscriptionId, DUNNING_STATUSES.ACTIVE, DUNNING_STATUSES.SUSPENDED]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Charge the invoice of a dunning case again, from the retry job or an admin
+export const retryDunningPayment = async (dunningCaseId, { retriedBy = null } = {}) => {
+  const caseResult = await query(
+    `SELECT sd.*, s.user_id as subscription_user_id, s.amount, s.currency as subscription_currency
+    FROM subscription_dunning sd
+    JOIN subscriptions s ON s.id = sd.subscription_id
+    WHERE sd.id = $1`,
+    [dunningCaseId]
+  );
+
+  const dunningCase = caseResult.rows[0];
+  if (!dunningCase) {
+    throw new NotFoundError('Dunning case not found');
+  }
+
+  if (dunningCase.status !== DUNNING_STATUSES.ACTIVE) {
+    throw new ValidationError(`Dunning case is ${dunningCase.status}`);
+  }
+
+  if (!dunningCase.provider_invoice_id) {
+    throw new ValidationError('Dunning case has no invoice to retry');
+  }
+
+  const settings = await getDunningSettings();
+  const retriesMade = dunningCase.retries_made + 1;
+  const nextRetryAt = scheduleRetry(
+    new Date(dunningCase.created_at).getTime(),
+    retriesMade,
+    settings,
+    new Date(dunningCase.grace_period_ends_at)
+  );
+
+  await query(
+    'UPDATE subscription_dunning SET retries_made = $1, next_retry_at = $2 WHERE id = $3',
+    [retriesMade, nextRetryAt, dunningCase.id]
+  );
+
+  if (retriedBy) {
+    await createAuditLog({
+      userId: retriedBy,
+      action: 'subscription_dunning_retried',
+      resource: 'subscription',
+      resourceId: dunningCase.subscription_id,
+      details: { dunningCaseId: dunningCase.id }
+    });
+  }
+
+  try {
+    const invoice = await paymentService.retrySubscriptionInvoice(dunningCase.provider_invoice_id);
+
+    if (invoice.status === 'paid') {
+      const recovered = await recordPaymentRecovery(dunningCase.subscription_id);
+      return { dunningCase: recovered || dunningCase, recovered: true };
+    }
+
+    throw new Error(`Invoice is ${invoice.status}`);
+
+  } catch (error) {
+    logError(error, {
+      event: 'dunning_retry_failed',
+      dunningCaseId: dunningCase.id,
+      invoiceId: dunningCase.provider_invoice_id
+    });
+
+    const updated = await recordPaymentFailure({
+      subscription: {
+        id: dunningCase.subscription_id,
+        user_id: dunningCase.subscription_user_id,
+        amount: dunningCase.amount,
+        currency: dunningCase.subscription_currency
+      },
+      invoiceId: dunningCase.provider_invoice_id,
+      amountDue: dunningCase.amount_due,
+      currency: dunningCase.currency,
+      attemptCount: dunningCase.failed_attempts + 1,
+      error: error.message
+    });
+
+    return { dunningCase: updated, recovered: false };
+  }
+};
+
+// Retry due invoices, warn about grace periods about to end and apply the final action to
+// those that have ended. Run periodically; each case is handled on its own.
+export const processDunning = async () => {
+  const settings = await getDunningSettings();
+  const summary = { retried: 0, recovered: 0, warned: 0, suspended: 0, failed: 0 };
+
+  const dueResult = await query(
+    `SELECT id FROM subscription_dunning
+    WHERE status = $1 AND next_retry_at <= NOW() AND grace_period_ends_at > NOW()
+    ORDER BY next_retry_at`,
+    [DUNNING_STATUSES.ACTIVE]
+  );
+
+  for (const { id } of dueResult.rows) {
+    try {
+      const { recovered } = await retryDunningPayment(id);
+      summary.retried++;
+      if (recovered) {
+        summary.recovered++;
+      }
+    } catch (error) {
+      summary.failed++;
+      logError(error, { event: 'dunning_case_retry_failed', dunningCaseId: id });
+    }
+  }
+
+  const endingResult = await query(
+    `SELECT * FROM subscription_dunning
+    WHERE status = $1
+      AND notice_level < $2
+      AND grace_period_ends_at > NOW()
+      AND grace_period_ends_at <= NOW() + make_interval(days => $3)`,
+    [DUNNING_STATUSES.ACTIVE, DUNNING_NOTICE_LEVELS.GRACE_ENDING, GRACE_ENDING_NOTICE_DAYS]
+  );
+
+  for (const dunningCase of endingResult.rows) {
+    await sendDunningNotice(dunningCase, DUNNING_NOTICE_LEVELS.GRACE_ENDING, settings);
+    summary.warned++;
+  }
+
+  const expiredResult = await query(
+    'SELECT * FROM subscription_dunning WHERE status = $1 AND grace_period_ends_at <= NOW()',
+    [DUNNING_STATUSES.ACTIVE]
+  );
+
+  for (const dunningCase of expiredResult.rows) {
+    try {
+      await suspendSubscription(dunningCase, settings);
+      summary.suspended++;
+    } catch (error) {
+      summary.failed++;
+      logError(error, { event: 'dunning_suspension_failed', dunningCaseId: dunningCase.id });
+    }
+  }
+
+  logInfo('Dunning run completed', summary);
+  return summary;
+};
+
+// Dunning cases with the professional and plan, open ones first by default
+export const getDunningCases = async ({ status = DUNNING_STATUSES.ACTIVE, page = 1, limit = 50 } = {}) => {
+  const params = [];
+  let where = '';
+
+  if (status) {
+    params.push(status);
+    where = `WHERE sd.status = $${params.length}`;
+  }
+
+  const offset = (page - 1) * limit;
+
+  const [casesResult, countResult] = await Promise.all([
+    query(
+      `SELECT sd.*, u.name as user_name, u.email as user_email,
+        s.plan_name, s.interval, s.status as subscription_status
+      FROM subscription_dunning sd
+      JOIN users u ON u.id = sd.user_id
+      JOIN subscriptions s ON s.id = sd.subscription_id
+      ${where}
+      ORDER BY sd.grace_period_ends_at ASC, sd.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    query(`SELECT COUNT(*) FROM subscription_dunning sd ${where}`, params)
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    dunningCases: casesResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+export default {
+  DUNNING_STATUSES,
+  DUNNING_ACTIONS,
+  DUNNING_NOTICE_LEVELS,
+  getDunningSettings,
+  recordPaymentFailure,
+  recordPaymentRecovery,
+  closeDunning,
+  retryDunningPayment,
+  processDunning,
+  getDunningCases
+};
+
+// Helper functions
+
+// Next retry after `retriesMade` retries, counted in days from the first failure;
+// null once the schedule is exhausted or it would fall after the grace period
+const scheduleRetry = (startedAt, retriesMade, settings, gracePeriodEndsAt) => {
+  const days = settings.retryDays[retriesMade];
+  if (days === undefined) {
+    return null;
+  }
+
+  const retryAt = new Date(startedAt + days * DAY_MS);
+  return retryAt < gracePeriodEndsAt ? retryAt : null;
+};
+
+// Apply the configured final action once the grace period has ended unpaid
+const suspendSubscription = async (dunningCase, settings) => {
+  const action = settings.finalAction;
+
+  if (action === DUNNING_ACTIONS.DOWNGRADE) {
+    // Cancelling at once also moves the professional back to the free tier
+    await paymentService.cancelSubscription(dunningCase.subscription_id, false);
+  }
+
+  const result = await query(
+    `UPDATE subscription_dunning SET
+      status = $1,
+      final_action = $2,
+      next_retry_at = NULL,
+      resolved_at = NOW()
+    WHERE id = $3
+    RETURNING *`,
+    [DUNNING_STATUSES.SUSPENDED, action, dunningCase.id]
+  );
+
+  logInfo('Subscription suspended after grace period', {
+    dunningCaseId: dunningCase.id,
+    subscriptionId: dunningCase.subscription_id,
+    action
+  });
+
+  await createAuditLog({
+    userId: dunningCase.user_id,
+    action: 'subscription_dunning_suspended',
+    resource: 'subscription',
+    resourceId: dunningCase.subscription_id,
+    details: {
+      dunningCaseId: dunningCase.id,
+      finalAction: action,
+      failedAttempts: dunningCase.failed_attempts
+    }
+  });
+
+  await sendDunningNotice(result.rows[0], DUNNING_NOTICE_LEVELS.SUSPENDED, settings);
+};
+
+// Send a dunning notice unless that level (or a later one) has already been sent; a failed
+// retry is notified every time until the grace period warning has gone out
+const sendDunningNotice = async (dunningCase, level, settings) => {
+  try {
+    const noticeResult = await query(
+      `UPDATE subscription_dunning SET notice_level = $1, last_notice_at = NOW()
+      WHERE id = $2 AND (notice_level < $1 OR (notice_level = $1 AND $1 = $3))
+      RETURNING id`,
+      [level, dunningCase.id, DUNNING_NOTICE_LEVELS.RETRY_FAILED]
+    );
+
+    if (noticeResult.rows.length === 0) {
+      return;
+    }
+
+    const userResult = await query(
+      `SELECT u.email, u.phone, s.plan_name
+      FROM users u
+      JOIN subscriptions s ON s.id = $2
+      WHERE u.id = $1`,
+      [dunningCase.user_id, dunningCase.subscription_id]
+    );
+    const user = userResult.rows[0] || {};
+
+    const action = dunningCase.final_action || settings.finalAction;
+    const gracePeriodEndsAt = new Date(dunningCase.grace_period_ends_at);
+    const channels = level === DUNNING_NOTICE_LEVELS.PAYMENT_FAILED
+      ? [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL]
+      : [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL, NOTIFICATION_CHANNELS.SMS];
+
+    await notificationService.sendNotification({
+      userId: dunningCase.user_id,
+      type: noticeTypes[level],
+      channels,
+      priority: level >= DUNNING_NOTICE_LEVELS.GRACE_ENDING
+        ? NOTIFICATION_PRIORITIES.URGENT
+        : NOTIFICATION_PRIORITIES.HIGH,
+      variables: {
+        plan: user.plan_name || 'tu plan',
+        amount: formatCurrency(dunningCase.amount_due, dunningCase.currency),
+        graceEnds: gracePeriodEndsAt.toLocaleDateString('es-ES'),
+        days: String(Math.max(1, Math.ceil((gracePeriodEndsAt - Date.now()) / DAY_MS))),
+        consequence: level === DUNNING_NOTICE_LEVELS.SUSPENDED
+          ? actionConsequences[action].applied
+          : actionConsequences[action].pending
+      },
+      data: {
+        email: user.email,
+        phone: user.phone,
+        subscriptionId: dunningCase.subscription_id,
+        dunningCaseId: dunningCase.id
+      }
+    });
+
+  } catch (error) {
+    logError(error, {
+      event: 'dunning_notice_failed',
+      dunningCaseId: dunningCase.id,
+      level
+    });
+  }
+};
+
+const notifyRecovery = async (dunningCase) => {
+  try {
+    const userResult = await query(
+      `SELECT u.email, u.phone, s.plan_name
+      FROM users u
+      JOIN subscriptions s ON s.id = $2
+      WHERE u.id = $1`,
+      [dunningCase.user_id, dunningCase.subscription_id]
+    );
+    const user = userResult.rows[0] || {};
+
+    await notificationService.sendNotification({
+      userId: dunningCase.user_id,
+      type: NOTIFICATION_TYPES.SUBSCRIPTION_PAYMENT_RECOVERED,
+      channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL],
+      variables: {
+        plan: user.plan_name || 'tu plan',
+        amount: formatCurrency(dunningCase.amount_due, dunningCase.currency)
+      },
+      data: {
+        email: user.email,
+        phone: user.phone,
+        subscriptionId: dunningCase.subscription_id
+      }
+    });
+
+  } catch (error) {
+    logError(error, {
+      event: 'dunning_recovery_notice_failed',
+      dunningCaseId: dunningCase.id
+    });
+  }
+};
@@ -44,14 +44,15 @@ class EmailService {
     logger.info('Email service initialized');
   }
 
-  async sendEmail(to, subject, html, text) {
+  async sendEmail(to, subject, html, text, attachments = []) {
     try {
       const mailOptions = {
         from: process.env.SMTP_FROM || 'noreply@mundoctor.com',
         to,
         subject,
         html,
-        text
+        text,
+        attachments
       };
 
       if (process.env.NODE_ENV === 'development' && !process.env.SMTP_USER) {
@@ -0,0 +1,213 @@
+import { query } from '../config/database.js';
+import { logInfo } from '../utils/logger.js';
+import { PlanLimitError } from '../middleware/errorHandler.js';
+import { SUBSCRIPTION_STATUSES } from '../models/paymentModel.js';
+import { getTodayInTimezone } from '../utils/timezone.js';
+import { getProfessionalTimezone } from './appointmentService.js';
+
+export const ENTITLEMENTS = {
+  MAX_SERVICES: 'maxServices',
+  MAX_MONTHLY_APPOINTMENTS: 'maxMonthlyAppointments',
+  FEATURED_PLACEMENT: 'featuredPlacement',
+  SMS_REMINDERS: 'smsReminders',
+  ANALYTICS: 'analytics',
+  MAX_PHOTOS: 'maxPhotos',
+  MAX_DOCUMENTS: 'maxDocuments'
+};
+
+export const MEDIA_TYPES = {
+  PHOTO: 'photo',
+  DOCUMENT: 'document'
+};
+
+// What a professional gets without a paid plan, and the value of any key a plan leaves out
+export const FREE_PLAN_ENTITLEMENTS = {
+  [ENTITLEMENTS.MAX_SERVICES]: 1,
+  [ENTITLEMENTS.MAX_MONTHLY_APPOINTMENTS]: 10,
+  [ENTITLEMENTS.FEATURED_PLACEMENT]: false,
+  [ENTITLEMENTS.SMS_REMINDERS]: false,
+  [ENTITLEMENTS.ANALYTICS]: false,
+  [ENTITLEMENTS.MAX_PHOTOS]: 1,
+  [ENTITLEMENTS.MAX_DOCUMENTS]: 3
+};
+
+// A subscription in dunning keeps its plan until the grace period ends. One whose dunning
+// case was suspended stays past_due (the profile is hidden until it is paid) but loses the
+// plan, see notSuspendedCondition.
+export const ENTITLED_SUBSCRIPTION_STATUSES = [
+  SUBSCRIPTION_STATUSES.ACTIVE,
+  SUBSCRIPTION_STATUSES.TRIALING,
+  SUBSCRIPTION_STATUSES.PAST_DUE
+];
+
+const entitledStatusList = ENTITLED_SUBSCRIPTION_STATUSES.map(status => `'${status}'`).join(', ');
+
+// Subscription `alias` has no dunning case that ended suspended
+const notSuspendedCondition = (alias) => `NOT EXISTS (
+  SELECT 1 FROM subscription_dunning sd
+  WHERE sd.subscription_id = ${alias}.id AND sd.status = 'suspended'
+)`;
+
+// Professionals (u.id) whose current plan includes featured placement
+export const FEATURED_PLACEMENT_CONDITION = `EXISTS (
+  SELECT 1 FROM subscriptions fs
+  JOIN subscription_plans fsp ON fs.plan_id = fsp.id
+  WHERE fs.user_id = u.id
+    AND fs.status IN (${entitledStatusList})
+    AND ${notSuspendedCondition('fs')}
+    AND (fsp.entitlements->>'${ENTITLEMENTS.FEATURED_PLACEMENT}')::boolean IS TRUE
+)`;
+
+const limitMessages = {
+  [ENTITLEMENTS.MAX_SERVICES]: 'Active service limit reached for the current plan',
+  [ENTITLEMENTS.MAX_MONTHLY_APPOINTMENTS]: 'Monthly appointment limit reached for the professional\'s plan',
+  [ENTITLEMENTS.MAX_PHOTOS]: 'Photo limit reached for the current plan',
+  [ENTITLEMENTS.MAX_DOCUMENTS]: 'Document limit reached for the current plan'
+};
+
+const featureMessages = {
+  [ENTITLEMENTS.FEATURED_PLACEMENT]: 'Featured placement is not included in the current plan',
+  [ENTITLEMENTS.SMS_REMINDERS]: 'SMS reminders are not included in the current plan',
+  [ENTITLEMENTS.ANALYTICS]: 'Analytics are not included in the current plan'
+};
+
+// Usage counted against each limit
+const usageKeys = {
+  [ENTITLEMENTS.MAX_SERVICES]: 'services',
+  [ENTITLEMENTS.MAX_MONTHLY_APPOINTMENTS]: 'monthlyAppointments',
+  [ENTITLEMENTS.MAX_PHOTOS]: 'photos',
+  [ENTITLEMENTS.MAX_DOCUMENTS]: 'documents'
+};
+
+// Plan and entitlements of the professional's current subscription, or the free plan
+export const getProfessionalEntitlements = async (professionalId, client) => {
+  const db = client || { query };
+  const result = await db.query(
+    `SELECT s.id as subscription_id, s.status, sp.id as plan_id, sp.name as plan_name, sp.entitlements
+    FROM subscriptions s
+    JOIN subscription_plans sp ON s.plan_id = sp.id
+    WHERE s.user_id = $1 AND s.status = ANY($2)
+      AND ${notSuspendedCondition('s')}
+    ORDER BY s.created_at DESC
+    LIMIT 1`,
+    [professionalId, ENTITLED_SUBSCRIPTION_STATUSES]
+  );
+
+  const subscription = result.rows[0];
+  if (!subscription) {
+    return {
+      plan: { id: 'free', name: 'Plan Gratuito', subscriptionId: null, status: null },
+      entitlements: { ...FREE_PLAN_ENTITLEMENTS }
+    };
+  }
+
+  return {
+    plan: {
+      id: subscription.plan_id,
+      name: subscription.plan_name,
+      subscriptionId: subscription.subscription_id,
+      status: subscription.status
+    },
+    entitlements: { ...FREE_PLAN_ENTITLEMENTS, ...(subscription.entitlements || {}) }
+  };
+};
+
+// Current usage of the limited entitlements. Appointments are counted in the month of
+// `date` (YYYY-MM-DD), by default the current month in the professional's timezone.
+export const getUsage = async (professionalId, { date = null, client = null } = {}) => {
+  const db = client || { query };
+  const month = date || getTodayInTimezone(await getProfessionalTimezone(client, professionalId));
+
+  const result = await db.query(
+    `SELECT
+      (SELECT COUNT(*) FROM professional_services
+        WHERE professional_id = $1 AND is_active = true) as services,
+      (SELECT COUNT(*) FROM appointments
+        WHERE professional_id = $1
+          AND date_trunc('month', scheduled_date) = date_trunc('month', $2::date)
+          AND status NOT IN ('cancelled', 'rescheduled')) as monthly_appointments,
+      (SELECT COUNT(*) FROM professional_media
+        WHERE professional_id = $1 AND media_type = $3) as photos,
+      (SELECT COUNT(*) FROM professional_media
+        WHERE professional_id = $1 AND media_type = $4) as documents`,
+    [professionalId, month, MEDIA_TYPES.PHOTO, MEDIA_TYPES.DOCUMENT]
+  );
+
+  const usage = result.rows[0];
+  return {
+    services: parseInt(usage.services),
+    monthlyAppointments: parseInt(usage.monthly_appointments),
+    photos: parseInt(usage.photos),
+    documents: parseInt(usage.documents),
+    month: month.slice(0, 7)
+  };
+};
+
+// Plan, entitlements and usage side by side, as shown on the subscription page
+export const getEntitlementsWithUsage = async (professionalId) => {
+  const [{ plan, entitlements }, usage] = await Promise.all([
+    getProfessionalEntitlements(professionalId),
+    getUsage(professionalId)
+  ]);
+
+  const limits = {};
+  for (const [limit, usageKey] of Object.entries(usageKeys)) {
+    const max = entitlements[limit];
+    limits[limit] = {
+      used: usage[usageKey],
+      limit: max,
+      remaining: max === null ? null : Math.max(max - usage[usageKey], 0)
+    };
+  }
+
+  return { plan, entitlements, usage, limits };
+};
+
+// Throw unless the professional's plan includes the feature
+export const assertFeature = async (professionalId, feature) => {
+  const { plan, entitlements } = await getProfessionalEntitlements(professionalId);
+
+  if (!entitlements[feature]) {
+    logInfo('Plan feature denied', { event: 'plan_feature_denied', professionalId, feature, planId: plan.id });
+    throw new PlanLimitError(featureMessages[feature] || 'Not included in the current plan', {
+      entitlement: feature,
+      planId: plan.id
+    });
+  }
+};
+
+// Throw if adding `requested` more items would exceed the professional's limit
+export const assertWithinLimit = async (professionalId, limit, { date = null, requested = 1 } = {}) => {
+  const { plan, entitlements } = await getProfessionalEntitlements(professionalId);
+  const max = entitlements[limit];
+
+  if (max === null || max === undefined) {
+    return;
+  }
+
+  const usage = await getUsage(professionalId, { date });
+  const used = usage[usageKeys[limit]];
+
+  if (used + requested > max) {
+    logInfo('Plan limit reached', { event: 'plan_limit_reached', professionalId, limit, max, used, planId: plan.id });
+    throw new PlanLimitError(limitMessages[limit] || 'Plan limit reached', {
+      entitlement: limit,
+      limit: max,
+      used,
+      planId: plan.id
+    });
+  }
+};
+
+export default {
+  ENTITLEMENTS,
+  MEDIA_TYPES,
+  FREE_PLAN_ENTITLEMENTS,
+  ENTITLED_SUBSCRIPTION_STATUSES,
+  FEATURED_PLACEMENT_CONDITION,
+  getProfessionalEntitlements,
+  getUsage,
+  getEntitlementsWithUsage,
+  assertFeature,
+  assertWithinLimit
+};
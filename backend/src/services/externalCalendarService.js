@@ -0,0 +1,478 @@
+import http from 'http';
+import https from 'https';
+import dns from 'dns';
+import net from 'net';
+import { query, withTransaction } from '../config/database.js';
+import { logInfo, logError, logWarning } from '../utils/logger.js';
+import { createAuditLog, AuditActions, RiskLevels } from '../utils/auditLog.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { parseCalendar } from '../utils/icalendar.js';
+import { parseRecurrenceRule, expandRecurrence } from '../utils/recurrence.js';
+import { isValidTimezone, zonedTimeToUtc, getTodayInTimezone, addDays } from '../utils/timezone.js';
+import { getProfessionalTimezone } from './appointmentService.js';
+
+// Busy times are kept from yesterday up to this many days ahead
+export const SYNC_HORIZON_DAYS = 180;
+// URL calendars older than this are re-fetched by the sync job
+export const SYNC_INTERVAL_MINUTES = parseInt(process.env.EXTERNAL_CALENDAR_SYNC_MINUTES) || 30;
+
+const FETCH_TIMEOUT_MS = 15000;
+const MAX_CALENDAR_BYTES = 5 * 1024 * 1024;
+const MAX_IMPORTED_OCCURRENCES = 5000;
+const MAX_REDIRECTS = 5;
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Subscribe an ICS URL; the calendar is fetched once up front so bad URLs are rejected
+export const addCalendarUrl = async ({ name, url }, professionalId) => {
+  try {
+    logInfo('Adding external calendar', { professionalId, name });
+
+    const content = await fetchCalendar(url);
+
+    const calendar = await withTransaction(async (client) => {
+      const insertResult = await client.query(`
+        INSERT INTO external_calendars (professional_id, name, source_type, url)
+        VALUES ($1, $2, 'url', $3)
+        RETURNING *
+      `, [professionalId, name, url]);
+
+      return storeBusyTimes(client, insertResult.rows[0], content);
+    });
+
+    await createAuditLog({
+      userId: professionalId,
+      action: AuditActions.USER_UPDATED,
+      resource: 'external_calendar',
+      resourceId: calendar.id,
+      details: { name, sourceType: 'url', busyTimeCount: calendar.busy_time_count },
+      riskLevel: RiskLevels.LOW,
+    });
+
+    return formatCalendar(calendar);
+
+  } catch (error) {
+    logError(error, {
+      event: 'external_calendar_add_failed',
+      professionalId
+    });
+    throw error;
+  }
+};
+
+// Import an uploaded .ics file as a one-off snapshot
+export const importCalendarFile = async ({ name, content }, professionalId) => {
+  try {
+    logInfo('Importing external calendar file', { professionalId, name });
+
+    if (!content.includes('BEGIN:VCALENDAR')) {
+      throw new ValidationError('File is not an iCalendar (.ics) file');
+    }
+
+    const calendar = await withTransaction(async (client) => {
+      const insertResult = await client.query(`
+        INSERT INTO external_calendars (professional_id, name, source_type)
+        VALUES ($1, $2, 'upload')
+        RETURNING *
+      `, [professionalId, name]);
+
+      return storeBusyTimes(client, insertResult.rows[0], content);
+    });
+
+    await createAuditLog({
+      userId: professionalId,
+      action: AuditActions.USER_UPDATED,
+      resource: 'external_calendar',
+      resourceId: calendar.id,
+      details: { name, sourceType: 'upload', busyTimeCount: calendar.busy_time_count },
+      riskLevel: RiskLevels.LOW,
+    });
+
+    return formatCalendar(calendar);
+
+  } catch (error) {
+    logError(error, {
+      event: 'external_calendar_import_failed',
+      professionalId
+    });
+    throw error;
+  }
+};
+
+// List a professional's external calendars
+export const getExternalCalendars = async (professionalId) => {
+  const result = await query(`
+    SELECT * FROM external_calendars
+    WHERE professional_id = $1
+    ORDER BY created_at
+  `, [professionalId]);
+
+  return result.rows.map(formatCalendar);
+};
+
+// Remove a calendar and the busy times it blocked
+export const deleteExternalCalendar = async (calendarId, professionalId) => {
+  const result = await query(`
+    DELETE FROM external_calendars
+    WHERE id = $1 AND professional_id = $2
+    RETURNING id, name
+  `, [calendarId, professionalId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('External calendar not found');
+  }
+
+  await createAuditLog({
+    userId: professionalId,
+    action: AuditActions.USER_UPDATED,
+    resource: 'external_calendar',
+    resourceId: calendarId,
+    details: { name: result.rows[0].name, deleted: true },
+    riskLevel: RiskLevels.LOW,
+  });
+
+  logInfo('External calendar deleted', { calendarId, professionalId });
+
+  return { id: calendarId, deleted: true };
+};
+
+// Re-fetch a URL calendar and replace its busy times.
+// Failures are recorded on the calendar and its previous busy times are kept.
+export const syncExternalCalendar = async (calendarId, professionalId = null) => {
+  const calendarResult = await query(`
+    SELECT * FROM external_calendars
+    WHERE id = $1 AND ($2::varchar IS NULL OR professional_id = $2)
+  `, [calendarId, professionalId]);
+
+  if (calendarResult.rows.length === 0) {
+    throw new NotFoundError('External calendar not found');
+  }
+
+  const calendar = calendarResult.rows[0];
+
+  if (calendar.source_type !== 'url') {
+    throw new ValidationError('Uploaded calendars cannot be synced; upload the file again');
+  }
+
+  try {
+    const content = await fetchCalendar(calendar.url);
+    const synced = await withTransaction(client => storeBusyTimes(client, calendar, content));
+
+    logInfo('External calendar synced', {
+      calendarId,
+      professionalId: calendar.professional_id,
+      busyTimeCount: synced.busy_time_count
+    });
+
+    return formatCalendar(synced);
+
+  } catch (error) {
+    logWarning('External calendar sync failed', {
+      calendarId,
+      professionalId: calendar.professional_id,
+      error: error.message
+    });
+
+    const failedResult = await query(`
+      UPDATE external_calendars
+      SET status = 'error', last_sync_error = $2, last_synced_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [calendarId, error.message]);
+
+    return formatCalendar(failedResult.rows[0]);
+  }
+};
+
+// Re-sync every URL calendar not synced within the sync interval (run by the reminder jobs)
+export const syncExternalCalendars = async () => {
+  const result = await query(`
+    SELECT id FROM external_calendars
+    WHERE source_type = 'url'
+      AND (last_synced_at IS NULL OR last_synced_at < NOW() - make_interval(mins => $1))
+    ORDER BY last_synced_at NULLS FIRST
+  `, [SYNC_INTERVAL_MINUTES]);
+
+  let failed = 0;
+  for (const { id } of result.rows) {
+    const calendar = await syncExternalCalendar(id);
+    if (calendar.status === 'error') {
+      failed++;
+    }
+  }
+
+  return { synced: result.rows.length - failed, failed };
+};
+
+// Helper functions
+
+// Replace the calendar's busy times with the events in content; returns the updated calendar row
+const storeBusyTimes = async (client, calendar, content) => {
+  const timezone = await getProfessionalTimezone(client, calendar.professional_id);
+  const today = getTodayInTimezone(timezone);
+  const busyTimes = resolveBusyTimes(parseCalendar(content), timezone, {
+    from: zonedTimeToUtc(addDays(today, -1), '00:00', timezone),
+    to: zonedTimeToUtc(addDays(today, SYNC_HORIZON_DAYS), '00:00', timezone)
+  });
+
+  await client.query('DELETE FROM external_busy_times WHERE calendar_id = $1', [calendar.id]);
+
+  if (busyTimes.length > 0) {
+    await client.query(`
+      INSERT INTO external_busy_times (calendar_id, professional_id, starts_at, ends_at)
+      SELECT $1, $2, busy.starts_at, busy.ends_at
+      FROM unnest($3::timestamptz[], $4::timestamptz[]) AS busy(starts_at, ends_at)
+    `, [
+      calendar.id,
+      calendar.professional_id,
+      busyTimes.map(busy => busy.startsAt.toISOString()),
+      busyTimes.map(busy => busy.endsAt.toISOString())
+    ]);
+  }
+
+  const updateResult = await client.query(`
+    UPDATE external_calendars
+    SET status = 'active', last_sync_error = NULL, last_synced_at = CURRENT_TIMESTAMP, busy_time_count = $2
+    WHERE id = $1
+    RETURNING *
+  `, [calendar.id, busyTimes.length]);
+
+  return updateResult.rows[0];
+};
+
+// Expand parsed events into busy intervals inside the window.
+// Free (TRANSPARENT) and cancelled events do not block; floating times and unknown
+// TZIDs are read in the professional's timezone.
+const resolveBusyTimes = (events, timezone, window) => {
+  const toInstant = (value, date = value.date) => {
+    if (value.utc) {
+      return zonedTimeToUtc(date, value.time, 'UTC');
+    }
+    const zone = isValidTimezone(value.timezone) ? value.timezone : timezone;
+    return zonedTimeToUtc(date, value.time || '00:00', zone);
+  };
+
+  // Occurrences moved or cancelled individually (RECURRENCE-ID) are dropped from their series
+  const overridden = new Set(events
+    .filter(event => event.recurrenceId)
+    .map(event => `${event.uid}|${event.recurrenceId.date}`));
+
+  const busyTimes = [];
+
+  for (const event of events) {
+    if (event.status === 'CANCELLED' || event.transparency === 'TRANSPARENT') {
+      continue;
+    }
+
+    const start = toInstant(event.start);
+    let end;
+    if (event.end) {
+      end = toInstant(event.end);
+    } else if (event.duration !== null) {
+      end = new Date(start.getTime() + event.duration);
+    } else if (event.start.allDay) {
+      end = toInstant(event.start, addDays(event.start.date, 1));
+    } else {
+      end = start;
+    }
+
+    const durationMs = end.getTime() - start.getTime();
+    if (durationMs <= 0) {
+      continue;
+    }
+
+    let dates = [event.start.date];
+
+    if (event.rrule && !event.recurrenceId) {
+      try {
+        const recurrence = parseRecurrenceRule(event.rrule, { frequencies: ['daily', 'weekly'], requireEnd: false });
+        const horizon = addDays(window.to.toISOString().split('T')[0], 1);
+        // Occurrences starting this far before the window may still run into it
+        const firstDate = addDays(window.from.toISOString().split('T')[0], -Math.ceil(durationMs / DAY_MS) - 1);
+
+        // Only the occurrences around the sync window are expanded, however old the series
+        dates = expandRecurrence(event.start.date, {
+          ...recurrence,
+          until: recurrence.until && recurrence.until < horizon ? recurrence.until : horizon
+        }, { maxOccurrences: MAX_IMPORTED_OCCURRENCES, from: firstDate });
+      } catch (error) {
+        // Unsupported rules (monthly, BYSETPOS, ...) only block their first occurrence
+        logWarning('Unsupported recurrence in external calendar', { rule: event.rrule, error: error.message });
+      }
+
+      const excluded = new Set(event.exdates.map(exdate => exdate.date));
+      dates = dates.filter(date => !excluded.has(date) && !overridden.has(`${event.uid}|${date}`));
+    }
+
+    for (const date of dates) {
+      const startsAt = toInstant(event.start, date);
+      const endsAt = new Date(startsAt.getTime() + durationMs);
+
+      if (endsAt > window.from && startsAt < window.to) {
+        busyTimes.push({ startsAt, endsAt });
+      }
+    }
+  }
+
+  return busyTimes;
+};
+
+// Download an ICS URL (webcal:// is served over https). Redirects are followed one by one
+// and every address connected to is checked, so neither a redirect nor a DNS answer can
+// point the server at an internal host; the body is read up to MAX_CALENDAR_BYTES.
+const fetchCalendar = async (url) => {
+  let currentUrl = url.replace(/^webcal:/i, 'https:');
+
+  for (let redirects = 0; ; redirects++) {
+    const parsedUrl = parseCalendarUrl(currentUrl);
+
+    let content;
+    try {
+      const response = await requestUrl(parsedUrl);
+
+      if (REDIRECT_STATUSES.includes(response.statusCode) && response.headers.location) {
+        response.resume();
+        if (redirects >= MAX_REDIRECTS) {
+          throw new ValidationError('Calendar URL redirects too many times');
+        }
+        currentUrl = new URL(response.headers.location, parsedUrl).href;
+        continue;
+      }
+
+      if (response.statusCode < 200 || response.statusCode >= 300) {
+        response.resume();
+        throw new ValidationError(`Calendar URL responded with status ${response.statusCode}`);
+      }
+
+      content = await readBody(response);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        throw error;
+      }
+      throw new ValidationError(`Calendar URL could not be reached: ${error.message}`);
+    }
+
+    if (!content.includes('BEGIN:VCALENDAR')) {
+      throw new ValidationError('Calendar URL did not return an iCalendar file');
+    }
+
+    return content;
+  }
+};
+
+const parseCalendarUrl = (url) => {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch {
+    throw new ValidationError('Calendar URL is not valid');
+  }
+
+  const host = parsedUrl.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  const isBlockedHost = host === 'localhost' ||
+    host.endsWith('.localhost') ||
+    host.endsWith('.internal') ||
+    (net.isIP(host) !== 0 && isPrivateAddress(host));
+
+  if (!['http:', 'https:'].includes(parsedUrl.protocol) || isBlockedHost) {
+    throw new ValidationError('Calendar URL must be a public http(s) or webcal address');
+  }
+
+  return parsedUrl;
+};
+
+// GET without following redirects, connecting only to public addresses
+const requestUrl = (parsedUrl) => new Promise((resolve, reject) => {
+  const transport = parsedUrl.protocol === 'https:' ? https : http;
+
+  const request = transport.get(parsedUrl, {
+    headers: { Accept: 'text/calendar' },
+    lookup: publicLookup,
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  }, resolve);
+
+  request.on('error', reject);
+});
+
+// dns.lookup that refuses hostnames resolving to internal addresses
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+
+    if (addresses.some(({ address }) => isPrivateAddress(address))) {
+      return callback(new ValidationError('Calendar URL must be a public http(s) or webcal address'));
+    }
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const readBody = async (response) => {
+  if (Number(response.headers['content-length']) > MAX_CALENDAR_BYTES) {
+    response.destroy();
+    throw new ValidationError('Calendar is too large to import');
+  }
+
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > MAX_CALENDAR_BYTES) {
+      response.destroy();
+      throw new ValidationError('Calendar is too large to import');
+    }
+    chunks.push(chunk);
+  }
+
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Loopback, private, link-local, carrier-grade NAT, multicast and reserved ranges
+const privateAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => privateAddresses.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.toLowerCase().match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (mapped) {
+    return privateAddresses.check(mapped[1], 'ipv4');
+  }
+
+  return net.isIPv4(address)
+    ? privateAddresses.check(address, 'ipv4')
+    : privateAddresses.check(address, 'ipv6');
+};
+
+const formatCalendar = (row) => ({
+  id: row.id,
+  professionalId: row.professional_id,
+  name: row.name,
+  sourceType: row.source_type,
+  url: row.url,
+  status: row.status,
+  lastSyncedAt: row.last_synced_at,
+  lastSyncError: row.last_sync_error,
+  busyTimeCount: row.busy_time_count,
+  createdAt: row.created_at
+});
+
+export default {
+  SYNC_HORIZON_DAYS,
+  SYNC_INTERVAL_MINUTES,
+  addCalendarUrl,
+  importCalendarFile,
+  getExternalCalendars,
+  deleteExternalCalendar,
+  syncExternalCalendar,
+  syncExternalCalendars
+};
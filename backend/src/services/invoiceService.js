@@ -1,26 +1,67 @@
-import { query } from '../config/database.js';
+import { query, withTransaction } from '../config/database.js';
 import logger from '../utils/logger.js';
 import { createAuditLog } from '../utils/auditLog.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
 import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './notificationService.js';
 import emailService from './emailService.js';
 import pdfGenerator from '../utils/pdfGenerator.js';
+import { getUninvoicedSubscriptionDiscount, markRedemptionInvoiced, toDiscountLine } from './discountService.js';
+import {
+  getInvoicingSettings,
+  resolveTaxRegion,
+  calculateTaxes,
+  calculateTaxesFromTotal,
+  prorateTaxes
+} from './taxService.js';
 import {
   INVOICE_STATUSES,
+  INVOICE_TYPES,
   CURRENCY_CODES,
-  generateInvoiceNumber,
-  calculateTax,
-  calculateTotal,
+  formatInvoiceNumber,
   formatCurrency
 } from '../models/paymentModel.js';
 import path from 'path';
 import fs from 'fs';
 
-class InvoiceService {
-  constructor() {
-    this.taxRate = 0.16; // 16% IVA in Mexico
+// JSONB columns arrive parsed from pg, older rows may hold JSON text
+const parseJsonColumn = (value, fallback = {}) => {
+  if (typeof value === 'string') {
+    return JSON.parse(value);
   }
+  return value || fallback;
+};
+
+// Fiscal years follow the calendar in Spain
+const FISCAL_TIMEZONE = DEFAULT_TIMEZONE;
+
+const refundReasonLabels = {
+  requested_by_customer: 'solicitud del cliente',
+  duplicate: 'cobro duplicado',
+  fraudulent: 'cobro fraudulento',
+  appointment_cancelled: 'cita cancelada',
+  service_issue: 'incidencia en el servicio',
+  other: 'otros motivos'
+};
+
+// Invoice item rows as tax lines
+const toTaxLine = (item) => ({
+  description: item.description,
+  quantity: item.quantity,
+  unitPrice: item.unit_price,
+  amount: item.amount,
+  taxCode: item.tax_code,
+  taxRate: Number(item.tax_rate),
+  taxAmount: item.tax_amount,
+  withholdingCode: item.withholding_code,
+  withholdingRate: Number(item.withholding_rate),
+  withholdingAmount: item.withholding_amount,
+  metadata: parseJsonColumn(item.metadata)
+});
 
-  // Create invoice
+class InvoiceService {
+  // Create invoice. Its number is allocated in the same transaction, so the series stays gap-free.
+  // Items may set taxCode or taxCategory (standard by default).
   async createInvoice({
     userId,
     subscriptionId = null,
@@ -28,126 +69,64 @@ class InvoiceService {
     items = [],
     notes = '',
     dueDate = null,
-    currency = 'MXN',
+    currency = null,
     metadata = {}
   }) {
     try {
       logger.info(`Creating invoice for user ${userId}`);
 
-      // Get customer information
-      const customerQuery = 'SELECT * FROM users WHERE id = $1';
-      const customerResult = await query(customerQuery, [userId]);
-      
-      if (customerResult.rows.length === 0) {
-        throw new Error('Customer not found');
-      }
-
-      const customer = customerResult.rows[0];
-
-      // Generate invoice number
-      const invoiceNumber = generateInvoiceNumber();
+      const [customerInfo, settings] = await Promise.all([
+        this.getCustomerInfo(userId),
+        getInvoicingSettings()
+      ]);
 
-      // Calculate totals
-      const subtotal = items.reduce((sum, item) => sum + (item.quantity * item.unitPrice), 0);
-      const tax = calculateTax(subtotal, this.taxRate);
-      const total = calculateTotal(subtotal, tax);
+      const taxRegion = resolveTaxRegion(customerInfo, settings.taxRegion);
+      const taxes = await calculateTaxes(items, { region: taxRegion });
+      const { subtotal, tax, withholding, total } = taxes;
+      const invoiceCurrency = currency || settings.currency;
 
       // Set due date (30 days from now if not provided)
       const invoiceDueDate = dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
 
-      // Create invoice record
-      const invoiceId = `inv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
-      const insertInvoiceQuery = `
-        INSERT INTO invoices (
-          id, user_id, subscription_id, payment_id, invoice_number, 
-          status, subtotal, tax, total, currency, due_date,
-          customer_info, company_info, notes, metadata, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
-        RETURNING *
-      `;
-
-      const customerInfo = {
-        name: `${customer.first_name} ${customer.last_name}`,
-        email: customer.email,
-        phone: customer.phone,
-        address: customer.address,
-        city: customer.city,
-        state: customer.state,
-        postalCode: customer.postal_code,
-        country: customer.country || 'México'
-      };
-
-      const companyInfo = {
-        name: 'Mundoctor',
-        address: 'Av. Revolución 1234, Col. Centro',
-        city: 'Ciudad de México, CDMX 06000',
-        country: 'México',
-        phone: '+52 55 1234 5678',
-        email: 'facturacion@mundoctor.com',
-        rfc: 'MUN123456789'
-      };
-
-      const invoiceResult = await query(insertInvoiceQuery, [
-        invoiceId,
+      const invoice = await withTransaction(client => this.insertInvoice(client, {
         userId,
+        invoiceType: INVOICE_TYPES.INVOICE,
         subscriptionId,
         paymentId,
-        invoiceNumber,
-        INVOICE_STATUSES.DRAFT,
+        status: INVOICE_STATUSES.DRAFT,
         subtotal,
         tax,
+        withholding,
         total,
-        currency,
-        invoiceDueDate.toISOString(),
-        JSON.stringify(customerInfo),
-        JSON.stringify(companyInfo),
+        currency: invoiceCurrency,
+        dueDate: invoiceDueDate,
+        taxRegion,
+        taxBreakdown: taxes.breakdown,
+        customerInfo,
+        companyInfo: settings.issuer,
         notes,
-        JSON.stringify(metadata),
-        new Date().toISOString(),
-        new Date().toISOString()
-      ]);
-
-      const invoice = invoiceResult.rows[0];
-
-      // Create invoice items
-      for (const item of items) {
-        const itemId = `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        
-        await query(
-          `INSERT INTO invoice_items (
-            id, invoice_id, description, quantity, unit_price, amount, metadata, created_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-          [
-            itemId,
-            invoiceId,
-            item.description,
-            item.quantity,
-            item.unitPrice,
-            item.quantity * item.unitPrice,
-            JSON.stringify(item.metadata || {}),
-            new Date().toISOString()
-          ]
-        );
-      }
+        metadata,
+        items: taxes.items
+      }));
 
       // Audit log
       await createAuditLog({
         userId,
         action: 'invoice_created',
         resource: 'invoice',
-        resourceId: invoiceId,
+        resourceId: invoice.id,
         details: {
-          invoiceNumber,
+          invoiceNumber: invoice.invoice_number,
           total,
-          currency,
+          currency: invoiceCurrency,
+          taxRegion,
           itemsCount: items.length
         }
       });
 
-      logger.info(`Invoice created: ${invoiceNumber} for user ${userId}`);
+      logger.info(`Invoice created: ${invoice.invoice_number} for user ${userId}`);
 
-      return await this.getInvoiceWithItems(invoiceId);
+      return await this.getInvoiceWithItems(invoice.id);
 
     } catch (error) {
       logger.error('Error creating invoice:', error);
@@ -155,10 +134,370 @@ class InvoiceService {
     }
   }
 
+  // Create a credit note for a refund: a rectifying invoice that corrects the invoice of the
+  // refunded payment, each line scaled to the refunded share with its own taxes
+  async createCreditNote(refund) {
+    try {
+      logger.info(`Creating credit note for refund ${refund.id}`);
+
+      const originalResult = await query(
+        `SELECT id FROM invoices
+        WHERE payment_id = $1 AND invoice_type = $2
+        ORDER BY created_at
+        LIMIT 1`,
+        [refund.payment_id, INVOICE_TYPES.INVOICE]
+      );
+      const original = originalResult.rows[0]
+        ? await this.getInvoiceWithItems(originalResult.rows[0].id)
+        : null;
+
+      const total = -refund.amount;
+      const reasonLabel = refundReasonLabels[refund.reason] || refund.reason;
+      const metadata = {
+        refundId: refund.id,
+        paymentId: refund.payment_id,
+        reason: refund.reason
+      };
+
+      // Without an original invoice the refunded amount is taken as tax-inclusive at the standard rate
+      const settings = await getInvoicingSettings();
+      const customerInfo = original ? original.customer_info : await this.getCustomerInfo(refund.user_id);
+      const taxRegion = original?.tax_region || resolveTaxRegion(customerInfo, settings.taxRegion);
+      const taxes = original && original.items.length > 0
+        ? await prorateTaxes(original.items.map(item => ({
+          ...toTaxLine(item),
+          description: `Reembolso de la factura ${original.invoice_number}: ${item.description}`,
+          metadata
+        })), total)
+        : await calculateTaxesFromTotal({ description: `Reembolso (${reasonLabel})`, metadata }, total, { region: taxRegion });
+
+      const creditNote = await withTransaction(async (client) => {
+        if (original) {
+          await this.lockRectifiableTotal(client, original.id);
+        }
+
+        const invoice = await this.insertInvoice(client, {
+          userId: refund.user_id,
+          invoiceType: INVOICE_TYPES.CREDIT_NOTE,
+          subscriptionId: original?.subscription_id || null,
+          paymentId: refund.payment_id,
+          originalInvoiceId: original?.id || null,
+          status: INVOICE_STATUSES.PAID,
+          subtotal: taxes.subtotal,
+          tax: taxes.tax,
+          withholding: taxes.withholding,
+          total,
+          currency: refund.currency,
+          paidAt: new Date(),
+          taxRegion,
+          taxBreakdown: taxes.breakdown,
+          customerInfo,
+          companyInfo: original ? original.company_info : settings.issuer,
+          notes: refund.notes || '',
+          rectificationReason: `Reembolso (${reasonLabel})`,
+          metadata,
+          items: taxes.items
+        });
+
+        if (original) {
+          await this.closeRectifiedInvoice(client, original.id, INVOICE_STATUSES.REFUNDED);
+        }
+
+        return invoice;
+      });
+
+      await createAuditLog({
+        userId: refund.user_id,
+        action: 'credit_note_created',
+        resource: 'invoice',
+        resourceId: creditNote.id,
+        details: {
+          invoiceNumber: creditNote.invoice_number,
+          refundId: refund.id,
+          originalInvoiceId: original?.id || null,
+          total
+        }
+      });
+
+      logger.info(`Credit note created: ${creditNote.invoice_number} for refund ${refund.id}`);
+
+      return await this.getInvoiceWithItems(creditNote.id);
+
+    } catch (error) {
+      logger.error('Error creating credit note:', error);
+      throw error;
+    }
+  }
+
+  // Correct an issued invoice with a rectifying invoice instead of editing it. Items are the
+  // differences to apply (negative to reduce); without items the original is annulled in full.
+  async createRectifyingInvoice(originalInvoiceId, { items = null, reason, notes = '' }, createdBy) {
+    try {
+      logger.info(`Creating rectifying invoice for invoice ${originalInvoiceId}`);
+
+      if (!reason) {
+        throw new ValidationError('A rectification reason is required');
+      }
+
+      const original = await this.getInvoiceWithItems(originalInvoiceId);
+
+      if (original.invoice_type !== INVOICE_TYPES.INVOICE) {
+        throw new ValidationError('Only ordinary invoices can be rectified');
+      }
+
+      // A full annulment negates each line with its own taxes; differences default to the
+      // taxes of the original's first line
+      const firstLine = original.items[0];
+      const rectifyingItems = items
+        ? items.map(item => ({
+          ...item,
+          taxCode: item.taxCode || (item.taxCategory ? undefined : firstLine?.tax_code || undefined),
+          withholdingCode: firstLine?.withholding_code || null
+        }))
+        : original.items.map(item => ({
+          description: `Anulación: ${item.description}`,
+          quantity: -item.quantity,
+          unitPrice: item.unit_price,
+          taxCode: item.tax_code || undefined,
+          withholdingCode: item.withholding_code || null,
+          metadata: { originalItemId: item.id }
+        }));
+
+      if (rectifyingItems.length === 0) {
+        throw new ValidationError('A rectifying invoice needs at least one item');
+      }
+
+      const settings = await getInvoicingSettings();
+      const taxRegion = original.tax_region || resolveTaxRegion(original.customer_info, settings.taxRegion);
+      const taxes = await calculateTaxes(rectifyingItems, { region: taxRegion });
+      const { subtotal, tax, withholding, total } = taxes;
+
+      const invoice = await withTransaction(async (client) => {
+        // Earlier rectifications and refund credit notes already reduced the original
+        const remaining = await this.lockRectifiableTotal(client, original.id);
+        if (remaining + total < 0) {
+          throw new ValidationError(
+            `The rectification exceeds what is left of invoice ${original.invoice_number}`,
+            [{ field: 'items', message: `At most ${formatCurrency(remaining, original.currency)} can be rectified` }]
+          );
+        }
+
+        const rectifying = await this.insertInvoice(client, {
+          userId: original.user_id,
+          invoiceType: INVOICE_TYPES.CREDIT_NOTE,
+          subscriptionId: original.subscription_id,
+          paymentId: original.payment_id,
+          originalInvoiceId: original.id,
+          status: INVOICE_STATUSES.DRAFT,
+          subtotal,
+          tax,
+          withholding,
+          total,
+          currency: original.currency,
+          dueDate: total > 0 ? new Date(Date.now() + 30 * 24 * 60 * 60 * 1000) : null,
+          taxRegion,
+          taxBreakdown: taxes.breakdown,
+          customerInfo: original.customer_info,
+          companyInfo: original.company_info,
+          notes,
+          rectificationReason: reason,
+          metadata: { rectifiedBy: createdBy },
+          items: taxes.items
+        });
+
+        await this.closeRectifiedInvoice(client, original.id, INVOICE_STATUSES.CANCELLED);
+
+        return rectifying;
+      });
+
+      await createAuditLog({
+        userId: createdBy,
+        action: 'invoice_rectified',
+        resource: 'invoice',
+        resourceId: original.id,
+        details: {
+          rectifyingInvoiceId: invoice.id,
+          rectifyingInvoiceNumber: invoice.invoice_number,
+          originalInvoiceNumber: original.invoice_number,
+          reason,
+          total
+        }
+      });
+
+      logger.info(`Invoice ${original.invoice_number} rectified by ${invoice.invoice_number}`);
+
+      return await this.getInvoiceWithItems(invoice.id);
+
+    } catch (error) {
+      logger.error('Error creating rectifying invoice:', error);
+      throw error;
+    }
+  }
+
+  // Take the next number of the active series for the invoice type. The counter row stays
+  // locked until the caller's transaction ends, so numbers are issued strictly in order.
+  async allocateInvoiceNumber(client, invoiceType) {
+    const result = await client.query(
+      `INSERT INTO invoice_number_sequences (series_code, fiscal_year, last_number)
+      SELECT code, EXTRACT(YEAR FROM NOW() AT TIME ZONE $2)::integer, 1
+      FROM invoice_series
+      WHERE invoice_type = $1 AND is_active = true
+      ON CONFLICT (series_code, fiscal_year) DO UPDATE SET
+        last_number = invoice_number_sequences.last_number + 1,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING series_code, fiscal_year, last_number`,
+      [invoiceType, FISCAL_TIMEZONE]
+    );
+
+    if (result.rows.length === 0) {
+      throw new Error(`No active invoice series for ${invoiceType}`);
+    }
+
+    const { series_code: seriesCode, fiscal_year: fiscalYear, last_number: sequenceNumber } = result.rows[0];
+
+    return {
+      seriesCode,
+      fiscalYear,
+      sequenceNumber,
+      invoiceNumber: formatInvoiceNumber(seriesCode, fiscalYear, sequenceNumber)
+    };
+  }
+
+  // Insert a numbered invoice and its items inside a transaction
+  async insertInvoice(client, invoiceData) {
+    const number = await this.allocateInvoiceNumber(client, invoiceData.invoiceType);
+    const invoiceId = `inv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const invoiceResult = await client.query(
+      `INSERT INTO invoices (
+        id, user_id, subscription_id, payment_id, invoice_number,
+        invoice_type, original_invoice_id, series_code, fiscal_year, sequence_number,
+        status, subtotal, tax, withholding, total, currency, due_date, paid_at,
+        tax_region, tax_breakdown, customer_info, company_info, notes, rectification_reason,
+        metadata, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, $25, $26, $27)
+      RETURNING *`,
+      [
+        invoiceId,
+        invoiceData.userId,
+        invoiceData.subscriptionId || null,
+        invoiceData.paymentId || null,
+        number.invoiceNumber,
+        invoiceData.invoiceType,
+        invoiceData.originalInvoiceId || null,
+        number.seriesCode,
+        number.fiscalYear,
+        number.sequenceNumber,
+        invoiceData.status,
+        invoiceData.subtotal,
+        invoiceData.tax,
+        invoiceData.withholding || 0,
+        invoiceData.total,
+        invoiceData.currency,
+        invoiceData.dueDate ? invoiceData.dueDate.toISOString() : null,
+        invoiceData.paidAt ? invoiceData.paidAt.toISOString() : null,
+        invoiceData.taxRegion || null,
+        JSON.stringify(invoiceData.taxBreakdown || []),
+        JSON.stringify(invoiceData.customerInfo),
+        JSON.stringify(invoiceData.companyInfo || {}),
+        invoiceData.notes || '',
+        invoiceData.rectificationReason || null,
+        JSON.stringify(invoiceData.metadata || {}),
+        new Date().toISOString(),
+        new Date().toISOString()
+      ]
+    );
+
+    // Create invoice items with the taxes worked out for each line
+    for (const item of invoiceData.items) {
+      await client.query(
+        `INSERT INTO invoice_items (
+          id, invoice_id, description, quantity, unit_price, amount,
+          tax_code, tax_rate, tax_amount, withholding_code, withholding_rate, withholding_amount,
+          metadata, created_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+        [
+          `item_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+          invoiceId,
+          item.description,
+          item.quantity,
+          item.unitPrice,
+          item.amount ?? item.quantity * item.unitPrice,
+          item.taxCode || null,
+          item.taxRate || 0,
+          item.taxAmount || 0,
+          item.withholdingCode || null,
+          item.withholdingRate || 0,
+          item.withholdingAmount || 0,
+          JSON.stringify(item.metadata || {}),
+          new Date().toISOString()
+        ]
+      );
+    }
+
+    return invoiceResult.rows[0];
+  }
+
+  // Lock an invoice against concurrent rectifications and return its total net of the
+  // rectifying invoices and credit notes issued so far
+  async lockRectifiableTotal(client, invoiceId) {
+    const invoiceResult = await client.query(
+      'SELECT total FROM invoices WHERE id = $1 FOR UPDATE',
+      [invoiceId]
+    );
+
+    // Summed after the lock is held, so rectifications committed while waiting are counted
+    const rectifiedResult = await client.query(
+      'SELECT COALESCE(SUM(total), 0)::integer as rectified FROM invoices WHERE original_invoice_id = $1',
+      [invoiceId]
+    );
+
+    return invoiceResult.rows[0].total + rectifiedResult.rows[0].rectified;
+  }
+
+  // Mark an invoice whose rectifying invoices cancel it out entirely
+  async closeRectifiedInvoice(client, invoiceId, status) {
+    await client.query(
+      `UPDATE invoices SET status = $1, updated_at = $2
+      WHERE id = $3
+        AND total + (
+          SELECT COALESCE(SUM(total), 0) FROM invoices WHERE original_invoice_id = $3
+        ) <= 0`,
+      [status, new Date().toISOString(), invoiceId]
+    );
+  }
+
+  // Customer block printed on invoices
+  async getCustomerInfo(userId) {
+    const customerResult = await query('SELECT * FROM users WHERE id = $1', [userId]);
+
+    if (customerResult.rows.length === 0) {
+      throw new NotFoundError('Customer not found');
+    }
+
+    const customer = customerResult.rows[0];
+
+    return {
+      name: customer.name,
+      email: customer.email,
+      phone: customer.phone,
+      address: customer.address,
+      city: customer.city,
+      state: customer.state,
+      postalCode: customer.postal_code,
+      country: customer.country || 'España'
+    };
+  }
+
   // Get invoice with items
   async getInvoiceWithItems(invoiceId) {
     try {
-      const invoiceQuery = 'SELECT * FROM invoices WHERE id = $1';
+      const invoiceQuery = `
+        SELECT i.*, o.invoice_number as original_invoice_number
+        FROM invoices i
+        LEFT JOIN invoices o ON i.original_invoice_id = o.id
+        WHERE i.id = $1
+      `;
       const itemsQuery = 'SELECT * FROM invoice_items WHERE invoice_id = $1 ORDER BY created_at';
 
       const [invoiceResult, itemsResult] = await Promise.all([
@@ -167,7 +506,7 @@ class InvoiceService {
       ]);
 
       if (invoiceResult.rows.length === 0) {
-        throw new Error('Invoice not found');
+        throw new NotFoundError('Invoice not found');
       }
 
       const invoice = invoiceResult.rows[0];
@@ -175,9 +514,10 @@ class InvoiceService {
 
       return {
         ...invoice,
-        customer_info: JSON.parse(invoice.customer_info),
-        company_info: JSON.parse(invoice.company_info),
-        metadata: JSON.parse(invoice.metadata || '{}'),
+        customer_info: parseJsonColumn(invoice.customer_info),
+        company_info: parseJsonColumn(invoice.company_info),
+        tax_breakdown: parseJsonColumn(invoice.tax_breakdown, []),
+        metadata: parseJsonColumn(invoice.metadata),
         items
       };
 
@@ -195,7 +535,7 @@ class InvoiceService {
       const invoice = await this.getInvoiceWithItems(invoiceId);
       
       // Generate PDF
-      const pdfBuffer = await pdfGenerator.generateInvoice(invoice);
+      const pdfBuffer = await pdfGenerator.generateInvoice(this.toPdfData(invoice));
       
       // Save PDF to file
       const filename = `invoice_${invoice.invoice_number}_${Date.now()}.pdf`;
@@ -235,6 +575,34 @@ class InvoiceService {
     }
   }
 
+  // Invoice row in the shape pdfGenerator prints
+  toPdfData(invoice) {
+    return {
+      invoiceNumber: invoice.invoice_number,
+      invoiceType: invoice.invoice_type,
+      originalInvoiceNumber: invoice.original_invoice_number,
+      rectificationReason: invoice.rectification_reason,
+      status: invoice.status,
+      createdAt: invoice.created_at,
+      dueDate: invoice.due_date,
+      subtotal: invoice.subtotal,
+      tax: invoice.tax,
+      withholding: invoice.withholding,
+      total: invoice.total,
+      currency: invoice.currency,
+      taxBreakdown: invoice.tax_breakdown,
+      customerInfo: invoice.customer_info,
+      companyInfo: invoice.company_info,
+      notes: invoice.notes,
+      items: invoice.items.map(item => ({
+        description: item.description,
+        quantity: item.quantity,
+        unitPrice: item.unit_price,
+        amount: item.amount
+      }))
+    };
+  }
+
   // Send invoice by email
   async sendInvoiceByEmail(invoiceId) {
     try {
@@ -399,9 +767,9 @@ class InvoiceService {
 
       const invoices = invoicesResult.rows.map(invoice => ({
         ...invoice,
-        customer_info: JSON.parse(invoice.customer_info),
-        company_info: JSON.parse(invoice.company_info),
-        metadata: JSON.parse(invoice.metadata || '{}')
+        customer_info: parseJsonColumn(invoice.customer_info),
+        company_info: parseJsonColumn(invoice.company_info),
+        metadata: parseJsonColumn(invoice.metadata)
       }));
 
       const total = parseInt(countResult.rows[0].count);
@@ -430,7 +798,7 @@ class InvoiceService {
       // Get subscription details
       const subscriptionQuery = `
         SELECT s.*, sp.name as plan_name, sp.description, sp.features,
-          u.id, u.first_name, u.last_name, u.email
+          u.name, u.email
         FROM subscriptions s
         JOIN subscription_plans sp ON s.plan_id = sp.id
         JOIN users u ON s.user_id = u.id
@@ -453,16 +821,22 @@ class InvoiceService {
         metadata: {
           subscriptionId,
           planId: subscription.plan_id,
-          period: `${new Date(subscription.current_period_start).toLocaleDateString('es-MX')} - ${new Date(subscription.current_period_end).toLocaleDateString('es-MX')}`
+          period: `${new Date(subscription.current_period_start).toLocaleDateString('es-ES')} - ${new Date(subscription.current_period_end).toLocaleDateString('es-ES')}`
         }
       }];
 
+      // A discount code used when subscribing appears on the first invoice
+      const discount = await getUninvoicedSubscriptionDiscount(subscriptionId);
+      if (discount) {
+        items.push(toDiscountLine(discount));
+      }
+
       // Create invoice
       const invoice = await this.createInvoice({
         userId: subscription.user_id,
         subscriptionId,
         items,
-        notes: `Factura de suscripción válida desde ${new Date(subscription.current_period_start).toLocaleDateString('es-MX')} hasta ${new Date(subscription.current_period_end).toLocaleDateString('es-MX')}`,
+        notes: `Factura de suscripción válida desde ${new Date(subscription.current_period_start).toLocaleDateString('es-ES')} hasta ${new Date(subscription.current_period_end).toLocaleDateString('es-ES')}`,
         currency: subscription.currency,
         metadata: {
           subscriptionId,
@@ -471,6 +845,10 @@ class InvoiceService {
         }
       });
 
+      if (discount) {
+        await markRedemptionInvoiced(discount.id, invoice.id);
+      }
+
       logger.info(`Subscription invoice created: ${invoice.invoice_number}`);
       return invoice;
 
@@ -480,6 +858,78 @@ class InvoiceService {
     }
   }
 
+  // Invoice an immediate plan change: the new plan until the end of its period, less a
+  // credit for the unused part of the previous plan
+  async createPlanChangeInvoice(planChangeId) {
+    try {
+      logger.info(`Creating plan change invoice for change ${planChangeId}`);
+
+      const changeResult = await query(
+        `SELECT spc.*, fp.name as from_plan_name, tp.name as to_plan_name, tp.interval as to_interval,
+          s.current_period_end
+        FROM subscription_plan_changes spc
+        JOIN subscription_plans tp ON tp.id = spc.to_plan_id
+        LEFT JOIN subscription_plans fp ON fp.id = spc.from_plan_id
+        JOIN subscriptions s ON s.id = spc.subscription_id
+        WHERE spc.id = $1`,
+        [planChangeId]
+      );
+
+      if (changeResult.rows.length === 0) {
+        throw new NotFoundError('Plan change not found');
+      }
+
+      const change = changeResult.rows[0];
+      const period = `${new Date(change.effective_at).toLocaleDateString('es-ES')} - ${new Date(change.current_period_end).toLocaleDateString('es-ES')}`;
+      const metadata = {
+        subscriptionId: change.subscription_id,
+        planChangeId: change.id
+      };
+
+      const items = [{
+        description: `Suscripción ${change.to_plan_name} - ${change.to_interval} (prorrateo)`,
+        quantity: 1,
+        unitPrice: change.charge_amount,
+        metadata: { ...metadata, planId: change.to_plan_id, period }
+      }];
+
+      if (change.credit_amount > 0) {
+        items.push({
+          description: `Crédito por el periodo no usado de ${change.from_plan_name || 'tu plan anterior'}`,
+          quantity: 1,
+          unitPrice: -change.credit_amount,
+          metadata: { ...metadata, planId: change.from_plan_id }
+        });
+      }
+
+      const invoice = await this.createInvoice({
+        userId: change.user_id,
+        subscriptionId: change.subscription_id,
+        items,
+        notes: `Cambio de plan de ${change.from_plan_name || 'tu plan anterior'} a ${change.to_plan_name}, prorrateado del ${period}`,
+        currency: change.currency,
+        metadata: {
+          ...metadata,
+          fromPlanId: change.from_plan_id,
+          toPlanId: change.to_plan_id,
+          changeType: change.change_type
+        }
+      });
+
+      await query(
+        'UPDATE subscription_plan_changes SET invoice_id = $1 WHERE id = $2',
+        [invoice.id, change.id]
+      );
+
+      logger.info(`Plan change invoice created: ${invoice.invoice_number}`);
+      return invoice;
+
+    } catch (error) {
+      logger.error('Error creating plan change invoice:', error);
+      throw error;
+    }
+  }
+
   // Auto-send invoices for subscriptions
   async autoSendSubscriptionInvoices() {
     try {
@@ -0,0 +1,129 @@
+import twilio from 'twilio';
+import logger from '../utils/logger.js';
+
+// Auth token of the local gateway when TWILIO_AUTH_TOKEN is not set; it signs the
+// simulated replies the same way Twilio signs its webhooks
+export const LOCAL_SMS_AUTH_TOKEN = 'local_sms_gateway';
+
+// Messages kept in memory, oldest dropped first
+const MAX_LOCAL_MESSAGES = 500;
+
+const unescapeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, '\'')
+  .replace(/&amp;/g, '&');
+
+// In-process stand-in for the Twilio client, for development and tests: outgoing SMS are
+// delivered immediately and kept in memory, and receive() plays a patient's reply against
+// the inbound webhook, signed with the gateway's auth token, recording the answer returned.
+export const createLocalSmsGateway = ({ fromNumber, authToken, webhookUrl }) => {
+  const messages = [];
+
+  const record = (message) => {
+    messages.push(message);
+    if (messages.length > MAX_LOCAL_MESSAGES) {
+      messages.shift();
+    }
+    return message;
+  };
+
+  const generateSid = () => `SM_local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  // Same shape as client.messages: callable by sid, with create()
+  const messagesResource = (sid) => ({
+    async fetch() {
+      const message = messages.find(item => item.sid === sid);
+      if (!message) {
+        throw new Error(`Message ${sid} not found`);
+      }
+
+      return {
+        status: message.status,
+        errorCode: null,
+        errorMessage: null,
+        dateCreated: message.dateCreated,
+        dateSent: message.dateCreated,
+        dateUpdated: message.dateCreated
+      };
+    }
+  });
+
+  messagesResource.create = async ({ body, from, to }) => {
+    const message = record({
+      sid: generateSid(),
+      direction: 'outbound',
+      from,
+      to,
+      body,
+      status: 'delivered',
+      dateCreated: new Date()
+    });
+
+    logger.info(`Local SMS gateway delivered ${message.sid} to ${to}: ${body}`);
+    return message;
+  };
+
+  return {
+    name: 'local',
+    messages: messagesResource,
+
+    api: {
+      accounts: (sid) => ({
+        fetch: async () => ({ sid, friendlyName: 'Local SMS gateway', status: 'active' })
+      })
+    },
+
+    balance: {
+      fetch: async () => ({ balance: '0.00', currency: 'EUR' })
+    },
+
+    // Conversation of a phone number, or every message, oldest first
+    getMessages(phone = null) {
+      return messages.filter(message => !phone || message.from === phone || message.to === phone);
+    },
+
+    // Deliver `body` from `from` to the inbound webhook and record the answer, if any.
+    // Passing the `sid` of an earlier message delivers it again, as the provider does when
+    // it retries a webhook.
+    async receive({ from, body, sid = null }) {
+      const inbound = record({
+        sid: sid || generateSid(),
+        direction: 'inbound',
+        from,
+        to: fromNumber,
+        body,
+        status: 'received',
+        dateCreated: new Date()
+      });
+
+      const params = { MessageSid: inbound.sid, From: from, To: fromNumber, Body: body, NumMedia: '0' };
+      const response = await fetch(webhookUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          'X-Twilio-Signature': twilio.getExpectedTwilioSignature(authToken, webhookUrl, params)
+        },
+        body: new URLSearchParams(params).toString()
+      });
+
+      if (!response.ok) {
+        throw new Error(`Inbound SMS webhook answered ${response.status}`);
+      }
+
+      const twiml = await response.text();
+      const answer = twiml.match(/<Message[^>]*>([\s\S]*?)<\/Message>/);
+      const reply = answer
+        ? await messagesResource.create({ body: unescapeXml(answer[1]), from: fromNumber, to: from })
+        : null;
+
+      return { inbound, reply };
+    }
+  };
+};
+
+export default {
+  LOCAL_SMS_AUTH_TOKEN,
+  createLocalSmsGateway
+};
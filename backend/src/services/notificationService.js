@@ -1,8 +1,12 @@
+import { query } from '../config/database.js';
 import logger from '../utils/logger.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
 import webSocketManager from '../utils/websocket.js';
 import emailService from './emailService.js';
 import { sendSMS } from './smsService.js';
+import pushService from './pushService.js';
 import { createAuditLog } from '../utils/auditLog.js';
+import { DEFAULT_TIMEZONE, isValidTimezone, getZonedParts } from '../utils/timezone.js';
 
 // const logger is already imported
 
@@ -13,6 +17,11 @@ export const NOTIFICATION_TYPES = {
   APPOINTMENT_CANCELLED: 'appointment_cancelled',
   APPOINTMENT_REMINDER: 'appointment_reminder',
   APPOINTMENT_CONFIRMED: 'appointment_confirmed',
+  APPOINTMENT_PATIENT_REPLIED: 'appointment_patient_replied',
+  APPOINTMENT_RESCHEDULED: 'appointment_rescheduled',
+  APPOINTMENT_FEE_CHARGED: 'appointment_fee_charged',
+  APPOINTMENT_PAYMENT_RECEIVED: 'appointment_payment_received',
+  WAITLIST_SLOT_OFFERED: 'waitlist_slot_offered',
   VALIDATION_SUBMITTED: 'validation_submitted',
   VALIDATION_APPROVED: 'validation_approved',
   VALIDATION_REJECTED: 'validation_rejected',
@@ -20,6 +29,13 @@ export const NOTIFICATION_TYPES = {
   REVIEW_RECEIVED: 'review_received',
   SUBSCRIPTION_EXPIRING: 'subscription_expiring',
   SUBSCRIPTION_EXPIRED: 'subscription_expired',
+  SUBSCRIPTION_PAYMENT_FAILED: 'subscription_payment_failed',
+  SUBSCRIPTION_RETRY_FAILED: 'subscription_retry_failed',
+  SUBSCRIPTION_GRACE_ENDING: 'subscription_grace_ending',
+  SUBSCRIPTION_SUSPENDED: 'subscription_suspended',
+  SUBSCRIPTION_PAYMENT_RECOVERED: 'subscription_payment_recovered',
+  SUBSCRIPTION_PLAN_CHANGED: 'subscription_plan_changed',
+  SUBSCRIPTION_PLAN_CHANGE_SCHEDULED: 'subscription_plan_change_scheduled',
   TICKET_CREATED: 'ticket_created',
   TICKET_UPDATED: 'ticket_updated',
   TICKET_RESOLVED: 'ticket_resolved',
@@ -27,7 +43,10 @@ export const NOTIFICATION_TYPES = {
   PATIENT_MESSAGE: 'patient_message',
   SYSTEM_MAINTENANCE: 'system_maintenance',
   PAYMENT_SUCCESSFUL: 'payment_successful',
-  PAYMENT_FAILED: 'payment_failed'
+  PAYMENT_FAILED: 'payment_failed',
+  PAYMENT_REFUNDED: 'payment_refunded',
+  PAYOUT_PAID: 'payout_paid',
+  PAYOUT_FAILED: 'payout_failed'
 };
 
 // Notification priorities
@@ -46,10 +65,105 @@ export const NOTIFICATION_CHANNELS = {
   PUSH: 'push'
 };
 
+// Notifications users cannot turn off; they go out through the requested channels whatever
+// the user's preferences and quiet hours
+export const MANDATORY_NOTIFICATION_TYPES = [
+  NOTIFICATION_TYPES.APPOINTMENT_CANCELLED,
+  NOTIFICATION_TYPES.APPOINTMENT_RESCHEDULED,
+  NOTIFICATION_TYPES.APPOINTMENT_FEE_CHARGED,
+  NOTIFICATION_TYPES.SUBSCRIPTION_PAYMENT_FAILED,
+  NOTIFICATION_TYPES.SUBSCRIPTION_RETRY_FAILED,
+  NOTIFICATION_TYPES.SUBSCRIPTION_GRACE_ENDING,
+  NOTIFICATION_TYPES.SUBSCRIPTION_SUSPENDED,
+  NOTIFICATION_TYPES.PAYMENT_FAILED,
+  NOTIFICATION_TYPES.PAYMENT_REFUNDED,
+  NOTIFICATION_TYPES.PAYOUT_FAILED,
+  NOTIFICATION_TYPES.SYSTEM_MAINTENANCE
+];
+
+// Channels skipped during the user's quiet hours. They are not sent later: the notification
+// still reaches the inbox and the other channels.
+export const QUIET_HOURS_CHANNELS = [NOTIFICATION_CHANNELS.SMS, NOTIFICATION_CHANNELS.PUSH];
+
+// Preferences of users who never changed them (and columns missing from their row)
+const DEFAULT_NOTIFICATION_PREFERENCES = {
+  enabled: true,
+  channels: {
+    [NOTIFICATION_CHANNELS.WEBSOCKET]: true,
+    [NOTIFICATION_CHANNELS.EMAIL]: true,
+    [NOTIFICATION_CHANNELS.SMS]: false,
+    [NOTIFICATION_CHANNELS.PUSH]: true
+  },
+  types: {},
+  mutedTypes: [],
+  quietHours: null,
+  timezone: DEFAULT_TIMEZONE
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Notification preferences from a user_preferences row
+const mapPreferencesRow = (row) => {
+  if (!row) {
+    return { ...DEFAULT_NOTIFICATION_PREFERENCES };
+  }
+
+  return {
+    enabled: row.notifications_enabled !== false,
+    channels: {
+      [NOTIFICATION_CHANNELS.WEBSOCKET]: true,
+      [NOTIFICATION_CHANNELS.EMAIL]: row.email_notifications !== false,
+      [NOTIFICATION_CHANNELS.SMS]: row.sms_notifications === true,
+      [NOTIFICATION_CHANNELS.PUSH]: row.push_notifications !== false
+    },
+    types: row.notification_channels || {},
+    mutedTypes: row.muted_notification_types || [],
+    quietHours: row.quiet_hours_start && row.quiet_hours_end
+      ? { start: row.quiet_hours_start.slice(0, 5), end: row.quiet_hours_end.slice(0, 5) }
+      : null,
+    timezone: isValidTimezone(row.timezone) ? row.timezone : DEFAULT_TIMEZONE
+  };
+};
+
+// Quiet hours may span midnight (22:00 - 08:00)
+const isInQuietHours = ({ quietHours, timezone }, now) => {
+  if (!quietHours) {
+    return false;
+  }
+
+  const current = getZonedParts(now, timezone).minutes;
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  return start <= end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+// Read notifications are kept in the inbox this many days, unread ones a while longer
+export const NOTIFICATION_RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+export const UNREAD_NOTIFICATION_RETENTION_DAYS = parseInt(process.env.UNREAD_NOTIFICATION_RETENTION_DAYS) || 180;
+
+const INBOX_COLUMNS = 'id, type, title, message, data, priority, is_read, read_at, created_at';
+
+// Inbox cursors point at the last notification of a page by its exact creation time and id
+const encodeInboxCursor = (row) => Buffer.from(JSON.stringify([row.cursor_created_at, row.id])).toString('base64url');
+
+const decodeInboxCursor = (cursor) => {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return typeof createdAt === 'string' && typeof id === 'string' ? { createdAt, id } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
 class NotificationService {
   constructor() {
     this.templates = new Map();
-    this.userPreferences = new Map();
     this.setupTemplates();
   }
 
@@ -65,10 +179,49 @@ class NotificationService {
 
     this.templates.set(NOTIFICATION_TYPES.APPOINTMENT_REMINDER, {
       title: 'Recordatorio de Cita',
-      message: 'Recordatorio: Tienes una cita mañana a las {{time}} con {{professional}}',
+      message: 'Recordatorio: Tienes una cita el {{date}} a las {{time}} con {{professional}}. Confírmala o cancélala aquí: {{responseUrl}}',
       emailSubject: 'Recordatorio de Cita - Mundoctor',
       emailTemplate: 'appointment_reminder',
-      smsTemplate: 'Recordatorio: Cita mañana {{time}} con {{professional}}. Mundoctor'
+      smsTemplate: 'Recordatorio: Cita el {{date}} a las {{time}} con {{professional}}. Responde SI {{replyCode}} para confirmar o NO {{replyCode}} para cancelar, o entra en {{responseUrl}} Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.APPOINTMENT_PATIENT_REPLIED, {
+      title: 'Respuesta del Paciente',
+      message: '{{patient}} ha {{response}} por SMS su cita del {{date}} a las {{time}}',
+      emailSubject: 'Respuesta del Paciente - Mundoctor',
+      emailTemplate: 'appointment_patient_replied'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.APPOINTMENT_CONFIRMED, {
+      title: 'Cita Confirmada',
+      message: 'Tu cita con {{professional}} el {{date}} a las {{time}} está confirmada',
+      emailSubject: 'Cita Confirmada - Mundoctor',
+      emailTemplate: 'appointment_confirmed',
+      smsTemplate: 'Cita confirmada: {{date}} {{time}} con {{professional}}. Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.APPOINTMENT_RESCHEDULED, {
+      title: 'Cita Reprogramada',
+      message: 'La cita de {{patient}} con {{professional}} del {{previousDate}} a las {{previousTime}} se ha movido al {{date}} a las {{time}}',
+      emailSubject: 'Cita Reprogramada - Mundoctor',
+      emailTemplate: 'appointment_rescheduled',
+      smsTemplate: 'Cita reprogramada: {{date}} {{time}} con {{professional}}. Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.APPOINTMENT_FEE_CHARGED, {
+      title: 'Cargo por Cita',
+      message: 'Se ha generado un cargo de {{amount}} por {{reason}} de tu cita del {{date}} con {{professional}}',
+      emailSubject: 'Cargo por Cita - Mundoctor',
+      emailTemplate: 'appointment_fee_charged',
+      smsTemplate: 'Cargo de {{amount}} por {{reason}} de tu cita del {{date}}. Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.APPOINTMENT_PAYMENT_RECEIVED, {
+      title: 'Pago de Cita Recibido',
+      message: 'Hemos recibido tu pago de {{amount}} para la cita del {{date}} a las {{time}}. Adjuntamos el recibo.',
+      emailSubject: 'Recibo de Pago - Mundoctor',
+      emailTemplate: 'appointment_payment_received',
+      smsTemplate: 'Pago de {{amount}} recibido para tu cita del {{date}} {{time}}. Mundoctor'
     });
 
     this.templates.set(NOTIFICATION_TYPES.APPOINTMENT_CANCELLED, {
@@ -79,6 +232,14 @@ class NotificationService {
       smsTemplate: 'Cita cancelada: {{date}}. Reagenda en Mundoctor.'
     });
 
+    this.templates.set(NOTIFICATION_TYPES.WAITLIST_SLOT_OFFERED, {
+      title: 'Hueco Disponible',
+      message: 'Se ha liberado un hueco el {{date}} a las {{time}} con {{professional}}. Resérvalo antes de las {{expiresAt}}',
+      emailSubject: 'Hueco Disponible - Mundoctor',
+      emailTemplate: 'waitlist_slot_offered',
+      smsTemplate: 'Hueco libre {{date}} {{time}} con {{professional}}. Reserva antes de las {{expiresAt}} en Mundoctor.'
+    });
+
     // Validation templates
     this.templates.set(NOTIFICATION_TYPES.VALIDATION_APPROVED, {
       title: 'Validación Aprobada',
@@ -114,6 +275,87 @@ class NotificationService {
       smsTemplate: 'Tu suscripción vence en {{days}} días. Renueva en Mundoctor.'
     });
 
+    this.templates.set(NOTIFICATION_TYPES.SUBSCRIPTION_PAYMENT_FAILED, {
+      title: 'Pago de Suscripción Fallido',
+      message: 'No hemos podido cobrar {{amount}} de tu {{plan}}. Lo reintentaremos en los próximos días; mantienes tu plan hasta el {{graceEnds}}. Revisa tu método de pago.',
+      emailSubject: 'No hemos podido cobrar tu suscripción - Mundoctor',
+      emailTemplate: 'subscription_payment_failed',
+      smsTemplate: 'No pudimos cobrar {{amount}} de tu suscripción. Revisa tu método de pago en Mundoctor.'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.SUBSCRIPTION_RETRY_FAILED, {
+      title: 'Cobro de Suscripción Pendiente',
+      message: 'El nuevo intento de cobro de {{amount}} de tu {{plan}} también ha fallado. Si no se paga antes del {{graceEnds}}, {{consequence}}.',
+      emailSubject: 'Tu suscripción sigue pendiente de pago - Mundoctor',
+      emailTemplate: 'subscription_retry_failed',
+      smsTemplate: 'Tu suscripción sigue sin pagarse ({{amount}}). Actualiza tu método de pago antes del {{graceEnds}}. Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.SUBSCRIPTION_GRACE_ENDING, {
+      title: 'Último Aviso de Pago',
+      message: 'Quedan {{days}} días para pagar {{amount}} de tu {{plan}}. Si no se paga antes del {{graceEnds}}, {{consequence}}.',
+      emailSubject: 'Último aviso: suscripción pendiente de pago - Mundoctor',
+      emailTemplate: 'subscription_grace_ending',
+      smsTemplate: 'Último aviso: paga {{amount}} antes del {{graceEnds}} o {{consequence}}. Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.SUBSCRIPTION_SUSPENDED, {
+      title: 'Suscripción Suspendida',
+      message: 'Como no hemos podido cobrar {{amount}} de tu {{plan}}, {{consequence}}. Puedes reactivarla desde tu panel.',
+      emailSubject: 'Suscripción suspendida por falta de pago - Mundoctor',
+      emailTemplate: 'subscription_suspended',
+      smsTemplate: 'Suscripción suspendida por falta de pago: {{consequence}}. Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.SUBSCRIPTION_PAYMENT_RECOVERED, {
+      title: 'Pago de Suscripción Recibido',
+      message: 'Hemos cobrado {{amount}} de tu {{plan}}. Tu suscripción vuelve a estar al día.',
+      emailSubject: 'Suscripción al día - Mundoctor',
+      emailTemplate: 'subscription_payment_recovered',
+      smsTemplate: 'Pago de {{amount}} recibido. Tu suscripción está al día. Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.SUBSCRIPTION_PLAN_CHANGED, {
+      title: 'Plan Actualizado',
+      message: 'Tu suscripción ha pasado al {{plan}} desde el {{date}}.',
+      emailSubject: 'Tu plan ha cambiado - Mundoctor',
+      emailTemplate: 'subscription_plan_changed',
+      smsTemplate: 'Tu suscripción ha pasado al {{plan}}. Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.SUBSCRIPTION_PLAN_CHANGE_SCHEDULED, {
+      title: 'Cambio de Plan Programado',
+      message: 'Tu suscripción pasará al {{plan}} el {{date}}, al terminar el periodo actual.',
+      emailSubject: 'Cambio de plan programado - Mundoctor',
+      emailTemplate: 'subscription_plan_change_scheduled',
+      smsTemplate: 'Tu suscripción pasará al {{plan}} el {{date}}. Mundoctor'
+    });
+
+    // Payment templates
+    this.templates.set(NOTIFICATION_TYPES.PAYMENT_REFUNDED, {
+      title: 'Reembolso Realizado',
+      message: 'Te hemos reembolsado {{amount}} de tu pago "{{description}}"',
+      emailSubject: 'Reembolso Realizado - Mundoctor',
+      emailTemplate: 'payment_refunded',
+      smsTemplate: 'Reembolso de {{amount}} realizado. Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.PAYOUT_PAID, {
+      title: 'Liquidación Enviada',
+      message: 'Te hemos transferido {{amount}} por tus citas hasta el {{periodEnd}}. Adjuntamos la liquidación.',
+      emailSubject: 'Liquidación de Pagos - Mundoctor',
+      emailTemplate: 'payout_paid',
+      smsTemplate: 'Liquidación de {{amount}} enviada a tu cuenta. Mundoctor'
+    });
+
+    this.templates.set(NOTIFICATION_TYPES.PAYOUT_FAILED, {
+      title: 'Liquidación Fallida',
+      message: 'No hemos podido transferirte {{amount}}. Revisa tu cuenta de cobro; el saldo se incluirá en la próxima liquidación.',
+      emailSubject: 'Liquidación Fallida - Mundoctor',
+      emailTemplate: 'payout_failed',
+      smsTemplate: 'No pudimos enviar tu liquidación de {{amount}}. Revisa tu cuenta de cobro en Mundoctor.'
+    });
+
     // Ticket templates
     this.templates.set(NOTIFICATION_TYPES.TICKET_CREATED, {
       title: 'Ticket Creado',
@@ -151,11 +393,23 @@ class NotificationService {
     channels = [NOTIFICATION_CHANNELS.WEBSOCKET],
     priority = NOTIFICATION_PRIORITIES.MEDIUM,
     userRole = null,
-    variables = {}
+    variables = {},
+    attachments = [],
+    preferences = null
   }) {
     try {
       logger.info(`Sending notification to user ${userId}: ${type}`);
 
+      // Keep only the channels the user's preferences allow
+      const userPreferences = preferences || await this.getNotificationPreferences(userId);
+      const requestedChannels = channels;
+      channels = this.filterChannels(userPreferences, type, requestedChannels);
+
+      if (channels.length === 0) {
+        logger.info(`Notification ${type} to user ${userId} skipped by their preferences`);
+        return { success: true, skipped: true, channels, results: {} };
+      }
+
       // Get template if type is provided
       const template = this.templates.get(type);
       
@@ -177,12 +431,21 @@ class NotificationService {
 
       // Send through requested channels
       const results = {
+        inbox: false,
         websocket: false,
         email: false,
         sms: false,
         push: false
       };
 
+      // Every notification goes to the user's inbox, whatever the channels
+      try {
+        await this.storeNotification(notificationData, channels);
+        results.inbox = true;
+      } catch (error) {
+        logger.error('Storing notification failed:', error);
+      }
+
       // WebSocket notification
       if (channels.includes(NOTIFICATION_CHANNELS.WEBSOCKET)) {
         results.websocket = webSocketManager.sendToUser(userId, 'notification', notificationData);
@@ -198,7 +461,8 @@ class NotificationService {
             data.email,
             emailSubject,
             emailContent,
-            emailContent
+            emailContent,
+            attachments
           );
         } catch (error) {
           logger.error('Email notification failed:', error);
@@ -219,8 +483,27 @@ class NotificationService {
         }
       }
 
-      // Store notification in database (optional - for notification history)
-      // await this.storeNotification(notificationData);
+      // Web Push notification, shown by the service worker even with the app closed
+      if (channels.includes(NOTIFICATION_CHANNELS.PUSH)) {
+        try {
+          results.push = await pushService.sendToUser(userId, {
+            notificationId: notificationData.id,
+            type,
+            title: notificationTitle,
+            body: notificationMessage,
+            url: data.link || '/',
+            tag: data.appointmentId ? `appointment_${data.appointmentId}` : notificationData.id
+          }, {
+            urgency: [NOTIFICATION_PRIORITIES.HIGH, NOTIFICATION_PRIORITIES.URGENT].includes(priority) ? 'high' : 'normal'
+          });
+        } catch (error) {
+          logger.error('Push notification failed:', error);
+        }
+      }
+
+      if (results.inbox) {
+        await this.pushUnreadCount(userId);
+      }
 
       // Audit log
       await createAuditLog({
@@ -231,13 +514,14 @@ class NotificationService {
         details: {
           type,
           channels,
+          requestedChannels,
           priority,
           results
         }
       });
 
       logger.info(`Notification sent successfully to user ${userId}:`, results);
-      return { success: true, notificationId: notificationData.id, results };
+      return { success: true, notificationId: notificationData.id, channels, results };
 
     } catch (error) {
       logger.error('Error sending notification:', error);
@@ -257,7 +541,8 @@ class NotificationService {
     variables = {}
   }) {
     const results = [];
-    
+    const preferences = await this.getNotificationPreferencesForUsers(userIds);
+
     for (const userId of userIds) {
       try {
         const result = await this.sendNotification({
@@ -268,7 +553,8 @@ class NotificationService {
           data,
           channels,
           priority,
-          variables
+          variables,
+          preferences: preferences.get(userId)
         });
         results.push({ userId, ...result });
       } catch (error) {
@@ -362,6 +648,300 @@ class NotificationService {
     }
   }
 
+  // The user's notification preferences. Defaults are used if they cannot be read, so a
+  // preferences lookup never stops a notification.
+  async getNotificationPreferences(userId) {
+    try {
+      const result = await query('SELECT * FROM user_preferences WHERE user_id = $1', [userId]);
+      return mapPreferencesRow(result.rows[0]);
+    } catch (error) {
+      logger.error(`Error loading notification preferences of user ${userId}:`, error);
+      return mapPreferencesRow(null);
+    }
+  }
+
+  // Preferences of several users at once, by user id
+  async getNotificationPreferencesForUsers(userIds) {
+    const preferences = new Map();
+
+    try {
+      const result = await query('SELECT * FROM user_preferences WHERE user_id = ANY($1)', [userIds]);
+      for (const row of result.rows) {
+        preferences.set(row.user_id, mapPreferencesRow(row));
+      }
+    } catch (error) {
+      logger.error('Error loading notification preferences:', error);
+    }
+
+    for (const userId of userIds) {
+      if (!preferences.has(userId)) {
+        preferences.set(userId, mapPreferencesRow(null));
+      }
+    }
+
+    return preferences;
+  }
+
+  // Channels a notification of this type may go out through for the user
+  filterChannels(preferences, type, channels, now = new Date()) {
+    if (MANDATORY_NOTIFICATION_TYPES.includes(type)) {
+      return channels;
+    }
+
+    if (!preferences.enabled || preferences.mutedTypes.includes(type)) {
+      return [];
+    }
+
+    const quiet = isInQuietHours(preferences, now);
+
+    return channels.filter(channel => {
+      const typeSetting = preferences.types[type]?.[channel];
+      const allowed = typeof typeSetting === 'boolean' ? typeSetting : preferences.channels[channel] !== false;
+
+      return allowed && !(quiet && QUIET_HOURS_CHANNELS.includes(channel));
+    });
+  }
+
+  // Preferences as the full type x channel matrix shown to the user
+  formatNotificationPreferences(preferences) {
+    const types = {};
+
+    for (const type of Object.values(NOTIFICATION_TYPES)) {
+      const mandatory = MANDATORY_NOTIFICATION_TYPES.includes(type);
+      const channels = {};
+
+      for (const channel of Object.values(NOTIFICATION_CHANNELS)) {
+        const typeSetting = preferences.types[type]?.[channel];
+        channels[channel] = mandatory || (typeof typeSetting === 'boolean' ? typeSetting : preferences.channels[channel]);
+      }
+
+      types[type] = {
+        mandatory,
+        muted: !mandatory && preferences.mutedTypes.includes(type),
+        channels
+      };
+    }
+
+    return {
+      enabled: preferences.enabled,
+      channels: preferences.channels,
+      quietHours: preferences.quietHours,
+      timezone: preferences.timezone,
+      types
+    };
+  }
+
+  // Update the user's notification preferences. Only the given settings change; `types` maps
+  // a notification type to { muted?, channels? } and `quietHours` null turns them off. Pass
+  // `client` to make the change part of the caller's transaction.
+  async updateNotificationPreferences(userId, { enabled, channels = {}, types = {}, quietHours } = {}, client = null) {
+    const mandatoryChanges = Object.keys(types).filter(type => MANDATORY_NOTIFICATION_TYPES.includes(type));
+    if (mandatoryChanges.length > 0) {
+      throw new ValidationError('These notifications cannot be turned off', mandatoryChanges.map(type => ({
+        field: `types.${type}`,
+        message: 'Mandatory notification'
+      })));
+    }
+
+    const db = client || { query };
+
+    await db.query(
+      'INSERT INTO user_preferences (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
+      [userId]
+    );
+
+    // Locked so concurrent updates do not overwrite each other's type settings
+    const currentResult = await db.query(
+      'SELECT * FROM user_preferences WHERE user_id = $1 FOR UPDATE',
+      [userId]
+    );
+    const current = mapPreferencesRow(currentResult.rows[0]);
+    const mutedTypes = new Set(current.mutedTypes);
+    const typeChannels = { ...current.types };
+
+    for (const [type, setting] of Object.entries(types)) {
+      if (setting.muted === true) {
+        mutedTypes.add(type);
+      } else if (setting.muted === false) {
+        mutedTypes.delete(type);
+      }
+
+      if (setting.channels) {
+        typeChannels[type] = { ...typeChannels[type], ...setting.channels };
+      }
+    }
+
+    const result = await db.query(
+      `UPDATE user_preferences SET
+        notifications_enabled = COALESCE($2, notifications_enabled),
+        email_notifications = COALESCE($3, email_notifications),
+        sms_notifications = COALESCE($4, sms_notifications),
+        push_notifications = COALESCE($5, push_notifications),
+        notification_channels = $6,
+        muted_notification_types = $7,
+        quiet_hours_start = CASE WHEN $8 THEN $9::time ELSE quiet_hours_start END,
+        quiet_hours_end = CASE WHEN $8 THEN $10::time ELSE quiet_hours_end END,
+        updated_at = NOW()
+      WHERE user_id = $1
+      RETURNING *`,
+      [
+        userId,
+        enabled ?? null,
+        channels[NOTIFICATION_CHANNELS.EMAIL] ?? null,
+        channels[NOTIFICATION_CHANNELS.SMS] ?? null,
+        channels[NOTIFICATION_CHANNELS.PUSH] ?? null,
+        JSON.stringify(typeChannels),
+        [...mutedTypes],
+        quietHours !== undefined,
+        quietHours?.start || null,
+        quietHours?.end || null
+      ]
+    );
+
+    logger.info(`Notification preferences updated for user ${userId}`);
+    return mapPreferencesRow(result.rows[0]);
+  }
+
+  // Store a notification in the user's inbox, without the contact details used to deliver it
+  async storeNotification(notification, channels) {
+    const { email, phone, ...data } = notification.data || {};
+
+    await query(
+      `INSERT INTO notifications (id, user_id, type, title, message, data, priority, channels, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [
+        notification.id,
+        notification.userId,
+        notification.type,
+        notification.title,
+        notification.message || '',
+        JSON.stringify(data),
+        notification.priority,
+        channels,
+        notification.timestamp
+      ]
+    );
+  }
+
+  // A page of the user's inbox, newest first. `cursor` is the nextCursor of the previous page.
+  async getUserNotifications(userId, { cursor = null, limit = 20, unreadOnly = false } = {}) {
+    const conditions = ['user_id = $1'];
+    const params = [userId];
+
+    if (unreadOnly) {
+      conditions.push('is_read = false');
+    }
+
+    if (cursor) {
+      const position = decodeInboxCursor(cursor);
+      if (!position) {
+        throw new ValidationError('Invalid notifications cursor');
+      }
+
+      params.push(position.createdAt, position.id);
+      conditions.push(`(created_at, id) < ($${params.length - 1}::timestamp, $${params.length})`);
+    }
+
+    params.push(limit + 1);
+
+    const result = await query(
+      `SELECT ${INBOX_COLUMNS}, created_at::text as cursor_created_at
+      FROM notifications
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${params.length}`,
+      params
+    );
+
+    const page = result.rows.slice(0, limit);
+    const nextCursor = result.rows.length > limit ? encodeInboxCursor(page[page.length - 1]) : null;
+
+    return {
+      notifications: page.map(({ cursor_created_at, ...notification }) => notification),
+      nextCursor,
+      unreadCount: await this.getUnreadCount(userId)
+    };
+  }
+
+  async getUnreadCount(userId) {
+    const result = await query(
+      'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND is_read = false',
+      [userId]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
+  // Mark one of the user's notifications as read or unread
+  async markAsRead(userId, notificationId, read = true) {
+    const result = await query(
+      `UPDATE notifications SET
+        is_read = $3,
+        read_at = CASE WHEN $3 THEN COALESCE(read_at, NOW()) ELSE NULL END
+      WHERE id = $1 AND user_id = $2
+      RETURNING ${INBOX_COLUMNS}`,
+      [notificationId, userId, read]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    await this.pushUnreadCount(userId);
+    return result.rows[0];
+  }
+
+  async markAllAsRead(userId) {
+    const result = await query(
+      'UPDATE notifications SET is_read = true, read_at = NOW() WHERE user_id = $1 AND is_read = false',
+      [userId]
+    );
+
+    await this.pushUnreadCount(userId);
+    return result.rowCount;
+  }
+
+  async deleteNotification(userId, notificationId) {
+    const result = await query(
+      'DELETE FROM notifications WHERE id = $1 AND user_id = $2 RETURNING is_read',
+      [notificationId, userId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError('Notification not found');
+    }
+
+    if (!result.rows[0].is_read) {
+      await this.pushUnreadCount(userId);
+    }
+  }
+
+  // Send the user's unread count to their open sessions
+  async pushUnreadCount(userId) {
+    if (!webSocketManager.isUserOnline(userId)) {
+      return;
+    }
+
+    try {
+      const unreadCount = await this.getUnreadCount(userId);
+      webSocketManager.sendToUser(userId, 'notification_unread_count', { unreadCount });
+    } catch (error) {
+      logger.error(`Error pushing unread notification count to user ${userId}:`, error);
+    }
+  }
+
+  // Remove notifications past their retention period
+  async cleanupOldNotifications() {
+    const result = await query(
+      `DELETE FROM notifications
+      WHERE (is_read = true AND created_at < NOW() - make_interval(days => $1))
+        OR created_at < NOW() - make_interval(days => $2)`,
+      [NOTIFICATION_RETENTION_DAYS, UNREAD_NOTIFICATION_RETENTION_DAYS]
+    );
+
+    return result.rowCount;
+  }
+
   // Get notification statistics
   getStats() {
     return {
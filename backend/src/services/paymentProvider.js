@@ -0,0 +1,179 @@
+import logger from '../utils/logger.js';
+
+// Refund reasons Stripe accepts; other reasons are kept locally and sent in metadata
+const STRIPE_REFUND_REASONS = ['duplicate', 'fraudulent', 'requested_by_customer'];
+
+// Stripe-backed provider
+const createStripeProvider = (stripe) => ({
+  name: 'stripe',
+
+  async createRefund({ paymentIntentId, chargeId, amount, reason, metadata = {} }) {
+    if (!paymentIntentId && !chargeId) {
+      throw new Error('Payment has no Stripe reference to refund');
+    }
+
+    const refund = await stripe.refunds.create({
+      ...(paymentIntentId ? { payment_intent: paymentIntentId } : { charge: chargeId }),
+      amount,
+      ...(STRIPE_REFUND_REASONS.includes(reason) ? { reason } : {}),
+      metadata: { ...metadata, reason }
+    });
+
+    return {
+      id: refund.id,
+      status: refund.status,
+      amount: refund.amount,
+      failureReason: refund.failure_reason || null
+    };
+  },
+
+  // Express connected account; the professional completes onboarding at the returned URL
+  async createConnectedAccount({ professionalId, email, country = 'ES', refreshUrl, returnUrl }) {
+    const account = await stripe.accounts.create({
+      type: 'express',
+      email,
+      country,
+      capabilities: { transfers: { requested: true } },
+      metadata: { professionalId }
+    });
+
+    const link = await stripe.accountLinks.create({
+      account: account.id,
+      refresh_url: refreshUrl,
+      return_url: returnUrl,
+      type: 'account_onboarding'
+    });
+
+    return {
+      id: account.id,
+      status: account.payouts_enabled ? 'active' : 'pending',
+      payoutsEnabled: account.payouts_enabled,
+      onboardingUrl: link.url
+    };
+  },
+
+  async getConnectedAccount(accountId) {
+    const account = await stripe.accounts.retrieve(accountId);
+
+    return {
+      id: account.id,
+      status: account.payouts_enabled ? 'active' : (account.requirements?.disabled_reason ? 'restricted' : 'pending'),
+      payoutsEnabled: account.payouts_enabled
+    };
+  },
+
+  // Move funds from the platform balance to the connected account, which pays them out
+  // to the professional's bank on its own schedule
+  async createPayout({ accountId, amount, currency, metadata = {} }) {
+    const transfer = await stripe.transfers.create({
+      amount,
+      currency: currency.toLowerCase(),
+      destination: accountId,
+      metadata
+    }, {
+      idempotencyKey: metadata.payoutId
+    });
+
+    return {
+      id: transfer.id,
+      status: transfer.reversed ? 'failed' : 'paid',
+      failureReason: null
+    };
+  }
+});
+
+// In-process provider for development and tests: every operation succeeds immediately
+// and is kept in memory so tests can inspect it. Payouts to an account whose status is
+// changed to anything but active fail, to exercise the failure path.
+const createLocalProvider = () => {
+  const refunds = new Map();
+  const accounts = new Map();
+  const payouts = new Map();
+
+  return {
+    name: 'local',
+    refunds,
+    accounts,
+    payouts,
+
+    async createRefund({ paymentIntentId, chargeId, amount, reason, metadata = {} }) {
+      const refund = {
+        id: `re_local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        status: 'succeeded',
+        amount,
+        failureReason: null,
+        paymentIntentId,
+        chargeId,
+        reason,
+        metadata
+      };
+
+      refunds.set(refund.id, refund);
+      logger.info(`Local provider refund ${refund.id}: ${amount}`);
+
+      return refund;
+    },
+
+    async createConnectedAccount({ professionalId, email }) {
+      const account = {
+        id: `acct_local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        status: 'active',
+        payoutsEnabled: true,
+        onboardingUrl: null,
+        professionalId,
+        email
+      };
+
+      accounts.set(account.id, account);
+      return account;
+    },
+
+    async getConnectedAccount(accountId) {
+      const account = accounts.get(accountId);
+      // Accounts created before a restart are not in memory; treat them as active
+      return account || { id: accountId, status: 'active', payoutsEnabled: true };
+    },
+
+    async createPayout({ accountId, amount, currency, metadata = {} }) {
+      const account = accounts.get(accountId);
+      const failed = account && account.status !== 'active';
+
+      const payout = {
+        id: `tr_local_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        status: failed ? 'failed' : 'paid',
+        failureReason: failed ? `Account ${accountId} is ${account.status}` : null,
+        accountId,
+        amount,
+        currency,
+        metadata
+      };
+
+      payouts.set(payout.id, payout);
+      logger.info(`Local provider payout ${payout.id} to ${accountId}: ${amount} (${payout.status})`);
+
+      return payout;
+    }
+  };
+};
+
+// PAYMENT_PROVIDER selects the provider explicitly; otherwise Stripe is used when configured
+export const createPaymentProvider = (stripe) => {
+  const name = process.env.PAYMENT_PROVIDER || (stripe ? 'stripe' : 'local');
+
+  if (name === 'stripe') {
+    if (!stripe) {
+      throw new Error('PAYMENT_PROVIDER is stripe but STRIPE_SECRET_KEY is not set');
+    }
+    return createStripeProvider(stripe);
+  }
+
+  if (name === 'local') {
+    return createLocalProvider();
+  }
+
+  throw new Error(`Unknown payment provider: ${name}`);
+};
+
+export default {
+  createPaymentProvider
+};
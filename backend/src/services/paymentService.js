@@ -1,24 +1,58 @@
 import Stripe from 'stripe';
-import { query } from '../config/database.js';
+import { query, withTransaction } from '../config/database.js';
 import logger from '../utils/logger.js';
 import { createAuditLog } from '../utils/auditLog.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
 import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './notificationService.js';
+import invoiceService from './invoiceService.js';
+import { createPaymentProvider } from './paymentProvider.js';
+import { confirmAppointmentPayment } from './appointmentPaymentService.js';
+import { recordPaymentEarnings, recordRefundInLedger } from './payoutService.js';
+import {
+  redeemDiscountCode,
+  attachRedemption,
+  releaseRedemption,
+  completePaymentRedemptions,
+  releasePaymentRedemptions,
+  REDEMPTION_STATUSES
+} from './discountService.js';
+import { recordPaymentFailure, recordPaymentRecovery, closeDunning } from './dunningService.js';
+import { syncProfessionalPlan, closePendingPlanChange } from './subscriptionChangeService.js';
 import {
   PAYMENT_STATUSES,
   PAYMENT_METHODS,
   PAYMENT_TYPES,
   SUBSCRIPTION_STATUSES,
   SUBSCRIPTION_INTERVALS,
+  REFUND_STATUSES,
+  WEBHOOK_EVENT_STATUSES,
+  REFUND_REASONS,
   validatePaymentAmount,
   validateCurrency,
-  generateInvoiceNumber,
-  calculateTax,
-  calculateTotal
+  validateRefundReason,
+  DEFAULT_CURRENCY,
+  formatCurrency
 } from '../models/paymentModel.js';
 
+// A webhook event claimed this long ago and never finished is processed again
+const WEBHOOK_PROCESSING_TIMEOUT_MINUTES = 10;
+
+// Stored webhook events are listed without their payload
+const WEBHOOK_EVENT_LIST_COLUMNS = `id, source, event_type, event_id, status, processed, processed_at,
+  error, retry_count, last_attempt_at, created_at, updated_at`;
+
+// Payment intents carry their charge as `latest_charge`, an id or the expanded charge
+const getLatestChargeId = (paymentIntent) =>
+  (typeof paymentIntent.latest_charge === 'string' ? paymentIntent.latest_charge : paymentIntent.latest_charge?.id) || null;
+
+// Since the 2025-03-31 (basil) API version invoices name their subscription under `parent`
+const getInvoiceSubscriptionId = (invoice) =>
+  invoice.parent?.subscription_details?.subscription || invoice.subscription || null;
+
 class PaymentService {
   constructor() {
     this.stripe = process.env.STRIPE_SECRET_KEY ? new Stripe(process.env.STRIPE_SECRET_KEY) : null;
+    this.provider = createPaymentProvider(this.stripe);
     this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
     this.clerkPublishableKey = process.env.CLERK_PUBLISHABLE_KEY;
     this.clerkSecretKey = process.env.CLERK_SECRET_KEY;
@@ -28,13 +62,16 @@ class PaymentService {
   async createPaymentIntent({
     userId,
     amount,
-    currency = 'MXN',
+    currency = DEFAULT_CURRENCY,
     paymentType = PAYMENT_TYPES.SUBSCRIPTION,
     description,
     metadata = {},
     appointmentId = null,
-    subscriptionId = null
+    subscriptionId = null,
+    discountCode = null
   }) {
+    let redemption = null;
+
     try {
       logger.info(`Creating payment intent for user ${userId}, amount: ${amount}`);
 
@@ -47,6 +84,29 @@ class PaymentService {
         throw new Error('Invalid currency');
       }
 
+      // A discount code lowers the amount charged; the use is released if the payment is not created
+      if (discountCode) {
+        const discount = await redeemDiscountCode(discountCode, {
+          userId,
+          target: await this.getDiscountTarget({ paymentType, appointmentId, metadata }),
+          amount,
+          currency
+        });
+        redemption = discount.redemption;
+
+        if (discount.finalAmount <= 0) {
+          throw new ValidationError('Discount code covers the whole amount; there is nothing to charge');
+        }
+
+        metadata = {
+          ...metadata,
+          discountCode: discount.discountCode.code,
+          discountAmount: discount.discountAmount,
+          originalAmount: amount
+        };
+        amount = discount.finalAmount;
+      }
+
       // Get customer info
       const customerQuery = 'SELECT * FROM users WHERE id = $1';
       const customerResult = await query(customerQuery, [userId]);
@@ -64,7 +124,7 @@ class PaymentService {
       } else {
         stripeCustomer = await this.stripe.customers.create({
           email: customer.email,
-          name: `${customer.first_name} ${customer.last_name}`,
+          name: customer.name,
           metadata: {
             userId: userId
           }
@@ -126,6 +186,10 @@ class PaymentService {
 
       const payment = paymentResult.rows[0];
 
+      if (redemption) {
+        await attachRedemption(redemption.id, { paymentId });
+      }
+
       // Audit log
       await createAuditLog({
         userId,
@@ -149,11 +213,27 @@ class PaymentService {
       };
 
     } catch (error) {
+      if (redemption) {
+        await releaseRedemption(redemption.id);
+      }
       logger.error('Error creating payment intent:', error);
       throw error;
     }
   }
 
+  // What a discount code is checked against: the subscription plan or the appointment's service
+  async getDiscountTarget({ paymentType, appointmentId, metadata = {} }) {
+    if (paymentType === PAYMENT_TYPES.SUBSCRIPTION) {
+      return { type: 'subscription', planId: metadata.planId || null };
+    }
+
+    const result = appointmentId
+      ? await query('SELECT service_id FROM appointments WHERE id::text = $1', [appointmentId])
+      : { rows: [] };
+
+    return { type: 'appointment', serviceId: result.rows[0]?.service_id || null };
+  }
+
   // Confirm payment
   async confirmPayment(paymentIntentId, paymentMethodId = null) {
     try {
@@ -199,29 +279,38 @@ class PaymentService {
 
       const payment = paymentResult.rows[0];
 
-      // Update payment status
-      await query(
+      // Only the first run completes the payment; a replayed event finds it completed (or
+      // already refunded) and leaves it alone
+      const updateResult = await query(
         `UPDATE payments SET 
           status = $1, 
           stripe_charge_id = $2, 
           updated_at = $3
-        WHERE id = $4`,
+        WHERE id = $4 AND status NOT IN ($1, $5, $6)
+        RETURNING id`,
         [
           PAYMENT_STATUSES.COMPLETED,
-          paymentIntent.charges.data[0]?.id,
+          getLatestChargeId(paymentIntent),
           new Date().toISOString(),
-          payment.id
+          payment.id,
+          PAYMENT_STATUSES.REFUNDED,
+          PAYMENT_STATUSES.PARTIALLY_REFUNDED
         ]
       );
+      const completedNow = updateResult.rows.length > 0;
 
-      // Create transaction record
+      // Create transaction record, once per payment
       const transactionId = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
       await query(
         `INSERT INTO transactions (
           id, user_id, payment_id, type, amount, currency, 
           status, description, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+        )
+        SELECT $1, $2, $3, $4, $5, $6, $7, $8, $9, $10
+        WHERE NOT EXISTS (
+          SELECT 1 FROM transactions WHERE payment_id = $3 AND type = $4
+        )`,
         [
           transactionId,
           payment.user_id,
@@ -237,34 +326,96 @@ class PaymentService {
       );
 
       // Send notification
-      await notificationService.sendNotification({
-        userId: payment.user_id,
-        type: NOTIFICATION_TYPES.PAYMENT_SUCCESSFUL,
-        channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL],
-        variables: {
-          amount: payment.amount,
-          currency: payment.currency,
-          description: payment.description
-        }
-      });
+      if (completedNow) {
+        await notificationService.sendNotification({
+          userId: payment.user_id,
+          type: NOTIFICATION_TYPES.PAYMENT_SUCCESSFUL,
+          channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL],
+          variables: {
+            amount: payment.amount,
+            currency: payment.currency,
+            description: payment.description
+          }
+        });
+      }
+
+      // Payments taken at booking confirm their appointment
+      if (payment.appointment_id && [PAYMENT_TYPES.APPOINTMENT, PAYMENT_TYPES.APPOINTMENT_DEPOSIT].includes(payment.payment_type)) {
+        await confirmAppointmentPayment(payment);
+      }
+
+      // Split appointment payments into the professional's share and the platform commission
+      await recordPaymentEarnings(payment);
+
+      await completePaymentRedemptions(payment.id);
 
       // Audit log
+      if (completedNow) {
+        await createAuditLog({
+          userId: payment.user_id,
+          action: 'payment_completed',
+          resource: 'payment',
+          resourceId: payment.id,
+          details: {
+            amount: payment.amount,
+            paymentIntentId
+          }
+        });
+      }
+
+      logger.info(`Payment processed successfully: ${payment.id}`);
+      return payment;
+
+    } catch (error) {
+      logger.error('Error processing successful payment:', error);
+      throw error;
+    }
+  }
+
+  // Cancel a payment that has not been completed, along with its Stripe payment intent
+  async cancelPayment(paymentId) {
+    try {
+      logger.info(`Cancelling payment ${paymentId}`);
+
+      const result = await query(
+        `UPDATE payments SET status = $1, updated_at = $2
+        WHERE id = $3 AND status IN ($4, $5)
+        RETURNING *`,
+        [
+          PAYMENT_STATUSES.CANCELLED,
+          new Date().toISOString(),
+          paymentId,
+          PAYMENT_STATUSES.PENDING,
+          PAYMENT_STATUSES.PROCESSING
+        ]
+      );
+
+      const payment = result.rows[0];
+      if (!payment) {
+        return null;
+      }
+
+      await releasePaymentRedemptions(payment.id);
+
+      if (this.stripe && payment.stripe_payment_intent_id) {
+        await this.stripe.paymentIntents.cancel(payment.stripe_payment_intent_id);
+      }
+
       await createAuditLog({
         userId: payment.user_id,
-        action: 'payment_completed',
+        action: 'payment_cancelled',
         resource: 'payment',
         resourceId: payment.id,
         details: {
           amount: payment.amount,
-          paymentIntentId
+          paymentIntentId: payment.stripe_payment_intent_id
         }
       });
 
-      logger.info(`Payment processed successfully: ${payment.id}`);
       return payment;
 
     } catch (error) {
-      logger.error('Error processing successful payment:', error);
+      logger.error('Error cancelling payment:', error);
       throw error;
     }
   }
@@ -329,8 +480,11 @@ class PaymentService {
     planId,
     priceId,
     paymentMethodId,
-    trialPeriodDays = 0
+    trialPeriodDays = 0,
+    discountCode = null
   }) {
+    let redemption = null;
+
     try {
       logger.info(`Creating subscription for user ${userId}, plan: ${planId}`);
 
@@ -351,7 +505,7 @@ class PaymentService {
       } else {
         stripeCustomer = await this.stripe.customers.create({
           email: customer.email,
-          name: `${customer.first_name} ${customer.last_name}`,
+          name: customer.name,
           metadata: { userId }
         });
 
@@ -389,13 +543,42 @@ class PaymentService {
         subscriptionData.trial_period_days = trialPeriodDays;
       }
 
-      const stripeSubscription = await this.stripe.subscriptions.create(subscriptionData);
-
       // Get plan details
       const planQuery = 'SELECT * FROM subscription_plans WHERE id = $1';
       const planResult = await query(planQuery, [planId]);
       const plan = planResult.rows[0];
 
+      if (!plan) {
+        throw new NotFoundError('Subscription plan');
+      }
+
+      // A discount code takes its amount off the first charge through a single-use coupon
+      let discount = null;
+      if (discountCode) {
+        discount = await redeemDiscountCode(discountCode, {
+          userId,
+          target: { type: 'subscription', planId },
+          amount: plan.amount,
+          currency: plan.currency
+        });
+        redemption = discount.redemption;
+
+        const coupon = await this.stripe.coupons.create({
+          duration: 'once',
+          amount_off: discount.discountAmount,
+          currency: plan.currency.toLowerCase(),
+          max_redemptions: 1,
+          name: discount.discountCode.code,
+          metadata: {
+            discountCodeId: discount.discountCode.id,
+            redemptionId: redemption.id
+          }
+        });
+        subscriptionData.coupon = coupon.id;
+      }
+
+      const stripeSubscription = await this.stripe.subscriptions.create(subscriptionData);
+
       // Create subscription record
       const subscriptionId = `sub_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
@@ -424,12 +607,20 @@ class PaymentService {
         new Date(stripeSubscription.current_period_end * 1000).toISOString(),
         stripeSubscription.trial_start ? new Date(stripeSubscription.trial_start * 1000).toISOString() : null,
         stripeSubscription.trial_end ? new Date(stripeSubscription.trial_end * 1000).toISOString() : null,
-        JSON.stringify({ planId }),
+        JSON.stringify({
+          planId,
+          ...(discount ? { discountCode: discount.discountCode.code, discountAmount: discount.discountAmount } : {})
+        }),
         new Date().toISOString(),
         new Date().toISOString()
       ]);
 
       const subscription = subscriptionResult.rows[0];
+      await syncProfessionalPlan(null, userId, planId);
+
+      if (redemption) {
+        await attachRedemption(redemption.id, { subscriptionId, status: REDEMPTION_STATUSES.COMPLETED });
+      }
 
       // Audit log
       await createAuditLog({
@@ -440,7 +631,8 @@ class PaymentService {
         details: {
           planId,
           stripeSubscriptionId: stripeSubscription.id,
-          trialPeriodDays
+          trialPeriodDays,
+          discountCode: discount?.discountCode.code || null
         }
       });
 
@@ -453,6 +645,9 @@ class PaymentService {
       };
 
     } catch (error) {
+      if (redemption) {
+        await releaseRedemption(redemption.id);
+      }
       logger.error('Error creating subscription:', error);
       throw error;
     }
@@ -511,6 +706,11 @@ class PaymentService {
         ]
       );
 
+      if (!cancelAtPeriodEnd) {
+        await closePendingPlanChange(subscriptionId);
+        await syncProfessionalPlan(null, subscription.user_id);
+      }
+
       // Audit log
       await createAuditLog({
         userId: subscription.user_id,
@@ -532,13 +732,287 @@ class PaymentService {
     }
   }
 
+  // Refund a payment, fully (amount omitted) or partially. The refund is reserved against
+  // the payment before the provider is called, so concurrent refunds cannot exceed it.
+  async refundPayment({
+    paymentId,
+    amount = null,
+    reason = REFUND_REASONS.REQUESTED_BY_CUSTOMER,
+    notes = null,
+    initiatedBy
+  }) {
+    try {
+      logger.info(`Refunding payment ${paymentId}, amount: ${amount ?? 'full'}`);
+
+      if (!validateRefundReason(reason)) {
+        throw new ValidationError('Invalid refund reason');
+      }
+
+      const { payment, refund } = await withTransaction(async (client) => {
+        const paymentResult = await client.query(
+          'SELECT * FROM payments WHERE id = $1 FOR UPDATE',
+          [paymentId]
+        );
+
+        if (paymentResult.rows.length === 0) {
+          throw new NotFoundError('Payment not found');
+        }
+
+        const payment = paymentResult.rows[0];
+
+        if (![PAYMENT_STATUSES.COMPLETED, PAYMENT_STATUSES.PARTIALLY_REFUNDED].includes(payment.status)) {
+          throw new ValidationError('Only completed payments can be refunded');
+        }
+
+        const reservedResult = await client.query(
+          `SELECT COALESCE(SUM(amount), 0)::integer as reserved
+          FROM refunds
+          WHERE payment_id = $1 AND status IN ($2, $3)`,
+          [paymentId, REFUND_STATUSES.PENDING, REFUND_STATUSES.SUCCEEDED]
+        );
+
+        const refundable = payment.amount - reservedResult.rows[0].reserved;
+        const refundAmount = amount ?? refundable;
+
+        if (!Number.isInteger(refundAmount) || refundAmount <= 0) {
+          throw new ValidationError('Invalid refund amount');
+        }
+
+        if (refundAmount > refundable) {
+          throw new ValidationError(`Refund amount exceeds the refundable amount (${refundable})`);
+        }
+
+        const refundResult = await client.query(
+          `INSERT INTO refunds (
+            id, payment_id, user_id, amount, currency, status, reason,
+            notes, provider, initiated_by, created_at, updated_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          RETURNING *`,
+          [
+            `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            paymentId,
+            payment.user_id,
+            refundAmount,
+            payment.currency,
+            REFUND_STATUSES.PENDING,
+            reason,
+            notes,
+            this.provider.name,
+            initiatedBy,
+            new Date().toISOString(),
+            new Date().toISOString()
+          ]
+        );
+
+        return { payment, refund: refundResult.rows[0] };
+      });
+
+      let providerRefund;
+      try {
+        providerRefund = await this.provider.createRefund({
+          paymentIntentId: payment.stripe_payment_intent_id,
+          chargeId: payment.stripe_charge_id,
+          amount: refund.amount,
+          reason,
+          metadata: { refundId: refund.id, paymentId }
+        });
+      } catch (error) {
+        await query(
+          'UPDATE refunds SET status = $1, failure_reason = $2, updated_at = $3 WHERE id = $4',
+          [REFUND_STATUSES.FAILED, error.message, new Date().toISOString(), refund.id]
+        );
+        throw error;
+      }
+
+      return await this.settleRefund(refund.id, providerRefund);
+
+    } catch (error) {
+      logger.error('Error refunding payment:', error);
+      throw error;
+    }
+  }
+
+  // Apply the provider's outcome to a refund. The first time a refund succeeds the payment
+  // totals, transaction record, credit note and customer notification are produced; settling
+  // it again (e.g. a replayed webhook) changes nothing.
+  async settleRefund(refundId, providerRefund) {
+    const status = this.getRefundStatus(providerRefund.status);
+
+    const refundResult = await query(
+      `UPDATE refunds SET
+        status = $1,
+        provider_refund_id = COALESCE($2, provider_refund_id),
+        failure_reason = $3,
+        updated_at = $4
+      WHERE id = $5 AND status != $6
+      RETURNING *`,
+      [
+        status,
+        providerRefund.id,
+        providerRefund.failureReason,
+        new Date().toISOString(),
+        refundId,
+        REFUND_STATUSES.SUCCEEDED
+      ]
+    );
+
+    if (refundResult.rows.length === 0) {
+      const existing = await query('SELECT * FROM refunds WHERE id = $1', [refundId]);
+      return existing.rows[0];
+    }
+
+    const refund = refundResult.rows[0];
+
+    if (status !== REFUND_STATUSES.SUCCEEDED) {
+      logger.info(`Refund ${refund.id} is ${status}`);
+      return refund;
+    }
+
+    const paymentResult = await query(
+      `UPDATE payments SET
+        refund_amount = refund_amount + $1,
+        refund_reason = $2,
+        refunded_at = $3,
+        status = CASE WHEN refund_amount + $1 >= amount THEN $4 ELSE $5 END,
+        updated_at = $3
+      WHERE id = $6
+      RETURNING *`,
+      [
+        refund.amount,
+        refund.reason,
+        new Date().toISOString(),
+        PAYMENT_STATUSES.REFUNDED,
+        PAYMENT_STATUSES.PARTIALLY_REFUNDED,
+        refund.payment_id
+      ]
+    );
+
+    const payment = paymentResult.rows[0];
+
+    await query(
+      `INSERT INTO transactions (
+        id, user_id, payment_id, type, amount, currency,
+        status, description, reference, metadata, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)`,
+      [
+        `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        refund.user_id,
+        refund.payment_id,
+        'refund',
+        refund.amount,
+        refund.currency,
+        'completed',
+        `Refund for ${payment.payment_type}`,
+        refund.provider_refund_id,
+        JSON.stringify({ refundId: refund.id, reason: refund.reason }),
+        new Date().toISOString(),
+        new Date().toISOString()
+      ]
+    );
+
+    await recordRefundInLedger(refund);
+
+    // The refund has happened; a missing credit note must not hide that
+    try {
+      const creditNote = await invoiceService.createCreditNote(refund);
+      await query('UPDATE refunds SET credit_note_id = $1 WHERE id = $2', [creditNote.id, refund.id]);
+      refund.credit_note_id = creditNote.id;
+    } catch (error) {
+      logger.error(`Credit note could not be created for refund ${refund.id}:`, error);
+    }
+
+    const customerResult = await query('SELECT email, phone FROM users WHERE id = $1', [refund.user_id]);
+
+    await notificationService.sendNotification({
+      userId: refund.user_id,
+      type: NOTIFICATION_TYPES.PAYMENT_REFUNDED,
+      channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL],
+      variables: {
+        amount: formatCurrency(refund.amount, refund.currency),
+        description: payment.description
+      },
+      data: {
+        email: customerResult.rows[0]?.email,
+        phone: customerResult.rows[0]?.phone,
+        paymentId: refund.payment_id,
+        refundId: refund.id
+      }
+    });
+
+    await createAuditLog({
+      userId: refund.initiated_by || refund.user_id,
+      action: 'payment_refunded',
+      resource: 'payment',
+      resourceId: refund.payment_id,
+      details: {
+        refundId: refund.id,
+        amount: refund.amount,
+        reason: refund.reason,
+        provider: refund.provider,
+        providerRefundId: refund.provider_refund_id,
+        creditNoteId: refund.credit_note_id || null
+      }
+    });
+
+    logger.info(`Refund ${refund.id} succeeded for payment ${refund.payment_id}`);
+    return refund;
+  }
+
+  // Get the refunds of a payment, newest first
+  async getPaymentRefunds(paymentId) {
+    try {
+      const result = await query(
+        `SELECT r.*, i.invoice_number as credit_note_number
+        FROM refunds r
+        LEFT JOIN invoices i ON r.credit_note_id = i.id
+        WHERE r.payment_id = $1
+        ORDER BY r.created_at DESC`,
+        [paymentId]
+      );
+
+      return result.rows;
+
+    } catch (error) {
+      logger.error('Error getting payment refunds:', error);
+      throw error;
+    }
+  }
+
+  // Map provider refund statuses onto ours
+  getRefundStatus(providerStatus) {
+    switch (providerStatus) {
+      case 'succeeded':
+        return REFUND_STATUSES.SUCCEEDED;
+      case 'failed':
+        return REFUND_STATUSES.FAILED;
+      case 'canceled':
+        return REFUND_STATUSES.CANCELLED;
+      default:
+        return REFUND_STATUSES.PENDING;
+    }
+  }
+
   // Get payment history
   async getPaymentHistory(userId, page = 1, limit = 20) {
     try {
       const offset = (page - 1) * limit;
 
+      // Each payment carries its refunds with their reasons
       const paymentsQuery = `
-        SELECT p.*, u.first_name, u.last_name, u.email
+        SELECT p.*, u.name, u.email,
+          COALESCE((
+            SELECT json_agg(json_build_object(
+              'id', r.id,
+              'amount', r.amount,
+              'status', r.status,
+              'reason', r.reason,
+              'notes', r.notes,
+              'creditNoteId', r.credit_note_id,
+              'createdAt', r.created_at
+            ) ORDER BY r.created_at)
+            FROM refunds r
+            WHERE r.payment_id = p.id
+          ), '[]') as refunds
         FROM payments p
         JOIN users u ON p.user_id = u.id
         WHERE p.user_id = $1
@@ -606,77 +1080,227 @@ class PaymentService {
     }
   }
 
-  // Process webhook event
+  // Process webhook event: verify the signature, then handle the event once
   async processWebhookEvent(payload, signature) {
+    const event = this.stripe.webhooks.constructEvent(payload, signature, this.webhookSecret);
+
+    return this.handleWebhookEvent(event);
+  }
+
+  // Handle a verified Stripe event at most once. The event is claimed by its id before it
+  // runs: redeliveries of an event that was processed, or is still running, are acknowledged
+  // without running it again, while a failed event runs again.
+  async handleWebhookEvent(event) {
+    const storedEvent = await this.storeWebhookEvent(event);
+
+    if (!storedEvent) {
+      logger.info(`Skipping duplicate webhook event: ${event.id}`);
+      return { received: true, duplicate: true };
+    }
+
+    logger.info(`Processing webhook event: ${event.type} (${event.id})`);
+
     try {
-      const event = this.stripe.webhooks.constructEvent(payload, signature, this.webhookSecret);
+      const handled = await this.dispatchWebhookEvent(event);
 
-      logger.info(`Processing webhook event: ${event.type}`);
+      await this.markWebhookEvent(
+        storedEvent.id,
+        handled ? WEBHOOK_EVENT_STATUSES.PROCESSED : WEBHOOK_EVENT_STATUSES.IGNORED
+      );
 
-      switch (event.type) {
-        case 'payment_intent.succeeded':
-          await this.processSuccessfulPayment(event.data.object.id);
-          break;
+      return { received: true };
 
-        case 'payment_intent.payment_failed':
-          await this.processFailedPayment(event.data.object.id, event.data.object.last_payment_error?.message);
-          break;
+    } catch (error) {
+      logger.error(`Error processing webhook event ${event.id}:`, error);
+      await this.markWebhookEvent(storedEvent.id, WEBHOOK_EVENT_STATUSES.FAILED, error);
+      throw error;
+    }
+  }
 
-        case 'invoice.payment_succeeded':
-          await this.processInvoicePaymentSucceeded(event.data.object);
-          break;
+  // Run the handler for the event type; false when the type is not handled
+  async dispatchWebhookEvent(event) {
+    switch (event.type) {
+      case 'payment_intent.succeeded':
+        await this.processSuccessfulPayment(event.data.object.id);
+        break;
 
-        case 'invoice.payment_failed':
-          await this.processInvoicePaymentFailed(event.data.object);
-          break;
+      case 'payment_intent.payment_failed':
+        await this.processFailedPayment(event.data.object.id, event.data.object.last_payment_error?.message);
+        break;
 
-        case 'customer.subscription.updated':
-          await this.processSubscriptionUpdated(event.data.object);
-          break;
+      case 'invoice.payment_succeeded':
+        await this.processInvoicePaymentSucceeded(event.data.object);
+        break;
 
-        case 'customer.subscription.deleted':
-          await this.processSubscriptionDeleted(event.data.object);
-          break;
+      case 'invoice.payment_failed':
+        await this.processInvoicePaymentFailed(event.data.object);
+        break;
 
-        default:
-          logger.info(`Unhandled webhook event type: ${event.type}`);
-      }
+      case 'customer.subscription.updated':
+        await this.processSubscriptionUpdated(event.data.object);
+        break;
 
-      // Store webhook event
-      await this.storeWebhookEvent(event);
+      case 'customer.subscription.deleted':
+        await this.processSubscriptionDeleted(event.data.object);
+        break;
 
-      return { received: true };
+      case 'charge.refunded':
+        await this.processChargeRefunded(event.data.object);
+        break;
 
-    } catch (error) {
-      logger.error('Error processing webhook event:', error);
-      throw error;
+      case 'charge.refund.updated':
+        await this.processRefundUpdated(event.data.object);
+        break;
+
+      default:
+        logger.info(`Unhandled webhook event type: ${event.type}`);
+        return false;
     }
+
+    return true;
   }
 
-  // Store webhook event
+  // Store a webhook event and claim it for processing. Returns null when the event has
+  // already been handled or another delivery is handling it; a claim older than
+  // WEBHOOK_PROCESSING_TIMEOUT_MINUTES is taken to have died and is claimed again.
   async storeWebhookEvent(event) {
+    const eventId = `webhook_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const result = await query(
+      `INSERT INTO webhook_events (
+        id, source, event_type, event_id, data, payload, status, processed,
+        last_attempt_at, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, false, NOW(), NOW(), NOW())
+      ON CONFLICT (source, event_id) DO UPDATE SET
+        status = EXCLUDED.status,
+        payload = COALESCE(webhook_events.payload, EXCLUDED.payload),
+        retry_count = webhook_events.retry_count + 1,
+        last_attempt_at = NOW(),
+        updated_at = NOW()
+      WHERE webhook_events.status = $8
+        OR (webhook_events.status = $7
+          AND webhook_events.last_attempt_at < NOW() - make_interval(mins => $9))
+      RETURNING *`,
+      [
+        eventId,
+        'stripe',
+        event.type,
+        event.id,
+        JSON.stringify(event.data),
+        JSON.stringify(event),
+        WEBHOOK_EVENT_STATUSES.PROCESSING,
+        WEBHOOK_EVENT_STATUSES.FAILED,
+        WEBHOOK_PROCESSING_TIMEOUT_MINUTES
+      ]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Record the outcome of processing a webhook event
+  async markWebhookEvent(webhookEventId, status, error = null) {
     try {
-      const eventId = `webhook_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      
       await query(
-        `INSERT INTO webhook_events (
-          id, source, event_type, event_id, data, processed, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
-        [
-          eventId,
-          'stripe',
-          event.type,
-          event.id,
-          JSON.stringify(event.data),
-          true,
-          new Date().toISOString(),
-          new Date().toISOString()
-        ]
+        `UPDATE webhook_events SET
+          status = $1,
+          processed = $2,
+          processed_at = CASE WHEN $2 THEN NOW() ELSE processed_at END,
+          error = $3,
+          updated_at = NOW()
+        WHERE id = $4`,
+        [status, status !== WEBHOOK_EVENT_STATUSES.FAILED, error ? error.message : null, webhookEventId]
       );
+    } catch (markError) {
+      logger.error(`Error recording webhook event ${webhookEventId} status:`, markError);
+    }
+  }
+
+  // Process a failed webhook event again from its stored payload
+  async replayWebhookEvent(webhookEventId, replayedBy = null) {
+    const result = await query('SELECT * FROM webhook_events WHERE id = $1', [webhookEventId]);
+    const storedEvent = result.rows[0];
+
+    if (!storedEvent) {
+      throw new NotFoundError('Webhook event not found');
+    }
+
+    if (storedEvent.status !== WEBHOOK_EVENT_STATUSES.FAILED) {
+      throw new ValidationError('Only failed webhook events can be replayed');
+    }
 
+    if (storedEvent.source !== 'stripe' || !storedEvent.payload) {
+      throw new ValidationError('This webhook event was stored without its payload and cannot be replayed');
+    }
+
+    try {
+      await this.handleWebhookEvent(storedEvent.payload);
     } catch (error) {
-      logger.error('Error storing webhook event:', error);
+      // The failure is recorded on the event, which is returned below
     }
+
+    await createAuditLog({
+      userId: replayedBy,
+      action: 'webhook_event_replayed',
+      resource: 'webhook_event',
+      resourceId: webhookEventId,
+      details: {
+        eventId: storedEvent.event_id,
+        eventType: storedEvent.event_type
+      }
+    });
+
+    const updated = await query(
+      `SELECT ${WEBHOOK_EVENT_LIST_COLUMNS} FROM webhook_events WHERE id = $1`,
+      [webhookEventId]
+    );
+
+    return updated.rows[0];
+  }
+
+  // Stored webhook events, newest first, without their payloads
+  async getWebhookEvents({ status = null, source = null, eventType = null, page = 1, limit = 50 } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (status) {
+      params.push(status);
+      conditions.push(`status = $${params.length}`);
+    }
+    if (source) {
+      params.push(source);
+      conditions.push(`source = $${params.length}`);
+    }
+    if (eventType) {
+      params.push(eventType);
+      conditions.push(`event_type = $${params.length}`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const offset = (page - 1) * limit;
+
+    const [eventsResult, countResult] = await Promise.all([
+      query(
+        `SELECT ${WEBHOOK_EVENT_LIST_COLUMNS}
+        FROM webhook_events
+        ${where}
+        ORDER BY created_at DESC
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      query(`SELECT COUNT(*) FROM webhook_events ${where}`, params)
+    ]);
+
+    const total = parseInt(countResult.rows[0].count);
+
+    return {
+      events: eventsResult.rows,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
   }
 
   // Process subscription updated
@@ -702,43 +1326,174 @@ class PaymentService {
 
     } catch (error) {
       logger.error('Error processing subscription update:', error);
+      throw error;
     }
   }
 
   // Process subscription deleted
   async processSubscriptionDeleted(subscription) {
     try {
-      await query(
-        'UPDATE subscriptions SET status = $1, updated_at = $2 WHERE stripe_subscription_id = $3',
+      const result = await query(
+        'UPDATE subscriptions SET status = $1, updated_at = $2 WHERE stripe_subscription_id = $3 RETURNING id, user_id',
         [SUBSCRIPTION_STATUSES.CANCELLED, new Date().toISOString(), subscription.id]
       );
 
+      if (result.rows.length > 0) {
+        await closeDunning(result.rows[0].id);
+        await closePendingPlanChange(result.rows[0].id);
+        await syncProfessionalPlan(null, result.rows[0].user_id);
+      }
+
     } catch (error) {
       logger.error('Error processing subscription deletion:', error);
+      throw error;
     }
   }
 
+  // Process charge refunded: settles our refunds and records those issued from the Stripe dashboard
+  async processChargeRefunded(charge) {
+    try {
+      const paymentResult = await query(
+        'SELECT * FROM payments WHERE stripe_payment_intent_id = $1 OR stripe_charge_id = $2',
+        [charge.payment_intent, charge.id]
+      );
+
+      if (paymentResult.rows.length === 0) {
+        logger.warn(`Refunded charge ${charge.id} does not match any payment`);
+        return;
+      }
+
+      const payment = paymentResult.rows[0];
+
+      // Recent API versions no longer embed the refunds in the charge
+      const stripeRefunds = charge.refunds?.data ||
+        (await this.stripe.refunds.list({ charge: charge.id, limit: 100 })).data;
+
+      for (const stripeRefund of stripeRefunds) {
+        const refund = await this.findStripeRefund(stripeRefund) ||
+          await this.recordExternalRefund(payment, stripeRefund);
+
+        await this.settleRefund(refund.id, {
+          id: stripeRefund.id,
+          status: stripeRefund.status,
+          failureReason: stripeRefund.failure_reason || null
+        });
+      }
+
+    } catch (error) {
+      logger.error('Error processing charge refunded:', error);
+      throw error;
+    }
+  }
+
+  // Process refund updated (pending refunds that later succeed or fail)
+  async processRefundUpdated(stripeRefund) {
+    try {
+      const refund = await this.findStripeRefund(stripeRefund);
+
+      if (!refund) {
+        logger.info(`Updated refund ${stripeRefund.id} is not known yet`);
+        return;
+      }
+
+      await this.settleRefund(refund.id, {
+        id: stripeRefund.id,
+        status: stripeRefund.status,
+        failureReason: stripeRefund.failure_reason || null
+      });
+
+    } catch (error) {
+      logger.error('Error processing refund update:', error);
+      throw error;
+    }
+  }
+
+  // Our refund for a Stripe refund, by its id or, before that is stored, by the id sent in metadata
+  async findStripeRefund(stripeRefund) {
+    const result = await query(
+      `SELECT * FROM refunds
+      WHERE (provider = 'stripe' AND provider_refund_id = $1) OR id = $2
+      LIMIT 1`,
+      [stripeRefund.id, stripeRefund.metadata?.refundId || null]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Record a refund issued directly in Stripe
+  async recordExternalRefund(payment, stripeRefund) {
+    const reason = validateRefundReason(stripeRefund.reason) ? stripeRefund.reason : REFUND_REASONS.OTHER;
+
+    const result = await query(
+      `INSERT INTO refunds (
+        id, payment_id, user_id, amount, currency, status, reason,
+        provider, provider_refund_id, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        `ref_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        payment.id,
+        payment.user_id,
+        stripeRefund.amount,
+        payment.currency,
+        REFUND_STATUSES.PENDING,
+        reason,
+        'stripe',
+        stripeRefund.id,
+        new Date().toISOString(),
+        new Date().toISOString()
+      ]
+    );
+
+    logger.info(`Recorded refund ${stripeRefund.id} issued outside the platform for payment ${payment.id}`);
+    return result.rows[0];
+  }
+
   // Process invoice payment succeeded
   async processInvoicePaymentSucceeded(invoice) {
     try {
+      const subscription = await this.findInvoiceSubscription(invoice);
+
+      if (!subscription) {
+        logger.warn(`Paid invoice ${invoice.id} does not match any subscription`);
+        return;
+      }
+
+      // A replayed event finds the payment of the invoice recorded already
+      const existingPayment = await query(
+        "SELECT id FROM payments WHERE subscription_id = $1 AND metadata->>'stripeInvoiceId' = $2",
+        [subscription.id, invoice.id]
+      );
+
+      if (existingPayment.rows.length > 0) {
+        logger.info(`Payment of invoice ${invoice.id} is already recorded`);
+        return;
+      }
+
+      // Recovery first: it only changes an open dunning case, so if recording the payment
+      // fails the retried event finds nothing left to recover
+      await recordPaymentRecovery(subscription.id);
+
       // Create payment record for subscription payment
       const paymentId = `pay_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
       await query(
         `INSERT INTO payments (
-          id, user_id, amount, currency, status, payment_method, 
-          payment_type, stripe_charge_id, description, created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+          id, user_id, subscription_id, amount, currency, status, payment_method, 
+          payment_type, stripe_charge_id, description, metadata, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)`,
         [
           paymentId,
-          invoice.customer,
+          subscription.user_id,
+          subscription.id,
           invoice.amount_paid,
-          invoice.currency,
+          invoice.currency.toUpperCase(),
           PAYMENT_STATUSES.COMPLETED,
           PAYMENT_METHODS.STRIPE,
           PAYMENT_TYPES.SUBSCRIPTION,
-          invoice.charge,
+          invoice.charge || null,
           'Subscription payment',
+          JSON.stringify({ stripeInvoiceId: invoice.id }),
           new Date().toISOString(),
           new Date().toISOString()
         ]
@@ -746,21 +1501,65 @@ class PaymentService {
 
     } catch (error) {
       logger.error('Error processing invoice payment succeeded:', error);
+      throw error;
     }
   }
 
-  // Process invoice payment failed
+  // Process invoice payment failed: renewals that fail enter dunning
   async processInvoicePaymentFailed(invoice) {
     try {
-      // Handle failed subscription payment
       logger.warn(`Invoice payment failed for customer ${invoice.customer}`);
-      
-      // Could implement retry logic or notification here
+
+      // The first invoice is paid at checkout; if it fails the subscription never starts
+      if (invoice.billing_reason === 'subscription_create') {
+        return;
+      }
+
+      const subscription = await this.findInvoiceSubscription(invoice);
+
+      if (!subscription) {
+        logger.warn(`Failed invoice ${invoice.id} does not match any subscription`);
+        return;
+      }
+
+      await recordPaymentFailure({
+        subscription,
+        invoiceId: invoice.id,
+        amountDue: invoice.amount_due,
+        currency: invoice.currency,
+        attemptCount: invoice.attempt_count
+      });
       
     } catch (error) {
       logger.error('Error processing invoice payment failed:', error);
+      throw error;
     }
   }
+
+  // Our subscription for a Stripe invoice
+  async findInvoiceSubscription(invoice) {
+    const stripeSubscriptionId = getInvoiceSubscriptionId(invoice);
+
+    if (!stripeSubscriptionId) {
+      return null;
+    }
+
+    const result = await query(
+      'SELECT * FROM subscriptions WHERE stripe_subscription_id = $1',
+      [stripeSubscriptionId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Charge an open subscription invoice again with the customer's default payment method
+  async retrySubscriptionInvoice(invoiceId) {
+    if (!this.stripe) {
+      throw new ValidationError('Stripe is not configured');
+    }
+
+    return this.stripe.invoices.pay(invoiceId);
+  }
 }
 
 // Create singleton instance
@@ -0,0 +1,852 @@
+import { query, withTransaction } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { createAuditLog } from '../utils/auditLog.js';
+import { NotFoundError } from '../middleware/errorHandler.js';
+import paymentService from './paymentService.js';
+import { getInvoicingSettings } from './taxService.js';
+import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './notificationService.js';
+import pdfGenerator from '../utils/pdfGenerator.js';
+import { PAYMENT_TYPES, PAYMENT_STATUSES, REFUND_STATUSES, formatCurrency } from '../models/paymentModel.js';
+
+export const LEDGER_ENTRY_TYPES = {
+  APPOINTMENT_PAYMENT: 'appointment_payment',
+  COMMISSION: 'commission',
+  REFUND: 'refund',
+  COMMISSION_REFUND: 'commission_refund',
+  PAYOUT: 'payout',
+  PAYOUT_REVERSAL: 'payout_reversal',
+  ADJUSTMENT: 'adjustment'
+};
+
+export const PAYOUT_STATUSES = {
+  PENDING: 'pending',
+  IN_TRANSIT: 'in_transit',
+  PAID: 'paid',
+  FAILED: 'failed'
+};
+
+export const PAYOUT_BATCH_STATUSES = {
+  PROCESSING: 'processing',
+  COMPLETED: 'completed',
+  COMPLETED_WITH_ERRORS: 'completed_with_errors'
+};
+
+export const PAYOUT_ACCOUNT_STATUSES = {
+  PENDING: 'pending',
+  ACTIVE: 'active',
+  RESTRICTED: 'restricted',
+  DISABLED: 'disabled'
+};
+
+// Balances below this (in cents) are carried over to the next batch
+export const MINIMUM_PAYOUT_AMOUNT = parseInt(process.env.PAYOUT_MINIMUM_AMOUNT) || 1000;
+
+// Used when system_settings has no platform_fee_percentage
+const DEFAULT_COMMISSION_PERCENTAGE = 10;
+
+// Payments made to a professional for an appointment; the rest (subscriptions) are platform revenue
+const EARNING_PAYMENT_TYPES = [
+  PAYMENT_TYPES.APPOINTMENT,
+  PAYMENT_TYPES.APPOINTMENT_DEPOSIT,
+  PAYMENT_TYPES.LATE_CANCELLATION_FEE,
+  PAYMENT_TYPES.NO_SHOW_FEE
+];
+
+const earningDescriptions = {
+  [PAYMENT_TYPES.APPOINTMENT]: 'Pago de cita',
+  [PAYMENT_TYPES.APPOINTMENT_DEPOSIT]: 'Señal de cita',
+  [PAYMENT_TYPES.LATE_CANCELLATION_FEE]: 'Cargo por cancelación tardía',
+  [PAYMENT_TYPES.NO_SHOW_FEE]: 'Cargo por inasistencia'
+};
+
+// Platform commission on appointment payments, as a percentage
+export const getCommissionPercentage = async (client) => {
+  const db = client || { query };
+  const result = await db.query(
+    "SELECT value FROM system_settings WHERE key = 'platform_fee_percentage'"
+  );
+
+  const percentage = parseFloat(result.rows[0]?.value);
+  return Number.isFinite(percentage) ? percentage : DEFAULT_COMMISSION_PERCENTAGE;
+};
+
+// Split a completed appointment payment into the professional's earning and the platform
+// commission. Recording the same payment again changes nothing. Never throws: the payment
+// has succeeded either way and the batch reconciliation picks up anything missed.
+export const recordPaymentEarnings = async (payment) => {
+  if (!payment.appointment_id || !EARNING_PAYMENT_TYPES.includes(payment.payment_type)) {
+    return null;
+  }
+
+  try {
+    return await withTransaction(async (client) => {
+      const appointmentResult = await client.query(
+        `SELECT id, professional_id, title, to_char(scheduled_date, 'YYYY-MM-DD') as scheduled_date
+        FROM appointments WHERE id::text = $1`,
+        [payment.appointment_id]
+      );
+
+      const appointment = appointmentResult.rows[0];
+      if (!appointment) {
+        return null;
+      }
+
+      const percentage = await getCommissionPercentage(client);
+      const commission = Math.round(payment.amount * percentage / 100);
+      const date = new Date(`${appointment.scheduled_date}T00:00:00`).toLocaleDateString('es-ES');
+      const metadata = JSON.stringify({ commissionPercentage: percentage, paymentType: payment.payment_type });
+
+      const earning = await insertLedgerEntry(client, {
+        professionalId: appointment.professional_id,
+        entryType: LEDGER_ENTRY_TYPES.APPOINTMENT_PAYMENT,
+        amount: payment.amount,
+        currency: payment.currency,
+        paymentId: payment.id,
+        appointmentId: appointment.id,
+        description: `${earningDescriptions[payment.payment_type]} - ${appointment.title} (${date})`,
+        metadata
+      });
+
+      if (!earning) {
+        return null;
+      }
+
+      await insertLedgerEntry(client, {
+        professionalId: appointment.professional_id,
+        entryType: LEDGER_ENTRY_TYPES.COMMISSION,
+        amount: -commission,
+        currency: payment.currency,
+        paymentId: payment.id,
+        appointmentId: appointment.id,
+        description: `Comisión de la plataforma (${percentage}%) - ${appointment.title}`,
+        metadata
+      });
+
+      logInfo('Appointment payment recorded in ledger', {
+        paymentId: payment.id,
+        professionalId: appointment.professional_id,
+        amount: payment.amount,
+        commission
+      });
+
+      return earning;
+    });
+
+  } catch (error) {
+    logError(error, {
+      event: 'ledger_payment_record_failed',
+      paymentId: payment.id
+    });
+    return null;
+  }
+};
+
+// Take a succeeded refund off the professional's balance and give back the matching share
+// of commission; the last refund of a payment returns whatever commission is left so the
+// total matches exactly. Never throws.
+export const recordRefundInLedger = async (refund) => {
+  try {
+    return await withTransaction(async (client) => {
+      // Lock the payment's entries so concurrent refunds of it are recorded one at a time
+      const entriesResult = await client.query(
+        'SELECT * FROM ledger_entries WHERE payment_id = $1 ORDER BY created_at FOR UPDATE',
+        [refund.payment_id]
+      );
+
+      const entries = entriesResult.rows;
+      const earning = entries.find(entry => entry.entry_type === LEDGER_ENTRY_TYPES.APPOINTMENT_PAYMENT);
+      if (!earning) {
+        return null;
+      }
+
+      const sumOf = (type) => entries
+        .filter(entry => entry.entry_type === type)
+        .reduce((sum, entry) => sum + entry.amount, 0);
+
+      const commissionCharged = -sumOf(LEDGER_ENTRY_TYPES.COMMISSION);
+      const commissionLeft = commissionCharged - sumOf(LEDGER_ENTRY_TYPES.COMMISSION_REFUND);
+      const fullyRefunded = -sumOf(LEDGER_ENTRY_TYPES.REFUND) + refund.amount >= earning.amount;
+
+      const commissionRefund = fullyRefunded
+        ? commissionLeft
+        : Math.min(commissionLeft, Math.round(commissionCharged * refund.amount / earning.amount));
+
+      const entry = await insertLedgerEntry(client, {
+        professionalId: earning.professional_id,
+        entryType: LEDGER_ENTRY_TYPES.REFUND,
+        amount: -refund.amount,
+        currency: refund.currency,
+        paymentId: refund.payment_id,
+        refundId: refund.id,
+        appointmentId: earning.appointment_id,
+        description: `Reembolso al paciente - ${earning.description}`,
+        metadata: JSON.stringify({ reason: refund.reason })
+      });
+
+      if (!entry) {
+        return null;
+      }
+
+      if (commissionRefund > 0) {
+        await insertLedgerEntry(client, {
+          professionalId: earning.professional_id,
+          entryType: LEDGER_ENTRY_TYPES.COMMISSION_REFUND,
+          amount: commissionRefund,
+          currency: refund.currency,
+          paymentId: refund.payment_id,
+          refundId: refund.id,
+          appointmentId: earning.appointment_id,
+          description: 'Devolución de comisión por reembolso',
+          metadata: '{}'
+        });
+      }
+
+      logInfo('Refund recorded in ledger', {
+        refundId: refund.id,
+        professionalId: earning.professional_id,
+        amount: refund.amount,
+        commissionRefund
+      });
+
+      return entry;
+    });
+
+  } catch (error) {
+    logError(error, {
+      event: 'ledger_refund_record_failed',
+      refundId: refund.id
+    });
+    return null;
+  }
+};
+
+// Record completed payments and succeeded refunds that are missing from the ledger
+// (e.g. the database was unavailable when they happened); returns how many were added
+export const reconcileLedger = async () => {
+  const paymentsResult = await query(
+    `SELECT p.* FROM payments p
+    WHERE p.payment_type = ANY($1)
+      AND p.status = ANY($2)
+      AND p.appointment_id IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM ledger_entries le
+        WHERE le.payment_id = p.id AND le.entry_type = $3
+      )
+    ORDER BY p.created_at`,
+    [
+      EARNING_PAYMENT_TYPES,
+      [PAYMENT_STATUSES.COMPLETED, PAYMENT_STATUSES.PARTIALLY_REFUNDED, PAYMENT_STATUSES.REFUNDED],
+      LEDGER_ENTRY_TYPES.APPOINTMENT_PAYMENT
+    ]
+  );
+
+  let recorded = 0;
+  for (const payment of paymentsResult.rows) {
+    if (await recordPaymentEarnings(payment)) {
+      recorded++;
+    }
+  }
+
+  const refundsResult = await query(
+    `SELECT r.* FROM refunds r
+    WHERE r.status = $1
+      AND EXISTS (
+        SELECT 1 FROM ledger_entries le
+        WHERE le.payment_id = r.payment_id AND le.entry_type = $2
+      )
+      AND NOT EXISTS (SELECT 1 FROM ledger_entries le WHERE le.refund_id = r.id)
+    ORDER BY r.created_at`,
+    [REFUND_STATUSES.SUCCEEDED, LEDGER_ENTRY_TYPES.APPOINTMENT_PAYMENT]
+  );
+
+  for (const refund of refundsResult.rows) {
+    if (await recordRefundInLedger(refund)) {
+      recorded++;
+    }
+  }
+
+  if (recorded > 0) {
+    logInfo('Ledger reconciled', { recorded });
+  }
+
+  return recorded;
+};
+
+// Balance per currency (pending payout), with lifetime totals
+export const getProfessionalBalance = async (professionalId) => {
+  const result = await query(
+    `SELECT currency,
+      COALESCE(SUM(amount), 0)::integer as available,
+      COALESCE(SUM(amount) FILTER (WHERE entry_type = $2), 0)::integer as earnings,
+      COALESCE(-SUM(amount) FILTER (WHERE entry_type IN ($3, $4)), 0)::integer as commission,
+      COALESCE(-SUM(amount) FILTER (WHERE entry_type = $5), 0)::integer as refunds,
+      COALESCE(-SUM(amount) FILTER (WHERE entry_type IN ($6, $7)), 0)::integer as paid_out
+    FROM ledger_entries
+    WHERE professional_id = $1
+    GROUP BY currency
+    ORDER BY currency`,
+    [
+      professionalId,
+      LEDGER_ENTRY_TYPES.APPOINTMENT_PAYMENT,
+      LEDGER_ENTRY_TYPES.COMMISSION,
+      LEDGER_ENTRY_TYPES.COMMISSION_REFUND,
+      LEDGER_ENTRY_TYPES.REFUND,
+      LEDGER_ENTRY_TYPES.PAYOUT,
+      LEDGER_ENTRY_TYPES.PAYOUT_REVERSAL
+    ]
+  );
+
+  const accountResult = await query(
+    'SELECT provider, status, payouts_enabled, created_at FROM payout_accounts WHERE professional_id = $1',
+    [professionalId]
+  );
+
+  return {
+    balances: result.rows.map(row => ({
+      currency: row.currency,
+      available: row.available,
+      earnings: row.earnings,
+      commission: row.commission,
+      refunds: row.refunds,
+      paidOut: row.paid_out
+    })),
+    minimumPayout: MINIMUM_PAYOUT_AMOUNT,
+    account: accountResult.rows[0] || null
+  };
+};
+
+// Ledger entries of a professional, newest first; unsettled only if requested
+export const getLedgerEntries = async (professionalId, { page = 1, limit = 20, unsettled = false } = {}) => {
+  const offset = (page - 1) * limit;
+  const unsettledFilter = unsettled ? 'AND payout_id IS NULL' : '';
+
+  const [entriesResult, countResult] = await Promise.all([
+    query(
+      `SELECT * FROM ledger_entries
+      WHERE professional_id = $1 ${unsettledFilter}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $2 OFFSET $3`,
+      [professionalId, limit, offset]
+    ),
+    query(
+      `SELECT COUNT(*) FROM ledger_entries WHERE professional_id = $1 ${unsettledFilter}`,
+      [professionalId]
+    )
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    entries: entriesResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// Open a connected account at the payout provider for a professional, or refresh the
+// status of the one they have. Returns the account and, for Stripe, the onboarding URL.
+export const setupPayoutAccount = async (professionalId, { refreshUrl, returnUrl } = {}) => {
+  const existing = await query('SELECT * FROM payout_accounts WHERE professional_id = $1', [professionalId]);
+  const provider = paymentService.provider;
+
+  if (existing.rows.length > 0 && existing.rows[0].provider === provider.name) {
+    const account = existing.rows[0];
+    const providerAccount = await provider.getConnectedAccount(account.provider_account_id);
+
+    const result = await query(
+      `UPDATE payout_accounts SET status = $1, payouts_enabled = $2
+      WHERE professional_id = $3
+      RETURNING *`,
+      [providerAccount.status, providerAccount.payoutsEnabled, professionalId]
+    );
+
+    return { account: result.rows[0], onboardingUrl: null };
+  }
+
+  const userResult = await query('SELECT email FROM users WHERE id = $1', [professionalId]);
+  if (userResult.rows.length === 0) {
+    throw new NotFoundError('Professional');
+  }
+
+  const providerAccount = await provider.createConnectedAccount({
+    professionalId,
+    email: userResult.rows[0].email,
+    refreshUrl,
+    returnUrl
+  });
+
+  const result = await query(
+    `INSERT INTO payout_accounts (professional_id, provider, provider_account_id, status, payouts_enabled)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (professional_id) DO UPDATE SET
+      provider = EXCLUDED.provider,
+      provider_account_id = EXCLUDED.provider_account_id,
+      status = EXCLUDED.status,
+      payouts_enabled = EXCLUDED.payouts_enabled
+    RETURNING *`,
+    [professionalId, provider.name, providerAccount.id, providerAccount.status, providerAccount.payoutsEnabled]
+  );
+
+  await createAuditLog({
+    userId: professionalId,
+    action: 'payout_account_created',
+    resource: 'payout_account',
+    resourceId: providerAccount.id,
+    details: { provider: provider.name, status: providerAccount.status }
+  });
+
+  return { account: result.rows[0], onboardingUrl: providerAccount.onboardingUrl };
+};
+
+// Pay out every balance due up to periodEnd to professionals with an active account.
+// Each payout settles the ledger entries it covers; a failed transfer puts them back in
+// the balance for the next batch. Returns the batch with its payouts.
+export const runPayoutBatch = async ({ periodEnd = new Date(), createdBy = null } = {}) => {
+  await reconcileLedger();
+
+  const batchId = `pb_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  await query(
+    'INSERT INTO payout_batches (id, period_end, status, created_by) VALUES ($1, $2, $3, $4)',
+    [batchId, periodEnd, PAYOUT_BATCH_STATUSES.PROCESSING, createdBy]
+  );
+
+  const dueResult = await query(
+    `SELECT le.professional_id, le.currency
+    FROM ledger_entries le
+    JOIN payout_accounts pa ON pa.professional_id = le.professional_id
+    WHERE le.payout_id IS NULL
+      AND le.created_at <= $1
+      AND pa.status = $2
+      AND pa.payouts_enabled = true
+    GROUP BY le.professional_id, le.currency
+    HAVING SUM(le.amount) >= $3`,
+    [periodEnd, PAYOUT_ACCOUNT_STATUSES.ACTIVE, MINIMUM_PAYOUT_AMOUNT]
+  );
+
+  const payouts = [];
+  for (const { professional_id: professionalId, currency } of dueResult.rows) {
+    const payout = await payOutBalance({ batchId, professionalId, currency, periodEnd });
+    if (payout) {
+      payouts.push(payout);
+    }
+  }
+
+  const paid = payouts.filter(payout => payout.status !== PAYOUT_STATUSES.FAILED);
+  const failedCount = payouts.length - paid.length;
+
+  const batchResult = await query(
+    `UPDATE payout_batches SET
+      status = $1,
+      payouts_count = $2,
+      failed_count = $3,
+      total_amount = $4,
+      completed_at = NOW()
+    WHERE id = $5
+    RETURNING *`,
+    [
+      failedCount > 0 ? PAYOUT_BATCH_STATUSES.COMPLETED_WITH_ERRORS : PAYOUT_BATCH_STATUSES.COMPLETED,
+      paid.length,
+      failedCount,
+      paid.reduce((sum, payout) => sum + payout.amount, 0),
+      batchId
+    ]
+  );
+
+  await createAuditLog({
+    userId: createdBy,
+    action: 'payout_batch_completed',
+    resource: 'payout_batch',
+    resourceId: batchId,
+    details: {
+      periodEnd,
+      payouts: paid.length,
+      failed: failedCount,
+      totalAmount: batchResult.rows[0].total_amount
+    }
+  });
+
+  logInfo('Payout batch completed', {
+    batchId,
+    payouts: paid.length,
+    failed: failedCount
+  });
+
+  return { ...batchResult.rows[0], payouts };
+};
+
+// Payout batches, newest first
+export const getPayoutBatches = async ({ page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  const [batchesResult, countResult] = await Promise.all([
+    query(
+      'SELECT * FROM payout_batches ORDER BY created_at DESC LIMIT $1 OFFSET $2',
+      [limit, offset]
+    ),
+    query('SELECT COUNT(*) FROM payout_batches')
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    batches: batchesResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+// A batch with its payouts and the professional each went to
+export const getPayoutBatch = async (batchId) => {
+  const batchResult = await query('SELECT * FROM payout_batches WHERE id = $1', [batchId]);
+  if (batchResult.rows.length === 0) {
+    throw new NotFoundError('Payout batch');
+  }
+
+  const payoutsResult = await query(
+    `SELECT po.*, u.name as professional_name, u.email as professional_email
+    FROM payouts po
+    JOIN users u ON u.id = po.professional_id
+    WHERE po.batch_id = $1
+    ORDER BY po.created_at`,
+    [batchId]
+  );
+
+  return { ...batchResult.rows[0], payouts: payoutsResult.rows };
+};
+
+// Payouts of a professional, newest first
+export const getProfessionalPayouts = async (professionalId, { page = 1, limit = 20 } = {}) => {
+  const offset = (page - 1) * limit;
+
+  const [payoutsResult, countResult] = await Promise.all([
+    query(
+      `SELECT * FROM payouts WHERE professional_id = $1
+      ORDER BY created_at DESC LIMIT $2 OFFSET $3`,
+      [professionalId, limit, offset]
+    ),
+    query('SELECT COUNT(*) FROM payouts WHERE professional_id = $1', [professionalId])
+  ]);
+
+  const total = parseInt(countResult.rows[0].count);
+
+  return {
+    payouts: payoutsResult.rows,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+export const getPayout = async (payoutId) => {
+  const result = await query('SELECT * FROM payouts WHERE id = $1', [payoutId]);
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Payout');
+  }
+  return result.rows[0];
+};
+
+// Build the statement PDF of a payout, save it under uploads/payouts and store its URL
+export const generatePayoutStatement = async (payoutId) => {
+  const payout = await getPayout(payoutId);
+
+  const [professionalResult, entriesResult, settings] = await Promise.all([
+    query(
+      `SELECT u.name, u.email, p.dni
+      FROM users u
+      LEFT JOIN professionals p ON p.user_id = u.id
+      WHERE u.id = $1`,
+      [payout.professional_id]
+    ),
+    query(
+      `SELECT * FROM ledger_entries
+      WHERE payout_id = $1 AND entry_type NOT IN ($2, $3)
+      ORDER BY created_at, id`,
+      [payoutId, LEDGER_ENTRY_TYPES.PAYOUT, LEDGER_ENTRY_TYPES.PAYOUT_REVERSAL]
+    ),
+    getInvoicingSettings()
+  ]);
+
+  const professional = professionalResult.rows[0] || {};
+  const entries = entriesResult.rows;
+  const sumOf = (...types) => entries
+    .filter(entry => types.includes(entry.entry_type))
+    .reduce((sum, entry) => sum + entry.amount, 0);
+
+  const pdfBuffer = await pdfGenerator.generatePayoutStatement({
+    id: payout.id,
+    createdAt: payout.created_at,
+    periodEnd: payout.period_end,
+    status: payout.status,
+    amount: payout.amount,
+    currency: payout.currency,
+    companyInfo: settings.issuer,
+    professional: {
+      name: professional.name,
+      email: professional.email,
+      taxId: professional.dni
+    },
+    entries: entries.map(entry => ({
+      createdAt: entry.created_at,
+      description: entry.description,
+      amount: entry.amount
+    })),
+    totals: {
+      earnings: sumOf(LEDGER_ENTRY_TYPES.APPOINTMENT_PAYMENT),
+      commission: sumOf(LEDGER_ENTRY_TYPES.COMMISSION, LEDGER_ENTRY_TYPES.COMMISSION_REFUND),
+      refunds: sumOf(LEDGER_ENTRY_TYPES.REFUND),
+      adjustments: sumOf(LEDGER_ENTRY_TYPES.ADJUSTMENT)
+    }
+  });
+
+  const filename = `payout_${payout.id}_${Date.now()}.pdf`;
+  const filePath = await pdfGenerator.savePDFToFile(pdfBuffer, filename, 'payouts');
+  const pdfUrl = `/uploads/payouts/${filename}`;
+
+  await query('UPDATE payouts SET statement_url = $1 WHERE id = $2', [pdfUrl, payoutId]);
+
+  return {
+    pdfBuffer,
+    filePath,
+    pdfUrl,
+    filename
+  };
+};
+
+// Helper functions
+
+// Insert a ledger entry unless the same payment or refund entry already exists;
+// returns the entry, or null when it was already recorded
+const insertLedgerEntry = async (client, entry) => {
+  const result = await client.query(
+    `INSERT INTO ledger_entries (
+      id, professional_id, entry_type, amount, currency, payment_id, refund_id,
+      appointment_id, payout_id, description, metadata
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT DO NOTHING
+    RETURNING *`,
+    [
+      `led_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      entry.professionalId,
+      entry.entryType,
+      entry.amount,
+      entry.currency,
+      entry.paymentId || null,
+      entry.refundId || null,
+      entry.appointmentId || null,
+      entry.payoutId || null,
+      entry.description,
+      entry.metadata || '{}'
+    ]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Settle a professional's unsettled entries in one payout and transfer it. Returns the
+// payout, or null when the balance fell below the minimum since the batch started.
+const payOutBalance = async ({ batchId, professionalId, currency, periodEnd }) => {
+  const payoutId = `po_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  const payout = await withTransaction(async (client) => {
+    const accountResult = await client.query(
+      'SELECT * FROM payout_accounts WHERE professional_id = $1',
+      [professionalId]
+    );
+    const account = accountResult.rows[0];
+
+    // Lock the entries so a concurrent batch or refund cannot settle them twice
+    const entriesResult = await client.query(
+      `SELECT id, amount FROM ledger_entries
+      WHERE professional_id = $1 AND currency = $2 AND payout_id IS NULL AND created_at <= $3
+      FOR UPDATE`,
+      [professionalId, currency, periodEnd]
+    );
+
+    const amount = entriesResult.rows.reduce((sum, entry) => sum + entry.amount, 0);
+    if (amount < MINIMUM_PAYOUT_AMOUNT) {
+      return null;
+    }
+
+    const payoutResult = await client.query(
+      `INSERT INTO payouts (
+        id, batch_id, professional_id, amount, currency, status,
+        provider, provider_account_id, period_end
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *`,
+      [
+        payoutId,
+        batchId,
+        professionalId,
+        amount,
+        currency,
+        PAYOUT_STATUSES.PENDING,
+        account.provider,
+        account.provider_account_id,
+        periodEnd
+      ]
+    );
+
+    await client.query(
+      'UPDATE ledger_entries SET payout_id = $1 WHERE id = ANY($2)',
+      [payoutId, entriesResult.rows.map(entry => entry.id)]
+    );
+
+    await insertLedgerEntry(client, {
+      professionalId,
+      entryType: LEDGER_ENTRY_TYPES.PAYOUT,
+      amount: -amount,
+      currency,
+      payoutId,
+      description: `Liquidación ${payoutId}`
+    });
+
+    return payoutResult.rows[0];
+  });
+
+  if (!payout) {
+    return null;
+  }
+
+  let transfer;
+  try {
+    transfer = await paymentService.provider.createPayout({
+      accountId: payout.provider_account_id,
+      amount: payout.amount,
+      currency: payout.currency,
+      metadata: { payoutId: payout.id, professionalId, batchId }
+    });
+  } catch (error) {
+    logError(error, { event: 'payout_transfer_failed', payoutId: payout.id });
+    transfer = { id: null, status: PAYOUT_STATUSES.FAILED, failureReason: error.message };
+  }
+
+  if (transfer.status === PAYOUT_STATUSES.FAILED) {
+    return failPayout(payout, transfer);
+  }
+
+  const result = await query(
+    `UPDATE payouts SET status = $1, provider_payout_id = $2, paid_at = $3
+    WHERE id = $4
+    RETURNING *`,
+    [
+      transfer.status,
+      transfer.id,
+      transfer.status === PAYOUT_STATUSES.PAID ? new Date().toISOString() : null,
+      payout.id
+    ]
+  );
+
+  const paidPayout = result.rows[0];
+  await notifyPayout(paidPayout);
+
+  return paidPayout;
+};
+
+// Mark a payout failed and return its entries to the balance
+const failPayout = async (payout, transfer) => {
+  const failedPayout = await withTransaction(async (client) => {
+    const result = await client.query(
+      `UPDATE payouts SET status = $1, provider_payout_id = $2, failure_reason = $3
+      WHERE id = $4
+      RETURNING *`,
+      [PAYOUT_STATUSES.FAILED, transfer.id, transfer.failureReason, payout.id]
+    );
+
+    await client.query(
+      'UPDATE ledger_entries SET payout_id = NULL WHERE payout_id = $1 AND entry_type <> $2',
+      [payout.id, LEDGER_ENTRY_TYPES.PAYOUT]
+    );
+
+    // Kept on the failed payout so it nets the payout entry off without touching the balance
+    await insertLedgerEntry(client, {
+      professionalId: payout.professional_id,
+      entryType: LEDGER_ENTRY_TYPES.PAYOUT_REVERSAL,
+      amount: payout.amount,
+      currency: payout.currency,
+      payoutId: payout.id,
+      description: `Liquidación ${payout.id} fallida`,
+      metadata: JSON.stringify({ failureReason: transfer.failureReason })
+    });
+
+    return result.rows[0];
+  });
+
+  logInfo('Payout failed', {
+    payoutId: payout.id,
+    professionalId: payout.professional_id,
+    reason: transfer.failureReason
+  });
+
+  await notifyPayout(failedPayout);
+
+  return failedPayout;
+};
+
+// Tell the professional about their payout, with the statement when it was paid. Never throws.
+const notifyPayout = async (payout) => {
+  try {
+    const userResult = await query('SELECT email, phone FROM users WHERE id = $1', [payout.professional_id]);
+    const user = userResult.rows[0] || {};
+    const failed = payout.status === PAYOUT_STATUSES.FAILED;
+
+    const statement = failed ? null : await generatePayoutStatement(payout.id);
+
+    await notificationService.sendNotification({
+      userId: payout.professional_id,
+      type: failed ? NOTIFICATION_TYPES.PAYOUT_FAILED : NOTIFICATION_TYPES.PAYOUT_PAID,
+      channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL],
+      variables: {
+        amount: formatCurrency(payout.amount, payout.currency),
+        periodEnd: new Date(payout.period_end).toLocaleDateString('es-ES')
+      },
+      data: {
+        email: user.email,
+        phone: user.phone,
+        payoutId: payout.id
+      },
+      attachments: statement ? [{
+        filename: `liquidacion-${payout.id}.pdf`,
+        content: statement.pdfBuffer,
+        contentType: 'application/pdf'
+      }] : []
+    });
+
+  } catch (error) {
+    logError(error, {
+      event: 'payout_notification_failed',
+      payoutId: payout.id
+    });
+  }
+};
+
+export default {
+  LEDGER_ENTRY_TYPES,
+  PAYOUT_STATUSES,
+  PAYOUT_BATCH_STATUSES,
+  PAYOUT_ACCOUNT_STATUSES,
+  MINIMUM_PAYOUT_AMOUNT,
+  getCommissionPercentage,
+  recordPaymentEarnings,
+  recordRefundInLedger,
+  reconcileLedger,
+  getProfessionalBalance,
+  getLedgerEntries,
+  setupPayoutAccount,
+  runPayoutBatch,
+  getPayoutBatches,
+  getPayoutBatch,
+  getProfessionalPayouts,
+  getPayout,
+  generatePayoutStatement
+};
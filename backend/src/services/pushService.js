@@ -0,0 +1,214 @@
+import webpush from 'web-push';
+import { query } from '../config/database.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+// Consecutive failed deliveries after which a subscription is pruned
+export const MAX_PUSH_FAILURES = 5;
+
+// How long the push service keeps a message for a device that is offline
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Push services answer these for subscriptions that no longer exist
+const GONE_STATUS_CODES = [404, 410];
+
+// Push services of the browsers we support (Chrome/Edge via FCM, Firefox, Windows, Safari).
+// The server posts to subscription endpoints, so any other host is refused.
+const PUSH_SERVICE_HOSTS = ['fcm.googleapis.com', 'updates.push.services.mozilla.com', 'web.push.apple.com'];
+const PUSH_SERVICE_HOST_SUFFIXES = ['.notify.windows.com'];
+
+// Whether `endpoint` is an https URL of a known push service
+export const isAllowedPushEndpoint = (endpoint) => {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    return false;
+  }
+
+  const host = url.hostname.toLowerCase();
+  return url.protocol === 'https:' && !url.username && !url.password && !url.port &&
+    (PUSH_SERVICE_HOSTS.includes(host) || PUSH_SERVICE_HOST_SUFFIXES.some(suffix => host.endsWith(suffix)));
+};
+
+class PushService {
+  constructor() {
+    this.publicKey = null;
+    this.configured = false;
+    this.initialize();
+  }
+
+  // VAPID keys identify the server to the push services; generate them once with
+  // `npm run push:vapid-keys`
+  initialize() {
+    const publicKey = process.env.VAPID_PUBLIC_KEY;
+    const privateKey = process.env.VAPID_PRIVATE_KEY;
+    const subject = process.env.VAPID_SUBJECT || 'mailto:noreply@mundoctor.com';
+
+    if (!publicKey || !privateKey) {
+      logger.warn('VAPID keys not configured. Push service disabled.');
+      return;
+    }
+
+    try {
+      webpush.setVapidDetails(subject, publicKey, privateKey);
+      this.publicKey = publicKey;
+      this.configured = true;
+      logger.info('Push service initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize push service:', error);
+    }
+  }
+
+  // Key the browser subscribes with (applicationServerKey); null when push is disabled
+  getPublicKey() {
+    return this.publicKey;
+  }
+
+  // Register the subscription of one of the user's browsers. An endpoint already registered
+  // (the same browser, maybe signed in as someone else before) moves to this user.
+  async saveSubscription(userId, { endpoint, expirationTime = null, keys }, userAgent = null) {
+    if (!isAllowedPushEndpoint(endpoint)) {
+      throw new ValidationError('Push subscription endpoint is not a known push service');
+    }
+
+    const result = await query(
+      `INSERT INTO push_subscriptions (id, user_id, endpoint, p256dh, auth, user_agent, expiration_time)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (endpoint) DO UPDATE SET
+        user_id = EXCLUDED.user_id,
+        p256dh = EXCLUDED.p256dh,
+        auth = EXCLUDED.auth,
+        user_agent = EXCLUDED.user_agent,
+        expiration_time = EXCLUDED.expiration_time,
+        failure_count = 0
+      RETURNING id, endpoint, user_agent, expiration_time, created_at, updated_at`,
+      [
+        `push_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        userId,
+        endpoint,
+        keys.p256dh,
+        keys.auth,
+        userAgent ? userAgent.slice(0, 500) : null,
+        expirationTime ? new Date(expirationTime) : null
+      ]
+    );
+
+    logger.info(`Push subscription saved for user ${userId}`);
+    return result.rows[0];
+  }
+
+  async removeSubscription(userId, endpoint) {
+    const result = await query(
+      'DELETE FROM push_subscriptions WHERE user_id = $1 AND endpoint = $2',
+      [userId, endpoint]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  // The user's registered browsers, without their keys
+  async getUserSubscriptions(userId) {
+    const result = await query(
+      `SELECT id, endpoint, user_agent, expiration_time, last_success_at, created_at, updated_at
+      FROM push_subscriptions
+      WHERE user_id = $1
+      ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  // Deliver `payload` to every browser the user subscribed. Subscriptions the push service
+  // reports gone are removed; other failures count towards pruning.
+  async sendToUser(userId, payload, { urgency = 'normal' } = {}) {
+    if (!this.configured) {
+      return { success: false, error: 'Push service not configured' };
+    }
+
+    const subscriptionsResult = await query(
+      `SELECT id, endpoint, p256dh, auth FROM push_subscriptions
+      WHERE user_id = $1 AND (expiration_time IS NULL OR expiration_time > NOW())`,
+      [userId]
+    );
+
+    if (subscriptionsResult.rows.length === 0) {
+      return { success: false, skipped: true, error: 'No push subscriptions' };
+    }
+
+    const body = JSON.stringify(payload);
+    const outcomes = await Promise.all(
+      subscriptionsResult.rows.map(subscription => this.deliver(subscription, body, urgency))
+    );
+
+    const sent = outcomes.filter(outcome => outcome === 'sent').length;
+    const removed = outcomes.filter(outcome => outcome === 'removed').length;
+    const failed = outcomes.length - sent - removed;
+
+    if (sent === 0) {
+      return { success: false, sent, failed, removed, error: 'Push delivery failed' };
+    }
+
+    return { success: true, sent, failed, removed };
+  }
+
+  // Remove subscriptions that expired or kept failing
+  async pruneSubscriptions() {
+    const result = await query(
+      `DELETE FROM push_subscriptions
+      WHERE (expiration_time IS NOT NULL AND expiration_time <= NOW())
+        OR failure_count >= $1`,
+      [MAX_PUSH_FAILURES]
+    );
+
+    return result.rowCount;
+  }
+
+  // Send to one subscription: 'sent', 'removed' or 'failed'
+  async deliver(subscription, body, urgency) {
+    // Saved before endpoints were checked
+    if (!isAllowedPushEndpoint(subscription.endpoint)) {
+      await query('DELETE FROM push_subscriptions WHERE id = $1', [subscription.id]);
+      logger.warn(`Push subscription ${subscription.id} is not on a known push service and was removed`);
+      return 'removed';
+    }
+
+    try {
+      await webpush.sendNotification(
+        {
+          endpoint: subscription.endpoint,
+          keys: { p256dh: subscription.p256dh, auth: subscription.auth }
+        },
+        body,
+        { TTL: PUSH_TTL_SECONDS, urgency }
+      );
+
+      await query(
+        `UPDATE push_subscriptions
+        SET failure_count = 0, last_success_at = CURRENT_TIMESTAMP
+        WHERE id = $1`,
+        [subscription.id]
+      );
+      return 'sent';
+    } catch (error) {
+      if (GONE_STATUS_CODES.includes(error.statusCode)) {
+        await query('DELETE FROM push_subscriptions WHERE id = $1', [subscription.id]);
+        logger.info(`Push subscription ${subscription.id} expired and was removed`);
+        return 'removed';
+      }
+
+      await query(
+        'UPDATE push_subscriptions SET failure_count = failure_count + 1 WHERE id = $1',
+        [subscription.id]
+      );
+      logger.error(`Push delivery to subscription ${subscription.id} failed:`, error);
+      return 'failed';
+    }
+  }
+}
+
+// Create singleton instance
+const pushService = new PushService();
+
+export default pushService;
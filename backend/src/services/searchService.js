@@ -1,5 +1,19 @@
 import { query } from '../config/database.js';
 import { logInfo, logError } from '../utils/logger.js';
+import { FEATURED_PLACEMENT_CONDITION } from './entitlementService.js';
+
+// Profesionales cuyo periodo de gracia por impago terminó ocultando su perfil. Solo cuenta
+// la suscripción actual: una nueva suscripción al día vuelve a mostrar el perfil.
+const NOT_HIDDEN_FOR_NON_PAYMENT = `NOT EXISTS (
+  SELECT 1 FROM subscription_dunning sd
+  WHERE sd.user_id = u.id AND sd.status = 'suspended' AND sd.final_action = 'hide'
+    AND sd.subscription_id = (
+      SELECT s.id FROM subscriptions s
+      WHERE s.user_id = u.id
+      ORDER BY s.created_at DESC
+      LIMIT 1
+    )
+)`;
 
 class SearchService {
   // Búsqueda general de profesionales
@@ -8,7 +22,7 @@ class SearchService {
       const { query, specialty, location, minRating, maxPrice, availability } = searchParams;
       const { limit, offset } = pagination;
       
-      let whereConditions = ['u.role = \'professional\' AND u.status = \'active\''];
+      let whereConditions = ['u.role = \'professional\' AND u.status = \'active\'', NOT_HIDDEN_FOR_NON_PAYMENT];
       let queryParams = [];
       let paramIndex = 1;
       
@@ -125,7 +139,7 @@ class SearchService {
       const { specialty, minRating } = filters;
       const { limit = 10, offset = 0 } = pagination;
       
-      let whereConditions = ['u.role = \'professional\' AND u.status = \'active\''];
+      let whereConditions = ['u.role = \'professional\' AND u.status = \'active\'', NOT_HIDDEN_FOR_NON_PAYMENT];
       let queryParams = [latitude, longitude, radius];
       let paramIndex = 4;
       
@@ -217,7 +231,8 @@ class SearchService {
       let whereConditions = [
         'u.role = \'professional\'',
         'u.status = \'active\'',
-        'pp.specialty = $1'
+        'pp.specialty = $1',
+        NOT_HIDDEN_FOR_NON_PAYMENT
       ];
       let queryParams = [specialty];
       let paramIndex = 2;
@@ -358,7 +373,8 @@ class SearchService {
         LEFT JOIN professional_profiles pp ON u.id = pp.user_id
         LEFT JOIN reviews r ON u.id = r.professional_id
         LEFT JOIN appointments a ON u.id = a.professional_id
-        WHERE u.role = 'professional' AND u.status = 'active'
+        WHERE u.role = 'professional' AND u.status = 'active' AND ${NOT_HIDDEN_FOR_NON_PAYMENT}
+          AND ${FEATURED_PLACEMENT_CONDITION}
         GROUP BY u.id, u.first_name, u.last_name, u.profile_image,
                  pp.specialty, pp.office_address, pp.office_city, pp.about, 
                  pp.consultation_fee
@@ -51,8 +51,10 @@ export const createService = async (serviceData, createdBy) => {
           professional_id, name, description, category,
           duration_minutes, base_fee, currency,
           is_virtual_available, is_in_person_available,
-          requires_preparation, preparation_instructions, is_active
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+          requires_preparation, preparation_instructions, is_active,
+          buffer_before_minutes, buffer_after_minutes, min_booking_notice_minutes,
+          payment_mode, deposit_type, deposit_value
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18)
         RETURNING *
       `, [
         serviceData.professionalId,
@@ -66,7 +68,13 @@ export const createService = async (serviceData, createdBy) => {
         serviceData.is_in_person_available,
         serviceData.requires_preparation,
         serviceData.preparation_instructions,
-        serviceData.is_active
+        serviceData.is_active,
+        serviceData.buffer_before_minutes || 0,
+        serviceData.buffer_after_minutes || 0,
+        serviceData.min_booking_notice_minutes || 0,
+        serviceData.payment_mode || 'none',
+        serviceData.deposit_type || 'percentage',
+        serviceData.deposit_value || 0
       ]);
 
       const service = insertResult.rows[0];
@@ -358,7 +366,9 @@ export const updateService = async (serviceId, updateData, updatedBy, reason = n
       const allowedFields = [
         'name', 'description', 'category', 'duration_minutes', 'base_fee',
         'currency', 'is_virtual_available', 'is_in_person_available',
-        'requires_preparation', 'preparation_instructions', 'is_active'
+        'requires_preparation', 'preparation_instructions', 'is_active',
+        'buffer_before_minutes', 'buffer_after_minutes', 'min_booking_notice_minutes',
+        'payment_mode', 'deposit_type', 'deposit_value'
       ];
 
       for (const field of allowedFields) {
@@ -0,0 +1,139 @@
+import { query, withTransaction } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import { checkAppointmentAvailability } from './appointmentService.js';
+
+// How long a selected slot stays reserved while the patient completes the booking
+export const SLOT_HOLD_MINUTES = parseInt(process.env.SLOT_HOLD_MINUTES) || 10;
+
+// Place a hold on a professional/date/time range.
+// A user keeps at most one active hold per professional: a new hold replaces the previous one.
+export const createSlotHold = async (holdData, userId) => {
+  try {
+    logInfo('Creating slot hold', {
+      professionalId: holdData.professionalId,
+      scheduledDate: holdData.scheduledDate,
+      startTime: holdData.startTime,
+      userId
+    });
+
+    const hold = await withTransaction(async (client) => {
+      let service = null;
+      if (holdData.serviceId) {
+        const serviceResult = await client.query(`
+          SELECT id, duration_minutes FROM professional_services
+          WHERE id = $1 AND professional_id = $2 AND is_active = true
+        `, [holdData.serviceId, holdData.professionalId]);
+
+        if (serviceResult.rows.length === 0) {
+          throw new NotFoundError('Service not found or inactive');
+        }
+        service = serviceResult.rows[0];
+      }
+
+      const endTime = holdData.endTime ||
+        minutesToTime(timeToMinutes(holdData.startTime) + (service?.duration_minutes || 30));
+
+      await client.query(`
+        UPDATE appointment_slot_holds
+        SET status = 'released'
+        WHERE user_id = $1 AND professional_id = $2 AND status = 'active'
+      `, [userId, holdData.professionalId]);
+
+      const isAvailable = await checkAppointmentAvailability(
+        client,
+        holdData.professionalId,
+        holdData.scheduledDate,
+        holdData.startTime,
+        endTime,
+        null,
+        { serviceId: service?.id }
+      );
+
+      if (!isAvailable) {
+        throw new ConflictError('Time slot is not available');
+      }
+
+      const insertResult = await client.query(`
+        INSERT INTO appointment_slot_holds (
+          professional_id, user_id, service_id, scheduled_date, start_time, end_time, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7))
+        RETURNING *
+      `, [
+        holdData.professionalId,
+        userId,
+        service?.id || null,
+        holdData.scheduledDate,
+        holdData.startTime,
+        endTime,
+        SLOT_HOLD_MINUTES
+      ]);
+
+      return insertResult.rows[0];
+    });
+
+    logInfo('Slot hold created', {
+      holdId: hold.id,
+      professionalId: hold.professional_id,
+      expiresAt: hold.expires_at
+    });
+
+    return hold;
+
+  } catch (error) {
+    logError(error, {
+      event: 'slot_hold_creation_failed',
+      professionalId: holdData.professionalId,
+      userId
+    });
+    throw error;
+  }
+};
+
+// Release a hold before it expires (e.g. the patient picked another slot)
+export const releaseSlotHold = async (holdId, userId) => {
+  const result = await query(`
+    UPDATE appointment_slot_holds
+    SET status = 'released'
+    WHERE id = $1 AND user_id = $2 AND status = 'active'
+    RETURNING *
+  `, [holdId, userId]);
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Slot hold not found or no longer active');
+  }
+
+  logInfo('Slot hold released', { holdId, userId });
+
+  return result.rows[0];
+};
+
+// Mark holds past their expiry; availability already ignores them, this keeps the table tidy
+export const expireSlotHolds = async () => {
+  const result = await query(`
+    UPDATE appointment_slot_holds
+    SET status = 'expired'
+    WHERE status = 'active' AND expires_at <= NOW()
+  `);
+
+  return result.rowCount;
+};
+
+// Helper functions
+const timeToMinutes = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+};
+
+export default {
+  SLOT_HOLD_MINUTES,
+  createSlotHold,
+  releaseSlotHold,
+  expireSlotHolds,
+};
@@ -0,0 +1,276 @@
+import { query } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { createAuditLog } from '../utils/auditLog.js';
+import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './notificationService.js';
+import { updateAppointment, cancelAppointment } from './appointmentService.js';
+import { normalizePhoneNumber } from './smsService.js';
+import { DEFAULT_TIMEZONE } from '../utils/timezone.js';
+
+export const SMS_CONFIRMATION_STATUSES = {
+  PENDING: 'pending',
+  CONFIRMED: 'confirmed',
+  CANCELLED: 'cancelled'
+};
+
+// What an inbound SMS led to, as logged in sms_messages
+export const SMS_REPLY_RESULTS = {
+  CONFIRMED: 'confirmed',
+  ALREADY_CONFIRMED: 'already_confirmed',
+  CANCELLED: 'cancelled',
+  NOT_UNDERSTOOD: 'not_understood',
+  NO_APPOINTMENT: 'no_appointment',
+  AMBIGUOUS: 'ambiguous',
+  FAILED: 'failed'
+};
+
+// Words of a reply, without accents and in capitals ("Sí" is SI)
+const CONFIRM_WORDS = ['SI', 'S', 'OK', 'VALE', 'CONFIRMO', 'CONFIRMAR', '1'];
+const CANCEL_WORDS = ['NO', 'N', 'CANCELO', 'CANCELAR', 'ANULAR', '2'];
+
+const REPLY_CODE_PATTERN = /^\d{4}$/;
+
+const replies = {
+  [SMS_REPLY_RESULTS.CONFIRMED]: (a) => `Gracias, tu cita del ${a.date} a las ${a.time} con ${a.professional_name} está confirmada. Mundoctor`,
+  [SMS_REPLY_RESULTS.ALREADY_CONFIRMED]: (a) => `Tu cita del ${a.date} a las ${a.time} con ${a.professional_name} ya estaba confirmada. Mundoctor`,
+  [SMS_REPLY_RESULTS.CANCELLED]: (a) => `Tu cita del ${a.date} a las ${a.time} con ${a.professional_name} ha sido cancelada. Mundoctor`,
+  [SMS_REPLY_RESULTS.NOT_UNDERSTOOD]: () => 'No hemos entendido tu respuesta. Responde SI para confirmar tu cita o NO para cancelarla. Mundoctor',
+  [SMS_REPLY_RESULTS.NO_APPOINTMENT]: () => 'No tienes ninguna cita pendiente de respuesta. Mundoctor',
+  [SMS_REPLY_RESULTS.AMBIGUOUS]: (pending) => `Tienes varias citas pendientes. Responde SI o NO seguido del código de la cita: ${
+    pending.map(a => `${a.code} (${a.date} ${a.time})`).join(', ')}. Mundoctor`,
+  [SMS_REPLY_RESULTS.FAILED]: () => 'No hemos podido procesar tu respuesta. Usa el enlace del recordatorio o contacta con tu profesional. Mundoctor'
+};
+
+// Action (confirm / cancel) and reply code of an SMS: "Sí", "NO 4821", "4821 si"...
+// A reply with both a confirm and a cancel word has no action.
+export const parseSmsReply = (body = '') => {
+  const words = body
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter(Boolean);
+
+  const confirms = words.some(word => CONFIRM_WORDS.includes(word));
+  const cancels = words.some(word => CANCEL_WORDS.includes(word));
+
+  return {
+    action: confirms === cancels ? null : (confirms ? 'confirm' : 'cancel'),
+    code: words.find(word => REPLY_CODE_PATTERN.test(word)) || null
+  };
+};
+
+// Ask the patient of an appointment for a SI / NO answer by SMS and return the reply code
+// to put in the message. The code identifies the appointment among the phone's open ones.
+export const openSmsConfirmation = async (appointmentId, phone) => {
+  const normalizedPhone = normalizePhoneNumber(phone);
+
+  const existingResult = await query(
+    'SELECT phone, code FROM sms_confirmations WHERE appointment_id = $1',
+    [appointmentId]
+  );
+  const existing = existingResult.rows[0];
+  const code = existing && existing.phone === normalizedPhone
+    ? existing.code
+    : await generateReplyCode(appointmentId, normalizedPhone);
+
+  await query(
+    `INSERT INTO sms_confirmations (id, appointment_id, phone, code, status, expires_at)
+    SELECT $1, a.id, $3, $4, $5,
+      (a.scheduled_date + a.start_time) AT TIME ZONE COALESCE(a.timezone, pf.timezone, '${DEFAULT_TIMEZONE}')
+    FROM appointments a
+    LEFT JOIN professionals pf ON pf.user_id = a.professional_id
+    WHERE a.id = $2
+    ON CONFLICT (appointment_id) DO UPDATE SET
+      phone = EXCLUDED.phone,
+      code = EXCLUDED.code,
+      status = EXCLUDED.status,
+      expires_at = EXCLUDED.expires_at,
+      responded_at = NULL`,
+    [generateId('smsc'), appointmentId, normalizedPhone, code, SMS_CONFIRMATION_STATUSES.PENDING]
+  );
+
+  return code;
+};
+
+// Handle an SMS received from a patient: find the appointment it answers, confirm or cancel
+// it, tell the professional and log the exchange. Returns the answer to send back, if any;
+// a message already handled (the provider retrying its webhook) gets none.
+export const handleInboundSms = async ({ messageSid = null, from, body }) => {
+  const phone = normalizePhoneNumber(from);
+
+  const inboundResult = await query(
+    `INSERT INTO sms_messages (id, direction, phone, body, provider_message_id)
+    VALUES ($1, 'inbound', $2, $3, $4)
+    ON CONFLICT (provider_message_id) WHERE direction = 'inbound' DO NOTHING
+    RETURNING id`,
+    [generateId('sms'), phone, body, messageSid]
+  );
+
+  if (inboundResult.rows.length === 0) {
+    logInfo('Inbound SMS already handled', { messageSid });
+    return { duplicate: true, result: null, reply: null, appointmentId: null };
+  }
+
+  const { action, code } = parseSmsReply(body);
+  let result;
+  let reply;
+  let appointment = null;
+
+  if (!action) {
+    result = SMS_REPLY_RESULTS.NOT_UNDERSTOOD;
+    reply = replies[result]();
+  } else {
+    const pending = await getPendingConfirmations(phone, code);
+
+    if (pending.length === 0) {
+      result = SMS_REPLY_RESULTS.NO_APPOINTMENT;
+      reply = replies[result]();
+    } else if (pending.length > 1) {
+      result = SMS_REPLY_RESULTS.AMBIGUOUS;
+      reply = replies[result](pending);
+    } else {
+      appointment = pending[0];
+      result = await answerAppointment(appointment, action);
+      reply = replies[result](appointment);
+    }
+  }
+
+  await query(
+    'UPDATE sms_messages SET result = $2, appointment_id = $3 WHERE id = $1',
+    [inboundResult.rows[0].id, result, appointment?.appointment_id || null]
+  );
+
+  await query(
+    `INSERT INTO sms_messages (id, direction, phone, body, appointment_id)
+    VALUES ($1, 'outbound', $2, $3, $4)`,
+    [generateId('sms'), phone, reply, appointment?.appointment_id || null]
+  );
+
+  await createAuditLog({
+    userId: appointment?.patient_id || 'system',
+    action: 'sms_reply_received',
+    resource: 'appointment',
+    resourceId: appointment?.appointment_id || null,
+    details: { phone, action, code, result }
+  });
+
+  logInfo('Inbound SMS handled', { phone, result, appointmentId: appointment?.appointment_id });
+
+  return { duplicate: false, result, reply, appointmentId: appointment?.appointment_id || null };
+};
+
+// Helper functions
+const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+// A code not used by the phone's other open confirmations
+const generateReplyCode = async (appointmentId, phone) => {
+  const usedResult = await query(
+    `SELECT code FROM sms_confirmations
+    WHERE phone = $1 AND appointment_id != $2 AND status = $3 AND expires_at > NOW()`,
+    [phone, appointmentId, SMS_CONFIRMATION_STATUSES.PENDING]
+  );
+  const used = new Set(usedResult.rows.map(row => row.code));
+
+  let code;
+  do {
+    code = String(1000 + Math.floor(Math.random() * 9000));
+  } while (used.has(code));
+
+  return code;
+};
+
+// Upcoming appointments waiting for an answer from the phone, with `code` only that one
+const getPendingConfirmations = async (phone, code) => {
+  const params = [phone, SMS_CONFIRMATION_STATUSES.PENDING];
+  if (code) {
+    params.push(code);
+  }
+
+  const result = await query(
+    `SELECT sc.id, sc.appointment_id, sc.code,
+      a.professional_id, a.patient_id, a.status as appointment_status,
+      to_char(a.scheduled_date, 'DD/MM/YYYY') as date,
+      to_char(a.start_time, 'HH24:MI') as time,
+      pt.name as patient_name,
+      pp.name as professional_name, pp.email as professional_email
+    FROM sms_confirmations sc
+    JOIN appointments a ON a.id = sc.appointment_id
+    LEFT JOIN users pt ON a.patient_id = pt.id
+    LEFT JOIN users pp ON a.professional_id = pp.id
+    WHERE sc.phone = $1
+      AND sc.status = $2
+      AND sc.expires_at > NOW()
+      AND a.status IN ('scheduled', 'confirmed')
+      ${code ? 'AND sc.code = $3' : ''}
+    ORDER BY sc.expires_at`,
+    params
+  );
+
+  return result.rows;
+};
+
+// Confirm or cancel the appointment through the appointment service, as its patient
+const answerAppointment = async (appointment, action) => {
+  let result;
+
+  try {
+    if (action === 'confirm') {
+      result = appointment.appointment_status === 'confirmed'
+        ? SMS_REPLY_RESULTS.ALREADY_CONFIRMED
+        : SMS_REPLY_RESULTS.CONFIRMED;
+
+      if (result === SMS_REPLY_RESULTS.CONFIRMED) {
+        await updateAppointment(appointment.appointment_id, { status: 'confirmed' }, appointment.patient_id);
+      }
+    } else {
+      await cancelAppointment(appointment.appointment_id, 'Cancelled by the patient by SMS', appointment.patient_id);
+      result = SMS_REPLY_RESULTS.CANCELLED;
+    }
+  } catch (error) {
+    logError(error, { event: 'sms_reply_failed', appointmentId: appointment.appointment_id, action });
+    return SMS_REPLY_RESULTS.FAILED;
+  }
+
+  await query(
+    'UPDATE sms_confirmations SET status = $2, responded_at = CURRENT_TIMESTAMP WHERE id = $1',
+    [appointment.id, action === 'confirm' ? SMS_CONFIRMATION_STATUSES.CONFIRMED : SMS_CONFIRMATION_STATUSES.CANCELLED]
+  );
+
+  if (result !== SMS_REPLY_RESULTS.ALREADY_CONFIRMED) {
+    await notifyProfessional(appointment, action);
+  }
+
+  return result;
+};
+
+const notifyProfessional = async (appointment, action) => {
+  try {
+    await notificationService.sendNotification({
+      userId: appointment.professional_id,
+      type: NOTIFICATION_TYPES.APPOINTMENT_PATIENT_REPLIED,
+      channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL, NOTIFICATION_CHANNELS.PUSH],
+      variables: {
+        patient: appointment.patient_name,
+        response: action === 'confirm' ? 'confirmado' : 'cancelado',
+        date: appointment.date,
+        time: appointment.time
+      },
+      data: {
+        email: appointment.professional_email,
+        appointmentId: appointment.appointment_id,
+        response: action,
+        link: '/profesionales/citas'
+      }
+    });
+  } catch (error) {
+    logError(error, { event: 'sms_reply_notification_failed', appointmentId: appointment.appointment_id });
+  }
+};
+
+export default {
+  SMS_CONFIRMATION_STATUSES,
+  SMS_REPLY_RESULTS,
+  parseSmsReply,
+  openSmsConfirmation,
+  handleInboundSms
+};
@@ -1,17 +1,44 @@
 import twilio from 'twilio';
 import logger from '../utils/logger.js';
+import { LOCAL_SMS_AUTH_TOKEN, createLocalSmsGateway } from './localSmsGateway.js';
+
+// Sender of the local gateway when TWILIO_FROM_NUMBER is not set
+const LOCAL_FROM_NUMBER = '+34600000000';
+
+// Numbers given without an international prefix are Spanish: nine digits after +34
+const DEFAULT_COUNTRY_CODE = '34';
+const NATIONAL_NUMBER_LENGTH = 9;
 
 class SMSService {
   constructor() {
     this.client = null;
+    this.provider = null;
     this.fromNumber = process.env.TWILIO_FROM_NUMBER;
     this.initialize();
   }
 
+  // SMS_PROVIDER=local uses the in-process gateway instead of Twilio (not in production)
   initialize() {
     const accountSid = process.env.TWILIO_ACCOUNT_SID;
     const authToken = process.env.TWILIO_AUTH_TOKEN;
 
+    if (process.env.SMS_PROVIDER === 'local') {
+      if (process.env.NODE_ENV === 'production') {
+        logger.error('The local SMS gateway cannot be used in production. SMS service disabled.');
+        return;
+      }
+
+      this.fromNumber = this.fromNumber || LOCAL_FROM_NUMBER;
+      this.client = createLocalSmsGateway({
+        fromNumber: this.fromNumber,
+        authToken: this.getWebhookAuthToken(),
+        webhookUrl: this.getInboundWebhookUrl()
+      });
+      this.provider = 'local';
+      logger.info('SMS service using the local gateway');
+      return;
+    }
+
     if (!accountSid || !authToken) {
       logger.warn('Twilio credentials not configured. SMS service disabled.');
       return;
@@ -24,6 +51,7 @@ class SMSService {
 
     try {
       this.client = twilio(accountSid, authToken);
+      this.provider = 'twilio';
       logger.info('SMS service initialized successfully');
     } catch (error) {
       logger.error('Failed to initialize SMS service:', error);
@@ -87,6 +115,7 @@ class SMSService {
     return results;
   }
 
+  // E.164, the format the provider reports senders in, so stored numbers match replies
   normalizePhoneNumber(phoneNumber) {
     // Remove all non-digit characters except +
     let normalized = phoneNumber.replace(/[^\d+]/g, '');
@@ -96,23 +125,34 @@ class SMSService {
       return normalized;
     }
     
-    // If it's a Mexican number starting with 52, keep it
-    if (normalized.startsWith('52') && normalized.length === 12) {
-      return `+${normalized}`;
+    // International prefix dialled from Spain
+    if (normalized.startsWith('00')) {
+      return `+${normalized.slice(2)}`;
     }
     
-    // If it's a 10-digit number, assume it's Mexican
-    if (normalized.length === 10) {
-      return `+52${normalized}`;
+    // A national number
+    if (normalized.length === NATIONAL_NUMBER_LENGTH) {
+      return `+${DEFAULT_COUNTRY_CODE}${normalized}`;
     }
     
-    // If it's a 11-digit number starting with 1, assume it's US/Canada
-    if (normalized.startsWith('1') && normalized.length === 11) {
-      return `+${normalized}`;
-    }
-    
-    // Default to Mexico country code
-    return `+52${normalized}`;
+    // Anything else already starts with its country code
+    return `+${normalized}`;
+  }
+
+  // Token that signs the provider's webhooks
+  getWebhookAuthToken() {
+    return process.env.TWILIO_AUTH_TOKEN || (process.env.SMS_PROVIDER === 'local' ? LOCAL_SMS_AUTH_TOKEN : null);
+  }
+
+  // Public URL of the inbound SMS webhook, as configured in the provider (and signed by it)
+  getInboundWebhookUrl() {
+    const baseUrl = process.env.BACKEND_URL || `http://localhost:${process.env.PORT || 8000}`;
+    return `${baseUrl}/api/sms/inbound`;
+  }
+
+  // The local gateway, to simulate patient replies; null with any other provider
+  getLocalGateway() {
+    return this.provider === 'local' ? this.client : null;
   }
 
   replaceVariables(message, variables) {
@@ -211,5 +251,6 @@ export const sendBulkSMS = smsService.sendBulkSMS.bind(smsService);
 export const testSMSConnection = smsService.testConnection.bind(smsService);
 export const getMessageStatus = smsService.getMessageStatus.bind(smsService);
 export const isValidPhoneNumber = smsService.isValidPhoneNumber.bind(smsService);
+export const normalizePhoneNumber = smsService.normalizePhoneNumber.bind(smsService);
 
 export default smsService;
\ No newline at end of file
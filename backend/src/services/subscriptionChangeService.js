@@ -0,0 +1,567 @@
+import { query, withTransaction } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { createAuditLog } from '../utils/auditLog.js';
+import { AppError, NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+import paymentService from './paymentService.js';
+import invoiceService from './invoiceService.js';
+import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS } from './notificationService.js';
+import { SUBSCRIPTION_STATUSES, SUBSCRIPTION_INTERVALS } from '../models/paymentModel.js';
+
+export const PLAN_CHANGE_TYPES = {
+  UPGRADE: 'upgrade',
+  DOWNGRADE: 'downgrade',
+  INTERVAL_SWITCH: 'interval_switch'
+};
+
+export const PLAN_CHANGE_STATUSES = {
+  PENDING: 'pending',
+  APPLIED: 'applied',
+  CANCELLED: 'cancelled'
+};
+
+const intervalMonths = {
+  [SUBSCRIPTION_INTERVALS.MONTHLY]: 1,
+  [SUBSCRIPTION_INTERVALS.QUARTERLY]: 3,
+  [SUBSCRIPTION_INTERVALS.YEARLY]: 12
+};
+
+// Only subscriptions in good standing can change plan; past_due ones settle their debt first
+const CHANGEABLE_STATUSES = [SUBSCRIPTION_STATUSES.ACTIVE, SUBSCRIPTION_STATUSES.TRIALING];
+
+// Point professionals.subscription_plan (the professional_subscriptions tier) at the tier the
+// plan grants, or back to free without a plan
+export const syncProfessionalPlan = async (client, userId, planId = null) => {
+  const db = client || { query };
+  await db.query(
+    `UPDATE professionals SET
+      subscription_plan = COALESCE(
+        (SELECT professional_plan FROM subscription_plans WHERE id = $2),
+        'free'
+      ),
+      updated_at = NOW()
+    WHERE user_id = $1`,
+    [userId, planId]
+  );
+};
+
+// Work out what moving a subscription to another plan means: the plan it ends up on, whether
+// it applies now or at the period end and, for immediate changes, the credit for the unused
+// part of the current period and the charge for the new plan. `target` is { planId } or
+// { interval } to keep the plan and switch between monthly and annual billing.
+export const previewPlanChange = async (subscriptionId, userId, target, now = new Date()) => {
+  const subscription = await getOwnSubscription(subscriptionId, userId);
+
+  if (!CHANGEABLE_STATUSES.includes(subscription.status)) {
+    throw new ValidationError('Only active subscriptions can change plan');
+  }
+
+  const fromPlan = await getPlan(subscription.plan_id);
+  const toPlan = await resolveTargetPlan(fromPlan, target);
+
+  if (toPlan.id === subscription.plan_id) {
+    throw new ValidationError('The subscription is already on this plan');
+  }
+
+  if (toPlan.currency !== subscription.currency) {
+    throw new ValidationError('Plans billed in another currency cannot be switched to');
+  }
+
+  const fromMonths = intervalMonths[subscription.interval] || 1;
+  const toMonths = intervalMonths[toPlan.interval] || 1;
+  const intervalChanged = fromMonths !== toMonths;
+  const isUpgrade = toPlan.amount / toMonths > subscription.amount / fromMonths;
+
+  let changeType = isUpgrade ? PLAN_CHANGE_TYPES.UPGRADE : PLAN_CHANGE_TYPES.DOWNGRADE;
+  if (intervalChanged && fromPlan?.professional_plan && fromPlan.professional_plan === toPlan.professional_plan) {
+    changeType = PLAN_CHANGE_TYPES.INTERVAL_SWITCH;
+  }
+
+  // Upgrades and longer billing intervals start now; anything else waits for the renewal
+  const immediate = isUpgrade || toMonths > fromMonths;
+  const periodStart = new Date(subscription.current_period_start);
+  const periodEnd = new Date(subscription.current_period_end);
+
+  if (!immediate) {
+    return {
+      subscription,
+      fromPlan,
+      toPlan,
+      changeType,
+      immediate,
+      effectiveAt: periodEnd,
+      creditAmount: 0,
+      chargeAmount: 0,
+      amountDue: 0,
+      currency: subscription.currency,
+      newPeriodEnd: addMonths(periodEnd, toMonths)
+    };
+  }
+
+  // Nothing has been paid during a trial, so there is nothing to prorate
+  const remaining = subscription.status === SUBSCRIPTION_STATUSES.TRIALING
+    ? 0
+    : Math.min(Math.max((periodEnd - now) / (periodEnd - periodStart), 0), 1);
+  const creditAmount = Math.round(subscription.amount * remaining);
+  // Same interval: the new plan for the rest of the period; new interval: a full new period from now
+  const chargeAmount = subscription.status === SUBSCRIPTION_STATUSES.TRIALING
+    ? 0
+    : intervalChanged ? toPlan.amount : Math.round(toPlan.amount * remaining);
+
+  return {
+    subscription,
+    fromPlan,
+    toPlan,
+    changeType,
+    immediate,
+    effectiveAt: now,
+    creditAmount,
+    chargeAmount,
+    amountDue: Math.max(chargeAmount - creditAmount, 0),
+    currency: subscription.currency,
+    newPeriodEnd: intervalChanged ? addMonths(now, toMonths) : periodEnd
+  };
+};
+
+// Change a subscription's plan. Immediate changes are charged through the provider with
+// proration, invoiced and applied at once; others are scheduled for the period end. A new
+// request replaces a change that is still scheduled.
+export const changeSubscriptionPlan = async (subscriptionId, userId, target, { requestedBy = userId } = {}) => {
+  const now = new Date();
+  const preview = await previewPlanChange(subscriptionId, userId, target, now);
+  const { subscription, toPlan } = preview;
+
+  if (subscription.stripe_subscription_id && !toPlan.stripe_price_id) {
+    throw new ValidationError('This plan cannot be billed online yet');
+  }
+
+  await cancelScheduledPlanChange(subscriptionId, userId, { requestedBy, required: false });
+
+  const change = preview.immediate
+    ? await applyImmediateChange(preview, now, requestedBy)
+    : await scheduleChange(preview, requestedBy);
+
+  let invoice = null;
+  if (preview.immediate && preview.chargeAmount > 0) {
+    try {
+      invoice = await invoiceService.createPlanChangeInvoice(change.id);
+    } catch (error) {
+      logError(error, { event: 'plan_change_invoice_failed', planChangeId: change.id });
+    }
+  }
+
+  await createAuditLog({
+    userId: requestedBy,
+    action: preview.immediate ? 'subscription_plan_changed' : 'subscription_plan_change_scheduled',
+    resource: 'subscription',
+    resourceId: subscriptionId,
+    details: {
+      planChangeId: change.id,
+      fromPlanId: change.from_plan_id,
+      toPlanId: change.to_plan_id,
+      changeType: change.change_type,
+      effectiveAt: change.effective_at,
+      creditAmount: change.credit_amount,
+      chargeAmount: change.charge_amount
+    }
+  });
+
+  await notifyPlanChange(change);
+
+  const updated = await query('SELECT * FROM subscriptions WHERE id = $1', [subscriptionId]);
+
+  return {
+    planChange: change,
+    subscription: updated.rows[0],
+    invoice
+  };
+};
+
+// Drop the change scheduled for a subscription and let it renew on its current plan
+export const cancelScheduledPlanChange = async (subscriptionId, userId, { requestedBy = userId, required = true } = {}) => {
+  await getOwnSubscription(subscriptionId, userId);
+
+  const pending = await getPendingPlanChange(subscriptionId);
+  if (!pending) {
+    if (required) {
+      throw new NotFoundError('No plan change is scheduled for this subscription');
+    }
+    return null;
+  }
+
+  const cancelled = await cancelPendingChange(pending);
+
+  await createAuditLog({
+    userId: requestedBy,
+    action: 'subscription_plan_change_cancelled',
+    resource: 'subscription',
+    resourceId: subscriptionId,
+    details: { planChangeId: pending.id, toPlanId: pending.to_plan_id }
+  });
+
+  return cancelled;
+};
+
+// Cancel the scheduled change of a subscription that has ended; never throws
+export const closePendingPlanChange = async (subscriptionId) => {
+  try {
+    const pending = await getPendingPlanChange(subscriptionId);
+    if (pending) {
+      await cancelPendingChange(pending, { releaseSchedule: false });
+    }
+  } catch (error) {
+    logError(error, { event: 'plan_change_close_failed', subscriptionId });
+  }
+};
+
+// The change scheduled for a subscription, if any
+export const getPendingPlanChange = async (subscriptionId) => {
+  const result = await query(
+    `SELECT spc.*, tp.name as to_plan_name, tp.interval as to_interval, tp.amount as to_amount
+    FROM subscription_plan_changes spc
+    JOIN subscription_plans tp ON tp.id = spc.to_plan_id
+    WHERE spc.subscription_id = $1 AND spc.status = $2`,
+    [subscriptionId, PLAN_CHANGE_STATUSES.PENDING]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Apply scheduled changes whose period has ended. The provider already bills the new price
+// from the renewal; this moves our records and the professional's tier over. Run periodically.
+export const applyDuePlanChanges = async () => {
+  const summary = { applied: 0, failed: 0 };
+
+  const dueResult = await query(
+    `SELECT id FROM subscription_plan_changes
+    WHERE status = $1 AND effective_at <= NOW()
+    ORDER BY effective_at`,
+    [PLAN_CHANGE_STATUSES.PENDING]
+  );
+
+  for (const { id } of dueResult.rows) {
+    try {
+      const change = await withTransaction(async (client) => {
+        const changeResult = await client.query(
+          'SELECT * FROM subscription_plan_changes WHERE id = $1 AND status = $2 FOR UPDATE',
+          [id, PLAN_CHANGE_STATUSES.PENDING]
+        );
+        const pending = changeResult.rows[0];
+        if (!pending) {
+          return null;
+        }
+
+        const subscriptionResult = await client.query(
+          'SELECT * FROM subscriptions WHERE id = $1 FOR UPDATE',
+          [pending.subscription_id]
+        );
+        const subscription = subscriptionResult.rows[0];
+        const toPlan = await getPlan(pending.to_plan_id, client);
+
+        // Periods are refreshed by the provider's subscription.updated webhook; until then
+        // the new period runs from the old period end
+        const periodStart = new Date(subscription.current_period_end);
+        await updateSubscriptionPlan(client, subscription, toPlan, {
+          periodStart,
+          periodEnd: addMonths(periodStart, intervalMonths[toPlan.interval] || 1)
+        });
+        await syncProfessionalPlan(client, subscription.user_id, toPlan.id);
+
+        const appliedResult = await client.query(
+          `UPDATE subscription_plan_changes SET status = $1, applied_at = NOW()
+          WHERE id = $2
+          RETURNING *`,
+          [PLAN_CHANGE_STATUSES.APPLIED, id]
+        );
+
+        return appliedResult.rows[0];
+      });
+
+      if (change) {
+        summary.applied++;
+        logInfo('Scheduled plan change applied', {
+          planChangeId: change.id,
+          subscriptionId: change.subscription_id,
+          toPlanId: change.to_plan_id
+        });
+        await notifyPlanChange(change);
+      }
+    } catch (error) {
+      summary.failed++;
+      logError(error, { event: 'plan_change_apply_failed', planChangeId: id });
+    }
+  }
+
+  return summary;
+};
+
+export default {
+  PLAN_CHANGE_TYPES,
+  PLAN_CHANGE_STATUSES,
+  syncProfessionalPlan,
+  previewPlanChange,
+  changeSubscriptionPlan,
+  cancelScheduledPlanChange,
+  closePendingPlanChange,
+  getPendingPlanChange,
+  applyDuePlanChanges
+};
+
+// Helper functions
+
+const getOwnSubscription = async (subscriptionId, userId) => {
+  const result = await query(
+    'SELECT * FROM subscriptions WHERE id = $1 AND user_id = $2',
+    [subscriptionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Subscription not found');
+  }
+
+  return result.rows[0];
+};
+
+const getPlan = async (planId, client) => {
+  const db = client || { query };
+  const result = await db.query('SELECT * FROM subscription_plans WHERE id = $1', [planId]);
+  return result.rows[0] || null;
+};
+
+// The plan asked for, or the current plan's tier billed at the requested interval
+const resolveTargetPlan = async (fromPlan, { planId = null, interval = null }) => {
+  let result;
+
+  if (planId) {
+    result = await query(
+      'SELECT * FROM subscription_plans WHERE id = $1 AND is_active = true',
+      [planId]
+    );
+  } else if (interval && fromPlan?.professional_plan) {
+    result = await query(
+      `SELECT * FROM subscription_plans
+      WHERE professional_plan = $1 AND interval = $2 AND is_active = true
+      ORDER BY amount
+      LIMIT 1`,
+      [fromPlan.professional_plan, interval]
+    );
+  } else {
+    throw new ValidationError('A plan or a billing interval is required');
+  }
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Subscription plan not found');
+  }
+
+  return result.rows[0];
+};
+
+const updateSubscriptionPlan = async (client, subscription, plan, { periodStart, periodEnd }) => {
+  await client.query(
+    `UPDATE subscriptions SET
+      plan_id = $1,
+      plan_name = $2,
+      interval = $3,
+      amount = $4,
+      currency = $5,
+      current_period_start = $6,
+      current_period_end = $7,
+      metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('planId', $1::text),
+      updated_at = NOW()
+    WHERE id = $8`,
+    [
+      plan.id,
+      plan.name,
+      plan.interval,
+      plan.amount,
+      plan.currency,
+      periodStart.toISOString(),
+      periodEnd.toISOString(),
+      subscription.id
+    ]
+  );
+};
+
+// Switch the provider's subscription to the new price now, charging the prorated difference.
+// The change is only recorded once the charge has gone through.
+const applyImmediateChange = async (preview, now, requestedBy) => {
+  const { subscription, fromPlan, toPlan } = preview;
+  let periodStart = now;
+  let periodEnd = preview.newPeriodEnd;
+
+  if (subscription.stripe_subscription_id) {
+    const stripe = getStripe();
+    const stripeSubscription = await stripe.subscriptions.retrieve(subscription.stripe_subscription_id);
+    const intervalChanged = toPlan.interval !== subscription.interval;
+
+    let updated;
+    try {
+      updated = await stripe.subscriptions.update(subscription.stripe_subscription_id, {
+        items: [{ id: stripeSubscription.items.data[0].id, price: toPlan.stripe_price_id }],
+        proration_behavior: preview.chargeAmount > 0 ? 'always_invoice' : 'none',
+        proration_date: Math.floor(now.getTime() / 1000),
+        payment_behavior: 'error_if_incomplete',
+        ...(intervalChanged ? { billing_cycle_anchor: 'now' } : {}),
+        metadata: { ...stripeSubscription.metadata, planId: toPlan.id }
+      });
+    } catch (error) {
+      if (error.type === 'StripeCardError') {
+        throw new AppError(`The plan change could not be charged: ${error.message}`, 402, 'PAYMENT_FAILED');
+      }
+      throw error;
+    }
+
+    periodStart = new Date(updated.current_period_start * 1000);
+    periodEnd = new Date(updated.current_period_end * 1000);
+  } else if (toPlan.interval === subscription.interval) {
+    periodStart = new Date(subscription.current_period_start);
+  }
+
+  return withTransaction(async (client) => {
+    await updateSubscriptionPlan(client, subscription, toPlan, { periodStart, periodEnd });
+    await syncProfessionalPlan(client, subscription.user_id, toPlan.id);
+
+    const result = await client.query(
+      `INSERT INTO subscription_plan_changes (
+        id, subscription_id, user_id, from_plan_id, to_plan_id, change_type, status,
+        effective_at, credit_amount, charge_amount, currency, requested_by, applied_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+      RETURNING *`,
+      [
+        `spc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+        subscription.id,
+        subscription.user_id,
+        fromPlan?.id || null,
+        toPlan.id,
+        preview.changeType,
+        PLAN_CHANGE_STATUSES.APPLIED,
+        now.toISOString(),
+        preview.creditAmount,
+        preview.chargeAmount,
+        preview.currency,
+        requestedBy
+      ]
+    );
+
+    return result.rows[0];
+  });
+};
+
+// Have the provider switch to the new price when the current period ends, through a
+// subscription schedule that is released back to a plain subscription afterwards
+const scheduleChange = async (preview, requestedBy) => {
+  const { subscription, fromPlan, toPlan } = preview;
+  let scheduleId = null;
+
+  if (subscription.stripe_subscription_id) {
+    const stripe = getStripe();
+    const schedule = await stripe.subscriptionSchedules.create({
+      from_subscription: subscription.stripe_subscription_id
+    });
+    const [currentPhase] = schedule.phases;
+
+    await stripe.subscriptionSchedules.update(schedule.id, {
+      end_behavior: 'release',
+      phases: [
+        {
+          items: currentPhase.items.map(item => ({
+            price: typeof item.price === 'string' ? item.price : item.price.id,
+            quantity: item.quantity
+          })),
+          start_date: currentPhase.start_date,
+          end_date: currentPhase.end_date
+        },
+        {
+          items: [{ price: toPlan.stripe_price_id, quantity: 1 }],
+          iterations: 1,
+          metadata: { planId: toPlan.id }
+        }
+      ]
+    });
+    scheduleId = schedule.id;
+  }
+
+  const result = await query(
+    `INSERT INTO subscription_plan_changes (
+      id, subscription_id, user_id, from_plan_id, to_plan_id, change_type, status,
+      effective_at, currency, provider_schedule_id, requested_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    RETURNING *`,
+    [
+      `spc_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+      subscription.id,
+      subscription.user_id,
+      fromPlan?.id || null,
+      toPlan.id,
+      preview.changeType,
+      PLAN_CHANGE_STATUSES.PENDING,
+      preview.effectiveAt.toISOString(),
+      preview.currency,
+      scheduleId,
+      requestedBy
+    ]
+  );
+
+  return result.rows[0];
+};
+
+const cancelPendingChange = async (pending, { releaseSchedule = true } = {}) => {
+  if (releaseSchedule && pending.provider_schedule_id) {
+    await getStripe().subscriptionSchedules.release(pending.provider_schedule_id);
+  }
+
+  const result = await query(
+    `UPDATE subscription_plan_changes SET status = $1, cancelled_at = NOW()
+    WHERE id = $2 AND status = $3
+    RETURNING *`,
+    [PLAN_CHANGE_STATUSES.CANCELLED, pending.id, PLAN_CHANGE_STATUSES.PENDING]
+  );
+
+  return result.rows[0] || null;
+};
+
+const getStripe = () => {
+  if (!paymentService.stripe) {
+    throw new ValidationError('Stripe is not configured');
+  }
+  return paymentService.stripe;
+};
+
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  result.setMonth(result.getMonth() + months);
+  return result;
+};
+
+const notifyPlanChange = async (change) => {
+  try {
+    const result = await query(
+      `SELECT u.email, u.phone, tp.name as to_plan_name
+      FROM users u
+      JOIN subscription_plans tp ON tp.id = $2
+      WHERE u.id = $1`,
+      [change.user_id, change.to_plan_id]
+    );
+    const user = result.rows[0] || {};
+    const scheduled = change.status === PLAN_CHANGE_STATUSES.PENDING;
+
+    await notificationService.sendNotification({
+      userId: change.user_id,
+      type: scheduled
+        ? NOTIFICATION_TYPES.SUBSCRIPTION_PLAN_CHANGE_SCHEDULED
+        : NOTIFICATION_TYPES.SUBSCRIPTION_PLAN_CHANGED,
+      channels: [NOTIFICATION_CHANNELS.WEBSOCKET, NOTIFICATION_CHANNELS.EMAIL],
+      variables: {
+        plan: user.to_plan_name,
+        date: new Date(change.effective_at).toLocaleDateString('es-ES')
+      },
+      data: {
+        email: user.email,
+        subscriptionId: change.subscription_id,
+        planChangeId: change.id
+      }
+    });
+
+  } catch (error) {
+    logError(error, { event: 'plan_change_notification_failed', planChangeId: change.id });
+  }
+};
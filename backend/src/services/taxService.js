@@ -0,0 +1,257 @@
+import { query } from '../config/database.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+export const TAX_REGIONS = {
+  SPAIN: 'ES',
+  CANARY_ISLANDS: 'ES-CN'
+};
+
+export const TAX_CATEGORIES = {
+  STANDARD: 'standard',
+  REDUCED: 'reduced',
+  MEDICAL: 'medical',
+  NOT_SUBJECT: 'not_subject'
+};
+
+export const WITHHOLDING_CODES = {
+  PROFESSIONAL: 'ES_IRPF_PROFESSIONAL',
+  NEW_PROFESSIONAL: 'ES_IRPF_NEW_PROFESSIONAL'
+};
+
+// Used until the invoicing settings are configured
+const DEFAULT_INVOICING_SETTINGS = {
+  taxRegion: TAX_REGIONS.SPAIN,
+  currency: 'EUR'
+};
+
+const issuerSettingKeys = {
+  invoice_issuer_name: 'name',
+  invoice_issuer_tax_id: 'taxId',
+  invoice_issuer_address: 'address',
+  invoice_issuer_city: 'city',
+  invoice_issuer_postal_code: 'postalCode',
+  invoice_issuer_country: 'country',
+  invoice_issuer_email: 'email',
+  invoice_issuer_phone: 'phone'
+};
+
+// Postal codes of Las Palmas (35) and Santa Cruz de Tenerife (38)
+const CANARY_ISLANDS_POSTAL_CODE = /^3[58]\d{3}$/;
+
+// Round half away from zero, so negated lines get exactly negated amounts
+const roundCents = (value) => Math.sign(value) * Math.round(Math.abs(value));
+
+// Active tax rates keyed by code
+export const getTaxRates = async (client) => {
+  const db = client || { query };
+  const result = await db.query('SELECT * FROM tax_rates WHERE is_active = true ORDER BY region, category, code');
+
+  return new Map(result.rows.map(rate => [rate.code, {
+    code: rate.code,
+    taxType: rate.tax_type,
+    region: rate.region,
+    category: rate.category,
+    rate: Number(rate.rate),
+    isWithholding: rate.is_withholding,
+    legalNote: rate.legal_note,
+    description: rate.description
+  }]));
+};
+
+// Issuer block printed on invoices, tax region and currency, from system_settings
+export const getInvoicingSettings = async (client) => {
+  const db = client || { query };
+  const result = await db.query(
+    `SELECT key, value FROM system_settings
+    WHERE key LIKE 'invoice\\_%' OR key = 'currency'`
+  );
+
+  const settings = { ...DEFAULT_INVOICING_SETTINGS, issuer: {} };
+  for (const { key, value } of result.rows) {
+    if (issuerSettingKeys[key]) {
+      settings.issuer[issuerSettingKeys[key]] = value;
+    } else if (key === 'invoice_tax_region' && value) {
+      settings.taxRegion = value;
+    } else if (key === 'currency' && value) {
+      settings.currency = value;
+    }
+  }
+
+  return settings;
+};
+
+// Customers with a Canary Islands postal code are taxed under IGIC
+export const resolveTaxRegion = (customerInfo = {}, defaultRegion = TAX_REGIONS.SPAIN) => {
+  const postalCode = String(customerInfo.postalCode || '').trim();
+  if (CANARY_ISLANDS_POSTAL_CODE.test(postalCode)) {
+    return TAX_REGIONS.CANARY_ISLANDS;
+  }
+  return defaultRegion;
+};
+
+// Work out tax and withholding per line. Each item takes an explicit taxCode or a taxCategory
+// (default standard) resolved to the region's rate, and an optional withholdingCode. The
+// platform's own invoices carry no withholding; lines only get one when a rectification
+// mirrors a line that had it. Amounts are in cents; total = subtotal + tax - withholding.
+export const calculateTaxes = async (items, { region = TAX_REGIONS.SPAIN, client = null } = {}) => {
+  const rates = await getTaxRates(client);
+
+  const lines = items.map(item => {
+    const taxRate = resolveLineRate(rates, item, region);
+    const withholdingRate = item.withholdingCode ? rates.get(item.withholdingCode) : null;
+
+    if (item.withholdingCode && !withholdingRate?.isWithholding) {
+      throw new ValidationError(`Unknown withholding ${item.withholdingCode}`);
+    }
+
+    const amount = item.quantity * item.unitPrice;
+
+    return {
+      ...item,
+      amount,
+      taxCode: taxRate.code,
+      taxRate: taxRate.rate,
+      taxAmount: roundCents(amount * taxRate.rate / 100),
+      withholdingCode: withholdingRate?.code || null,
+      withholdingRate: withholdingRate?.rate || 0,
+      withholdingAmount: withholdingRate ? roundCents(amount * withholdingRate.rate / 100) : 0
+    };
+  });
+
+  return {
+    items: lines,
+    ...summarizeTaxes(lines, rates)
+  };
+};
+
+// Split a tax-inclusive total into a single line with its base and tax, for amounts
+// charged without an itemised invoice
+export const calculateTaxesFromTotal = async (item, total, { region = TAX_REGIONS.SPAIN, client = null } = {}) => {
+  const rates = await getTaxRates(client);
+  const taxRate = resolveLineRate(rates, item, region);
+  const amount = roundCents(total / (1 + taxRate.rate / 100));
+
+  const line = {
+    ...item,
+    quantity: 1,
+    unitPrice: amount,
+    amount,
+    taxCode: taxRate.code,
+    taxRate: taxRate.rate,
+    taxAmount: total - amount,
+    withholdingCode: null,
+    withholdingRate: 0,
+    withholdingAmount: 0
+  };
+
+  return {
+    items: [line],
+    ...summarizeTaxes([line], rates)
+  };
+};
+
+// Scale invoice lines to a share of their total (e.g. a partial refund), keeping each line's
+// tax codes. The rounding difference goes to the first base so the total is exact.
+export const prorateTaxes = async (lines, total, { client = null } = {}) => {
+  const rates = await getTaxRates(client);
+  const originalTotal = lines.reduce((sum, line) => sum + line.amount + line.taxAmount - line.withholdingAmount, 0);
+
+  if (lines.length === 0 || originalTotal === 0) {
+    throw new ValidationError('Cannot prorate an invoice without amounts');
+  }
+
+  const ratio = total / originalTotal;
+  const prorated = lines.map(line => {
+    const amount = roundCents(line.amount * ratio);
+    return {
+      ...line,
+      quantity: 1,
+      unitPrice: amount,
+      amount,
+      taxAmount: roundCents(line.taxAmount * ratio),
+      withholdingAmount: roundCents(line.withholdingAmount * ratio)
+    };
+  });
+
+  const proratedTotal = prorated.reduce((sum, line) => sum + line.amount + line.taxAmount - line.withholdingAmount, 0);
+  prorated[0].amount += total - proratedTotal;
+  prorated[0].unitPrice = prorated[0].amount;
+
+  return {
+    items: prorated,
+    ...summarizeTaxes(prorated, rates)
+  };
+};
+
+// Totals and per-code breakdown of lines that already carry their tax amounts
+export const summarizeTaxes = (lines, rates) => {
+  const breakdown = new Map();
+
+  const addToBreakdown = (code, rate, base, amount, isWithholding) => {
+    const entry = breakdown.get(code) || {
+      code,
+      taxType: rates.get(code)?.taxType || null,
+      rate,
+      base: 0,
+      amount: 0,
+      isWithholding,
+      legalNote: rates.get(code)?.legalNote || null
+    };
+    entry.base += base;
+    entry.amount += amount;
+    breakdown.set(code, entry);
+  };
+
+  let subtotal = 0;
+  let tax = 0;
+  let withholding = 0;
+
+  for (const line of lines) {
+    subtotal += line.amount;
+    tax += line.taxAmount;
+    withholding += line.withholdingAmount;
+
+    if (line.taxCode) {
+      addToBreakdown(line.taxCode, line.taxRate, line.amount, line.taxAmount, false);
+    }
+    if (line.withholdingCode) {
+      addToBreakdown(line.withholdingCode, line.withholdingRate, line.amount, line.withholdingAmount, true);
+    }
+  }
+
+  return {
+    subtotal,
+    tax,
+    withholding,
+    total: subtotal + tax - withholding,
+    // Taxes first, withholding last, as printed on the invoice
+    breakdown: [...breakdown.values()].sort((a, b) => a.isWithholding - b.isWithholding)
+  };
+};
+
+// Helper functions
+const resolveLineRate = (rates, item, region) => {
+  const category = item.taxCategory || TAX_CATEGORIES.STANDARD;
+  const taxRate = item.taxCode
+    ? rates.get(item.taxCode)
+    : [...rates.values()].find(rate => rate.region === region && rate.category === category && !rate.isWithholding);
+
+  if (!taxRate || taxRate.isWithholding) {
+    throw new ValidationError(`No tax rate for ${item.taxCode || category} in region ${region}`);
+  }
+
+  return taxRate;
+};
+
+export default {
+  TAX_REGIONS,
+  TAX_CATEGORIES,
+  WITHHOLDING_CODES,
+  getTaxRates,
+  getInvoicingSettings,
+  resolveTaxRegion,
+  calculateTaxes,
+  calculateTaxesFromTotal,
+  prorateTaxes,
+  summarizeTaxes
+};
@@ -0,0 +1,606 @@
+import { query, withTransaction } from '../config/database.js';
+import { logInfo, logError } from '../utils/logger.js';
+import { createAuditLog, AuditActions, RiskLevels } from '../utils/auditLog.js';
+import { NotFoundError, ConflictError } from '../middleware/errorHandler.js';
+import notificationService, { NOTIFICATION_TYPES, NOTIFICATION_CHANNELS, NOTIFICATION_PRIORITIES } from './notificationService.js';
+import {
+  insertAppointment,
+  checkAppointmentAvailability,
+  getProfessionalTimezone,
+  getProfessionalAvailability
+} from './appointmentService.js';
+import {
+  APPOINTMENT_PAYMENT_STATUSES,
+  holdAppointmentForPayment,
+  requestAppointmentPayment
+} from './appointmentPaymentService.js';
+import { getTodayInTimezone, addDays } from '../utils/timezone.js';
+
+// How long a waitlisted patient has to accept an offered slot
+export const OFFER_HOLD_MINUTES = parseInt(process.env.WAITLIST_OFFER_HOLD_MINUTES) || 30;
+
+// How far ahead new availability is matched against waiting entries
+const NEW_AVAILABILITY_LOOKAHEAD_DAYS = 14;
+
+// Join the waitlist of a professional
+export const joinWaitlist = async (entryData, patientId) => {
+  try {
+    logInfo('Joining waitlist', {
+      patientId,
+      professionalId: entryData.professionalId,
+      serviceId: entryData.serviceId
+    });
+
+    const professionalResult = await query(`
+      SELECT id FROM users
+      WHERE id = $1 AND role = 'professional' AND status = 'active'
+    `, [entryData.professionalId]);
+
+    if (professionalResult.rows.length === 0) {
+      throw new NotFoundError('Professional not found or inactive');
+    }
+
+    if (entryData.serviceId) {
+      const serviceResult = await query(`
+        SELECT id FROM professional_services
+        WHERE id = $1 AND professional_id = $2 AND is_active = true
+      `, [entryData.serviceId, entryData.professionalId]);
+
+      if (serviceResult.rows.length === 0) {
+        throw new NotFoundError('Service not found or inactive');
+      }
+    }
+
+    let entry;
+    try {
+      const insertResult = await query(`
+        INSERT INTO waitlist_entries (
+          patient_id, professional_id, service_id, date_from, date_to, notes
+        ) VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `, [
+        patientId,
+        entryData.professionalId,
+        entryData.serviceId || null,
+        entryData.dateFrom || null,
+        entryData.dateTo || null,
+        entryData.notes
+      ]);
+      entry = insertResult.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new ConflictError('You are already on the waitlist for this professional and service');
+      }
+      throw error;
+    }
+
+    await createAuditLog({
+      userId: patientId,
+      action: AuditActions.APPOINTMENT_CREATED,
+      resource: 'waitlist_entry',
+      resourceId: entry.id,
+      details: {
+        professionalId: entry.professional_id,
+        serviceId: entry.service_id,
+        dateFrom: entryData.dateFrom,
+        dateTo: entryData.dateTo
+      },
+      riskLevel: RiskLevels.LOW,
+    });
+
+    logInfo('Waitlist entry created', { entryId: entry.id, patientId });
+
+    return entry;
+
+  } catch (error) {
+    logError(error, {
+      event: 'waitlist_join_failed',
+      patientId,
+      professionalId: entryData.professionalId
+    });
+    throw error;
+  }
+};
+
+// Get waitlist entries with their pending offer, oldest first
+export const getWaitlistEntries = async (filters = {}) => {
+  const whereConditions = [];
+  const params = [];
+
+  if (filters.patientId) {
+    params.push(filters.patientId);
+    whereConditions.push(`we.patient_id = $${params.length}`);
+  }
+
+  if (filters.professionalId) {
+    params.push(filters.professionalId);
+    whereConditions.push(`we.professional_id = $${params.length}`);
+  }
+
+  if (filters.status) {
+    params.push(filters.status);
+    whereConditions.push(`we.status = $${params.length}`);
+  } else {
+    whereConditions.push(`we.status IN ('waiting', 'offered')`);
+  }
+
+  const result = await query(`
+    SELECT
+      we.*,
+      pt.name as patient_name,
+      pr.name as professional_name,
+      ps.name as service_name,
+      (
+        SELECT json_build_object(
+          'id', wo.id,
+          'scheduledDate', to_char(wo.scheduled_date, 'YYYY-MM-DD'),
+          'startTime', wo.start_time,
+          'endTime', wo.end_time,
+          'expiresAt', wo.expires_at
+        )
+        FROM waitlist_offers wo
+        WHERE wo.entry_id = we.id AND wo.status = 'pending'
+        LIMIT 1
+      ) as pending_offer
+    FROM waitlist_entries we
+    JOIN users pt ON we.patient_id = pt.id
+    JOIN users pr ON we.professional_id = pr.id
+    LEFT JOIN professional_services ps ON we.service_id = ps.id
+    WHERE ${whereConditions.join(' AND ')}
+    ORDER BY we.created_at
+  `, params);
+
+  return result.rows;
+};
+
+// Leave the waitlist; a pending offer is released to the next patient
+export const leaveWaitlist = async (entryId, userId) => {
+  const entry = await getEntry(entryId);
+
+  const releasedOffers = await withTransaction(async (client) => {
+    await client.query(`
+      UPDATE waitlist_entries SET status = 'cancelled'
+      WHERE id = $1
+    `, [entryId]);
+
+    const offersResult = await client.query(`
+      UPDATE waitlist_offers
+      SET status = 'declined', responded_at = CURRENT_TIMESTAMP
+      WHERE entry_id = $1 AND status = 'pending'
+      RETURNING *, to_char(scheduled_date, 'YYYY-MM-DD') as slot_date
+    `, [entryId]);
+
+    return offersResult.rows;
+  });
+
+  await createAuditLog({
+    userId,
+    action: AuditActions.APPOINTMENT_CANCELLED,
+    resource: 'waitlist_entry',
+    resourceId: entryId,
+    details: { professionalId: entry.professional_id },
+    riskLevel: RiskLevels.LOW,
+  });
+
+  for (const offer of releasedOffers) {
+    await offerSlotSafely(offerSlotFromOffer(offer));
+  }
+
+  return { ...entry, status: 'cancelled' };
+};
+
+// Offer a free slot to the first matching waitlisted patient.
+// Returns the created offer, or null when nobody on the waitlist can take it.
+export const offerSlot = async ({ professionalId, date, startTime, endTime, entryId = null }) => {
+  const offer = await withTransaction(async (client) => {
+    const slotMinutes = timeToMinutes(endTime) - timeToMinutes(startTime);
+
+    const params = [professionalId, date, startTime, slotMinutes];
+    let entryFilter = '';
+    if (entryId) {
+      params.push(entryId);
+      entryFilter = `AND we.id = $${params.length}`;
+    }
+
+    // Oldest matching entries first; entries already offered this slot are skipped
+    // so an expired or declined offer falls through to the next patient
+    const candidatesResult = await client.query(`
+      SELECT we.*, ps.duration_minutes
+      FROM waitlist_entries we
+      LEFT JOIN professional_services ps ON we.service_id = ps.id
+      WHERE we.professional_id = $1
+        AND we.status = 'waiting'
+        AND (we.date_from IS NULL OR we.date_from <= $2::date)
+        AND (we.date_to IS NULL OR we.date_to >= $2::date)
+        AND COALESCE(ps.duration_minutes, 0) <= $4
+        AND ($2::date + $3::time) > NOW()
+        AND NOT EXISTS (
+          SELECT 1 FROM waitlist_offers wo
+          WHERE wo.entry_id = we.id
+            AND wo.scheduled_date = $2::date
+            AND wo.start_time = $3::time
+        )
+        ${entryFilter}
+      ORDER BY we.created_at
+      FOR UPDATE OF we SKIP LOCKED
+    `, params);
+
+    for (const entry of candidatesResult.rows) {
+      // Entries for a service get a slot sized to that service
+      const offerEndTime = entry.duration_minutes
+        ? minutesToTime(timeToMinutes(startTime) + entry.duration_minutes)
+        : endTime;
+
+      const isAvailable = await checkAppointmentAvailability(
+        client,
+        professionalId,
+        date,
+        startTime,
+        offerEndTime,
+        null,
+        { serviceId: entry.service_id }
+      );
+
+      if (!isAvailable) {
+        continue;
+      }
+
+      const offerResult = await client.query(`
+        INSERT INTO waitlist_offers (
+          entry_id, professional_id, service_id, scheduled_date, start_time, end_time, expires_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7))
+        RETURNING *, to_char(scheduled_date, 'YYYY-MM-DD') as slot_date
+      `, [entry.id, professionalId, entry.service_id, date, startTime, offerEndTime, OFFER_HOLD_MINUTES]);
+
+      await client.query(`
+        UPDATE waitlist_entries SET status = 'offered'
+        WHERE id = $1
+      `, [entry.id]);
+
+      return { ...offerResult.rows[0], patient_id: entry.patient_id };
+    }
+
+    return null;
+  });
+
+  if (offer) {
+    logInfo('Waitlist slot offered', {
+      offerId: offer.id,
+      entryId: offer.entry_id,
+      professionalId,
+      date,
+      startTime
+    });
+
+    await notifyOffer(offer);
+  }
+
+  return offer;
+};
+
+// Offer the slot of a cancelled appointment to the waitlist
+export const offerFreedAppointmentSlot = async (appointmentId) => {
+  try {
+    const result = await query(`
+      SELECT
+        professional_id,
+        to_char(scheduled_date, 'YYYY-MM-DD') as slot_date,
+        start_time,
+        end_time
+      FROM appointments
+      WHERE id = $1
+    `, [appointmentId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return await offerSlotSafely(offerSlotFromOffer(result.rows[0]));
+
+  } catch (error) {
+    logError(error, {
+      event: 'waitlist_freed_slot_failed',
+      appointmentId
+    });
+    return null;
+  }
+};
+
+// Match waiting entries of a professional against newly available slots
+export const offerAvailableSlots = async (professionalId) => {
+  try {
+    const entries = await getWaitlistEntries({ professionalId, status: 'waiting' });
+    const today = getTodayInTimezone(await getProfessionalTimezone(null, professionalId));
+    const horizon = addDays(today, NEW_AVAILABILITY_LOOKAHEAD_DAYS);
+
+    const offers = [];
+
+    for (const entry of entries) {
+      const dateFrom = maxDate(today, formatDateValue(entry.date_from));
+      const dateTo = minDate(horizon, formatDateValue(entry.date_to));
+
+      if (dateFrom > dateTo) {
+        continue;
+      }
+
+      const availability = await getProfessionalAvailability(
+        professionalId,
+        dateFrom,
+        dateTo,
+        { serviceId: entry.service_id }
+      );
+
+      const day = Object.values(availability).find(d => d.isAvailable && d.slots.length > 0);
+      if (!day) {
+        continue;
+      }
+
+      const offer = await offerSlot({
+        professionalId,
+        date: day.date,
+        startTime: day.slots[0].startTime,
+        endTime: day.slots[0].endTime,
+        entryId: entry.id
+      });
+
+      if (offer) {
+        offers.push(offer);
+      }
+    }
+
+    return offers;
+
+  } catch (error) {
+    logError(error, {
+      event: 'waitlist_new_availability_failed',
+      professionalId
+    });
+    return [];
+  }
+};
+
+// Accept an offer: the held slot becomes an appointment, on hold for its payment when the
+// service is paid at booking (as when booking directly)
+export const acceptOffer = async (offerId, patientId) => {
+  try {
+    const result = await withTransaction(async (client) => {
+      const offer = await lockOffer(client, offerId, patientId);
+
+      // Release the hold first so the availability check does not see it
+      await client.query(`
+        UPDATE waitlist_offers
+        SET status = 'accepted', responded_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [offerId]);
+
+      const appointment = await holdAppointmentForPayment(client, await insertAppointment(client, {
+        professionalId: offer.professional_id,
+        patientId,
+        serviceId: offer.service_id,
+        scheduledDate: offer.slot_date,
+        startTime: offer.start_time,
+        endTime: offer.end_time,
+        notes: offer.notes
+      }, patientId));
+
+      await client.query(`
+        UPDATE waitlist_offers SET appointment_id = $1
+        WHERE id = $2
+      `, [appointment.id, offerId]);
+
+      await client.query(`
+        UPDATE waitlist_entries SET status = 'booked'
+        WHERE id = $1
+      `, [offer.entry_id]);
+
+      return { offer: { ...offer, status: 'accepted', appointment_id: appointment.id }, appointment };
+    });
+
+    logInfo('Waitlist offer accepted', {
+      offerId,
+      appointmentId: result.appointment.id,
+      patientId
+    });
+
+    if (result.appointment.payment_status === APPOINTMENT_PAYMENT_STATUSES.AWAITING_PAYMENT) {
+      const payment = await requestAppointmentPayment(result.appointment);
+      return { ...result, appointment: { ...result.appointment, payment } };
+    }
+
+    return result;
+
+  } catch (error) {
+    logError(error, {
+      event: 'waitlist_offer_accept_failed',
+      offerId,
+      patientId
+    });
+    throw error;
+  }
+};
+
+// Decline an offer: the patient stays on the waitlist and the slot moves on
+export const declineOffer = async (offerId, patientId) => {
+  const offer = await withTransaction(async (client) => {
+    const lockedOffer = await lockOffer(client, offerId, patientId);
+
+    await client.query(`
+      UPDATE waitlist_offers
+      SET status = 'declined', responded_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [offerId]);
+
+    await client.query(`
+      UPDATE waitlist_entries SET status = 'waiting'
+      WHERE id = $1 AND status = 'offered'
+    `, [lockedOffer.entry_id]);
+
+    return lockedOffer;
+  });
+
+  logInfo('Waitlist offer declined', { offerId, patientId });
+
+  await offerSlotSafely(offerSlotFromOffer(offer));
+
+  return { ...offer, status: 'declined' };
+};
+
+// Expire unanswered offers and pass their slots to the next patient
+export const expireOffers = async () => {
+  const expiredResult = await query(`
+    UPDATE waitlist_offers
+    SET status = 'expired'
+    WHERE status = 'pending' AND expires_at <= NOW()
+    RETURNING *, to_char(scheduled_date, 'YYYY-MM-DD') as slot_date
+  `);
+
+  const expired = expiredResult.rows;
+  if (expired.length === 0) {
+    return 0;
+  }
+
+  // Patients who let an offer expire keep their place for future slots
+  await query(`
+    UPDATE waitlist_entries SET status = 'waiting'
+    WHERE id = ANY($1) AND status = 'offered'
+  `, [expired.map(offer => offer.entry_id)]);
+
+  logInfo('Waitlist offers expired', { count: expired.length });
+
+  for (const offer of expired) {
+    await offerSlotSafely(offerSlotFromOffer(offer));
+  }
+
+  return expired.length;
+};
+
+// Helper functions
+const getEntry = async (entryId) => {
+  const result = await query(
+    'SELECT * FROM waitlist_entries WHERE id = $1',
+    [entryId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError('Waitlist entry not found');
+  }
+
+  return result.rows[0];
+};
+
+const lockOffer = async (client, offerId, patientId) => {
+  const offerResult = await client.query(`
+    SELECT
+      wo.*,
+      to_char(wo.scheduled_date, 'YYYY-MM-DD') as slot_date,
+      wo.expires_at <= NOW() as is_expired,
+      we.patient_id,
+      we.notes
+    FROM waitlist_offers wo
+    JOIN waitlist_entries we ON wo.entry_id = we.id
+    WHERE wo.id = $1
+    FOR UPDATE OF wo
+  `, [offerId]);
+
+  const offer = offerResult.rows[0];
+
+  if (!offer || offer.patient_id !== patientId) {
+    throw new NotFoundError('Waitlist offer not found');
+  }
+
+  if (offer.status !== 'pending' || offer.is_expired) {
+    throw new ConflictError('This offer is no longer available');
+  }
+
+  return offer;
+};
+
+const offerSlotFromOffer = (row) => ({
+  professionalId: row.professional_id,
+  date: row.slot_date,
+  startTime: row.start_time,
+  endTime: row.end_time
+});
+
+// Offering is a side effect of other operations and must never make them fail
+const offerSlotSafely = async (slot) => {
+  try {
+    return await offerSlot(slot);
+  } catch (error) {
+    logError(error, {
+      event: 'waitlist_offer_failed',
+      ...slot
+    });
+    return null;
+  }
+};
+
+const notifyOffer = async (offer) => {
+  const userResult = await query(`
+    SELECT pt.email, pt.phone, pr.name as professional_name
+    FROM users pt, users pr
+    WHERE pt.id = $1 AND pr.id = $2
+  `, [offer.patient_id, offer.professional_id]);
+
+  const users = userResult.rows[0] || {};
+  const expiresAt = new Date(offer.expires_at);
+
+  await notificationService.sendNotification({
+    userId: offer.patient_id,
+    type: NOTIFICATION_TYPES.WAITLIST_SLOT_OFFERED,
+    channels: [
+      NOTIFICATION_CHANNELS.WEBSOCKET,
+      NOTIFICATION_CHANNELS.EMAIL,
+      NOTIFICATION_CHANNELS.SMS,
+      NOTIFICATION_CHANNELS.PUSH
+    ],
+    priority: NOTIFICATION_PRIORITIES.HIGH,
+    variables: {
+      date: new Date(`${offer.slot_date}T00:00:00`).toLocaleDateString('es-ES'),
+      time: offer.start_time.substring(0, 5),
+      professional: users.professional_name,
+      expiresAt: expiresAt.toLocaleTimeString('es-ES', { hour: '2-digit', minute: '2-digit' })
+    },
+    data: {
+      email: users.email,
+      phone: users.phone,
+      offerId: offer.id,
+      entryId: offer.entry_id,
+      expiresAt: expiresAt.toISOString(),
+      offerUrl: `${process.env.FRONTEND_URL}/patient/waitlist`
+    }
+  });
+};
+
+const formatDateValue = (value) => {
+  if (!value) return null;
+  if (typeof value === 'string') return value.split('T')[0];
+  return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+};
+
+const maxDate = (a, b) => (b && b > a ? b : a);
+const minDate = (a, b) => (b && b < a ? b : a);
+
+const timeToMinutes = (timeString) => {
+  const [hours, minutes] = timeString.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const minutesToTime = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}`;
+};
+
+export default {
+  OFFER_HOLD_MINUTES,
+  joinWaitlist,
+  getWaitlistEntries,
+  leaveWaitlist,
+  offerSlot,
+  offerFreedAppointmentSlot,
+  offerAvailableSlots,
+  acceptOffer,
+  declineOffer,
+  expireOffers,
+};
@@ -35,6 +35,7 @@ export const AuditActions = {
   APPOINTMENT_CREATED: 'appointment_created',
   APPOINTMENT_UPDATED: 'appointment_updated',
   APPOINTMENT_CANCELLED: 'appointment_cancelled',
+  APPOINTMENT_RESCHEDULED: 'appointment_rescheduled',
   APPOINTMENT_COMPLETED: 'appointment_completed',
   
   // Payments
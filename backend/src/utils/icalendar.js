@@ -0,0 +1,293 @@
+/**
+ * iCalendar (RFC 5545) generation for appointment feeds and .ics attachments,
+ * and parsing of external calendars imported as busy times
+ *
+ * Events are written with UTC DTSTART/DTEND so calendar clients place them
+ * correctly whatever their own timezone. UIDs are derived from appointment ids
+ * and stay stable across updates; SEQUENCE grows with every change.
+ */
+
+const PRODUCT_ID = '-//Mundoctor//Appointments//ES';
+const UID_DOMAIN = 'mundoctor.com';
+const MAX_LINE_OCTETS = 75;
+
+// Appointment statuses that calendar clients should show as removed
+const CANCELLED_STATUSES = ['cancelled', 'rescheduled'];
+
+/**
+ * Escapes a TEXT value (backslash, semicolon, comma and newlines)
+ * @param {string} value
+ * @returns {string}
+ */
+export const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 octets continue on the next line after a single space
+const foldLine = (line) => {
+  if (Buffer.byteLength(line) <= MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+};
+
+/**
+ * Formats an instant as a UTC DATE-TIME (e.g. 20270301T083000Z)
+ * @param {Date|string} value
+ * @returns {string}
+ */
+export const formatDateTime = (value) => new Date(value)
+  .toISOString()
+  .replace(/[-:]/g, '')
+  .replace(/\.\d{3}/, '');
+
+/**
+ * Stable UID of an appointment event
+ * @param {string} appointmentId
+ * @returns {string}
+ */
+export const getAppointmentUid = (appointmentId) => `appointment-${appointmentId}@${UID_DOMAIN}`;
+
+const getEventStatus = (status) => {
+  if (CANCELLED_STATUSES.includes(status)) return 'CANCELLED';
+  if (status === 'scheduled') return 'TENTATIVE';
+  return 'CONFIRMED';
+};
+
+/**
+ * Builds the VEVENT lines of an appointment
+ * @param {Object} event - { id, startsAt, endsAt, status, summary, description, location, url, sequence, updatedAt }
+ * @returns {string[]}
+ */
+export const buildEvent = (event) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${getAppointmentUid(event.id)}`,
+    `DTSTAMP:${formatDateTime(event.updatedAt || new Date())}`,
+    `DTSTART:${formatDateTime(event.startsAt)}`,
+    `DTEND:${formatDateTime(event.endsAt)}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `STATUS:${getEventStatus(event.status)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+
+  lines.push('END:VEVENT');
+  return lines;
+};
+
+/**
+ * Builds a complete VCALENDAR document
+ * @param {Object[]} events - Events as accepted by buildEvent
+ * @param {Object} options - { name, method, refreshMinutes }
+ * @returns {string}
+ */
+export const buildCalendar = (events, options = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    `METHOD:${options.method || 'PUBLISH'}`
+  ];
+
+  if (options.name) {
+    lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+  }
+  if (options.refreshMinutes) {
+    lines.push(`REFRESH-INTERVAL;VALUE=DURATION:PT${options.refreshMinutes}M`);
+    lines.push(`X-PUBLISHED-TTL:PT${options.refreshMinutes}M`);
+  }
+
+  for (const event of events) {
+    lines.push(...buildEvent(event));
+  }
+
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Splits a content line into name, parameters and value; quoted parameter values may contain ':' or ';'
+const parseContentLine = (line) => {
+  let inQuotes = false;
+  let separator = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') {
+      inQuotes = !inQuotes;
+    } else if (line[i] === ':' && !inQuotes) {
+      separator = i;
+      break;
+    }
+  }
+
+  if (separator === -1) {
+    return null;
+  }
+
+  const [name, ...rawParams] = line.slice(0, separator).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+  for (const param of rawParams) {
+    const [key, ...rest] = param.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  }
+
+  return { name: name.toUpperCase(), params, value: line.slice(separator + 1) };
+};
+
+/**
+ * Parses a DATE or DATE-TIME value
+ * @param {string} value - e.g. 20270301, 20270301T083000, 20270301T083000Z
+ * @param {Object} params - Property parameters (TZID, VALUE)
+ * @returns {Object|null} - { date, time, allDay, utc, timezone }; time is null for all-day values
+ */
+export const parseDateValue = (value, params = {}) => {
+  const match = value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const date = `${match[1]}-${match[2]}-${match[3]}`;
+
+  if (!match[4] || params.VALUE === 'DATE') {
+    return { date, time: null, allDay: true, utc: false, timezone: null };
+  }
+
+  return {
+    date,
+    time: `${match[4]}:${match[5]}`,
+    allDay: false,
+    utc: !!match[7],
+    timezone: match[7] ? null : (params.TZID || null)
+  };
+};
+
+/**
+ * Parses a DURATION value (e.g. PT1H30M, P1D)
+ * @param {string} value
+ * @returns {number|null} - Milliseconds
+ */
+export const parseDuration = (value) => {
+  const match = value.trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = ((((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000;
+
+  return sign === '-' ? -total : total;
+};
+
+/**
+ * Parses the VEVENTs of an iCalendar document. Alarms, timezones and other
+ * components are skipped; times are returned as written, without resolving timezones.
+ * @param {string} text - iCalendar document
+ * @returns {Object[]} - { uid, start, end, duration, status, transparency, rrule, exdates, recurrenceId }
+ */
+export const parseCalendar = (text) => {
+  const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+
+  const events = [];
+  const components = [];
+  let event = null;
+
+  for (const line of lines) {
+    const property = parseContentLine(line);
+    if (!property) {
+      continue;
+    }
+
+    if (property.name === 'BEGIN') {
+      components.push(property.value.toUpperCase());
+      if (property.value.toUpperCase() === 'VEVENT') {
+        event = { uid: null, start: null, end: null, duration: null, status: null, transparency: null, rrule: null, exdates: [], recurrenceId: null };
+      }
+      continue;
+    }
+
+    if (property.name === 'END') {
+      if (components.pop() === 'VEVENT' && event) {
+        if (event.start) {
+          events.push(event);
+        }
+        event = null;
+      }
+      continue;
+    }
+
+    // Only direct properties of a VEVENT (not of its VALARMs)
+    if (!event || components[components.length - 1] !== 'VEVENT') {
+      continue;
+    }
+
+    switch (property.name) {
+      case 'UID':
+        event.uid = property.value;
+        break;
+      case 'DTSTART':
+        event.start = parseDateValue(property.value, property.params);
+        break;
+      case 'DTEND':
+        event.end = parseDateValue(property.value, property.params);
+        break;
+      case 'DURATION':
+        event.duration = parseDuration(property.value);
+        break;
+      case 'STATUS':
+        event.status = property.value.toUpperCase();
+        break;
+      case 'TRANSP':
+        event.transparency = property.value.toUpperCase();
+        break;
+      case 'RRULE':
+        event.rrule = property.value;
+        break;
+      case 'EXDATE':
+        event.exdates.push(...property.value.split(',')
+          .map(value => parseDateValue(value, property.params))
+          .filter(Boolean));
+        break;
+      case 'RECURRENCE-ID':
+        event.recurrenceId = parseDateValue(property.value, property.params);
+        break;
+    }
+  }
+
+  return events;
+};
+
+export default {
+  escapeText,
+  formatDateTime,
+  getAppointmentUid,
+  buildEvent,
+  buildCalendar,
+  parseDateValue,
+  parseDuration,
+  parseCalendar
+};
@@ -10,19 +10,19 @@ const __dirname = path.dirname(__filename);
 
 class PDFGenerator {
   constructor() {
+    // Issuer details come with each document (invoicing settings); these only fill the gaps
     this.companyInfo = {
       name: 'Mundoctor',
-      address: 'Av. Revolución 1234, Col. Centro',
-      city: 'Ciudad de México, CDMX 06000',
-      country: 'México',
-      phone: '+52 55 1234 5678',
-      email: 'facturacion@mundoctor.com',
       website: 'www.mundoctor.com',
-      rfc: 'MUN123456789',
       logo: null // Path to logo image
     };
   }
 
+  // Issuer block of a document, as stored on the invoice when it was issued
+  getCompanyInfo(documentData) {
+    return { ...this.companyInfo, ...(documentData.companyInfo || {}) };
+  }
+
   // Generate invoice PDF
   async generateInvoice(invoiceData) {
     try {
@@ -61,29 +61,12 @@ class PDFGenerator {
 
   // Add invoice header
   addInvoiceHeader(doc, invoiceData) {
-    // Company logo (if available)
-    if (this.companyInfo.logo && fs.existsSync(this.companyInfo.logo)) {
-      doc.image(this.companyInfo.logo, 50, 45, { width: 100 });
-    }
-
-    // Company info
-    doc.fontSize(20)
-       .fillColor('#2563eb')
-       .text(this.companyInfo.name, 50, 45, { align: 'right' });
-
-    doc.fontSize(10)
-       .fillColor('#666666')
-       .text(this.companyInfo.address, 50, 75, { align: 'right' })
-       .text(this.companyInfo.city, 50, 90, { align: 'right' })
-       .text(this.companyInfo.country, 50, 105, { align: 'right' })
-       .text(`Tel: ${this.companyInfo.phone}`, 50, 120, { align: 'right' })
-       .text(`Email: ${this.companyInfo.email}`, 50, 135, { align: 'right' })
-       .text(`RFC: ${this.companyInfo.rfc}`, 50, 150, { align: 'right' });
+    this.addCompanyBlock(doc, this.getCompanyInfo(invoiceData));
 
     // Invoice title
     doc.fontSize(28)
        .fillColor('#2563eb')
-       .text('FACTURA', 50, 200);
+       .text(invoiceData.invoiceType === 'credit_note' ? 'FACTURA RECTIFICATIVA' : 'FACTURA', 50, 200);
 
     // Draw line
     doc.moveTo(50, 240)
@@ -91,6 +74,28 @@ class PDFGenerator {
        .stroke('#e5e7eb');
   }
 
+  // Issuer logo and details, top right
+  addCompanyBlock(doc, company) {
+    // Company logo (if available)
+    if (company.logo && fs.existsSync(company.logo)) {
+      doc.image(company.logo, 50, 45, { width: 100 });
+    }
+
+    // Company info
+    doc.fontSize(20)
+       .fillColor('#2563eb')
+       .text(company.name, 50, 45, { align: 'right' });
+
+    doc.fontSize(10)
+       .fillColor('#666666')
+       .text(company.address || '', 50, 75, { align: 'right' })
+       .text(`${company.postalCode || ''} ${company.city || ''}`.trim(), 50, 90, { align: 'right' })
+       .text(company.country || '', 50, 105, { align: 'right' })
+       .text(`Tel: ${company.phone || ''}`, 50, 120, { align: 'right' })
+       .text(`Email: ${company.email || ''}`, 50, 135, { align: 'right' })
+       .text(`NIF: ${company.taxId || ''}`, 50, 150, { align: 'right' });
+  }
+
   // Add invoice details
   addInvoiceDetails(doc, invoiceData) {
     const y = 260;
@@ -109,7 +114,7 @@ class PDFGenerator {
        .text('Fecha:', 50, y + 20)
        .fontSize(12)
        .fillColor('#666666')
-       .text(new Date(invoiceData.createdAt).toLocaleDateString('es-MX'), 180, y + 20);
+       .text(new Date(invoiceData.createdAt).toLocaleDateString('es-ES'), 180, y + 20);
 
     // Due date
     doc.fontSize(12)
@@ -117,7 +122,7 @@ class PDFGenerator {
        .text('Fecha de Vencimiento:', 50, y + 40)
        .fontSize(12)
        .fillColor('#666666')
-       .text(new Date(invoiceData.dueDate).toLocaleDateString('es-MX'), 180, y + 40);
+       .text(new Date(invoiceData.dueDate).toLocaleDateString('es-ES'), 180, y + 40);
 
     // Status
     const statusColor = this.getStatusColor(invoiceData.status);
@@ -127,6 +132,16 @@ class PDFGenerator {
        .fontSize(12)
        .fillColor(statusColor)
        .text(this.getStatusText(invoiceData.status), 180, y + 60);
+
+    // Rectifying invoices name the invoice they correct
+    if (invoiceData.originalInvoiceNumber) {
+      doc.fontSize(12)
+         .fillColor('#333333')
+         .text('Rectifica a:', 50, y + 80)
+         .fontSize(12)
+         .fillColor('#666666')
+         .text(`${invoiceData.originalInvoiceNumber} (${invoiceData.rectificationReason})`, 180, y + 80);
+    }
   }
 
   // Add customer information
@@ -148,8 +163,8 @@ class PDFGenerator {
 
     if (customer.address) {
       doc.text(customer.address, 50, y + 85)
-         .text(`${customer.city || ''}, ${customer.state || ''} ${customer.postalCode || ''}`, 50, y + 105)
-         .text(customer.country || 'México', 50, y + 125);
+         .text(`${customer.postalCode || ''} ${customer.city || ''}, ${customer.state || ''}`, 50, y + 105)
+         .text(customer.country || 'España', 50, y + 125);
     }
 
     // Draw line
@@ -202,31 +217,35 @@ class PDFGenerator {
     return currentY + 30;
   }
 
-  // Add invoice totals
+  // Add invoice totals: base, one line per tax code and withholding, then the total
   addInvoiceTotals(doc, invoiceData) {
-    const y = 650;
+    const taxLines = (invoiceData.taxBreakdown || []).filter(entry => entry.amount !== 0);
+    let y = 650 - taxLines.length * 20;
 
     // Subtotal
     doc.fontSize(12)
        .fillColor('#333333')
-       .text('Subtotal:', 400, y, { width: 80, align: 'right' })
+       .text('Base imponible:', 330, y, { width: 150, align: 'right' })
        .text(formatCurrency(invoiceData.subtotal, invoiceData.currency), 480, y, { width: 100, align: 'right' });
 
-    // Tax
-    if (invoiceData.tax > 0) {
-      doc.text('IVA (16%):', 400, y + 20, { width: 80, align: 'right' })
-         .text(formatCurrency(invoiceData.tax, invoiceData.currency), 480, y + 20, { width: 100, align: 'right' });
-    }
+    // Taxes and withholding (withholding is subtracted)
+    taxLines.forEach(entry => {
+      y += 20;
+      const label = entry.isWithholding ? `Retención IRPF (${entry.rate}%):` : `${entry.taxType} (${entry.rate}%):`;
+      const amount = entry.isWithholding ? -entry.amount : entry.amount;
+      doc.text(label, 330, y, { width: 150, align: 'right' })
+         .text(formatCurrency(amount, invoiceData.currency), 480, y, { width: 100, align: 'right' });
+    });
 
     // Total
     doc.fontSize(14)
        .fillColor('#2563eb')
-       .text('Total:', 400, y + 40, { width: 80, align: 'right' })
-       .text(formatCurrency(invoiceData.total, invoiceData.currency), 480, y + 40, { width: 100, align: 'right' });
+       .text('Total:', 330, y + 25, { width: 150, align: 'right' })
+       .text(formatCurrency(invoiceData.total, invoiceData.currency), 480, y + 25, { width: 100, align: 'right' });
 
     // Draw line above total
-    doc.moveTo(400, y + 35)
-       .lineTo(580, y + 35)
+    doc.moveTo(400, y + 20)
+       .lineTo(580, y + 20)
        .stroke('#2563eb');
   }
 
@@ -234,12 +253,16 @@ class PDFGenerator {
   addInvoiceFooter(doc, invoiceData) {
     const y = 720;
 
+    // Exemption and non-subjection texts required for lines without tax
+    const legalNotes = [...new Set((invoiceData.taxBreakdown || []).map(entry => entry.legalNote).filter(Boolean))];
+    const notes = [invoiceData.notes, ...legalNotes].filter(Boolean).join('\n');
+
     // Payment info
-    if (invoiceData.notes) {
+    if (notes) {
       doc.fontSize(10)
          .fillColor('#666666')
          .text('Notas:', 50, y)
-         .text(invoiceData.notes, 50, y + 15, { width: 500 });
+         .text(notes, 50, y + 15, { width: 500 });
     }
 
     // Terms and conditions
@@ -253,7 +276,7 @@ class PDFGenerator {
     // Footer
     doc.fontSize(8)
        .fillColor('#cccccc')
-       .text(`Generado el ${new Date().toLocaleDateString('es-MX')} por ${this.companyInfo.name}`, 50, y + 130, { align: 'center' });
+       .text(`Generado el ${new Date().toLocaleDateString('es-ES')} por ${this.getCompanyInfo(invoiceData).name}`, 50, y + 130, { align: 'center' });
   }
 
   // Generate payment receipt
@@ -290,16 +313,18 @@ class PDFGenerator {
 
   // Add receipt header
   addReceiptHeader(doc, paymentData) {
+    const company = this.getCompanyInfo(paymentData);
+
     // Company info
     doc.fontSize(20)
        .fillColor('#2563eb')
-       .text(this.companyInfo.name, 50, 45, { align: 'center' });
+       .text(company.name, 50, 45, { align: 'center' });
 
     doc.fontSize(10)
        .fillColor('#666666')
-       .text(this.companyInfo.address, 50, 75, { align: 'center' })
-       .text(this.companyInfo.city, 50, 90, { align: 'center' })
-       .text(`Tel: ${this.companyInfo.phone}`, 50, 105, { align: 'center' });
+       .text(company.address || '', 50, 75, { align: 'center' })
+       .text(`${company.postalCode || ''} ${company.city || ''}`.trim(), 50, 90, { align: 'center' })
+       .text(`Tel: ${company.phone || ''}`, 50, 105, { align: 'center' });
 
     // Receipt title
     doc.fontSize(24)
@@ -322,7 +347,7 @@ class PDFGenerator {
        .text('ID de Pago:', 50, y)
        .text(paymentData.id, 200, y)
        .text('Fecha:', 50, y + 25)
-       .text(new Date(paymentData.createdAt).toLocaleDateString('es-MX'), 200, y + 25)
+       .text(new Date(paymentData.createdAt).toLocaleDateString('es-ES'), 200, y + 25)
        .text('Monto:', 50, y + 50)
        .text(formatCurrency(paymentData.amount, paymentData.currency), 200, y + 50)
        .text('Método de Pago:', 50, y + 75)
@@ -348,13 +373,168 @@ class PDFGenerator {
 
     doc.fontSize(8)
        .fillColor('#cccccc')
-       .text(`Generado el ${new Date().toLocaleDateString('es-MX')} por ${this.companyInfo.name}`, 50, y + 50, { align: 'center' });
+       .text(`Generado el ${new Date().toLocaleDateString('es-ES')} por ${this.getCompanyInfo(paymentData).name}`, 50, y + 50, { align: 'center' });
+  }
+
+  // Generate the statement of a payout to a professional: the ledger entries it settles
+  // and the amount transferred, with the same layout as invoices
+  async generatePayoutStatement(statementData) {
+    try {
+      logger.info(`Generating payout statement PDF for payout ${statementData.id}`);
+
+      const doc = new PDFDocument({ margin: 50 });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+
+      return new Promise((resolve, reject) => {
+        doc.on('end', () => {
+          const pdfBuffer = Buffer.concat(chunks);
+          resolve(pdfBuffer);
+        });
+
+        doc.on('error', reject);
+
+        this.addStatementHeader(doc, statementData);
+        const y = this.addStatementEntries(doc, statementData);
+        this.addStatementTotals(doc, statementData, y);
+
+        doc.fontSize(8)
+           .fillColor('#cccccc')
+           .text(`Generado el ${new Date().toLocaleDateString('es-ES')} por ${this.getCompanyInfo(statementData).name}`, 50, 750, { align: 'center' });
+
+        doc.end();
+      });
+
+    } catch (error) {
+      logger.error('Error generating payout statement PDF:', error);
+      throw error;
+    }
+  }
+
+  // Add payout statement header, details and payee
+  addStatementHeader(doc, statementData) {
+    this.addCompanyBlock(doc, this.getCompanyInfo(statementData));
+
+    doc.fontSize(28)
+       .fillColor('#2563eb')
+       .text('LIQUIDACIÓN', 50, 200);
+
+    doc.moveTo(50, 240)
+       .lineTo(550, 240)
+       .stroke('#e5e7eb');
+
+    const y = 260;
+    const professional = statementData.professional || {};
+
+    doc.fontSize(12)
+       .fillColor('#333333')
+       .text('Liquidación:', 50, y)
+       .fillColor('#2563eb')
+       .text(statementData.id, 180, y)
+       .fillColor('#333333')
+       .text('Fecha:', 50, y + 20)
+       .fillColor('#666666')
+       .text(new Date(statementData.createdAt).toLocaleDateString('es-ES'), 180, y + 20)
+       .fillColor('#333333')
+       .text('Periodo hasta:', 50, y + 40)
+       .fillColor('#666666')
+       .text(new Date(statementData.periodEnd).toLocaleDateString('es-ES'), 180, y + 40)
+       .fillColor('#333333')
+       .text('Estado:', 50, y + 60)
+       .fillColor(this.getStatusColor(statementData.status))
+       .text(this.getStatusText(statementData.status), 180, y + 60);
+
+    doc.fontSize(14)
+       .fillColor('#333333')
+       .text('Profesional:', 330, y);
+
+    doc.fontSize(12)
+       .fillColor('#666666')
+       .text(professional.name || 'N/A', 330, y + 25)
+       .text(professional.email || '', 330, y + 45)
+       .text(professional.taxId ? `NIF: ${professional.taxId}` : '', 330, y + 65);
+
+    doc.moveTo(50, y + 100)
+       .lineTo(550, y + 100)
+       .stroke('#e5e7eb');
+  }
+
+  // Add one row per ledger entry; returns where the table ends
+  addStatementEntries(doc, statementData) {
+    const y = 380;
+
+    doc.fontSize(12)
+       .fillColor('#333333')
+       .text('Fecha', 50, y, { width: 80 })
+       .text('Concepto', 130, y, { width: 320 })
+       .text('Importe', 450, y, { width: 100, align: 'right' });
+
+    doc.moveTo(50, y + 20)
+       .lineTo(550, y + 20)
+       .stroke('#e5e7eb');
+
+    let currentY = y + 35;
+    statementData.entries.forEach(entry => {
+      doc.fontSize(10)
+         .fillColor('#666666')
+         .text(new Date(entry.createdAt).toLocaleDateString('es-ES'), 50, currentY, { width: 80 })
+         .text(entry.description, 130, currentY, { width: 320 })
+         .fillColor(entry.amount < 0 ? '#dc2626' : '#666666')
+         .text(formatCurrency(entry.amount, statementData.currency), 450, currentY, { width: 100, align: 'right' });
+
+      currentY += 22;
+
+      if (currentY > 700) {
+        doc.addPage();
+        currentY = 50;
+      }
+    });
+
+    doc.moveTo(50, currentY + 10)
+       .lineTo(550, currentY + 10)
+       .stroke('#e5e7eb');
+
+    return currentY + 30;
+  }
+
+  // Add gross earnings, commission, refunds and the amount transferred
+  addStatementTotals(doc, statementData, startY) {
+    let y = startY;
+    if (y > 620) {
+      doc.addPage();
+      y = 50;
+    }
+
+    const totals = statementData.totals;
+    const lines = [
+      ['Ingresos por citas:', totals.earnings],
+      ['Comisión de la plataforma:', totals.commission],
+      ['Reembolsos:', totals.refunds],
+      ['Otros ajustes:', totals.adjustments]
+    ].filter(([, amount], index) => index < 2 || amount !== 0);
+
+    doc.fontSize(12).fillColor('#333333');
+    lines.forEach(([label, amount]) => {
+      doc.text(label, 280, y, { width: 200, align: 'right' })
+         .text(formatCurrency(amount, statementData.currency), 480, y, { width: 100, align: 'right' });
+      y += 20;
+    });
+
+    doc.moveTo(400, y)
+       .lineTo(580, y)
+       .stroke('#2563eb');
+
+    doc.fontSize(14)
+       .fillColor('#2563eb')
+       .text('Total transferido:', 280, y + 5, { width: 200, align: 'right' })
+       .text(formatCurrency(statementData.amount, statementData.currency), 480, y + 5, { width: 100, align: 'right' });
   }
 
-  // Save PDF to file
-  async savePDFToFile(pdfBuffer, filename) {
+  // Save PDF to file, under uploads/<directory>
+  async savePDFToFile(pdfBuffer, filename, directory = 'invoices') {
     try {
-      const uploadsDir = path.join(__dirname, '../../uploads/invoices');
+      const uploadsDir = path.join(__dirname, '../../uploads', directory);
       
       // Create directory if it doesn't exist
       if (!fs.existsSync(uploadsDir)) {
@@ -383,6 +563,7 @@ class PDFGenerator {
       'cancelled': '#ef4444',
       'completed': '#10b981',
       'pending': '#f59e0b',
+      'in_transit': '#3b82f6',
       'failed': '#ef4444'
     };
     return colors[status] || '#6b7280';
@@ -397,6 +578,7 @@ class PDFGenerator {
       'cancelled': 'Cancelado',
       'completed': 'Completado',
       'pending': 'Pendiente',
+      'in_transit': 'En tránsito',
       'failed': 'Fallido'
     };
     return texts[status] || status;
@@ -429,7 +611,7 @@ class PDFGenerator {
         unitPrice: subscriptionData.amount,
         amount: subscriptionData.amount
       }],
-      notes: `Suscripción válida desde ${new Date(subscriptionData.currentPeriodStart).toLocaleDateString('es-MX')} hasta ${new Date(subscriptionData.currentPeriodEnd).toLocaleDateString('es-MX')}`
+      notes: `Suscripción válida desde ${new Date(subscriptionData.currentPeriodStart).toLocaleDateString('es-ES')} hasta ${new Date(subscriptionData.currentPeriodEnd).toLocaleDateString('es-ES')}`
     };
 
     return this.generateInvoice(enhancedInvoiceData);
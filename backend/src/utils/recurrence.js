@@ -0,0 +1,190 @@
+/**
+ * Weekly recurrence rules (RRULE subset) for appointment series
+ *
+ * Supported: FREQ=WEEKLY with INTERVAL, BYDAY, UNTIL and COUNT, e.g.
+ * FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;UNTIL=20270630
+ * Imported calendars may also use FREQ=DAILY and open-ended rules.
+ */
+
+import { ValidationError } from '../middleware/errorHandler.js';
+
+export const MAX_SERIES_OCCURRENCES = 100;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Dates are handled as UTC midnights so DST changes never shift a day
+const parseDate = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+};
+
+const formatDate = (timestamp) => new Date(timestamp).toISOString().split('T')[0];
+
+/**
+ * Builds an RRULE string from a recurrence object
+ * @param {Object} recurrence - { interval, byDay: ['monday', ...], until: 'YYYY-MM-DD', count }
+ * @returns {string}
+ */
+export const formatRecurrenceRule = ({ interval = 1, byDay = [], until, count }) => {
+  const parts = ['FREQ=WEEKLY', `INTERVAL=${interval}`];
+
+  if (byDay.length > 0) {
+    parts.push(`BYDAY=${byDay.map(day => WEEKDAY_CODES[WEEKDAYS.indexOf(day)]).join(',')}`);
+  }
+  if (until) {
+    parts.push(`UNTIL=${until.replace(/-/g, '')}`);
+  }
+  if (count) {
+    parts.push(`COUNT=${count}`);
+  }
+
+  return parts.join(';');
+};
+
+/**
+ * Parses an RRULE string into a recurrence object
+ * @param {string} rule - RRULE string (with or without the "RRULE:" prefix)
+ * @param {Object} options - { frequencies: allowed FREQ values, requireEnd: UNTIL or COUNT is mandatory }
+ * @returns {Object} - { frequency, interval, byDay, until, count }
+ */
+export const parseRecurrenceRule = (rule, options = {}) => {
+  const { frequencies = ['weekly'], requireEnd = true } = options;
+  const recurrence = { frequency: null, interval: 1, byDay: [], until: null, count: null };
+
+  for (const part of rule.replace(/^RRULE:/i, '').split(';').filter(Boolean)) {
+    const [key, value] = part.split('=');
+
+    switch (key.toUpperCase()) {
+      case 'FREQ':
+        recurrence.frequency = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        recurrence.interval = parseInt(value);
+        break;
+      case 'BYDAY':
+        recurrence.byDay = value.split(',').map(code => {
+          const index = WEEKDAY_CODES.indexOf(code.toUpperCase());
+          if (index === -1) {
+            throw new ValidationError(`Unsupported BYDAY value: ${code}`);
+          }
+          return WEEKDAYS[index];
+        });
+        break;
+      case 'UNTIL': {
+        const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+        if (!match) {
+          throw new ValidationError(`Invalid UNTIL value: ${value}`);
+        }
+        recurrence.until = `${match[1]}-${match[2]}-${match[3]}`;
+        break;
+      }
+      case 'COUNT':
+        recurrence.count = parseInt(value);
+        break;
+      case 'WKST':
+        // Weeks always start on Monday, the RFC 5545 default
+        if (value.toUpperCase() !== 'MO') {
+          throw new ValidationError(`Unsupported WKST value: ${value}`);
+        }
+        break;
+      default:
+        throw new ValidationError(`Unsupported recurrence rule part: ${key}`);
+    }
+  }
+
+  if (!frequencies.includes(recurrence.frequency)) {
+    throw new ValidationError(`Only ${frequencies.join(' and ')} recurrences are supported`);
+  }
+  if (recurrence.frequency === 'daily' && recurrence.byDay.length > 0) {
+    throw new ValidationError('BYDAY is not supported on daily recurrences');
+  }
+  if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1) {
+    throw new ValidationError('Recurrence interval must be a positive integer');
+  }
+  if (requireEnd && !recurrence.until && !recurrence.count) {
+    throw new ValidationError('Recurrence must end with an UNTIL date or a COUNT');
+  }
+
+  return recurrence;
+};
+
+/**
+ * Expands a recurrence into occurrence dates starting at startDate
+ * @param {string} startDate - First possible date (YYYY-MM-DD)
+ * @param {Object} recurrence - { frequency, interval, byDay, until, count }; weekly unless frequency is 'daily'
+ * @param {Object} options - { maxOccurrences, from }; occurrences before `from` (YYYY-MM-DD) still
+ *   count towards COUNT but are neither returned nor limited by maxOccurrences
+ * @returns {string[]} - Occurrence dates (YYYY-MM-DD), in order
+ */
+export const expandRecurrence = (startDate, recurrence, options = {}) => {
+  const { maxOccurrences = MAX_SERIES_OCCURRENCES } = options;
+  const start = parseDate(startDate);
+  const until = recurrence.until ? parseDate(recurrence.until) : null;
+  const from = options.from ? parseDate(options.from) : start;
+
+  if (until === null && !recurrence.count) {
+    throw new ValidationError('Recurrence must end with an until date or a count');
+  }
+
+  // A daily rule is a weekly rule on every weekday, stepped by days instead of weeks
+  if (recurrence.frequency === 'daily') {
+    const dates = [];
+    let generated = 0;
+    for (let date = start; until === null || date <= until; date += recurrence.interval * DAY_MS) {
+      if (recurrence.count && generated >= recurrence.count) {
+        break;
+      }
+      generated++;
+      if (date < from) {
+        continue;
+      }
+      if (dates.length >= maxOccurrences) {
+        throw new ValidationError(`A series cannot have more than ${maxOccurrences} occurrences`);
+      }
+      dates.push(formatDate(date));
+    }
+    return dates;
+  }
+
+  const byDay = recurrence.byDay?.length > 0
+    ? recurrence.byDay
+    : [WEEKDAYS[new Date(start).getUTCDay()]];
+
+  // Offsets from Monday, the week start (RFC 5545 default WKST)
+  const offsets = [...new Set(byDay.map(day => (WEEKDAYS.indexOf(day) + 6) % 7))].sort((a, b) => a - b);
+  const firstWeek = start - ((new Date(start).getUTCDay() + 6) % 7) * DAY_MS;
+
+  const dates = [];
+  let generated = 0;
+
+  for (let week = firstWeek; ; week += 7 * recurrence.interval * DAY_MS) {
+    for (const offset of offsets) {
+      const date = week + offset * DAY_MS;
+
+      if (date < start) {
+        continue;
+      }
+      if ((until !== null && date > until) || (recurrence.count && generated >= recurrence.count)) {
+        return dates;
+      }
+      generated++;
+      if (date < from) {
+        continue;
+      }
+      if (dates.length >= maxOccurrences) {
+        throw new ValidationError(`A series cannot have more than ${maxOccurrences} occurrences`);
+      }
+
+      dates.push(formatDate(date));
+    }
+  }
+};
+
+export default {
+  MAX_SERIES_OCCURRENCES,
+  formatRecurrenceRule,
+  parseRecurrenceRule,
+  expandRecurrence
+};
@@ -0,0 +1,167 @@
+/**
+ * Timezone helpers for scheduling
+ *
+ * Schedules, slots and appointments are stored as wall-clock times in the
+ * professional's IANA timezone. These helpers convert between those local
+ * times and UTC instants using Intl, so results never depend on the server's
+ * own timezone.
+ */
+
+export const DEFAULT_TIMEZONE = 'Europe/Madrid';
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const pad = (value) => value.toString().padStart(2, '0');
+
+/**
+ * Checks that a string is a timezone known to the runtime (e.g. 'Atlantic/Canary')
+ * @param {string} timezone
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timezone) => {
+  if (!timezone) return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Local date and time of an instant in a timezone
+ * @param {Date} instant
+ * @param {string} timezone
+ * @returns {Object} - { date: 'YYYY-MM-DD', time: 'HH:MM', minutes, seconds }
+ */
+export const getZonedParts = (instant, timezone) => {
+  const parts = {};
+  for (const part of getFormatter(timezone).formatToParts(instant)) {
+    parts[part.type] = part.value;
+  }
+
+  const hour = parseInt(parts.hour);
+  const minute = parseInt(parts.minute);
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${pad(hour)}:${pad(minute)}`,
+    minutes: hour * 60 + minute,
+    seconds: parseInt(parts.second)
+  };
+};
+
+// Offset of the timezone from UTC at an instant, in milliseconds
+const getOffset = (timestamp, timezone) => {
+  const { date, minutes, seconds } = getZonedParts(new Date(timestamp), timezone);
+  const [year, month, day] = date.split('-').map(Number);
+  const asUtc = Date.UTC(year, month - 1, day) + minutes * 60 * 1000 + seconds * 1000;
+  return asUtc - Math.floor(timestamp / 1000) * 1000;
+};
+
+/**
+ * UTC instant of a local date and time in a timezone.
+ * Times inside a DST gap resolve to the instant after the gap.
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM or HH:MM:SS
+ * @param {string} timezone
+ * @returns {Date}
+ */
+export const zonedTimeToUtc = (date, time, timezone) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hours, minutes] = time.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes);
+
+  // Use the offset at the guessed instant, then correct once if the guess crossed a DST change
+  const firstGuess = wallClock - getOffset(wallClock, timezone);
+  const offset = getOffset(firstGuess, timezone);
+
+  return new Date(wallClock - offset);
+};
+
+/**
+ * Local rendering of an instant for someone in another timezone
+ * @param {Date} instant
+ * @param {string} timezone
+ * @returns {Object} - { timezone, date, time }
+ */
+export const toLocalRendering = (instant, timezone) => {
+  const { date, time } = getZonedParts(instant, timezone);
+  return { timezone, date, time };
+};
+
+/**
+ * Today's date in a timezone
+ * @param {string} timezone
+ * @param {Date} now
+ * @returns {string} - YYYY-MM-DD
+ */
+export const getTodayInTimezone = (timezone, now = new Date()) => getZonedParts(now, timezone).date;
+
+// Calendar dates are handled as UTC midnights so DST never shifts a day
+
+/**
+ * Day of the week of a calendar date
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {string} - 'monday', 'tuesday', ...
+ */
+export const getDayOfWeek = (dateString) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return WEEKDAYS[new Date(Date.UTC(year, month - 1, day)).getUTCDay()];
+};
+
+/**
+ * Adds a number of days to a calendar date
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} - YYYY-MM-DD
+ */
+export const addDays = (dateString, days) => {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day) + days * DAY_MS).toISOString().split('T')[0];
+};
+
+/**
+ * Every calendar date from dateFrom to dateTo, both included
+ * @param {string} dateFrom - YYYY-MM-DD
+ * @param {string} dateTo - YYYY-MM-DD
+ * @returns {string[]}
+ */
+export const getDateRange = (dateFrom, dateTo) => {
+  const dates = [];
+  for (let date = dateFrom; date <= dateTo; date = addDays(date, 1)) {
+    dates.push(date);
+  }
+  return dates;
+};
+
+export default {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getZonedParts,
+  zonedTimeToUtc,
+  toLocalRendering,
+  getTodayInTimezone,
+  getDayOfWeek,
+  addDays,
+  getDateRange
+};
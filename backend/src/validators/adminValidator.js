@@ -1,5 +1,5 @@
 import { body, query, param, validationResult } from 'express-validator';
-import { errorResponse } from '../utils/responses.js';
+import { errorResponse, validationErrorResponse } from '../utils/responses.js';
 
 // Validación para filtros de usuarios
 export const validateUserFilters = [
@@ -437,6 +437,180 @@ export const validateAdminActionFilters = [
   }
 ];
 
+// Validación para filtros de códigos de descuento
+export const validateDiscountCodeFilters = [
+  query('search')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('La búsqueda no puede exceder 50 caracteres'),
+
+  query('status')
+    .optional()
+    .isIn(['active', 'inactive'])
+    .withMessage('El estado debe ser: active o inactive'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser mayor que 0'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe estar entre 1 y 100'),
+
+  // Middleware para procesar errores de validación
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationErrorResponse(res, errors.array(), 'Filtros de códigos de descuento incorrectos');
+    }
+    next();
+  }
+];
+
+// Validación para filtros de suscripciones en impago
+export const validateDunningFilters = [
+  query('status')
+    .optional()
+    .isIn(['active', 'recovered', 'suspended', 'cancelled'])
+    .withMessage('El estado debe ser: active, recovered, suspended o cancelled'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('La página debe ser mayor que 0'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('El límite debe estar entre 1 y 100'),
+
+  // Middleware para procesar errores de validación
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationErrorResponse(res, errors.array(), 'Filtros de impagos incorrectos');
+    }
+    next();
+  }
+];
+
+// Reglas comunes a la creación y actualización de códigos de descuento
+const discountCodeLimitRules = [
+  body('description')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('La descripción no puede exceder 500 caracteres'),
+
+  body('appliesTo')
+    .optional()
+    .isIn(['all', 'subscriptions', 'appointments'])
+    .withMessage('El ámbito debe ser: all, subscriptions o appointments'),
+
+  body('planIds')
+    .optional()
+    .isArray()
+    .withMessage('planIds debe ser una lista de planes'),
+
+  body('serviceIds')
+    .optional()
+    .isArray()
+    .withMessage('serviceIds debe ser una lista de servicios'),
+
+  body('serviceIds.*')
+    .isUUID()
+    .withMessage('Cada servicio debe ser un UUID válido'),
+
+  body(['validFrom', 'validUntil'])
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Las fechas de validez deben ser fechas válidas'),
+
+  body(['maxUses', 'maxUsesPerUser'])
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Los usos máximos deben ser un número mayor que 0'),
+
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive debe ser un valor booleano')
+];
+
+// Validación para creación de códigos de descuento
+export const validateCreateDiscountCode = [
+  body('code')
+    .notEmpty()
+    .isString()
+    .trim()
+    .matches(/^[A-Za-z0-9_-]{3,50}$/)
+    .withMessage('El código debe tener entre 3 y 50 letras, números, guiones o guiones bajos'),
+
+  body('discountType')
+    .notEmpty()
+    .isIn(['percentage', 'fixed'])
+    .withMessage('El tipo de descuento debe ser: percentage o fixed'),
+
+  body('percentOff')
+    .if(body('discountType').equals('percentage'))
+    .isFloat({ gt: 0, max: 100 })
+    .withMessage('El porcentaje debe estar entre 0 y 100'),
+
+  body('amountOff')
+    .if(body('discountType').equals('fixed'))
+    .isInt({ min: 1 })
+    .withMessage('El importe fijo debe ser un número de céntimos mayor que 0'),
+
+  body('currency')
+    .if(body('discountType').equals('fixed'))
+    .isString()
+    .isLength({ min: 3, max: 3 })
+    .toUpperCase()
+    .withMessage('La moneda debe ser un código de 3 letras'),
+
+  ...discountCodeLimitRules,
+
+  // Middleware para procesar errores de validación
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationErrorResponse(res, errors.array(), 'Datos del código de descuento incorrectos');
+    }
+
+    // Validación adicional: validUntil debe ser posterior a validFrom
+    const { validFrom, validUntil } = req.body;
+    if (validFrom && validUntil && new Date(validUntil) <= new Date(validFrom)) {
+      return errorResponse(res, 'La fecha de fin de validez debe ser posterior a la de inicio', 400);
+    }
+
+    next();
+  }
+];
+
+// Validación para actualización de códigos de descuento
+export const validateUpdateDiscountCode = [
+  param('id')
+    .notEmpty()
+    .isString()
+    .withMessage('El ID del código de descuento no es válido'),
+
+  ...discountCodeLimitRules,
+
+  // Middleware para procesar errores de validación
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return validationErrorResponse(res, errors.array(), 'Datos del código de descuento incorrectos');
+    }
+    next();
+  }
+];
+
 // Middleware para verificar permisos de administrador
 export const requireAdminRole = (req, res, next) => {
   if (!req.user) {
@@ -0,0 +1,54 @@
+// Service worker for Web Push notifications. The backend sends a JSON payload
+// { title, body, url, tag, type, notificationId }; the worker shows it even when no tab of
+// the app is open, and clicking it focuses (or opens) the app at `url`.
+
+const DEFAULT_TITLE = 'Mundoctor';
+const ICON = '/mundoctor-icon.svg';
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch {
+    payload = { body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || DEFAULT_TITLE, {
+      body: payload.body || '',
+      icon: ICON,
+      badge: ICON,
+      tag: payload.tag,
+      renotify: Boolean(payload.tag),
+      data: {
+        url: payload.url || '/',
+        notificationId: payload.notificationId,
+        type: payload.type,
+      },
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil((async () => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find(client => new URL(client.url).origin === self.location.origin);
+
+    if (existing) {
+      await existing.focus();
+      return existing.navigate(url);
+    }
+    return self.clients.openWindow(url);
+  })());
+});
@@ -15,6 +15,7 @@ import SelectUserTypePage from '@/pages/SelectUserTypePage';
 import ProfessionalDataPage from '@/pages/ProfessionalDataPage';
 import ProfessionalVerificationPendingPage from '@/pages/ProfessionalVerificationPendingPage';
 import DevControlsPage from '@/pages/DevControlsPage';
+import AppointmentResponsePage from '@/pages/AppointmentResponsePage';
 
 // Lazy load dashboard pages for better performance
 const AdminDashboardPage = React.lazy(() => import('@/pages/admin/AdminDashboardPage'));
@@ -138,6 +139,7 @@ const AppRoutes = () => {
       <Route path="/buscar" element={<SearchResultsPage />} />
       <Route path="/blog" element={<BlogPage />} />
       <Route path="/completar-perfil" element={<CompletarPerfilPage />} />
+      <Route path="/citas/responder/:token" element={<AppointmentResponsePage />} />
 
       {/* Patient Area Routes */}
       <Route path="/paciente" element={<ProtectedRoute allowedRoles={['patient']}><Navigate to="/paciente/dashboard" replace /></ProtectedRoute>} />
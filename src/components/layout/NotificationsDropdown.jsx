@@ -1,5 +1,5 @@
 
-import React from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import {
   DropdownMenu,
   DropdownMenuContent,
@@ -9,28 +9,152 @@ import {
   DropdownMenuTrigger,
 } from "@/components/ui/dropdown-menu";
 import { Button } from "@/components/ui/button";
-import { Bell, MessageSquare, CalendarCheck, UserPlus, AlertCircle } from 'lucide-react';
+import { Bell, MessageSquare, CalendarCheck, CreditCard, ShieldCheck, AlertCircle, Check, X, Loader2 } from 'lucide-react';
 import { Badge } from "@/components/ui/badge";
 import { ScrollArea } from "@/components/ui/scroll-area";
-import { Link } from 'react-router-dom';
+import { Switch } from "@/components/ui/switch";
+import { Link, useNavigate } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { es } from 'date-fns/locale';
+import { notificationApi } from '@/lib/clerkApi';
+import { usePushNotifications } from '@/hooks/usePushNotifications';
 
-const sampleNotifications = [
-  { id: 1, icon: <CalendarCheck className="h-4 w-4 text-green-500" />, title: "Nueva cita confirmada", description: "Ana Pérez ha confirmado su cita para mañana a las 10:00.", time: "Hace 5m", read: false, link: "/profesionales/citas" },
-  { id: 2, icon: <MessageSquare className="h-4 w-4 text-blue-500" />, title: "Nuevo mensaje", description: "Carlos López te ha enviado un mensaje.", time: "Hace 30m", read: false, link: "/profesionales/mensajes" },
-  { id: 3, icon: <UserPlus className="h-4 w-4 text-purple-500" />, title: "Nuevo paciente registrado", description: "Sofía Martín se ha registrado como nueva paciente.", time: "Hace 1h", read: true, link: "/profesionales/pacientes" },
-  { id: 4, icon: <AlertCircle className="h-4 w-4 text-yellow-500" />, title: "Recordatorio: Actualizar perfil", description: "Completa tu perfil para mayor visibilidad.", time: "Ayer", read: true, link: "/profesionales/perfil" },
-  { id: 5, icon: <CalendarCheck className="h-4 w-4 text-red-500" />, title: "Cita cancelada", description: "Luis Fernández ha cancelado su cita del Viernes.", time: "Hace 2 días", read: true, link: "/profesionales/citas" },
-];
+const PAGE_SIZE = 20;
+// The unread count is polled while the page is open
+const UNREAD_POLL_INTERVAL = 60000;
+
+const getNotificationIcon = (type = '') => {
+  if (type.startsWith('appointment_') || type.startsWith('waitlist_')) {
+    return <CalendarCheck className="h-4 w-4 text-green-500" />;
+  }
+  if (type.startsWith('payment_') || type.startsWith('payout_') || type.startsWith('subscription_')) {
+    return <CreditCard className="h-4 w-4 text-blue-500" />;
+  }
+  if (type.startsWith('validation_')) {
+    return <ShieldCheck className="h-4 w-4 text-purple-500" />;
+  }
+  if (type === 'patient_message' || type.startsWith('ticket_')) {
+    return <MessageSquare className="h-4 w-4 text-blue-500" />;
+  }
+  return <AlertCircle className="h-4 w-4 text-yellow-500" />;
+};
 
 const NotificationsDropdown = ({ isMobile = false, onOpenChange }) => {
-  const unreadCount = sampleNotifications.filter(n => !n.read).length;
+  const navigate = useNavigate();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const push = usePushNotifications();
+
+  const refreshUnreadCount = useCallback(async () => {
+    try {
+      const result = await notificationApi.getUnreadCount();
+      setUnreadCount(result.unreadCount);
+    } catch (err) {
+      console.error('Error loading unread notifications:', err);
+    }
+  }, []);
+
+  const loadNotifications = useCallback(async (cursor = null) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await notificationApi.getNotifications(cursor ? { limit: PAGE_SIZE, cursor } : { limit: PAGE_SIZE });
+      setNotifications(prev => cursor ? [...prev, ...result.notifications] : result.notifications);
+      setNextCursor(result.nextCursor);
+      setUnreadCount(result.unreadCount);
+    } catch (err) {
+      console.error('Error loading notifications:', err);
+      setError('No se pudieron cargar las notificaciones.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshUnreadCount();
+    const interval = setInterval(refreshUnreadCount, UNREAD_POLL_INTERVAL);
+    return () => clearInterval(interval);
+  }, [refreshUnreadCount]);
+
+  const handleOpenChange = (open) => {
+    if (open) {
+      loadNotifications();
+    }
+    if (isMobile && onOpenChange) {
+      onOpenChange(open);
+    }
+  };
+
+  const setRead = async (notification, read) => {
+    const updated = read
+      ? await notificationApi.markRead(notification.id)
+      : await notificationApi.markUnread(notification.id);
+    setNotifications(prev => prev.map(n => n.id === notification.id ? { ...n, ...updated } : n));
+    setUnreadCount(count => Math.max(count + (read ? -1 : 1), 0));
+  };
+
+  const handleSelect = async (notification) => {
+    try {
+      if (!notification.is_read) {
+        await setRead(notification, true);
+      }
+    } catch (err) {
+      console.error('Error marking notification as read:', err);
+    }
+    if (notification.data?.link) {
+      navigate(notification.data.link);
+    }
+  };
+
+  const handleToggleRead = async (event, notification) => {
+    event.preventDefault();
+    event.stopPropagation();
+    try {
+      await setRead(notification, !notification.is_read);
+    } catch (err) {
+      console.error('Error updating notification:', err);
+    }
+  };
+
+  const handleDelete = async (event, notification) => {
+    event.preventDefault();
+    event.stopPropagation();
+    try {
+      await notificationApi.deleteNotification(notification.id);
+      setNotifications(prev => prev.filter(n => n.id !== notification.id));
+      if (!notification.is_read) {
+        setUnreadCount(count => Math.max(count - 1, 0));
+      }
+    } catch (err) {
+      console.error('Error deleting notification:', err);
+    }
+  };
+
+  const handleMarkAllRead = async (event) => {
+    event.preventDefault();
+    try {
+      await notificationApi.markAllRead();
+      setNotifications(prev => prev.map(n => ({ ...n, is_read: true })));
+      setUnreadCount(0);
+    } catch (err) {
+      console.error('Error marking notifications as read:', err);
+    }
+  };
+
+  const handleLoadMore = (event) => {
+    event.preventDefault();
+    loadNotifications(nextCursor);
+  };
 
   const TriggerButton = React.forwardRef((props, ref) => (
      <Button {...props} ref={ref} variant="ghost" size="icon" className={`relative text-muted-foreground hover:text-foreground ${isMobile ? 'w-full justify-center' : 'inline-flex'}`}> {/* Changed hidden md:inline-flex to inline-flex */}
         <Bell size={isMobile ? 22 : 20} />
         {unreadCount > 0 && (
           <Badge variant="destructive" className="absolute -top-1 -right-1 h-4 w-4 min-w-min p-0.5 text-xs flex items-center justify-center">
-            {unreadCount}
+            {unreadCount > 99 ? '99+' : unreadCount}
           </Badge>
         )}
         <span className="sr-only">Notificaciones</span>
@@ -40,35 +164,92 @@ const NotificationsDropdown = ({ isMobile = false, onOpenChange }) => {
 
 
   return (
-    <DropdownMenu onOpenChange={isMobile ? onOpenChange : undefined}>
+    <DropdownMenu onOpenChange={handleOpenChange}>
       <DropdownMenuTrigger asChild>
         <TriggerButton />
       </DropdownMenuTrigger>
       <DropdownMenuContent align="end" className="w-80 md:w-96 bg-card dark:bg-gray-800 border-border dark:border-gray-700">
         <DropdownMenuLabel className="flex justify-between items-center text-foreground dark:text-white">
           <span>Notificaciones</span>
-          {unreadCount > 0 && <Badge variant="secondary" className="dark:bg-slate-700 dark:text-gray-300">{unreadCount} Nuevas</Badge>}
+          <div className="flex items-center gap-2">
+            {unreadCount > 0 && <Badge variant="secondary" className="dark:bg-slate-700 dark:text-gray-300">{unreadCount} Nuevas</Badge>}
+            {unreadCount > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs font-normal text-primary dark:text-blue-400 hover:underline">
+                Marcar todas como leídas
+              </button>
+            )}
+          </div>
         </DropdownMenuLabel>
         <DropdownMenuSeparator className="dark:bg-gray-700/50" />
-        {sampleNotifications.length > 0 ? (
+        {error ? (
+          <div className="p-4 text-center text-sm text-destructive">{error}</div>
+        ) : notifications.length > 0 ? (
           <ScrollArea className="h-[300px]">
-            {sampleNotifications.map(notification => (
-              <DropdownMenuItem key={notification.id} asChild className={`cursor-pointer hover:!bg-muted/80 dark:hover:!bg-gray-700/50 ${!notification.read ? 'bg-primary/5 dark:bg-blue-500/10' : ''}`}>
-                <Link to={notification.link || '#'} className="flex items-start gap-3 p-2">
-                  <div className="flex-shrink-0 mt-0.5">{notification.icon}</div>
+            {notifications.map(notification => (
+              <DropdownMenuItem
+                key={notification.id}
+                onSelect={() => handleSelect(notification)}
+                className={`group cursor-pointer hover:!bg-muted/80 dark:hover:!bg-gray-700/50 ${!notification.is_read ? 'bg-primary/5 dark:bg-blue-500/10' : ''}`}
+              >
+                <div className="flex items-start gap-3 p-2 w-full">
+                  <div className="flex-shrink-0 mt-0.5">{getNotificationIcon(notification.type)}</div>
                   <div className="flex-grow">
-                    <p className={`text-sm font-medium ${!notification.read ? 'text-foreground dark:text-white font-semibold' : 'text-muted-foreground dark:text-gray-300'}`}>{notification.title}</p>
-                    <p className={`text-xs ${!notification.read ? 'text-foreground/80 dark:text-gray-200' : 'text-muted-foreground/80 dark:text-gray-400'}`}>{notification.description}</p>
-                    <p className="text-xs text-muted-foreground/60 dark:text-gray-500 mt-0.5">{notification.time}</p>
+                    <p className={`text-sm font-medium ${!notification.is_read ? 'text-foreground dark:text-white font-semibold' : 'text-muted-foreground dark:text-gray-300'}`}>{notification.title}</p>
+                    <p className={`text-xs ${!notification.is_read ? 'text-foreground/80 dark:text-gray-200' : 'text-muted-foreground/80 dark:text-gray-400'}`}>{notification.message}</p>
+                    <p className="text-xs text-muted-foreground/60 dark:text-gray-500 mt-0.5">
+                      {formatDistanceToNow(new Date(notification.created_at), { addSuffix: true, locale: es })}
+                    </p>
                   </div>
-                  {!notification.read && <div className="h-2 w-2 rounded-full bg-primary dark:bg-blue-500 self-center flex-shrink-0"></div>}
-                </Link>
+                  <div className="flex flex-col items-center gap-1 flex-shrink-0">
+                    <button
+                      onClick={(event) => handleToggleRead(event, notification)}
+                      className="opacity-0 group-hover:opacity-100 text-muted-foreground hover:text-foreground"
+                      title={notification.is_read ? 'Marcar como no leída' : 'Marcar como leída'}
+                    >
+                      <Check className="h-3.5 w-3.5" />
+                    </button>
+                    <button
+                      onClick={(event) => handleDelete(event, notification)}
+                      className="opacity-0 group-hover:opacity-100 text-muted-foreground hover:text-destructive"
+                      title="Eliminar"
+                    >
+                      <X className="h-3.5 w-3.5" />
+                    </button>
+                    {!notification.is_read && <div className="h-2 w-2 rounded-full bg-primary dark:bg-blue-500"></div>}
+                  </div>
+                </div>
               </DropdownMenuItem>
             ))}
+            {nextCursor && (
+              <DropdownMenuItem onSelect={handleLoadMore} disabled={loading} className="justify-center text-xs text-primary dark:text-blue-400 cursor-pointer">
+                {loading ? <Loader2 className="h-3.5 w-3.5 animate-spin" /> : 'Cargar más'}
+              </DropdownMenuItem>
+            )}
           </ScrollArea>
+        ) : loading ? (
+          <div className="p-4 flex justify-center text-muted-foreground"><Loader2 className="h-4 w-4 animate-spin" /></div>
         ) : (
           <div className="p-4 text-center text-sm text-muted-foreground dark:text-gray-400">No tienes notificaciones.</div>
         )}
+        {push.supported && (
+          <>
+            <DropdownMenuSeparator className="dark:bg-gray-700/50" />
+            <div className="px-3 py-2">
+              <div className="flex items-center justify-between gap-2">
+                <label htmlFor="push-notifications" className="text-xs text-muted-foreground dark:text-gray-400">
+                  Notificaciones push en este navegador
+                </label>
+                <Switch
+                  id="push-notifications"
+                  checked={push.enabled}
+                  disabled={push.loading}
+                  onCheckedChange={push.setPushEnabled}
+                />
+              </div>
+              {push.error && <p className="mt-1 text-xs text-destructive">{push.error}</p>}
+            </div>
+          </>
+        )}
         <DropdownMenuSeparator className="dark:bg-gray-700/50" />
         <DropdownMenuItem className="justify-center text-sm text-primary dark:text-blue-400 hover:!bg-muted/80 dark:hover:!bg-gray-700/50 cursor-pointer">
           <Link to="/profesionales/configuracion?tab=notifications">Ver todas las notificaciones</Link>
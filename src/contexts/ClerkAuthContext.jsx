@@ -1,7 +1,8 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useContext, useEffect, useRef, useState } from 'react';
 import { useAuth as useClerkAuthHook, useUser as useClerkUser } from '@clerk/clerk-react';
 // Note: API calls will be handled directly with fetch + window.Clerk.session.getToken()
 import { isMigrationNeeded, performMigration } from '@/utils/migrateUserData';
+import { releasePushSubscription } from '@/lib/pushNotifications';
 
 const ClerkAuthContext = createContext(null);
 
@@ -12,6 +13,7 @@ export const ClerkAuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [backendUser, setBackendUser] = useState(null);
+  const wasSignedIn = useRef(false);
 
   // Fetch user data from our backend when Clerk user is available
   const fetchBackendUser = async (clerkUserId) => {
@@ -132,6 +134,19 @@ export const ClerkAuthProvider = ({ children }) => {
     updateUserState();
   }, [clerkLoaded, userLoaded, isSignedIn, clerkUser, userId]);
 
+  // Signing out from Clerk's own UI (UserButton) bypasses logout(); stop this browser's
+  // push notifications here too
+  useEffect(() => {
+    if (!clerkLoaded) {
+      return;
+    }
+
+    if (wasSignedIn.current && !isSignedIn) {
+      releasePushSubscription();
+    }
+    wasSignedIn.current = Boolean(isSignedIn);
+  }, [clerkLoaded, isSignedIn]);
+
   // Compatible login function (for backward compatibility)
   const login = (userData, navigate) => {
     console.warn('login() function is deprecated when using Clerk. Use Clerk SignIn component instead.');
@@ -144,6 +159,8 @@ export const ClerkAuthProvider = ({ children }) => {
   // Compatible logout function
   const logout = async (navigate) => {
     try {
+      // While the session can still remove the subscription in the backend
+      await releasePushSubscription();
       await clerkSignOut();
       setUser(null);
       setBackendUser(null);
@@ -176,6 +176,7 @@ export const useClerkApi = () => {
       createAppointment: (appointmentData) => post('/patients/appointments', appointmentData),
       updateAppointment: (appointmentId, updates) => put(`/patients/appointments/${appointmentId}`, updates),
       cancelAppointment: (appointmentId) => del(`/patients/appointments/${appointmentId}`),
+      rescheduleAppointment: (appointmentId, data) => post(`/appointments/${appointmentId}/reschedule`, data),
     };
   }, [getToken, isSignedIn]);
 
@@ -216,6 +217,7 @@ export const usePatientApi = () => {
     createAppointment: api.createAppointment,
     updateAppointment: api.updateAppointment,
     cancelAppointment: api.cancelAppointment,
+    rescheduleAppointment: api.rescheduleAppointment,
     isAuthenticated,
   };
 };
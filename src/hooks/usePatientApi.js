@@ -48,6 +48,17 @@ export const usePatientApi = () => {
         console.error('Error canceling appointment:', error);
         throw error;
       }
+    },
+
+    // Move an appointment to another slot ({ scheduledDate, startTime, holdId?, reason? })
+    rescheduleAppointment: async (appointmentId, data) => {
+      try {
+        const result = await patientApi.rescheduleAppointment(appointmentId, data);
+        return result;
+      } catch (error) {
+        console.error('Error rescheduling appointment:', error);
+        throw error;
+      }
     }
   };
 };
@@ -0,0 +1,57 @@
+import { useState, useEffect, useCallback } from 'react';
+import {
+  isPushSupported,
+  subscribeToPush,
+  unsubscribeFromPush,
+  syncPushSubscription,
+} from '@/lib/pushNotifications';
+
+// Whether this browser receives push notifications, and a toggle for it
+export const usePushNotifications = () => {
+  const supported = isPushSupported();
+  const [enabled, setEnabled] = useState(false);
+  const [loading, setLoading] = useState(supported);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!supported) {
+      return;
+    }
+
+    let cancelled = false;
+    syncPushSubscription()
+      .then(subscription => {
+        if (!cancelled) setEnabled(Boolean(subscription));
+      })
+      .catch(err => console.error('Error syncing push subscription:', err))
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [supported]);
+
+  const setPushEnabled = useCallback(async (value) => {
+    setLoading(true);
+    setError(null);
+    try {
+      if (value) {
+        await subscribeToPush();
+      } else {
+        await unsubscribeFromPush();
+      }
+      setEnabled(value);
+    } catch (err) {
+      console.error('Error updating push subscription:', err);
+      setError(err.userMessage || err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  return { supported, enabled, loading, error, setPushEnabled };
+};
+
+export default usePushNotifications;
@@ -272,6 +272,18 @@ class ClerkApiClient {
     return this.get('/professionals/patients', params);
   }
 
+  async getPlanEntitlements() {
+    return this.get('/payments/subscriptions/entitlements');
+  }
+
+  async getReminderRules(professionalId) {
+    return this.get(`/appointments/reminder-rules/${professionalId}`);
+  }
+
+  async updateReminderRules(professionalId, rules) {
+    return this.put(`/appointments/reminder-rules/${professionalId}`, { rules });
+  }
+
   // Admin API endpoints
   async getAdminStats() {
     return this.get('/admin/stats');
@@ -285,6 +297,30 @@ class ClerkApiClient {
     return this.patch(`/admin/users/${userId}/role`, { role });
   }
 
+  async getDiscountCodes(params = {}) {
+    return this.get('/admin/discount-codes', params);
+  }
+
+  async getDiscountCode(discountCodeId) {
+    return this.get(`/admin/discount-codes/${discountCodeId}`);
+  }
+
+  async createDiscountCode(discountCodeData) {
+    return this.post('/admin/discount-codes', discountCodeData);
+  }
+
+  async updateDiscountCode(discountCodeId, updates) {
+    return this.put(`/admin/discount-codes/${discountCodeId}`, updates);
+  }
+
+  async getDunningCases(params = {}) {
+    return this.get('/admin/subscriptions/dunning', params);
+  }
+
+  async retryDunningPayment(dunningCaseId) {
+    return this.post(`/admin/subscriptions/dunning/${dunningCaseId}/retry`);
+  }
+
   // Patient API endpoints
   async getPatientAppointments(params = {}) {
     return this.get('/patients/appointments', params);
@@ -301,6 +337,53 @@ class ClerkApiClient {
   async cancelAppointment(appointmentId) {
     return this.delete(`/patients/appointments/${appointmentId}`);
   }
+
+  async rescheduleAppointment(appointmentId, { scheduledDate, startTime, holdId, reason }) {
+    return this.post(`/appointments/${appointmentId}/reschedule`, { scheduledDate, startTime, holdId, reason });
+  }
+
+  // Notification inbox endpoints
+  async getNotifications(params = {}) {
+    return this.get('/notifications', params);
+  }
+
+  async getUnreadNotificationCount() {
+    return this.get('/notifications/unread-count');
+  }
+
+  async markNotificationRead(notificationId) {
+    return this.patch(`/notifications/${notificationId}/read`);
+  }
+
+  async markNotificationUnread(notificationId) {
+    return this.patch(`/notifications/${notificationId}/unread`);
+  }
+
+  async markAllNotificationsRead() {
+    return this.post('/notifications/read-all');
+  }
+
+  async deleteNotification(notificationId) {
+    return this.delete(`/notifications/${notificationId}`);
+  }
+
+  // Web Push endpoints
+  async getPushPublicKey() {
+    return this.get('/notifications/push/public-key');
+  }
+
+  async getPushSubscriptions() {
+    return this.get('/notifications/push/subscriptions');
+  }
+
+  async savePushSubscription(subscription) {
+    return this.post('/notifications/push/subscriptions', subscription);
+  }
+
+  async deletePushSubscription(endpoint) {
+    const queryString = new URLSearchParams({ endpoint }).toString();
+    return this.delete(`/notifications/push/subscriptions?${queryString}`);
+  }
 }
 
 // Create and export a singleton instance
@@ -326,12 +409,21 @@ export const professionalApi = {
   updateProfile: (data) => clerkApi.updateProfessionalProfile(data),
   getAppointments: (params) => clerkApi.getProfessionalAppointments(params),
   getPatients: (params) => clerkApi.getProfessionalPatients(params),
+  getPlanEntitlements: () => clerkApi.getPlanEntitlements(),
+  getReminderRules: (professionalId) => clerkApi.getReminderRules(professionalId),
+  updateReminderRules: (professionalId, rules) => clerkApi.updateReminderRules(professionalId, rules),
 };
 
 export const adminApi = {
   getStats: () => clerkApi.getAdminStats(),
   getUsers: (params) => clerkApi.getAdminUsers(params),
   updateUserRole: (userId, role) => clerkApi.updateUserRole(userId, role),
+  getDiscountCodes: (params) => clerkApi.getDiscountCodes(params),
+  getDiscountCode: (id) => clerkApi.getDiscountCode(id),
+  createDiscountCode: (data) => clerkApi.createDiscountCode(data),
+  updateDiscountCode: (id, updates) => clerkApi.updateDiscountCode(id, updates),
+  getDunningCases: (params) => clerkApi.getDunningCases(params),
+  retryDunningPayment: (id) => clerkApi.retryDunningPayment(id),
 };
 
 export const patientApi = {
@@ -339,4 +431,18 @@ export const patientApi = {
   createAppointment: (data) => clerkApi.createAppointment(data),
   updateAppointment: (id, updates) => clerkApi.updateAppointment(id, updates),
   cancelAppointment: (id) => clerkApi.cancelAppointment(id),
+  rescheduleAppointment: (id, data) => clerkApi.rescheduleAppointment(id, data),
+};
+
+export const notificationApi = {
+  getNotifications: (params) => clerkApi.getNotifications(params),
+  getUnreadCount: () => clerkApi.getUnreadNotificationCount(),
+  markRead: (id) => clerkApi.markNotificationRead(id),
+  markUnread: (id) => clerkApi.markNotificationUnread(id),
+  markAllRead: () => clerkApi.markAllNotificationsRead(),
+  deleteNotification: (id) => clerkApi.deleteNotification(id),
+  getPushPublicKey: () => clerkApi.getPushPublicKey(),
+  getPushSubscriptions: () => clerkApi.getPushSubscriptions(),
+  savePushSubscription: (subscription) => clerkApi.savePushSubscription(subscription),
+  deletePushSubscription: (endpoint) => clerkApi.deletePushSubscription(endpoint),
 };
\ No newline at end of file
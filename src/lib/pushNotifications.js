@@ -0,0 +1,135 @@
+/**
+ * Web Push subscription of this browser
+ * The service worker (public/sw.js) shows the notifications the backend pushes, also when
+ * no tab of the app is open.
+ */
+
+import { notificationApi } from '@/lib/clerkApi';
+
+const SERVICE_WORKER_URL = '/sw.js';
+
+// The VAPID public key comes base64url encoded; pushManager.subscribe wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, char => char.charCodeAt(0));
+};
+
+export const isPushSupported = () =>
+  typeof window !== 'undefined' &&
+  'serviceWorker' in navigator &&
+  'PushManager' in window &&
+  'Notification' in window;
+
+// The service worker is registered once per page load
+let registrationPromise = null;
+
+const getRegistration = () => {
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(error => {
+      registrationPromise = null;
+      throw error;
+    });
+  }
+  return registrationPromise;
+};
+
+// Outcome of registering this browser's subscription with the backend for the signed-in
+// user: done once per sign-in, not every time a component asks
+let syncPromise = null;
+
+// Current subscription of this browser, if any
+export const getPushSubscription = async () => {
+  if (!isPushSupported()) {
+    return null;
+  }
+  const registration = await getRegistration();
+  return registration.pushManager.getSubscription();
+};
+
+/**
+ * Ask for permission, subscribe this browser and register it with the backend.
+ * Registering again is harmless: the backend keys subscriptions by endpoint and moves one
+ * to whoever is signed in.
+ */
+export const subscribeToPush = async () => {
+  if (!isPushSupported()) {
+    throw new Error('Este navegador no admite notificaciones push.');
+  }
+
+  const permission = await Notification.requestPermission();
+  if (permission !== 'granted') {
+    throw new Error('Debes permitir las notificaciones en el navegador.');
+  }
+
+  const registration = await getRegistration();
+  let subscription = await registration.pushManager.getSubscription();
+
+  if (!subscription) {
+    const { publicKey } = await notificationApi.getPushPublicKey();
+    subscription = await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey),
+    });
+  }
+
+  await notificationApi.savePushSubscription(subscription.toJSON());
+  syncPromise = Promise.resolve(subscription);
+  return subscription;
+};
+
+// Unsubscribe this browser and forget it in the backend
+export const unsubscribeFromPush = async () => {
+  syncPromise = Promise.resolve(null);
+
+  const subscription = await getPushSubscription();
+  if (!subscription) {
+    return;
+  }
+
+  const { endpoint } = subscription;
+  await subscription.unsubscribe();
+  await notificationApi.deletePushSubscription(endpoint);
+};
+
+// Register the existing subscription again, e.g. after signing in on a browser that already
+// had push turned on (the push service may also have rotated it since the last visit).
+// Runs once per sign-in; later calls share the first one's result.
+export const syncPushSubscription = () => {
+  if (!isPushSupported() || Notification.permission !== 'granted') {
+    return Promise.resolve(null);
+  }
+
+  if (!syncPromise) {
+    syncPromise = (async () => {
+      const subscription = await getPushSubscription();
+      if (subscription) {
+        await notificationApi.savePushSubscription(subscription.toJSON());
+      }
+      return subscription;
+    })().catch(error => {
+      syncPromise = null;
+      throw error;
+    });
+  }
+  return syncPromise;
+};
+
+/**
+ * On sign-out, unsubscribe this browser so whoever signs in next on it does not get the
+ * previous user's notifications. The backend copy is deleted while the session still
+ * allows it; if it no longer does, the push service reports the subscription gone on the
+ * next send and the backend prunes it. Never throws.
+ */
+export const releasePushSubscription = async () => {
+  try {
+    if (isPushSupported() && Notification.permission === 'granted') {
+      await unsubscribeFromPush();
+    }
+  } catch (error) {
+    console.error('Error releasing push subscription:', error);
+  } finally {
+    syncPromise = null;
+  }
+};
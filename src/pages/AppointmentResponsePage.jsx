@@ -0,0 +1,160 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Card, CardHeader, CardTitle, CardDescription, CardContent, CardFooter } from '@/components/ui/card';
+import { Textarea } from '@/components/ui/textarea';
+import { CalendarCheck, CalendarX, Clock, Video, MapPin, Loader2 } from 'lucide-react';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api';
+
+const statusMessages = {
+  confirmed: 'Tu cita está confirmada. ¡Te esperamos!',
+  cancelled: 'Esta cita ha sido cancelada.',
+  completed: 'Esta cita ya se ha realizado.',
+  rescheduled: 'Esta cita se ha movido a otra fecha.',
+  no_show: 'Esta cita ya ha pasado.'
+};
+
+// Reached from the link in appointment reminders; works without signing in
+const AppointmentResponsePage = () => {
+  const { token } = useParams();
+  const [appointment, setAppointment] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(null);
+  const [showCancel, setShowCancel] = useState(false);
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+
+  const request = useCallback(async (path = '', body = null) => {
+    const response = await fetch(`${API_BASE_URL}/appointments/respond/${token}${path}`, body ? {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    } : {});
+    const result = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      const error = new Error(result.message || `HTTP ${response.status}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return result.data;
+  }, [token]);
+
+  useEffect(() => {
+    request()
+      .then(setAppointment)
+      .catch(err => {
+        console.error('Error loading appointment:', err);
+        setError(err.status === 404 || err.status === 422
+          ? 'El enlace no es válido o la cita ya no existe.'
+          : 'No se pudo cargar la cita. Inténtalo de nuevo más tarde.');
+      })
+      .finally(() => setLoading(false));
+  }, [request]);
+
+  const respond = async (action) => {
+    setSubmitting(action);
+    setError(null);
+    try {
+      const body = action === 'cancel' && reason.trim() ? { reason: reason.trim() } : {};
+      setAppointment(await request(`/${action}`, body));
+      setShowCancel(false);
+    } catch (err) {
+      console.error(`Error trying to ${action} appointment:`, err);
+      setError(err.status === 409
+        ? 'Esta cita ya no se puede confirmar ni cancelar.'
+        : 'No se pudo completar la acción. Inténtalo de nuevo más tarde.');
+    } finally {
+      setSubmitting(null);
+    }
+  };
+
+  const formattedDate = appointment
+    ? new Date(`${appointment.date}T00:00:00`).toLocaleDateString('es-ES', { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' })
+    : '';
+
+  return (
+    <div className="py-16 md:py-24 bg-gradient-to-br from-blue-50 to-indigo-100 dark:from-gray-950 dark:to-blue-900/30 min-h-[60vh]">
+      <div className="container mx-auto px-4 max-w-lg">
+        {loading ? (
+          <div className="flex justify-center text-muted-foreground"><Loader2 className="h-6 w-6 animate-spin" /></div>
+        ) : !appointment ? (
+          <Card className="bg-card dark:bg-gray-800">
+            <CardHeader>
+              <CardTitle>Cita no disponible</CardTitle>
+              <CardDescription>{error}</CardDescription>
+            </CardHeader>
+            <CardFooter>
+              <Button asChild variant="outline"><Link to="/">Ir al inicio</Link></Button>
+            </CardFooter>
+          </Card>
+        ) : (
+          <Card className="bg-card dark:bg-gray-800">
+            <CardHeader>
+              <CardTitle>{appointment.title || 'Tu cita'}</CardTitle>
+              <CardDescription>con {appointment.professionalName}</CardDescription>
+            </CardHeader>
+            <CardContent className="space-y-3">
+              <p className="flex items-center gap-2 text-sm text-foreground dark:text-gray-200">
+                <Clock className="h-4 w-4 text-primary" />
+                <span className="capitalize">{formattedDate}</span>, {appointment.time}
+              </p>
+              <p className="flex items-center gap-2 text-sm text-muted-foreground dark:text-gray-400">
+                {appointment.isVirtual ? <Video className="h-4 w-4" /> : <MapPin className="h-4 w-4" />}
+                {appointment.isVirtual ? 'Consulta online' : 'Consulta presencial'}
+              </p>
+              {!appointment.canRespond && (
+                <p className="text-sm font-medium text-foreground dark:text-white">
+                  {statusMessages[appointment.status] || 'Esta cita ya no se puede confirmar ni cancelar.'}
+                </p>
+              )}
+              {appointment.canRespond && appointment.status === 'confirmed' && (
+                <p className="text-sm font-medium text-green-600 dark:text-green-400">{statusMessages.confirmed}</p>
+              )}
+              {showCancel && (
+                <Textarea
+                  value={reason}
+                  onChange={(e) => setReason(e.target.value)}
+                  maxLength={500}
+                  placeholder="Motivo de la cancelación (opcional)"
+                />
+              )}
+              {error && <p className="text-sm text-destructive">{error}</p>}
+            </CardContent>
+            {appointment.canRespond && (
+              <CardFooter className="flex flex-col sm:flex-row gap-2">
+                {showCancel ? (
+                  <>
+                    <Button variant="destructive" className="w-full" disabled={!!submitting} onClick={() => respond('cancel')}>
+                      {submitting === 'cancel' ? <Loader2 className="h-4 w-4 animate-spin" /> : <CalendarX className="h-4 w-4 mr-2" />}
+                      Cancelar la cita
+                    </Button>
+                    <Button variant="outline" className="w-full" disabled={!!submitting} onClick={() => setShowCancel(false)}>
+                      Volver
+                    </Button>
+                  </>
+                ) : (
+                  <>
+                    {appointment.status !== 'confirmed' && (
+                      <Button className="w-full" disabled={!!submitting} onClick={() => respond('confirm')}>
+                        {submitting === 'confirm' ? <Loader2 className="h-4 w-4 animate-spin" /> : <CalendarCheck className="h-4 w-4 mr-2" />}
+                        Confirmar asistencia
+                      </Button>
+                    )}
+                    <Button variant="outline" className="w-full" disabled={!!submitting} onClick={() => setShowCancel(true)}>
+                      No podré asistir
+                    </Button>
+                  </>
+                )}
+              </CardFooter>
+            )}
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AppointmentResponsePage;
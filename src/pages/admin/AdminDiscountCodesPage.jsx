@@ -1,60 +1,108 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
-import { PlusCircle, Search, Tag, CalendarClock, Check, X, Copy } from 'lucide-react';
+import { PlusCircle, Search, Tag, CalendarClock, Check, X, Copy, Loader2 } from 'lucide-react';
 import { Link } from 'react-router-dom';
 import { Badge } from '@/components/ui/badge';
+import { adminApi } from '@/lib/clerkApi';
+import { useToast } from '@/components/ui/use-toast';
+import { format } from 'date-fns';
 
-const sampleDiscounts = [
-	{
-		id: 'd1',
-		code: 'VERANO2025',
-		discount: 25,
-		type: 'percentage',
-		status: 'active',
-		usageCount: 12,
-		maxUses: 100,
-		validUntil: '2025-08-31',
-	},
-	{
-		id: 'd2',
-		code: 'BIENVENIDA',
-		discount: 15,
-		type: 'percentage',
-		status: 'active',
-		usageCount: 45,
-		maxUses: 50,
-		validUntil: '2025-12-31',
-	},
-	{
-		id: 'd3',
-		code: 'PREMIUM50',
-		discount: 50,
-		type: 'percentage',
-		status: 'inactive',
-		usageCount: 100,
-		maxUses: 100,
-		validUntil: '2025-05-30',
-	},
-];
+const formatDiscount = (discount) => {
+	if (discount.discount_type === 'percentage') {
+		return `${Number(discount.percent_off)}%`;
+	}
+	return new Intl.NumberFormat('es-ES', {
+		style: 'currency',
+		currency: discount.currency || 'EUR',
+	}).format(discount.amount_off / 100);
+};
+
+const isExpired = (discount) =>
+	discount.valid_until && new Date(discount.valid_until) < new Date();
 
 const AdminDiscountCodesPage = () => {
-	const [discounts] = useState(sampleDiscounts);
+	const [discounts, setDiscounts] = useState([]);
+	const [loading, setLoading] = useState(true);
+	const [error, setError] = useState(null);
 	const [searchTerm, setSearchTerm] = useState('');
+	const [updating, setUpdating] = useState(null); // Track which code is being updated
+	const { toast } = useToast();
+
+	// Load discount codes from API
+	useEffect(() => {
+		const loadDiscounts = async () => {
+			try {
+				setLoading(true);
+				setError(null);
+
+				const response = await adminApi.getDiscountCodes({ limit: 100 });
+
+				setDiscounts(response.data?.discountCodes || []);
+			} catch (err) {
+				console.error('Error loading discount codes:', err);
+				setError(err.message || 'Error al cargar los códigos de descuento');
+				toast({
+					title: 'Error',
+					description: 'No se pudieron cargar los códigos de descuento. Intenta nuevamente.',
+					variant: 'destructive',
+				});
+			} finally {
+				setLoading(false);
+			}
+		};
+
+		loadDiscounts();
+	}, [toast]);
 
 	const filteredDiscounts = discounts.filter((discount) =>
 		discount.code.toLowerCase().includes(searchTerm.toLowerCase())
 	);
 
-	const copyToClipboard = (code) => {
-		navigator.clipboard.writeText(code);
-		// Aquí podrías añadir una notificación de éxito
+	const copyToClipboard = async (code) => {
+		try {
+			await navigator.clipboard.writeText(code);
+			toast({
+				title: 'Código copiado',
+				description: `${code} se ha copiado al portapapeles.`,
+			});
+		} catch (err) {
+			console.error('Error copying discount code:', err);
+		}
+	};
+
+	const handleToggleActive = async (discount) => {
+		try {
+			setUpdating(discount.id);
+
+			const response = await adminApi.updateDiscountCode(discount.id, {
+				isActive: !discount.is_active,
+			});
+
+			setDiscounts((prev) =>
+				prev.map((d) => (d.id === discount.id ? { ...d, ...response.data } : d))
+			);
+
+			toast({
+				title: discount.is_active ? 'Código desactivado' : 'Código activado',
+				description: `El código ${discount.code} se ha actualizado correctamente.`,
+			});
+		} catch (err) {
+			console.error('Error updating discount code:', err);
+			toast({
+				title: 'Error',
+				description: err.message || 'No se pudo actualizar el código de descuento.',
+				variant: 'destructive',
+			});
+		} finally {
+			setUpdating(null);
+		}
 	};
 
-	const getStatusBadge = (status) => {
-		if (status === 'active') {
+	const getStatusBadge = (discount) => {
+		if (discount.is_active && !isExpired(discount)) {
 			return (
 				<Badge className="bg-green-500/20 text-green-600 dark:text-green-400 hover:bg-green-500/30">
 					Activo
@@ -63,7 +111,7 @@ const AdminDiscountCodesPage = () => {
 		}
 		return (
 			<Badge variant="secondary" className="bg-gray-500/20 text-gray-600 dark:text-gray-400">
-				Inactivo
+				{discount.is_active ? 'Caducado' : 'Inactivo'}
 			</Badge>
 		);
 	};
@@ -140,21 +188,36 @@ const AdminDiscountCodesPage = () => {
 							</TableRow>
 						</TableHeader>
 						<TableBody>
-							{filteredDiscounts.length > 0 ? (
+							{loading ? (
+								<TableRow>
+									<TableCell colSpan={6} className="h-24 text-center">
+										<Loader2 className="inline h-6 w-6 animate-spin text-primary" />
+										<span className="ml-2 text-muted-foreground">Cargando códigos...</span>
+									</TableCell>
+								</TableRow>
+							) : error ? (
+								<TableRow>
+									<TableCell colSpan={6} className="h-24 text-center text-destructive">
+										{error}
+									</TableCell>
+								</TableRow>
+							) : filteredDiscounts.length > 0 ? (
 								filteredDiscounts.map((discount) => (
 									<TableRow key={discount.id} className="dark:border-gray-700">
 										<TableCell className="font-medium text-foreground dark:text-white">
 											{discount.code}
 										</TableCell>
 										<TableCell className="text-muted-foreground dark:text-gray-300">
-											{discount.discount}%
+											{formatDiscount(discount)}
 										</TableCell>
-										<TableCell>{getStatusBadge(discount.status)}</TableCell>
+										<TableCell>{getStatusBadge(discount)}</TableCell>
 										<TableCell className="text-muted-foreground dark:text-gray-300">
-											{discount.validUntil}
+											{discount.valid_until
+												? format(new Date(discount.valid_until), 'dd/MM/yyyy')
+												: 'Sin caducidad'}
 										</TableCell>
 										<TableCell className="text-muted-foreground dark:text-gray-300">
-											{discount.usageCount}/{discount.maxUses}
+											{discount.times_used}/{discount.max_uses ?? '∞'}
 										</TableCell>
 										<TableCell className="text-right">
 											<Button
@@ -166,6 +229,24 @@ const AdminDiscountCodesPage = () => {
 												<Copy className="h-4 w-4" />
 												<span className="sr-only">Copiar código</span>
 											</Button>
+											<Button
+												variant="ghost"
+												size="icon"
+												onClick={() => handleToggleActive(discount)}
+												disabled={updating === discount.id}
+												className="h-8 w-8 p-0 text-muted-foreground hover:text-primary dark:text-gray-400 dark:hover:text-blue-400"
+											>
+												{updating === discount.id ? (
+													<Loader2 className="h-4 w-4 animate-spin" />
+												) : discount.is_active ? (
+													<X className="h-4 w-4" />
+												) : (
+													<Check className="h-4 w-4" />
+												)}
+												<span className="sr-only">
+													{discount.is_active ? 'Desactivar código' : 'Activar código'}
+												</span>
+											</Button>
 										</TableCell>
 									</TableRow>
 								))
@@ -1,9 +1,12 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '@/components/ui/table';
 import { Badge } from '@/components/ui/badge';
-import { Search, Filter, Edit2, FileText, DollarSign, CalendarDays } from 'lucide-react';
+import { Search, Filter, Edit2, FileText, DollarSign, CalendarDays, AlertTriangle, RefreshCw, Loader2 } from 'lucide-react';
+import { adminApi } from '@/lib/clerkApi';
+import { useToast } from '@/components/ui/use-toast';
+import { format } from 'date-fns';
 
 const sampleSubscriptions = [
 	{
@@ -44,9 +47,74 @@ const sampleSubscriptions = [
 	},
 ];
 
+const formatAmount = (amount, currency) =>
+	new Intl.NumberFormat('es-ES', { style: 'currency', currency: currency || 'EUR' }).format(amount / 100);
+
+const formatDate = (date) => (date ? format(new Date(date), 'dd/MM/yyyy HH:mm') : '-');
+
 const AdminSubscriptionManagementPage = () => {
 	const [subscriptions] = useState(sampleSubscriptions);
 	const [searchTerm, setSearchTerm] = useState('');
+	const [dunningCases, setDunningCases] = useState([]);
+	const [dunningLoading, setDunningLoading] = useState(true);
+	const [retrying, setRetrying] = useState(null); // Track which case is being retried
+	const { toast } = useToast();
+
+	// Load subscriptions with failed payments from API
+	useEffect(() => {
+		const loadDunningCases = async () => {
+			try {
+				setDunningLoading(true);
+
+				const response = await adminApi.getDunningCases({ limit: 100 });
+
+				setDunningCases(response.data?.dunningCases || []);
+			} catch (err) {
+				console.error('Error loading dunning cases:', err);
+				toast({
+					title: 'Error',
+					description: 'No se pudieron cargar las suscripciones en impago.',
+					variant: 'destructive',
+				});
+			} finally {
+				setDunningLoading(false);
+			}
+		};
+
+		loadDunningCases();
+	}, [toast]);
+
+	const handleRetryPayment = async (dunningCase) => {
+		try {
+			setRetrying(dunningCase.id);
+
+			const response = await adminApi.retryDunningPayment(dunningCase.id);
+			const { recovered, dunningCase: updated } = response.data;
+
+			setDunningCases((prev) =>
+				recovered
+					? prev.filter((c) => c.id !== dunningCase.id)
+					: prev.map((c) => (c.id === dunningCase.id ? { ...c, ...updated } : c))
+			);
+
+			toast({
+				title: recovered ? 'Cobro realizado' : 'Cobro fallido',
+				description: recovered
+					? `La suscripción de ${dunningCase.user_name} vuelve a estar al día.`
+					: `El reintento de cobro a ${dunningCase.user_name} ha vuelto a fallar.`,
+				variant: recovered ? 'default' : 'destructive',
+			});
+		} catch (err) {
+			console.error('Error retrying subscription payment:', err);
+			toast({
+				title: 'Error',
+				description: err.message || 'No se pudo reintentar el cobro.',
+				variant: 'destructive',
+			});
+		} finally {
+			setRetrying(null);
+		}
+	};
 
 	const filteredSubscriptions = subscriptions.filter((sub) =>
 		sub.userName.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -62,6 +130,85 @@ const AdminSubscriptionManagementPage = () => {
 				</p>
 			</header>
 
+			<div className="bg-card dark:bg-gray-800/60 backdrop-blur-md rounded-xl border border-border dark:border-gray-700/50 shadow-lg overflow-hidden">
+				<div className="p-4 flex items-center gap-2 border-b border-border dark:border-gray-700/50">
+					<AlertTriangle className="h-5 w-5 text-amber-500" />
+					<h2 className="text-lg font-semibold">Cobros Fallidos</h2>
+					<span className="text-sm text-muted-foreground dark:text-gray-400">
+						Suscripciones en periodo de gracia pendientes de pago
+					</span>
+				</div>
+				{dunningLoading ? (
+					<div className="flex items-center justify-center py-8">
+						<Loader2 className="h-6 w-6 animate-spin text-primary" />
+						<span className="ml-2 text-muted-foreground">Cargando impagos...</span>
+					</div>
+				) : dunningCases.length === 0 ? (
+					<p className="text-center py-8 text-muted-foreground dark:text-gray-400">
+						No hay suscripciones con cobros pendientes.
+					</p>
+				) : (
+					<Table>
+						<TableHeader>
+							<TableRow className="hover:bg-muted/30 dark:hover:bg-gray-700/30">
+								<TableHead className="text-foreground dark:text-white">Profesional</TableHead>
+								<TableHead className="text-foreground dark:text-white">Plan</TableHead>
+								<TableHead className="text-foreground dark:text-white">Pendiente</TableHead>
+								<TableHead className="text-foreground dark:text-white">Intentos</TableHead>
+								<TableHead className="text-foreground dark:text-white">Próximo reintento</TableHead>
+								<TableHead className="text-foreground dark:text-white">Fin del periodo de gracia</TableHead>
+								<TableHead className="text-foreground dark:text-white text-right">Acciones</TableHead>
+							</TableRow>
+						</TableHeader>
+						<TableBody>
+							{dunningCases.map((dunningCase) => (
+								<TableRow
+									key={dunningCase.id}
+									className="hover:bg-muted/50 dark:hover:bg-gray-700/50 border-b border-border dark:border-gray-700/50"
+								>
+									<TableCell>
+										<div className="font-medium">{dunningCase.user_name}</div>
+										<div className="text-xs text-muted-foreground dark:text-gray-400">
+											{dunningCase.user_email}
+										</div>
+									</TableCell>
+									<TableCell>{dunningCase.plan_name}</TableCell>
+									<TableCell className="text-muted-foreground dark:text-gray-300">
+										{formatAmount(dunningCase.amount_due, dunningCase.currency)}
+									</TableCell>
+									<TableCell className="text-muted-foreground dark:text-gray-300">
+										{dunningCase.failed_attempts}
+									</TableCell>
+									<TableCell className="text-muted-foreground dark:text-gray-300">
+										{formatDate(dunningCase.next_retry_at)}
+									</TableCell>
+									<TableCell>
+										<Badge className="bg-amber-500/20 text-amber-700 dark:text-amber-300">
+											{formatDate(dunningCase.grace_period_ends_at)}
+										</Badge>
+									</TableCell>
+									<TableCell className="text-right">
+										<Button
+											variant="outline"
+											size="sm"
+											onClick={() => handleRetryPayment(dunningCase)}
+											disabled={retrying === dunningCase.id || !dunningCase.provider_invoice_id}
+										>
+											{retrying === dunningCase.id ? (
+												<Loader2 className="mr-1 h-4 w-4 animate-spin" />
+											) : (
+												<RefreshCw className="mr-1 h-4 w-4" />
+											)}
+											Reintentar cobro
+										</Button>
+									</TableCell>
+								</TableRow>
+							))}
+						</TableBody>
+					</Table>
+				)}
+			</div>
+
 			<div className="mb-6 p-4 bg-card dark:bg-gray-800/60 backdrop-blur-md rounded-xl border border-border dark:border-gray-700/50 shadow-md">
 				<div className="flex flex-col md:flex-row gap-4 items-center">
 					<div className="relative flex-grow w-full md:w-auto">
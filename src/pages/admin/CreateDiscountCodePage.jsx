@@ -6,6 +6,8 @@ import { Button } from '@/components/ui/button';
 import { Select, SelectContent, SelectTrigger, SelectItem, SelectValue } from '@/components/ui/select';
 import { useToast } from '@/components/ui/use-toast';
 import { useNavigate } from 'react-router-dom';
+import { Loader2 } from 'lucide-react';
+import { adminApi } from '@/lib/clerkApi';
 
 const CreateDiscountCodePage = () => {
   const [code, setCode] = useState('');
@@ -13,17 +15,51 @@ const CreateDiscountCodePage = () => {
   const [discount, setDiscount] = useState('');
   const [validUntil, setValidUntil] = useState('');
   const [maxUses, setMaxUses] = useState('');
+  const [submitting, setSubmitting] = useState(false);
   const { toast } = useToast();
   const navigate = useNavigate();
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
-    // Aquí iría la lógica para guardar el código de descuento
-    toast({
-      title: "Código de descuento creado",
-      description: `El código ${code} ha sido creado exitosamente.`,
-    });
-    navigate('/admin/descuentos');
+
+    const amount = Number(discount);
+    if (!code.trim() || !amount || amount <= 0) {
+      toast({
+        title: "Datos incompletos",
+        description: "Indica el código y una cantidad de descuento mayor que cero.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+
+      await adminApi.createDiscountCode({
+        code: code.trim(),
+        discountType: type,
+        ...(type === 'percentage'
+          ? { percentOff: amount }
+          : { amountOff: Math.round(amount * 100), currency: 'EUR' }),
+        validUntil: validUntil ? `${validUntil}T23:59:59` : null,
+        maxUses: maxUses ? parseInt(maxUses, 10) : null,
+      });
+
+      toast({
+        title: "Código de descuento creado",
+        description: `El código ${code.trim().toUpperCase()} ha sido creado exitosamente.`,
+      });
+      navigate('/admin/descuentos');
+    } catch (err) {
+      console.error('Error creating discount code:', err);
+      toast({
+        title: "Error",
+        description: err.message || "No se pudo crear el código de descuento.",
+        variant: "destructive",
+      });
+    } finally {
+      setSubmitting(false);
+    }
   };
 
   return (
@@ -107,7 +143,10 @@ const CreateDiscountCodePage = () => {
               </div>
             </div>
 
-            <Button type="submit" className="w-full">Crear Código</Button>
+            <Button type="submit" className="w-full" disabled={submitting}>
+              {submitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Crear Código
+            </Button>
           </form>
         </CardContent>
       </Card>
@@ -8,6 +8,7 @@ import { Switch } from '@/components/ui/switch';
 import { Lock, Bell, CreditCard, ShieldCheck, Trash2, Save, Clock } from 'lucide-react';
 import { useAuth } from '@/contexts/ClerkAuthContext';
 import { useToast } from "@/components/ui/use-toast";
+import { usePushNotifications } from '@/hooks/usePushNotifications';
 import InsuranceManager from '@/components/professional/settings/InsuranceManager';
 import WorkScheduleManager from '@/components/professional/schedule/WorkScheduleManager';
 
@@ -20,8 +21,8 @@ const ProfessionalSettingsPage = () => {
     emailNewAppointments: true,
     emailCancellations: true,
     emailNewMessages: false,
-    pushNewAppointments: true,
   });
+  const push = usePushNotifications();
   const [billingData, setBillingData] = useState({
     cardNumber: '**** **** **** 1234',
     expiryDate: '12/26',
@@ -205,7 +206,9 @@ const ProfessionalSettingsPage = () => {
                  <NotificationSwitch id="emailNewAppointments" label="Nuevas Citas por Email" checked={notificationsData.emailNewAppointments} onCheckedChange={() => handleNotificationChange('emailNewAppointments')} description="Recibe un email cuando un paciente reserve una nueva cita."/>
                  <NotificationSwitch id="emailCancellations" label="Cancelaciones por Email" checked={notificationsData.emailCancellations} onCheckedChange={() => handleNotificationChange('emailCancellations')} description="Recibe un email si una cita es cancelada."/>
                  <NotificationSwitch id="emailNewMessages" label="Nuevos Mensajes por Email" checked={notificationsData.emailNewMessages} onCheckedChange={() => handleNotificationChange('emailNewMessages')} description="Recibe un email cuando recibas un nuevo mensaje."/>
-                 <NotificationSwitch id="pushNewAppointments" label="Notificaciones Push para Nuevas Citas" checked={notificationsData.pushNewAppointments} onCheckedChange={() => handleNotificationChange('pushNewAppointments')} description="Recibe notificaciones push en tu dispositivo (si está soportado)."/>
+                 {push.supported && (
+                   <NotificationSwitch id="pushNotifications" label="Notificaciones Push en este navegador" checked={push.enabled} onCheckedChange={push.setPushEnabled} description={push.error || "Recibe avisos de citas y mensajes aunque no tengas Mundoctor abierto."}/>
+                 )}
                 <div className="flex justify-end pt-6">
                   <Button type="submit"><Save size={16} className="mr-2" />Guardar Preferencias</Button>
                 </div>
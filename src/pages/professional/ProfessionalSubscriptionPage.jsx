@@ -1,9 +1,10 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '@/components/ui/card';
-import { CheckCircle, XCircle, Edit, ShieldCheck, BadgePercent, AlertTriangle } from 'lucide-react';
+import { CheckCircle, XCircle, Edit, ShieldCheck, BadgePercent, AlertTriangle, Loader2 } from 'lucide-react';
 import { useAuth } from '@/contexts/ClerkAuthContext';
 import { pricingPlansData } from '@/data/professionalsPageData';
+import { professionalApi } from '@/lib/clerkApi';
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogDescription, DialogFooter, DialogTrigger, DialogClose } from '@/components/ui/dialog';
 import { useToast } from "@/components/ui/use-toast";
 import { Link } from 'react-router-dom';
@@ -11,6 +12,19 @@ import { Badge } from "@/components/ui/badge";
 import { Switch } from "@/components/ui/switch";
 import { Label } from "@/components/ui/label";
 
+const usageLabels = {
+  maxServices: 'Servicios activos',
+  maxMonthlyAppointments: 'Citas este mes',
+  maxPhotos: 'Fotos',
+  maxDocuments: 'Documentos'
+};
+
+const featureLabels = {
+  featuredPlacement: 'Perfil destacado',
+  smsReminders: 'Recordatorios por SMS',
+  analytics: 'Análisis de métricas'
+};
+
 const ProfessionalSubscriptionPage = () => {
   const { user } = useAuth();
   const { toast } = useToast();
@@ -21,6 +35,27 @@ const ProfessionalSubscriptionPage = () => {
   const [isUpgradeDialogOpen, setIsUpgradeDialogOpen] = useState(false);
   const [selectedPlanToUpgrade, setSelectedPlanToUpgrade] = useState(null);
   const [billingCycle, setBillingCycle] = useState('monthly');
+  const [planUsage, setPlanUsage] = useState(null);
+  const [isLoadingUsage, setIsLoadingUsage] = useState(true);
+
+  useEffect(() => {
+    const loadPlanUsage = async () => {
+      try {
+        const response = await professionalApi.getPlanEntitlements();
+        setPlanUsage(response.data);
+      } catch (error) {
+        toast({
+          title: "Error",
+          description: error.message || "No se pudo cargar el uso de tu plan.",
+          variant: "destructive"
+        });
+      } finally {
+        setIsLoadingUsage(false);
+      }
+    };
+
+    loadPlanUsage();
+  }, [toast]);
 
   const currentPlan = pricingPlansData.find(plan => plan.id === currentPlanId);
   const availablePlans = pricingPlansData; // Podrías filtrar para no mostrar el plan actual como opción de mejora si es el más alto.
@@ -224,6 +259,66 @@ const ProfessionalSubscriptionPage = () => {
                )}
             </CardContent>
           </Card>
+
+          {/* Uso del plan frente a sus límites */}
+          <Card className="mt-6 bg-card dark:bg-gray-800/60 border-border dark:border-gray-700/50 shadow-lg">
+            <CardHeader>
+              <CardTitle className="text-foreground dark:text-white">Uso de tu plan</CardTitle>
+              {planUsage && (
+                <CardDescription className="text-muted-foreground dark:text-gray-400">
+                  {planUsage.plan.name} · {planUsage.usage.month}
+                </CardDescription>
+              )}
+            </CardHeader>
+            <CardContent>
+              {isLoadingUsage ? (
+                <div className="flex justify-center py-4">
+                  <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+                </div>
+              ) : !planUsage ? (
+                <p className="text-sm text-muted-foreground">No hay datos de uso disponibles.</p>
+              ) : (
+                <>
+                  <ul className="space-y-4 mb-6">
+                    {Object.entries(usageLabels).map(([key, label]) => {
+                      const { used, limit } = planUsage.limits[key];
+                      const percent = limit ? Math.min((used / limit) * 100, 100) : 0;
+                      return (
+                        <li key={key}>
+                          <div className="flex justify-between text-sm mb-1">
+                            <span className="text-foreground dark:text-gray-200">{label}</span>
+                            <span className={limit !== null && used >= limit ? 'font-semibold text-destructive' : 'text-muted-foreground'}>
+                              {used} / {limit ?? '∞'}
+                            </span>
+                          </div>
+                          {limit !== null && (
+                            <div className="h-2 rounded-full bg-muted dark:bg-gray-700 overflow-hidden">
+                              <div
+                                className={`h-full rounded-full ${used >= limit ? 'bg-destructive' : 'bg-primary'}`}
+                                style={{ width: `${percent}%` }}
+                              />
+                            </div>
+                          )}
+                        </li>
+                      );
+                    })}
+                  </ul>
+                  <ul className="space-y-2">
+                    {Object.entries(featureLabels).map(([key, label]) => (
+                      <li key={key} className="flex items-center text-sm">
+                        {planUsage.entitlements[key] ? (
+                          <CheckCircle size={16} className="text-green-500 dark:text-green-400 mr-2 flex-shrink-0" />
+                        ) : (
+                          <XCircle size={16} className="text-muted-foreground mr-2 flex-shrink-0" />
+                        )}
+                        <span className={planUsage.entitlements[key] ? 'text-foreground dark:text-gray-200' : 'text-muted-foreground'}>{label}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+            </CardContent>
+          </Card>
         </div>
 
         {/* Opciones de Planes */}